@@ -0,0 +1,511 @@
+/**
+ * Achievement Manager for AI Alchemist's Lair
+ * Records what visitors explore - portfolio items they interact with, arcade
+ * games they launch and rooms they visit - and unlocks achievements for it.
+ * Unlocks show as toast notifications, the full list is viewable in an
+ * achievements panel, and progress is stored in localStorage.
+ */
+
+import { scenes } from './sceneData.js';
+import overlayManager from './overlayManager.js';
+import { checkFeatureSupport } from './compatibility.js';
+import { debug, info, warn } from './utils.js';
+
+// localStorage key holding unlocked achievements and exploration stats
+const ACHIEVEMENTS_KEY = 'aiAlchemistsLair.achievements';
+
+// How long a toast stays on screen, in milliseconds
+const TOAST_DURATION = 4000;
+
+/**
+ * Check whether the visitor has interacted with any entity of the given types
+ * @param {Object} stats - Exploration stats
+ * @param {Array<string>} types - Entity class names
+ * @returns {boolean} True if any of the types has been interacted with
+ */
+function hasInteractedWith(stats, types) {
+    return types.some(type => stats.interactions[type]);
+}
+
+// Achievement definitions; progress() is optional and returns {current, total}
+const ACHIEVEMENTS = [
+    {
+        id: 'curious-wizard',
+        title: 'Curious Wizard',
+        description: 'Interact with something in the lair',
+        isUnlocked: stats => Object.keys(stats.interactions).length > 0
+    },
+    {
+        id: 'opened-grimoire',
+        title: 'Opened the Grimoire',
+        description: 'Read the spellbook',
+        isUnlocked: stats => hasInteractedWith(stats, ['SpellbookEntity'])
+    },
+    {
+        id: 'trophy-case',
+        title: 'Trophy Case',
+        description: 'Inspect a trophy',
+        isUnlocked: stats => hasInteractedWith(stats, ['TrophyEntity'])
+    },
+    {
+        id: 'tuned-in',
+        title: 'Tuned In',
+        description: 'Switch on the TV',
+        isUnlocked: stats => hasInteractedWith(stats, ['TVEntity'])
+    },
+    {
+        id: 'needle-drop',
+        title: 'Needle Drop',
+        description: 'Start the jukebox',
+        isUnlocked: stats => hasInteractedWith(stats, ['JukeboxEntity'])
+    },
+    {
+        id: 'portal-walker',
+        title: 'Portal Walker',
+        description: 'Step through a portal',
+        isUnlocked: stats => hasInteractedWith(stats, ['PortalEntity', 'VibePortalEntity'])
+    },
+    {
+        id: 'insert-coin',
+        title: 'Insert Coin',
+        description: 'Launch an arcade game',
+        isUnlocked: stats => stats.arcadeGames.length > 0
+    },
+    {
+        id: 'high-score',
+        title: 'High Score',
+        description: 'Launch every arcade game',
+        isUnlocked: stats => stats.arcadeGamesTotal > 0 && stats.arcadeGames.length >= stats.arcadeGamesTotal,
+        progress: stats => ({ current: stats.arcadeGames.length, total: stats.arcadeGamesTotal })
+    },
+    {
+        id: 'cartographer',
+        title: 'Cartographer',
+        description: `Visit all ${Object.keys(scenes).length} rooms`,
+        isUnlocked: stats => Object.keys(scenes).every(sceneId => stats.rooms.includes(sceneId)),
+        progress: stats => ({
+            current: stats.rooms.filter(sceneId => scenes[sceneId]).length,
+            total: Object.keys(scenes).length
+        })
+    },
+    {
+        // Granted by a dialogue action rather than by exploration stats
+        id: 'lore-keeper',
+        title: 'Lore Keeper',
+        description: 'Hear the story of the lair from the Guide',
+        isUnlocked: () => false
+    }
+];
+
+class AchievementManager {
+    constructor() {
+        // Unlock times (ISO strings) by achievement ID
+        this.unlocked = {};
+        
+        // Exploration stats the achievements are checked against
+        this.stats = this.createEmptyStats();
+        
+        this.storageAvailable = false;
+        this.initialized = false;
+        
+        // Container the toasts stack in
+        this.toastContainer = null;
+        
+        this.handleEntityInteracted = this.handleEntityInteracted.bind(this);
+        this.handleArcadeGameLaunched = this.handleArcadeGameLaunched.bind(this);
+        this.handleSceneChanged = this.handleSceneChanged.bind(this);
+    }
+    
+    /**
+     * Start tracking - loads saved progress and listens for exploration events
+     * @param {SceneManager} [sceneManager] - Scene manager, used to count the room the visitor starts in
+     */
+    init(sceneManager = null) {
+        if (this.initialized) return;
+        
+        this.storageAvailable = checkFeatureSupport('LOCAL_STORAGE');
+        this.load();
+        
+        window.addEventListener('entityInteracted', this.handleEntityInteracted);
+        window.addEventListener('arcadeGameLaunched', this.handleArcadeGameLaunched);
+        window.addEventListener('sceneChanged', this.handleSceneChanged);
+        
+        const currentScene = sceneManager && sceneManager.getCurrentScene();
+        if (currentScene) {
+            this.recordRoom(currentScene.id);
+        }
+        
+        this.initialized = true;
+        debug(`AchievementManager: Initialized (${Object.keys(this.unlocked).length}/${ACHIEVEMENTS.length} unlocked)`);
+    }
+    
+    /**
+     * Create a blank set of exploration stats
+     * @returns {Object} Empty stats
+     */
+    createEmptyStats() {
+        return {
+            interactions: {},     // Entity class name -> true once interacted with
+            arcadeGames: [],      // Titles of arcade games launched
+            arcadeGamesTotal: 0,  // Number of games the arcade offers
+            rooms: []             // Scene IDs visited
+        };
+    }
+    
+    /**
+     * Record an interaction with a portfolio item
+     * @param {CustomEvent} event - entityInteracted event
+     */
+    handleEntityInteracted(event) {
+        const entity = event.detail && event.detail.entity;
+        if (!entity || !entity.constructor) return;
+        
+        const type = entity.constructor.name;
+        if (!this.stats.interactions[type]) {
+            this.stats.interactions[type] = true;
+            this.checkAchievements();
+        }
+    }
+    
+    /**
+     * Record an arcade game launch
+     * @param {CustomEvent} event - arcadeGameLaunched event
+     */
+    handleArcadeGameLaunched(event) {
+        const detail = event.detail || {};
+        if (!detail.game) return;
+        
+        this.stats.arcadeGamesTotal = Math.max(this.stats.arcadeGamesTotal, detail.totalGames || 0);
+        if (!this.stats.arcadeGames.includes(detail.game.title)) {
+            this.stats.arcadeGames.push(detail.game.title);
+        }
+        this.checkAchievements();
+    }
+    
+    /**
+     * Record entering a room
+     * @param {CustomEvent} event - sceneChanged event
+     */
+    handleSceneChanged(event) {
+        if (event.detail && event.detail.sceneId) {
+            this.recordRoom(event.detail.sceneId);
+        }
+    }
+    
+    /**
+     * Add a room to the visited list
+     * @param {string} sceneId - Scene ID
+     */
+    recordRoom(sceneId) {
+        if (this.stats.rooms.includes(sceneId)) return;
+        
+        this.stats.rooms.push(sceneId);
+        this.checkAchievements();
+    }
+    
+    /**
+     * Unlock every achievement whose condition is now met, then save
+     */
+    checkAchievements() {
+        ACHIEVEMENTS.forEach(achievement => {
+            if (this.unlocked[achievement.id]) return;
+            
+            try {
+                if (achievement.isUnlocked(this.stats)) {
+                    this.unlocked[achievement.id] = new Date().toISOString();
+                    info(`Achievement unlocked: ${achievement.title}`);
+                    this.showToast(achievement);
+                }
+            } catch (err) {
+                warn(`AchievementManager: Error checking ${achievement.id}`, err);
+            }
+        });
+        
+        this.save();
+    }
+    
+    /**
+     * Unlock an achievement directly, e.g. from a dialogue action
+     * @param {string} id - Achievement ID
+     * @returns {boolean} True if the achievement was newly unlocked
+     */
+    unlock(id) {
+        const achievement = ACHIEVEMENTS.find(entry => entry.id === id);
+        if (!achievement) {
+            warn(`AchievementManager: Unknown achievement ${id}`);
+            return false;
+        }
+        
+        if (this.unlocked[id]) return false;
+        
+        this.unlocked[id] = new Date().toISOString();
+        info(`Achievement unlocked: ${achievement.title}`);
+        this.showToast(achievement);
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Check whether an achievement has been unlocked
+     * @param {string} id - Achievement ID
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(id) {
+        return !!this.unlocked[id];
+    }
+    
+    /**
+     * Get every achievement with its unlock state and progress
+     * @returns {Array<Object>} Achievements with id, title, description, unlocked, unlockedAt and progress
+     */
+    getAchievements() {
+        return ACHIEVEMENTS.map(achievement => ({
+            id: achievement.id,
+            title: achievement.title,
+            description: achievement.description,
+            unlocked: this.isUnlocked(achievement.id),
+            unlockedAt: this.unlocked[achievement.id] || null,
+            progress: achievement.progress ? achievement.progress(this.stats) : null
+        }));
+    }
+    
+    /**
+     * Show a toast for a newly unlocked achievement
+     * @param {Object} achievement - Achievement definition
+     */
+    showToast(achievement) {
+        if (typeof document === 'undefined' || !document.body) return;
+        
+        if (!this.toastContainer) {
+            this.toastContainer = document.createElement('div');
+            this.toastContainer.setAttribute('role', 'status');
+            this.toastContainer.setAttribute('aria-live', 'polite');
+            this.toastContainer.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                z-index: 2000;
+                pointer-events: none;
+            `;
+            document.body.appendChild(this.toastContainer);
+        }
+        
+        const toast = document.createElement('div');
+        toast.style.cssText = `
+            min-width: 240px;
+            padding: 12px 16px;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 2px solid #00ffcc;
+            box-shadow: 0 0 15px rgba(0, 255, 204, 0.6);
+            color: white;
+            font-family: monospace;
+            opacity: 0;
+            transform: translateX(20px);
+            transition: opacity 300ms ease-in-out, transform 300ms ease-in-out;
+        `;
+        
+        const heading = document.createElement('div');
+        heading.textContent = '🏆 Achievement unlocked';
+        heading.style.cssText = 'color: #00ffcc; font-size: 11px; margin-bottom: 4px;';
+        
+        const title = document.createElement('div');
+        title.textContent = achievement.title;
+        title.style.cssText = 'font-size: 15px; font-weight: bold;';
+        
+        const description = document.createElement('div');
+        description.textContent = achievement.description;
+        description.style.cssText = 'font-size: 12px; color: #cccccc; margin-top: 2px;';
+        
+        toast.appendChild(heading);
+        toast.appendChild(title);
+        toast.appendChild(description);
+        this.toastContainer.appendChild(toast);
+        
+        // Let the browser lay out the toast before sliding it in
+        setTimeout(() => {
+            toast.style.opacity = '1';
+            toast.style.transform = 'translateX(0)';
+        }, 10);
+        
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            toast.style.transform = 'translateX(20px)';
+            setTimeout(() => {
+                if (toast.parentNode) {
+                    toast.parentNode.removeChild(toast);
+                }
+            }, 300);
+        }, TOAST_DURATION);
+    }
+    
+    /**
+     * Open the achievements panel, or close it if it is already open
+     */
+    togglePanel() {
+        if (overlayManager.isOpen('achievements-panel')) {
+            overlayManager.close('achievements-panel');
+        } else {
+            this.showPanel();
+        }
+    }
+    
+    /**
+     * Open the achievements panel listing every achievement and the visitor's progress
+     * @returns {Object|null} Overlay handle
+     */
+    showPanel() {
+        const achievements = this.getAchievements();
+        const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+        
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            width: 80%;
+            max-width: 520px;
+            max-height: 80%;
+            overflow-y: auto;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 4px solid #00ffcc;
+            box-shadow: 0 0 20px #00ffcc, inset 0 0 10px #00ffcc;
+            padding: 20px;
+            color: white;
+            font-family: monospace;
+        `;
+        
+        // Header with title, count and close button
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 15px;
+            padding-bottom: 10px;
+            border-bottom: 2px solid #00ffcc;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = `Achievements (${unlockedCount}/${achievements.length})`;
+        title.style.cssText = 'margin: 0; color: #00ffcc; text-shadow: 0 0 5px #00ffcc;';
+        header.appendChild(title);
+        
+        // The overlay manager closes the panel when this is clicked
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'X';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.setAttribute('data-overlay-close', '');
+        closeButton.style.cssText = `
+            background-color: transparent;
+            border: 2px solid #00ffcc;
+            color: #00ffcc;
+            font-weight: bold;
+            font-size: 18px;
+            width: 40px;
+            height: 40px;
+            cursor: pointer;
+        `;
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+        
+        const list = document.createElement('ul');
+        list.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+        
+        achievements.forEach(achievement => {
+            const item = document.createElement('li');
+            item.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 10px 0;
+                border-bottom: 1px solid rgba(0, 255, 204, 0.2);
+                opacity: ${achievement.unlocked ? 1 : 0.55};
+            `;
+            
+            const icon = document.createElement('span');
+            icon.textContent = achievement.unlocked ? '🏆' : '🔒';
+            icon.style.cssText = 'font-size: 22px;';
+            icon.setAttribute('aria-hidden', 'true');
+            
+            const text = document.createElement('div');
+            const name = document.createElement('div');
+            name.textContent = achievement.title;
+            name.style.cssText = `font-weight: bold; color: ${achievement.unlocked ? '#00ffcc' : 'white'};`;
+            
+            const description = document.createElement('div');
+            description.style.cssText = 'font-size: 12px; color: #cccccc;';
+            description.textContent = achievement.description;
+            if (!achievement.unlocked && achievement.progress && achievement.progress.total > 0) {
+                description.textContent += ` (${achievement.progress.current}/${achievement.progress.total})`;
+            }
+            
+            text.appendChild(name);
+            text.appendChild(description);
+            item.appendChild(icon);
+            item.appendChild(text);
+            item.setAttribute('aria-label', `${achievement.title}: ${achievement.unlocked ? 'unlocked' : 'locked'}`);
+            list.appendChild(item);
+        });
+        
+        panel.appendChild(list);
+        
+        return overlayManager.open({
+            id: 'achievements-panel',
+            content: panel
+        });
+    }
+    
+    /**
+     * Read saved achievements and stats from localStorage
+     */
+    load() {
+        if (!this.storageAvailable) return;
+        
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(ACHIEVEMENTS_KEY) || 'null');
+            if (!saved) return;
+            
+            this.unlocked = saved.unlocked || {};
+            this.stats = { ...this.createEmptyStats(), ...(saved.stats || {}) };
+        } catch (err) {
+            warn('AchievementManager: Ignoring unreadable achievement data', err);
+        }
+    }
+    
+    /**
+     * Write achievements and stats to localStorage
+     */
+    save() {
+        if (!this.storageAvailable) return;
+        
+        try {
+            window.localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify({
+                unlocked: this.unlocked,
+                stats: this.stats
+            }));
+        } catch (err) {
+            warn('AchievementManager: Failed to save achievements', err);
+        }
+    }
+    
+    /**
+     * Forget all achievements and stats
+     */
+    reset() {
+        this.unlocked = {};
+        this.stats = this.createEmptyStats();
+        
+        if (this.storageAvailable) {
+            try {
+                window.localStorage.removeItem(ACHIEVEMENTS_KEY);
+            } catch (err) {
+                warn('AchievementManager: Failed to clear achievements', err);
+            }
+        }
+    }
+}
+
+// Create a singleton instance
+const achievementManager = new AchievementManager();
+export { AchievementManager, ACHIEVEMENTS };
+export default achievementManager;
@@ -4,8 +4,29 @@
  */
 
 import { Entity } from './entity.js';
+import { input } from './input.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import audioManager from './audioManager.js';
+import overlayManager from './overlayManager.js';
+
+// Arcade sound effects - one file each, so each file is a single-sound sprite
+const ARCADE_SOUNDS = {
+    'arcade-activate': 'assets/sounds/arcade-activate.mp3',
+    'arcade-select': 'assets/sounds/arcade-select.mp3',
+    'arcade-launch': 'assets/sounds/arcade-launch.mp3'
+};
+
+/**
+ * Load the arcade sound effects through the audio manager
+ * Safe to call repeatedly - each file is only fetched once
+ * @returns {Promise} Promise that resolves when every sound has loaded or failed
+ */
+function loadArcadeSounds() {
+    return Promise.all(Object.entries(ARCADE_SOUNDS).map(([name, path]) =>
+        audioManager.loadSprite(name, path, { [name]: {} })
+    ));
+}
 
 class ArcadeEntity extends Entity {
     /**
@@ -31,7 +52,7 @@ class ArcadeEntity extends Entity {
         this.hasLoaded = false;
         this.asset = null;
         this.isInteractive = true;
-        this.interactionRadius = 4;
+        this.interactionDistance = 4;
         this.arcadeId = options.arcadeId || 'arcade-' + Math.floor(Math.random() * 10000);
         
         // Visual properties
@@ -44,16 +65,11 @@ class ArcadeEntity extends Entity {
         this.scaleY = .55;
         this.groundingFactor = 0.45; // Percentage of height that sits "in" the ground
         
-        // Apply positional offset like other decorative entities
-        // This corrects grid alignment based on patterns from other entities
-        this.x += -1.0;
-        this.y += -0.5;
-        
         // Interaction properties
         this.isNearPlayer = false;
         this.isInteracting = false;
         this.interactionPromptAlpha = 0;
-        this.wasEnterPressed = false;  // Track previous Enter key state for edge detection
+        this.hasInteractionFocus = false;  // Set by the InteractionManager while this is the interaction target
         
         // Animation properties
         this.animationFrame = 0;
@@ -116,14 +132,10 @@ class ArcadeEntity extends Entity {
         // Test loading immediately
         this.testImageLoad();
         
-        // Flag for direct key listeners
-        this.hasKeyListeners = false;
-        this.menuKeyListeners = null;
-        
-        // Sound effects
-        this.activateSound = null;
-        this.selectSound = null;
-        this.launchSound = null;
+        // Game selection menu, shown through the overlay manager while open
+        this.menuOverlay = null;
+        this.menuCanvas = null;
+        this.handleMenuKeyDown = this.handleMenuKeyDown.bind(this);
         
         // Load sound effects
         this.loadSoundEffects();
@@ -663,7 +675,7 @@ class ArcadeEntity extends Entity {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         // Check if player is within interaction radius
-        const isNear = distance <= this.interactionRadius;
+        const isNear = distance <= this.interactionDistance;
         
         // Log details about the proximity check
         if (isNear) {
@@ -672,7 +684,7 @@ class ArcadeEntity extends Entity {
         
         // Debug player distance occasionally
         if (Math.random() < 0.03) {
-            console.log(`🎮 Player distance: ${distance.toFixed(2)}, Interaction radius: ${this.interactionRadius}`);
+            console.log(`🎮 Player distance: ${distance.toFixed(2)}, Interaction radius: ${this.interactionDistance}`);
         }
         
         return isNear;
@@ -703,20 +715,6 @@ class ArcadeEntity extends Entity {
             this.isNearPlayer = isNearPlayer;
         }
         
-        // Handle input when player is nearby and not already interacting
-        if (this.isNearPlayer && !this.gameSelectVisible) {
-            // Check for Enter key press - we check directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            if (isEnterPressed && !this.wasEnterPressed) {
-                debug(`ArcadeEntity: Enter key pressed, starting interaction`);
-                this.startInteraction();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
-        }
-        
         // Update glow effects
         if (this.isNearPlayer) {
             // Enhanced pulsing glow when player is nearby
@@ -729,9 +727,6 @@ class ArcadeEntity extends Entity {
                 this.glowIntensity = this.maxGlowIntensity / 2;
                 this.glowDirection = 1;
             }
-            
-            // Fade in interaction prompt - faster fade in for better visibility
-            this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + deltaTime * 4);
         } else {
             // Always maintain a base pulsing glow when player is away
             // Pulse between 20-40% of max glow intensity when not in proximity
@@ -745,9 +740,6 @@ class ArcadeEntity extends Entity {
                 this.glowDirection = 1;
             }
             
-            // Fade out interaction prompt
-            this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - deltaTime * 4);
-            
             // If we're showing the game selection and player walks away, close it
             if (this.gameSelectVisible) {
                 debug(`ArcadeEntity: Player walked away, closing game selection`);
@@ -755,6 +747,13 @@ class ArcadeEntity extends Entity {
             }
         }
         
+        // Fade the interaction prompt - only the focused interactable shows its prompt
+        if (this.hasInteractionFocus) {
+            this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + deltaTime * 4);
+        } else {
+            this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - deltaTime * 4);
+        }
+        
         // Update screen animation
         this.animationFrame += this.animationSpeed;
         if (this.animationFrame > 1) {
@@ -771,160 +770,43 @@ class ArcadeEntity extends Entity {
             this.screenGlowDirection = 1;
         }
         
-        // Occasionally log input state for debugging
-        if (Math.random() < 0.02 && this.isNearPlayer) {
-            console.log("======= ARCADE INPUT DEBUG =======");
-            console.log(`Player nearby: ${this.isNearPlayer}`);
-            console.log(`Game select visible: ${this.gameSelectVisible}`);
-            console.log(`Input object exists: ${!!window.input}`);
-            
-            if (window.input) {
-                console.log(`Input keys object exists: ${!!window.input.keys}`);
-                if (window.input.keys) {
-                    console.log(`Enter key state: ${window.input.keys['Enter'] ? 'PRESSED' : 'not pressed'}`);
-                    console.log(`Space key state: ${window.input.keys[' '] ? 'PRESSED' : 'not pressed'}`);
-                    
-                    // List all pressed keys for debugging
-                    const pressedKeys = [];
-                    for (const key in window.input.keys) {
-                        if (window.input.keys[key]) {
-                            pressedKeys.push(key);
-                        }
-                    }
-                    console.log(`All pressed keys: ${pressedKeys.join(', ') || 'none'}`);
-                }
-            }
-            console.log("==================================");
+        // Gamepads can't be captured with listeners like the keyboard, so poll them here
+        if (this.gameSelectVisible) {
+            this.handleGamepadMenuInput();
         }
         
-        // Check for Enter key to start interaction
-        let isEnterPressed = false;
-        
-        // First try window.input.keys approach
-        if (window.input && window.input.keys) {
-            isEnterPressed = window.input.keys['Enter'] || window.input.keys[' '];
-            
-            // Only detect a new press (not holding) to start interaction
-            if (isEnterPressed && !this.wasEnterPressed) {
-                console.log("🎮 ENTER KEY NEWLY PRESSED!");
-                
-                if (this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 STARTING INTERACTION!");
-                    this.startInteraction();
-                }
-            }
-            
-            // Update Enter key state for next frame
-            this.wasEnterPressed = isEnterPressed;
+        // Redraw the menu every frame to keep the selection pulse animating
+        if (this.gameSelectVisible) {
+            this.drawGameSelectionInterface();
         }
+    }
+    
+    /**
+     * Navigate the game selection menu with a gamepad
+     * D-pad up/down moves the selection, A launches and B closes the menu.
+     * Runs before the InteractionManager each frame, so the A press is used here
+     * rather than re-triggering the cabinet.
+     */
+    handleGamepadMenuInput() {
+        if (!input.gamepad.connected || this.games.length === 0) return;
         
-        // Setup and handle menu-specific direct keyboard controls when game selection is visible
-        if (this.gameSelectVisible && !this.menuKeyListeners) {
-            // Set up direct key listeners specifically for the menu
-            console.log("🎮 Setting up direct menu key listeners");
-            
-            // Create listeners for menu navigation
-            this.menuKeyListeners = {
-                keydown: (e) => {
-                    console.log(`🎮 Menu keydown detected: ${e.key}`);
-                    
-                    // Always prevent default for ANY key when menu is open
-                    // This ensures no input gets to the game while in menu
-                    e.preventDefault();
-                    e.stopPropagation();
-                    
-                    if (e.key === 'ArrowUp' || e.key === 'w' || e.key === 'W') {
-                        console.log("🎮 UP key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex - 1 + this.games.length) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'ArrowDown' || e.key === 's' || e.key === 'S') {
-                        console.log("🎮 DOWN key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex + 1) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'Enter' || e.key === ' ') {
-                        console.log("🎮 ENTER key detected for menu selection");
-                        this.launchGame();
-                    }
-                    else if (e.key === 'Escape') {
-                        console.log("🎮 ESCAPE key detected for menu");
-                        this.hideGameSelection();
-                    }
-                    
-                    // Also nullify the input system's knowledge of this key
-                    if (window.input && window.input.keys) {
-                        window.input.keys[e.key] = false;
-                    }
-                },
-                
-                // Also capture keyup events to prevent any lingering key states
-                keyup: (e) => {
-                    // Block all keyup events while menu is open
-                    e.preventDefault();
-                    e.stopPropagation();
-                    
-                    // Ensure the input system doesn't see this key as pressed
-                    if (window.input && window.input.keys) {
-                        window.input.keys[e.key] = false;
-                    }
-                }
-            };
-            
-            // Add the listeners to document with capture phase
-            // Using capture ensures our handlers run before the game's handlers
-            document.addEventListener('keydown', this.menuKeyListeners.keydown, true);
-            document.addEventListener('keyup', this.menuKeyListeners.keyup, true);
+        if (input.consumeGamepadButtonPress('up')) {
+            this.selectedGameIndex = (this.selectedGameIndex - 1 + this.games.length) % this.games.length;
+            this.playSelectSound();
+            this.drawGameSelectionInterface();
         }
-        else if (!this.gameSelectVisible && this.menuKeyListeners) {
-            // Remove menu listeners when menu is no longer visible
-            console.log("🎮 Removing menu key listeners on hide");
-            document.removeEventListener('keydown', this.menuKeyListeners.keydown, true);
-            document.removeEventListener('keyup', this.menuKeyListeners.keyup, true);
-            this.menuKeyListeners = null;
+        else if (input.consumeGamepadButtonPress('down')) {
+            this.selectedGameIndex = (this.selectedGameIndex + 1) % this.games.length;
+            this.playSelectSound();
+            this.drawGameSelectionInterface();
         }
-        
-        // Setup interaction key listener when near player but not in menu
-        if (!this.hasKeyListeners && !this.gameSelectVisible && this.isNearPlayer) {
-            // Set up one-time key listeners when player is near
-            console.log("🎮 Setting up direct key listeners for arcade interaction");
-            this.hasKeyListeners = true;
-            
-            // Add a direct document-level event listener as a fallback
-            document.addEventListener('keydown', this.handleKeyDown = (e) => {
-                console.log(`🎮 Direct keydown detected: ${e.key}`);
-                if ((e.key === 'Enter' || e.key === ' ') && this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 DIRECT ENTER KEY DETECTED - Starting interaction");
-                    this.startInteraction();
-                    
-                    // Prevent default action
-                    e.preventDefault();
-                }
-            });
-        } else if (this.hasKeyListeners && (!this.isNearPlayer || this.gameSelectVisible)) {
-            // Remove listeners when no longer needed
-            console.log("🎮 Removing direct key listeners for arcade");
-            document.removeEventListener('keydown', this.handleKeyDown);
-            this.hasKeyListeners = false;
+        else if (input.consumeGamepadButtonPress('a')) {
+            debug(`ArcadeEntity: Gamepad A pressed, launching selected game`);
+            this.launchGame();
         }
-        
-        // Draw the game selection UI if it's visible
-        // This needs to happen every frame to keep the UI updated
-        if (this.gameSelectVisible) {
-            // Get the canvas context for drawing
-            const canvas = document.getElementById('gameCanvas');
-            if (canvas) {
-                const ctx = canvas.getContext('2d');
-                if (ctx) {
-                    this.drawGameSelectionInterface(ctx);
-                }
-            }
+        else if (input.consumeGamepadButtonPress('b')) {
+            debug(`ArcadeEntity: Gamepad B pressed, closing game selection`);
+            this.hideGameSelection();
         }
     }
     
@@ -939,66 +821,123 @@ class ArcadeEntity extends Entity {
         debug(`ArcadeEntity: WARNING - handleInput() is deprecated, input handling moved to update()`);
     }
     
+    /**
+     * Handle arcade interaction - opens the game selection menu
+     * Called by the InteractionManager; once the menu is open it handles its own keys
+     */
+    interact() {
+        if (this.gameSelectVisible) return;
+        
+        this.startInteraction();
+    }
+    
     /**
      * Start arcade cabinet interaction
+     * Opens the game selection menu as an overlay, which pauses the game until it closes
      */
     startInteraction() {
         debug(`ArcadeEntity: Starting interaction`);
+        
+        this.menuCanvas = this.createMenuCanvas();
+        this.menuOverlay = overlayManager.open({
+            id: 'arcadeMenuOverlay',
+            content: this.menuCanvas,
+            fadeDuration: 200,
+            onClose: () => this.finishGameSelection()
+        });
+        if (!this.menuOverlay) return;
+        
         this.gameSelectVisible = true;
+        document.addEventListener('keydown', this.handleMenuKeyDown, true);
         
-        // Tell the game system we're in an interaction
-        // This prevents player movement during menu navigation
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(true);
-            debug(`ArcadeEntity: Set game interaction state to active`);
-        } else {
-            console.warn(`ArcadeEntity: Game interaction system not available!`);
-        }
+        // D-pad presses made while walking up to the cabinet shouldn't move the selection
+        input.clearGamepadPresses();
+        
+        this.drawGameSelectionInterface();
         
         // Play sound
         this.playActivateSound();
     }
     
     /**
-     * Hide game selection menu
+     * Create the canvas the game selection menu is drawn on
+     * Matches the game canvas so the menu lines up with the game behind it
+     * @returns {HTMLCanvasElement} Menu canvas
      */
-    hideGameSelection() {
-        debug(`ArcadeEntity: Hiding game selection`);
-        this.gameSelectVisible = false;
+    createMenuCanvas() {
+        const gameCanvas = document.getElementById('gameCanvas');
+        const canvas = document.createElement('canvas');
         
-        // Tell the game system interaction is over
-        // This allows player movement again
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
-            debug(`ArcadeEntity: Set game interaction state to inactive`);
+        if (gameCanvas) {
+            const rect = gameCanvas.getBoundingClientRect();
+            canvas.width = gameCanvas.width;
+            canvas.height = gameCanvas.height;
+            canvas.style.width = rect.width + 'px';
+            canvas.style.height = rect.height + 'px';
+        } else {
+            canvas.width = window.innerWidth;
+            canvas.height = window.innerHeight;
         }
         
-        // Remove menu key listeners if they exist
-        if (this.menuKeyListeners) {
-            console.log("🎮 Removing menu key listeners on hide");
-            document.removeEventListener('keydown', this.menuKeyListeners.keydown, true);
-            document.removeEventListener('keyup', this.menuKeyListeners.keyup, true);
-            this.menuKeyListeners = null;
+        canvas.style.outline = 'none';
+        return canvas;
+    }
+    
+    /**
+     * Handle keys while the game selection menu is open
+     * Escape is left to the overlay manager, which closes the menu
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleMenuKeyDown(event) {
+        if (!this.menuOverlay || overlayManager.getTopOverlay() !== this.menuOverlay) return;
+        
+        const { key } = event;
+        let handled = true;
+        
+        if (key === 'ArrowUp' || key === 'w' || key === 'W') {
+            this.selectedGameIndex = (this.selectedGameIndex - 1 + this.games.length) % this.games.length;
+            this.playSelectSound();
+            this.drawGameSelectionInterface();
+        } else if (key === 'ArrowDown' || key === 's' || key === 'S') {
+            this.selectedGameIndex = (this.selectedGameIndex + 1) % this.games.length;
+            this.playSelectSound();
+            this.drawGameSelectionInterface();
+        } else if (key === 'Enter' || key === ' ') {
+            // A held interact key shouldn't launch a game the moment the menu opens
+            if (!event.repeat) {
+                this.launchGame();
+            }
+        } else {
+            handled = false;
         }
         
-        // Remove the overlay canvas if it exists
-        const overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        if (overlayCanvas) {
-            overlayCanvas.parentElement.removeChild(overlayCanvas);
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
         }
-        
-        // Clear any lingering key states in the input system
-        if (window.input && window.input.keys) {
-            // Reset common control keys to prevent stuck keys
-            const keysToReset = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
-                                'w', 'a', 's', 'd', 'W', 'A', 'S', 'D',
-                                'Enter', ' ', 'Escape'];
-            keysToReset.forEach(key => {
-                window.input.keys[key] = false;
-            });
+    }
+    
+    /**
+     * Hide game selection menu
+     */
+    hideGameSelection() {
+        if (this.menuOverlay) {
+            overlayManager.close(this.menuOverlay);
         }
     }
     
+    /**
+     * Clean up after the game selection menu closes, however it was closed
+     */
+    finishGameSelection() {
+        debug(`ArcadeEntity: Hiding game selection`);
+        
+        this.gameSelectVisible = false;
+        this.menuOverlay = null;
+        this.menuCanvas = null;
+        document.removeEventListener('keydown', this.handleMenuKeyDown, true);
+    }
+    
     /**
      * Launch the selected game
      */
@@ -1016,12 +955,12 @@ class ArcadeEntity extends Entity {
         
         // Play launch sound
         this.playLaunchSound();
-        
-        // Restore game interaction state before launching
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
-        }
-        
+
+        // Let listeners (e.g. achievements) know which game was launched
+        window.dispatchEvent(new CustomEvent('arcadeGameLaunched', {
+            detail: { arcade: this, game: selectedGame, totalGames: this.games.length }
+        }));
+
         // Open the game URL
         try {
             window.open(selectedGame.url, '_blank');
@@ -1038,58 +977,28 @@ class ArcadeEntity extends Entity {
      * Play the arcade machine activation sound
      */
     playActivateSound() {
-        try {
-            // Try to play the arcade activation sound
-            if (this.activateSound) {
-                this.activateSound.currentTime = 0;
-                this.activateSound.play();
-                debug(`ArcadeEntity: Played activation sound`);
-            }
-        } catch (err) {
-            debug(`ArcadeEntity: Error playing activation sound: ${err}`);
-        }
+        audioManager.play('arcade-activate');
     }
     
     /**
      * Play the menu selection change sound
      */
     playSelectSound() {
-        try {
-            // Try to play the selection sound
-            if (this.selectSound) {
-                this.selectSound.currentTime = 0;
-                this.selectSound.play();
-                debug(`ArcadeEntity: Played selection sound`);
-            }
-        } catch (err) {
-            debug(`ArcadeEntity: Error playing selection sound: ${err}`);
-        }
+        audioManager.play('arcade-select');
     }
     
     /**
      * Play the game launch sound
      */
     playLaunchSound() {
-        try {
-            // Try to play the launch sound
-            if (this.launchSound) {
-                this.launchSound.currentTime = 0;
-                this.launchSound.play();
-                debug(`ArcadeEntity: Played launch sound`);
-            }
-        } catch (err) {
-            debug(`ArcadeEntity: Error playing launch sound: ${err}`);
-        }
+        audioManager.play('arcade-launch');
     }
     
     /**
      * Load sound effects
      */
     loadSoundEffects() {
-        // Load sound effects
-        this.activateSound = new Audio('assets/sounds/arcade-activate.mp3');
-        this.selectSound = new Audio('assets/sounds/arcade-select.mp3');
-        this.launchSound = new Audio('assets/sounds/arcade-launch.mp3');
+        loadArcadeSounds();
     }
     
     /**
@@ -1166,12 +1075,12 @@ class ArcadeEntity extends Entity {
             // Draw interaction radius
             ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
             ctx.beginPath();
-            ctx.arc(screenX, screenY, this.interactionRadius * 32, 0, Math.PI * 2);
+            ctx.arc(screenX, screenY, this.interactionDistance * 32, 0, Math.PI * 2);
             ctx.stroke();
         }
         
-        // Draw interaction prompt if player is nearby and prompt is visible
-        if (this.isNearPlayer && this.interactionPromptAlpha > 0 && !this.gameSelectVisible) {
+        // Draw interaction prompt if this is the focused interactable and prompt is visible
+        if (this.interactionPromptAlpha > 0 && !this.gameSelectVisible) {
             debug(`ArcadeEntity: Drawing interaction prompt, alpha=${this.interactionPromptAlpha}`);
             this.drawInteractionPrompt(ctx, screenX, adjustedY - 50);
         }
@@ -1301,7 +1210,7 @@ class ArcadeEntity extends Entity {
             // Draw interaction radius
             ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
             ctx.beginPath();
-            ctx.arc(screenX, screenY, this.interactionRadius * 32, 0, Math.PI * 2);
+            ctx.arc(screenX, screenY, this.interactionDistance * 32, 0, Math.PI * 2);
             ctx.stroke();
         }
         
@@ -1372,95 +1281,21 @@ class ArcadeEntity extends Entity {
     }
     
     /**
-     * Draw game selection interface
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * Draw game selection interface onto the menu canvas
      */
-    drawGameSelectionInterface(ctx) {
-        debug(`ArcadeEntity: Drawing game selection interface`);
-        
-        // First identify the main game canvas - try different approaches
-        let mainCanvas = null;
-        
-        // Approach 1: Try to find by ID
-        mainCanvas = document.getElementById('gameCanvas');
-        
-        // Approach 2: If not found, try to find by class or tag
-        if (!mainCanvas) {
-            console.log("🎮 Finding game canvas by alternative methods");
-            // Look for canvas elements, try to find the game canvas
-            const canvases = document.getElementsByTagName('canvas');
-            if (canvases.length > 0) {
-                // Use the first canvas (most likely the game canvas)
-                mainCanvas = canvases[0];
-                console.log(`🎮 Found canvas by tag: ${mainCanvas.width}x${mainCanvas.height}`);
-            }
-        }
+    drawGameSelectionInterface() {
+        if (!this.menuCanvas) return;
         
-        // Approach 3: If still not found, use the context's canvas
-        if (!mainCanvas && ctx && ctx.canvas) {
-            mainCanvas = ctx.canvas;
-            console.log(`🎮 Using context's canvas: ${mainCanvas.width}x${mainCanvas.height}`);
-        }
-        
-        const width = mainCanvas.width;
-        const height = mainCanvas.height;
-        
-        // Ensure we have dimensions
-        if (!width || !height) {
-            console.error("🎮 Canvas dimensions invalid!");
-            return;
-        }
+        const width = this.menuCanvas.width;
+        const height = this.menuCanvas.height;
+        const overlayCtx = this.menuCanvas.getContext('2d');
         
-        console.log(`🎮 Main canvas dimensions: ${width}x${height}`);
-        
-        // Determine container for overlay
-        const container = mainCanvas.parentElement || document.body;
-        
-        // Use a separate canvas overlay for the game selection menu
-        // This ensures it's drawn on top of everything
-        let overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        let overlayCtx;
-        
-        if (!overlayCanvas) {
-            // Create overlay canvas if it doesn't exist
-            console.log("🎮 Creating overlay canvas for arcade menu");
-            const newOverlay = document.createElement('canvas');
-            newOverlay.id = 'arcadeMenuOverlay';
-            newOverlay.width = width;
-            newOverlay.height = height;
-            
-            // Position the overlay exactly over the game canvas
-            newOverlay.style.position = 'absolute';
-            
-            // Get the precise position of the main canvas
-            const mainRect = mainCanvas.getBoundingClientRect();
-            newOverlay.style.top = mainRect.top + 'px';
-            newOverlay.style.left = mainRect.left + 'px';
-            newOverlay.style.width = mainRect.width + 'px';
-            newOverlay.style.height = mainRect.height + 'px';
-            
-            newOverlay.style.zIndex = '9999'; // Very high z-index to ensure it's on top
-            newOverlay.style.pointerEvents = 'none'; // Allow clicks to pass through
-            
-            // Add to the document body
-            document.body.appendChild(newOverlay);
-            
-            overlayCtx = newOverlay.getContext('2d');
-            console.log(`🎮 Created overlay canvas: ${newOverlay.width}x${newOverlay.height}`);
-        } else {
-            // Use existing overlay
-            overlayCtx = overlayCanvas.getContext('2d');
-            // Clear previous frame
-            overlayCtx.clearRect(0, 0, width, height);
-        }
+        // Clear previous frame - the overlay backdrop dims the game behind the menu
+        overlayCtx.clearRect(0, 0, width, height);
         
         // Use the overlay context for drawing
         overlayCtx.save();
         
-        // Draw semi-transparent background overlay to dim the game
-        overlayCtx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        overlayCtx.fillRect(0, 0, width, height);
-        
         // Draw arcade cabinet header with neon glow effect
         const headerGradient = overlayCtx.createLinearGradient(width/2 - 150, height * 0.1, width/2 + 150, height * 0.1);
         headerGradient.addColorStop(0, '#00FFFF');
@@ -1718,11 +1553,12 @@ class ArcadeEntity extends Entity {
         
         // Draw controls text
         overlayCtx.fillStyle = '#FFFFFF';
-        overlayCtx.fillText('↑/↓: Navigate | ENTER: Launch Game | ESC: Close', width/2, footerY + footerHeight/2);
+        const controlsText = input.gamepad.connected
+            ? 'D-PAD: Navigate | A: Launch Game | B: Close'
+            : '↑/↓: Navigate | ENTER: Launch Game | ESC: Close';
+        overlayCtx.fillText(controlsText, width/2, footerY + footerHeight/2);
         
         overlayCtx.restore();
-        
-        console.log("🎮 Finished drawing arcade game menu");
     }
     
     /**
@@ -1773,4 +1609,4 @@ class ArcadeEntity extends Entity {
     }
 }
 
-export { ArcadeEntity };
+export { ArcadeEntity, loadArcadeSounds };
@@ -3,7 +3,7 @@
  * Responsible for creating and placing arcade cabinet entities
  */
 
-import { ArcadeEntity } from './arcadeEntity.js';
+import { ArcadeEntity, loadArcadeSounds } from './arcadeEntity.js';
 import { debug } from './utils.js';
 
 class ArcadeManager {
@@ -42,59 +42,10 @@ class ArcadeManager {
         
         debug(`ArcadeManager: Preloaded arcade cabinet image: ${imagePath}`);
         
-        // Check if sounds directory exists first
-        try {
-            // Define fallback sound generation for when files don't exist
-            const generateSilentAudio = () => {
-                try {
-                    // Create a silent audio context as fallback
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    const oscillator = audioContext.createOscillator();
-                    const gainNode = audioContext.createGain();
-                    
-                    gainNode.gain.value = 0; // Silent
-                    oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-                    
-                    return { 
-                        play: () => {
-                            debug('ArcadeManager: Playing silent fallback audio');
-                            // Do nothing, this is a silent fallback
-                        }
-                    };
-                } catch (err) {
-                    debug(`ArcadeManager: Error creating silent audio: ${err}`);
-                    return { play: () => {} }; // Empty play function
-                }
-            };
-            
-            // Register arcade sound effects
-            const soundPaths = {
-                'arcade-select': 'assets/sounds/arcade-select.mp3',
-                'arcade-launch': 'assets/sounds/arcade-launch.mp3'
-            };
-            
-            // Create and register fallback sounds
-            Object.entries(soundPaths).forEach(([key, path]) => {
-                // Try to load the sound, but have a fallback ready
-                assetLoader.loadSound(path, (sound) => {
-                    if (sound) {
-                        debug(`ArcadeManager: Successfully preloaded arcade sound: ${key}`);
-                    } else {
-                        debug(`ArcadeManager: Failed to preload arcade sound: ${key}, creating silent fallback`);
-                        
-                        // Generate and register a silent audio as fallback
-                        const silentAudio = generateSilentAudio();
-                        if (assetLoader.registerAsset) {
-                            assetLoader.registerAsset(key, silentAudio);
-                            debug(`ArcadeManager: Registered silent fallback for ${key}`);
-                        }
-                    }
-                });
-            });
-        } catch (err) {
-            debug(`ArcadeManager: Error during sound preload: ${err}, using fallbacks`);
-        }
+        // Preload the sound effects; missing files just leave those sounds silent
+        loadArcadeSounds().then(() => {
+            debug('ArcadeManager: Arcade sounds preloaded');
+        });
         
         this.assetsPreloaded = true;
         debug('ArcadeManager: Assets preload process completed');
@@ -143,8 +94,8 @@ class ArcadeManager {
         // We're not checking for a specific scene name as that seems to be causing issues
         
         // Place arcade cabinet in a visible area but not in the way of other elements
-        const arcadeX = 1; // Position in the room
-        const arcadeY = 2; // Position in the room
+        const arcadeX = 0; // Position in the room
+        const arcadeY = 1.5; // Position in the room
         
         // Define some custom retro games for this arcade
         const arcadeGames = [
@@ -51,9 +51,12 @@ class AssetLoader {
         };
         
         // Wait a moment for loading screen to initialize before loading assets
-        setTimeout(() => {
-            this.loadCommonAssets();
-        }, 50);
+        // (there are no images to load when running headless under Node)
+        if (typeof Image !== 'undefined') {
+            setTimeout(() => {
+                this.loadCommonAssets();
+            }, 50);
+        }
     }
     
     /**
@@ -306,6 +309,41 @@ class AssetLoader {
         sound.src = resolvedPath;
         sound.load();
     }
+    
+    /**
+     * Load and decode an audio file for Web Audio playback (e.g. a sound sprite)
+     * @param {string} key - Key for referencing the decoded buffer
+     * @param {string} path - Path to the audio file
+     * @param {AudioContext} audioContext - Context used to decode the file
+     * @returns {Promise<AudioBuffer>} - Promise that resolves with the decoded audio
+     */
+    loadAudioBuffer(key, path, audioContext) {
+        // If the buffer is already decoded, just return it
+        if (this.assets[key]) {
+            return Promise.resolve(this.assets[key]);
+        }
+        
+        // Use path resolver to handle GitHub Pages deployment
+        const resolvedPath = getAssetPath(path);
+        console.log(`AssetLoader: Loading audio buffer ${key} from: ${resolvedPath}`);
+        
+        return fetch(resolvedPath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => new Promise((resolve, reject) => {
+                // Callback form of decodeAudioData for older Safari
+                audioContext.decodeAudioData(data, resolve, reject);
+            }))
+            .then(buffer => {
+                this.assets[key] = buffer;
+                console.log(`✓ Successfully loaded audio buffer: ${key}`);
+                return buffer;
+            });
+    }
 }
 
 // Create a singleton instance
@@ -0,0 +1,345 @@
+/**
+ * Audio Manager for AI Alchemist's Lair
+ * Single Web Audio graph that every entity plays its sounds through
+ *
+ * - master, sfx and music volume buses (sfx and music feed into master)
+ * - a mute toggle and volume levels that persist in localStorage
+ * - the audio context is unlocked on the first user input, as browsers
+ *   block audio until the visitor interacts with the page
+ * - sounds come from sound sprites (one file, many named segments) loaded
+ *   through the asset loader, or from synthesised fallbacks
+ */
+
+import assetLoader from './assetLoader.js';
+import { checkFeatureSupport } from './compatibility.js';
+import { debug, info, warn } from './utils.js';
+
+// localStorage key holding the mute and volume settings
+const AUDIO_SETTINGS_KEY = 'aiAlchemistsLair.audio';
+
+// Volume buses and their default levels (0-1)
+const DEFAULT_VOLUMES = {
+    master: 0.8,
+    sfx: 1,
+    music: 0.7
+};
+
+// Input events that count as a user gesture for unlocking audio
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+class AudioManager {
+    constructor() {
+        // Created on first use so nothing is built in environments without audio
+        this.context = null;
+        
+        // Gain nodes for each volume bus
+        this.buses = {};
+        
+        // Registered sounds by name
+        this.sounds = {};
+        
+        // Decoded sprite buffers and in-flight sprite loads, by sprite key
+        this.sprites = {};
+        this.spriteLoads = {};
+        
+        this.volumes = { ...DEFAULT_VOLUMES };
+        this.muted = false;
+        this.unlocked = false;
+        
+        this.supported = typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+        this.storageAvailable = typeof window !== 'undefined' && checkFeatureSupport('LOCAL_STORAGE');
+        
+        this.handleUnlock = this.handleUnlock.bind(this);
+        
+        this.loadSettings();
+        
+        if (this.supported) {
+            UNLOCK_EVENTS.forEach(type => window.addEventListener(type, this.handleUnlock, true));
+        } else {
+            debug('AudioManager: Web Audio not supported, sounds disabled');
+        }
+    }
+    
+    /**
+     * Get the audio context, creating it and the volume buses on first use
+     * @returns {AudioContext|null} The audio context, or null if Web Audio is unavailable
+     */
+    getContext() {
+        if (!this.supported) return null;
+        
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            
+            this.buses.master = this.context.createGain();
+            this.buses.master.connect(this.context.destination);
+            
+            ['sfx', 'music'].forEach(group => {
+                this.buses[group] = this.context.createGain();
+                this.buses[group].connect(this.buses.master);
+            });
+            
+            this.applyVolumes();
+            debug('AudioManager: Audio context created');
+        }
+        
+        return this.context;
+    }
+    
+    /**
+     * Resume the audio context on the first user gesture
+     */
+    handleUnlock() {
+        if (this.unlocked) return;
+        
+        const context = this.getContext();
+        if (!context) return;
+        
+        const finishUnlock = () => {
+            this.unlocked = true;
+            UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.handleUnlock, true));
+            debug('AudioManager: Audio unlocked');
+        };
+        
+        if (context.state === 'suspended') {
+            context.resume()
+                .then(finishUnlock)
+                .catch(err => warn('AudioManager: Could not resume audio context', err));
+        } else {
+            finishUnlock();
+        }
+    }
+    
+    /**
+     * Register a sound that can be played by name
+     * @param {string} name - Sound name
+     * @param {Object} definition - Sound definition
+     * @param {string} [definition.sprite] - Key of the sound sprite holding the sound
+     * @param {number} [definition.start] - Start of the sound within the sprite in seconds
+     * @param {number} [definition.duration] - Length of the sound in seconds (default: to the end of the sprite)
+     * @param {Function} [definition.synth] - Fallback (context, output) => void that synthesises the sound into output
+     * @param {string} [definition.group] - Volume bus, 'sfx' or 'music' (default 'sfx')
+     * @param {number} [definition.volume] - Volume of this sound relative to its bus (default 1)
+     */
+    registerSound(name, definition) {
+        this.sounds[name] = {
+            sprite: definition.sprite || null,
+            start: definition.start || 0,
+            duration: definition.duration,
+            synth: definition.synth || null,
+            group: definition.group || 'sfx',
+            volume: definition.volume !== undefined ? definition.volume : 1
+        };
+    }
+    
+    /**
+     * Load a sound sprite and register the sounds it contains
+     * A sprite that fails to load leaves its sounds silent (or synthesised, if they have a synth)
+     * @param {string} spriteKey - Key for the sprite
+     * @param {string} path - Path to the audio file
+     * @param {Object} sounds - Sound definitions by name (see registerSound), without the sprite key
+     * @returns {Promise<AudioBuffer|null>} Promise that resolves with the decoded sprite, or null on failure
+     */
+    loadSprite(spriteKey, path, sounds = {}) {
+        Object.entries(sounds).forEach(([name, definition]) => {
+            this.registerSound(name, { ...definition, sprite: spriteKey });
+        });
+        
+        if (this.spriteLoads[spriteKey]) {
+            return this.spriteLoads[spriteKey];
+        }
+        
+        const context = this.getContext();
+        if (!context) {
+            return Promise.resolve(null);
+        }
+        
+        this.spriteLoads[spriteKey] = assetLoader.loadAudioBuffer(spriteKey, path, context)
+            .then(buffer => {
+                this.sprites[spriteKey] = buffer;
+                return buffer;
+            })
+            .catch(err => {
+                debug(`AudioManager: Sound sprite ${spriteKey} unavailable (${path}): ${err.message || err}`);
+                return null;
+            });
+        
+        return this.spriteLoads[spriteKey];
+    }
+    
+    /**
+     * Play a registered sound
+     * @param {string} name - Sound name
+     * @param {Object} [options] - Playback options
+     * @param {number} [options.volume] - Extra volume multiplier for this playback
+     * @param {boolean} [options.loop] - Loop the sound until stopped
+     * @returns {AudioBufferSourceNode|GainNode|null} The playing source (sprites) or output node (synths), or null if nothing played
+     */
+    play(name, options = {}) {
+        const sound = this.sounds[name];
+        if (!sound) {
+            debug(`AudioManager: Unknown sound ${name}`);
+            return null;
+        }
+        
+        // Browsers would queue these up and play them all at once after unlocking
+        if (!this.unlocked) return null;
+        
+        const context = this.getContext();
+        if (!context) return null;
+        
+        try {
+            const output = context.createGain();
+            output.gain.value = sound.volume * (options.volume !== undefined ? options.volume : 1);
+            output.connect(this.buses[sound.group] || this.buses.sfx);
+            
+            const buffer = sound.sprite ? this.sprites[sound.sprite] : null;
+            if (buffer) {
+                const source = context.createBufferSource();
+                source.buffer = buffer;
+                source.connect(output);
+                
+                if (options.loop) {
+                    source.loop = true;
+                    source.loopStart = sound.start;
+                    source.loopEnd = sound.duration !== undefined ? sound.start + sound.duration : buffer.duration;
+                    source.start(0, sound.start);
+                } else if (sound.duration !== undefined) {
+                    source.start(0, sound.start, sound.duration);
+                } else {
+                    source.start(0, sound.start);
+                }
+                
+                return source;
+            }
+            
+            if (sound.synth) {
+                sound.synth(context, output);
+                return output;
+            }
+            
+            output.disconnect();
+            debug(`AudioManager: Sound ${name} is not loaded`);
+        } catch (err) {
+            debug(`AudioManager: Error playing ${name}: ${err.message}`);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the gain node for a volume bus, e.g. to route a media element through the music bus
+     * @param {string} group - Bus name ('master', 'sfx' or 'music')
+     * @returns {GainNode|null} The bus, or null if Web Audio is unavailable
+     */
+    getBus(group) {
+        if (!this.getContext()) return null;
+        return this.buses[group] || null;
+    }
+    
+    /**
+     * Set the volume of a bus
+     * @param {string} group - Bus name ('master', 'sfx' or 'music')
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(group, volume) {
+        if (!(group in this.volumes)) {
+            warn(`AudioManager: Unknown volume group ${group}`);
+            return;
+        }
+        
+        this.volumes[group] = Math.max(0, Math.min(1, volume));
+        this.applyVolumes();
+        this.saveSettings();
+    }
+    
+    /**
+     * Get the volume of a bus
+     * @param {string} group - Bus name ('master', 'sfx' or 'music')
+     * @returns {number} Volume from 0 to 1
+     */
+    getVolume(group) {
+        return this.volumes[group];
+    }
+    
+    /**
+     * Mute or unmute all audio
+     * @param {boolean} muted - Whether audio should be muted
+     */
+    setMuted(muted) {
+        this.muted = !!muted;
+        this.applyVolumes();
+        this.saveSettings();
+        info(`Audio ${this.muted ? 'muted' : 'unmuted'}`);
+    }
+    
+    /**
+     * Toggle mute
+     * @returns {boolean} True if audio is now muted
+     */
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+    
+    /**
+     * Check whether audio is muted
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return this.muted;
+    }
+    
+    /**
+     * Push the current volume and mute settings to the bus gain nodes
+     */
+    applyVolumes() {
+        if (!this.context) return;
+        
+        this.buses.master.gain.value = this.muted ? 0 : this.volumes.master;
+        this.buses.sfx.gain.value = this.volumes.sfx;
+        this.buses.music.gain.value = this.volumes.music;
+    }
+    
+    /**
+     * Read mute and volume settings from localStorage
+     */
+    loadSettings() {
+        if (!this.storageAvailable) return;
+        
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(AUDIO_SETTINGS_KEY) || 'null');
+            if (!saved) return;
+            
+            this.muted = !!saved.muted;
+            Object.keys(DEFAULT_VOLUMES).forEach(group => {
+                if (saved.volumes && Number.isFinite(saved.volumes[group])) {
+                    this.volumes[group] = Math.max(0, Math.min(1, saved.volumes[group]));
+                }
+            });
+        } catch (err) {
+            warn('AudioManager: Ignoring unreadable audio settings', err);
+        }
+    }
+    
+    /**
+     * Write mute and volume settings to localStorage
+     */
+    saveSettings() {
+        if (!this.storageAvailable) return;
+        
+        try {
+            window.localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({
+                muted: this.muted,
+                volumes: this.volumes
+            }));
+        } catch (err) {
+            warn('AudioManager: Failed to save audio settings', err);
+        }
+    }
+}
+
+// Create a singleton instance
+const audioManager = new AudioManager();
+export { AudioManager };
+export default audioManager;
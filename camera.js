@@ -174,6 +174,20 @@ class Camera {
         conditionalDebug('Camera reset to default position and zoom');
     }
     
+    /**
+     * Convert a canvas pixel position to world (isometric) coordinates
+     * Inverse of the translate/scale/translate transform applied when rendering the scene
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {Object} World position {x, y}
+     */
+    screenToWorld(screenX, screenY) {
+        return {
+            x: this.x + (screenX - this.width / 2) / this.zoom,
+            y: this.y + (screenY - this.height / 2) / this.zoom
+        };
+    }
+    
     /**
      * Pan the camera by the specified delta
      * @param {number} dx - X delta in pixels (screen space)
@@ -125,6 +125,29 @@ class CharacterRenderer {
         return direction;
     }
     
+    /**
+     * Get the direction name for a movement vector without touching lastDirection
+     * Used for characters other than the player, such as NPCs
+     * @param {number} dx - X direction component
+     * @param {number} dy - Y direction component
+     * @param {string} [fallback] - Direction to use when there is no movement
+     * @returns {string} - Direction name
+     */
+    getDirectionForVector(dx, dy, fallback = 'south') {
+        const directionKey = `${Math.sign(dx)},${Math.sign(dy)}`;
+        return this.directionMap[directionKey] || fallback;
+    }
+    
+    /**
+     * Get the loaded sprite for a direction
+     * @param {string} direction - Direction name
+     * @returns {HTMLImageElement|null} - Sprite image, or null if it isn't loaded
+     */
+    getSpriteForDirection(direction) {
+        const spriteName = this.directionSprites[direction] || this.directionSprites.south;
+        return assetLoader.getAsset(spriteName) || null;
+    }
+    
     /**
      * Render the character sprite
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
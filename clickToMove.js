@@ -0,0 +1,254 @@
+/**
+ * Click-to-Move module for AI Alchemist's Lair
+ * Lets visitors click a floor tile to walk the wizard there along an A* path
+ */
+
+import { findPath, getBlockedCells } from './pathfinding.js';
+import { debug, info } from './utils.js';
+
+// Distance (grid units) at which a path cell counts as reached
+const ARRIVAL_THRESHOLD = 0.08;
+
+// Give up if the player makes no progress for this long (seconds), e.g. pushed back by a collision
+const STUCK_TIMEOUT = 1.0;
+
+class ClickToMove {
+    /**
+     * Create click-to-move handling for the game canvas
+     * @param {HTMLCanvasElement} canvas - Game canvas that receives clicks
+     * @param {Camera} camera - Camera used to convert clicks to world coordinates
+     * @param {TestScene} scene - Scene providing the grid size and isometric transform
+     * @param {Game} game - Game instance providing the player and spatial grid
+     * @param {MiniMap} [miniMap] - Mini-map whose clicks pick a tile on the map instead of the floor
+     */
+    constructor(canvas, camera, scene, game, miniMap = null) {
+        this.canvas = canvas;
+        this.camera = camera;
+        this.scene = scene;
+        this.game = game;
+        this.miniMap = miniMap;
+        
+        // Remaining cells to walk through, next cell first
+        this.path = [];
+        
+        // Tile the player was sent to
+        this.destination = null;
+        
+        // Stuck detection
+        this.lastDistance = Infinity;
+        this.stuckTime = 0;
+        
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        
+        // A path in the old room means nothing in the new one
+        window.addEventListener('sceneChanged', () => this.cancel());
+        
+        debug('ClickToMove: Initialized');
+    }
+    
+    /**
+     * Handle a left click on the canvas
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (e.button !== 0) return;
+        
+        // Menus (e.g. the arcade game selection) own the mouse while open
+        if (this.game.isInteractionActive()) return;
+        
+        // The canvas can be scaled by CSS, so map through its on-screen size
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const screenY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        
+        // Clicks on the mini-map or world map pick a tile there
+        const tile = this.isOverMiniMap(screenX, screenY)
+            ? this.miniMap.handleClick(screenX, screenY)
+            : this.pickTile(screenX, screenY);
+        if (tile) {
+            this.moveTo(tile);
+        }
+    }
+    
+    /**
+     * Check whether a canvas position is over the visible mini-map or the open world map
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {boolean} True if the position is on the map
+     */
+    isOverMiniMap(screenX, screenY) {
+        return !!this.miniMap && this.miniMap.containsPoint(screenX, screenY);
+    }
+    
+    /**
+     * Find the floor tile under a canvas position
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {Object|null} Tile {x, y} or null if outside the room
+     */
+    pickTile(screenX, screenY) {
+        const world = this.camera.screenToWorld(screenX, screenY);
+        const grid = this.scene.isoToGrid(world.x, world.y);
+        
+        // Tiles are drawn centred on whole grid coordinates
+        const tile = { x: Math.round(grid.x), y: Math.round(grid.y) };
+        
+        if (tile.x < 0 || tile.y < 0 || tile.x >= this.scene.gridWidth || tile.y >= this.scene.gridHeight) {
+            return null;
+        }
+        
+        return tile;
+    }
+    
+    /**
+     * Plan a path from the player's position to a tile and start following it
+     * @param {Object} tile - Destination tile {x, y}
+     * @returns {boolean} True if a path was found
+     */
+    moveTo(tile) {
+        const player = this.game.player;
+        if (!player) return false;
+        
+        const start = { x: Math.round(player.x), y: Math.round(player.y) };
+        const blocked = getBlockedCells(
+            this.game.spatialGrid.getAllEntities(),
+            player,
+            this.scene.gridWidth,
+            this.scene.gridHeight
+        );
+        
+        const path = findPath(start, tile, blocked, this.scene.gridWidth, this.scene.gridHeight);
+        if (!path) {
+            info(`No path to (${tile.x}, ${tile.y})`);
+            this.cancel();
+            return false;
+        }
+        
+        // The first cell is the one the player is already standing in
+        this.path = path.slice(1);
+        this.destination = tile;
+        this.lastDistance = Infinity;
+        this.stuckTime = 0;
+        
+        debug(`ClickToMove: Walking to (${tile.x}, ${tile.y}) via ${this.path.length} cells`);
+        return true;
+    }
+    
+    /**
+     * Stop following the current path
+     */
+    cancel() {
+        if (this.path.length > 0) {
+            debug('ClickToMove: Path cancelled');
+        }
+        this.path = [];
+        this.destination = null;
+    }
+    
+    /**
+     * Check whether the player is currently following a path
+     * @returns {boolean} True while a path is active
+     */
+    isActive() {
+        return this.path.length > 0;
+    }
+    
+    /**
+     * Advance along the path and get the direction to move this frame
+     * @param {number} deltaTime - Time step in seconds
+     * @returns {{dx: number, dy: number}} Direction components, each -1, 0 or 1
+     */
+    getDirection(deltaTime) {
+        const player = this.game.player;
+        if (!player || this.path.length === 0) return { dx: 0, dy: 0 };
+        
+        // One frame of movement, so fast frames can't step over a cell and oscillate
+        const threshold = Math.max(ARRIVAL_THRESHOLD, player.speed * deltaTime);
+        
+        // Drop every cell the player has already reached
+        while (this.path.length > 0) {
+            const next = this.path[0];
+            if (Math.abs(next.x - player.x) > threshold || Math.abs(next.y - player.y) > threshold) break;
+            
+            this.path.shift();
+            this.lastDistance = Infinity;
+            this.stuckTime = 0;
+        }
+        
+        if (this.path.length === 0) {
+            debug('ClickToMove: Destination reached');
+            this.destination = null;
+            return { dx: 0, dy: 0 };
+        }
+        
+        const next = this.path[0];
+        const offsetX = next.x - player.x;
+        const offsetY = next.y - player.y;
+        
+        // Give up if a collision keeps holding the player back
+        const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+        if (distance < this.lastDistance - 0.01) {
+            this.lastDistance = distance;
+            this.stuckTime = 0;
+        } else {
+            this.stuckTime += deltaTime;
+            if (this.stuckTime > STUCK_TIMEOUT) {
+                info('Path blocked, stopping');
+                this.cancel();
+                return { dx: 0, dy: 0 };
+            }
+        }
+        
+        // Only move along an axis that still needs to close, so the 8-way sprites face the right way
+        return {
+            dx: Math.abs(offsetX) > threshold ? Math.sign(offsetX) : 0,
+            dy: Math.abs(offsetY) > threshold ? Math.sign(offsetY) : 0
+        };
+    }
+    
+    /**
+     * Draw the remaining path and destination marker over the floor
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.destination || this.path.length === 0) return;
+        
+        const halfWidth = this.scene.cellWidth / 2;
+        const halfHeight = this.scene.cellHeight / 2;
+        
+        ctx.save();
+        
+        // Same camera transform the scene renders with
+        ctx.translate(ctx.canvas.width / 2, ctx.canvas.height / 2);
+        ctx.scale(this.camera.zoom, this.camera.zoom);
+        ctx.translate(-this.camera.x, -this.camera.y);
+        
+        // Dots along the path
+        ctx.fillStyle = 'rgba(0, 255, 204, 0.6)';
+        this.path.forEach(cell => {
+            const isoX = (cell.x - cell.y) * halfWidth;
+            const isoY = (cell.x + cell.y) * halfHeight;
+            ctx.beginPath();
+            ctx.ellipse(isoX, isoY, 4, 2, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Diamond outline on the destination tile
+        const end = this.path[this.path.length - 1];
+        const endX = (end.x - end.y) * halfWidth;
+        const endY = (end.x + end.y) * halfHeight;
+        ctx.strokeStyle = '#ff00ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(endX, endY - halfHeight);
+        ctx.lineTo(endX + halfWidth, endY);
+        ctx.lineTo(endX, endY + halfHeight);
+        ctx.lineTo(endX - halfWidth, endY);
+        ctx.closePath();
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+}
+
+export { ClickToMove };
@@ -8,6 +8,11 @@
  * 3. Variable object heights allowing objects to pass over/under each other
  */
 
+import { STEP_HEIGHT } from './physics.js';
+
+// Collision boxes are this much larger than an entity's width and height
+const COLLISION_BUFFER = 1.2;
+
 class Collision {
     /**
      * Checks for collision between two entities using axis-aligned bounding boxes (AABB)
@@ -36,7 +41,7 @@ class Collision {
         // Define collision buffer (20% larger hitbox)
         // This creates a stronger collision boundary and prevents entities from
         // getting too close to each other before collision is detected
-        const buffer = 1.2;
+        const buffer = COLLISION_BUFFER;
         
         // Default sizes if width/height not specified
         // Uses standard grid cell size (0.6) as fallback
@@ -272,6 +277,186 @@ class Collision {
         
         return true;
     }
+
+    /**
+     * Checks whether two entities overlap in height, so neither can pass over
+     * or under the other
+     * @param {Object} entity1 - First entity
+     * @param {Object} entity2 - Second entity
+     * @returns {boolean} - True if their height ranges overlap
+     */
+    static overlapsVertically(entity1, entity2) {
+        const z1 = entity1.z || 0;
+        const z2 = entity2.z || 0;
+        return z1 < z2 + (entity2.zHeight || 0) && z1 + (entity1.zHeight || 0) > z2;
+    }
+
+    /**
+     * Gets the height of the top of an entity
+     * @param {Object} entity - Entity
+     * @returns {number} - z plus zHeight
+     */
+    static getTop(entity) {
+        return (entity.z || 0) + (entity.zHeight || 0);
+    }
+
+    /**
+     * Checks whether an entity can block another at all: it must be collidable
+     * and at a height the moving entity would run into. Static ledges no taller
+     * than a step above the entity's feet are walked onto instead.
+     * @param {Object} entity - Moving entity
+     * @param {Object} obstacle - Entity that might block it
+     * @returns {boolean} - True if the obstacle can block the entity
+     */
+    static canBlock(entity, obstacle) {
+        if (!entity || !obstacle || entity === obstacle) return false;
+        if (entity.collidable === false || obstacle.collidable === false) return false;
+        if (obstacle.isStatic && this.getTop(obstacle) <= (entity.z || 0) + STEP_HEIGHT) return false;
+        return this.overlapsVertically(entity, obstacle);
+    }
+
+    /**
+     * Checks whether an entity can stand on top of another: a static entity
+     * under its collision box whose top its feet are at or above (within a step)
+     * 
+     * Surfaces don't need to be collidable, so flat things like rugs hold the
+     * player up too.
+     * 
+     * @param {Object} entity - Entity looking for ground
+     * @param {Object} surface - Entity it might stand on
+     * @param {number} [feetZ] - Height of the entity's feet (defaults to its z)
+     * @returns {boolean} - True if the entity can stand on the surface
+     */
+    static canStandOn(entity, surface, feetZ = entity.z || 0) {
+        if (!entity || !surface || entity === surface) return false;
+        if (!surface.isStatic || surface.keepOffGrid) return false;
+        if (this.getTop(surface) > feetZ + STEP_HEIGHT) return false;
+        
+        const box = this.getCollisionBox(entity);
+        const other = this.getCollisionBox(surface);
+        return box.x < other.x + other.width && box.x + box.width > other.x &&
+               box.y < other.y + other.height && box.y + box.height > other.y;
+    }
+
+    /**
+     * Gets the box an entity collides with: its footprint grown by the collision
+     * buffer towards the south-east, as checkCollision tests it
+     * @param {Object} entity - Entity
+     * @returns {Object} - Box {x, y, width, height}
+     */
+    static getCollisionBox(entity) {
+        return {
+            x: entity.x,
+            y: entity.y,
+            width: (entity.width || 0.6) * COLLISION_BUFFER,
+            height: (entity.height || 0.6) * COLLISION_BUFFER
+        };
+    }
+
+    /**
+     * Moves an entity's collision box along (dx, dy) and finds the first obstacle
+     * it would touch (a swept AABB test, so fast moves can't skip through thin walls)
+     * 
+     * Obstacles the entity already overlaps at the start are ignored here;
+     * getPenetration handles those.
+     * 
+     * @param {Object} entity - Moving entity, at the start of the move
+     * @param {number} dx - Movement along x
+     * @param {number} dy - Movement along y
+     * @param {Array} obstacles - Entities that can block the move
+     * @returns {Object|null} - First contact {entity, time (0-1 along the move), normalX,
+     *                          normalY (pointing away from the obstacle), x, y (contact point)}, or null
+     */
+    static sweep(entity, dx, dy, obstacles) {
+        const box = this.getCollisionBox(entity);
+        let first = null;
+        
+        obstacles.forEach(obstacle => {
+            const other = this.getCollisionBox(obstacle);
+            
+            // Range of times the boxes overlap on one axis; boxes that only touch don't overlap
+            const axisOverlap = (start, size, move, otherStart, otherSize) => {
+                const min = otherStart - size;
+                const max = otherStart + otherSize;
+                if (move === 0) {
+                    return start > min && start < max ? { enter: -Infinity, exit: Infinity } : null;
+                }
+                const t1 = (min - start) / move;
+                const t2 = (max - start) / move;
+                return { enter: Math.min(t1, t2), exit: Math.max(t1, t2) };
+            };
+            
+            const xRange = axisOverlap(box.x, box.width, dx, other.x, other.width);
+            const yRange = axisOverlap(box.y, box.height, dy, other.y, other.height);
+            if (!xRange || !yRange) return;
+            
+            const enter = Math.max(xRange.enter, yRange.enter);
+            const exit = Math.min(xRange.exit, yRange.exit);
+            
+            // Missed, already overlapping, or too far away to reach this step
+            if (enter >= exit || enter < 0 || enter >= 1) return;
+            if (first && enter >= first.time) return;
+            
+            // The axis entered last is the face that was hit
+            const hitX = xRange.enter >= yRange.enter;
+            const normalX = hitX ? -Math.sign(dx) : 0;
+            const normalY = hitX ? 0 : -Math.sign(dy);
+            
+            // Contact point: middle of where the two boxes meet
+            const x = box.x + dx * enter;
+            const y = box.y + dy * enter;
+            first = {
+                entity: obstacle,
+                time: enter,
+                normalX,
+                normalY,
+                depth: 0,
+                x: hitX
+                    ? (normalX < 0 ? x + box.width : x)
+                    : (Math.max(x, other.x) + Math.min(x + box.width, other.x + other.width)) / 2,
+                y: hitX
+                    ? (Math.max(y, other.y) + Math.min(y + box.height, other.y + other.height)) / 2
+                    : (normalY < 0 ? y + box.height : y)
+            };
+        });
+        
+        return first;
+    }
+
+    /**
+     * Gets how far one entity's collision box overlaps another's and the
+     * shortest way out
+     * @param {Object} entity1 - Entity to move out
+     * @param {Object} entity2 - Entity it overlaps
+     * @returns {Object|null} - {entity, normalX, normalY (direction to move entity1), depth, x, y (contact point)},
+     *                          or null if the boxes don't overlap
+     */
+    static getPenetration(entity1, entity2) {
+        const box = this.getCollisionBox(entity1);
+        const other = this.getCollisionBox(entity2);
+        
+        // Distance to move entity1 to clear each of entity2's faces
+        const exits = [
+            { normalX: -1, normalY: 0, depth: box.x + box.width - other.x },
+            { normalX: 1, normalY: 0, depth: other.x + other.width - box.x },
+            { normalX: 0, normalY: -1, depth: box.y + box.height - other.y },
+            { normalX: 0, normalY: 1, depth: other.y + other.height - box.y }
+        ];
+        
+        // Touching or apart on any axis means no overlap
+        if (exits.some(exit => exit.depth <= 0)) return null;
+        
+        const exit = exits.reduce((best, option) => (option.depth < best.depth ? option : best));
+        
+        return {
+            entity: entity2,
+            normalX: exit.normalX,
+            normalY: exit.normalY,
+            depth: exit.depth,
+            x: (Math.max(box.x, other.x) + Math.min(box.x + box.width, other.x + other.width)) / 2,
+            y: (Math.max(box.y, other.y) + Math.min(box.y + box.height, other.y + other.height)) / 2
+        };
+    }
 }
 
-export { Collision };
+export { Collision, COLLISION_BUFFER };
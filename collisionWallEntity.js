@@ -0,0 +1,138 @@
+/**
+ * Collision Wall Entity for AI Alchemist's Lair
+ * Invisible, solid entities that make the room's walls and edges block movement
+ *
+ * createRoomWalls() builds them from the same layout TestScene.drawWalls draws:
+ * a north wall row and a west wall row with a doorway gap in each, plus bare
+ * boundaries along the open south and east edges. The piece filling a doorway
+ * gap asks for the DoorwayManager door there and only blocks while it is closed.
+ *
+ * The walls keep the wizard's position within the same 0..gridSize-1 range the
+ * main loop used to clamp it to. Entity footprints reach from x/y towards the
+ * south-east, so the south and east boundaries sit a footprint past the last
+ * row and doorway gaps are a footprint wider than the door.
+ */
+
+import { Entity } from './entity.js';
+import { Collision, COLLISION_BUFFER } from './collision.js';
+
+// Thickness of the walls in grid units (divides evenly by the buffer, so wall faces land exactly)
+const WALL_THICKNESS = 0.6;
+
+// Wall height for jumping; matches the three rows of wall tiles TestScene stacks
+const WALL_Z_HEIGHT = 3;
+
+class CollisionWallEntity extends Entity {
+    /**
+     * Create a wall covering a box on the floor
+     * Width and height are shrunk by the collision buffer so the box Collision
+     * checks against is exactly the one given
+     * @param {number} minX - West edge in grid units
+     * @param {number} minY - North edge
+     * @param {number} maxX - East edge
+     * @param {number} maxY - South edge
+     * @param {Object} [options] - Wall options
+     * @param {string} [options.wallSide] - Side of the room ('north', 'west', 'south' or 'east')
+     * @param {string} [options.name] - Name shown in debug views
+     * @param {Function} [options.getDoorway] - For doorway gaps: returns the door here, which blocks only while closed
+     */
+    constructor(minX, minY, maxX, maxY, options = {}) {
+        super(
+            minX,
+            minY,
+            (maxX - minX) / COLLISION_BUFFER,
+            (maxY - minY) / COLLISION_BUFFER,
+            { isStatic: true, zHeight: WALL_Z_HEIGHT, name: options.name }
+        );
+        
+        this.isWall = true;
+        this.wallSide = options.wallSide || null;
+        this.getDoorway = options.getDoorway || null;
+    }
+    
+    /**
+     * Whether the wall blocks movement; a doorway gap is open while its door is
+     * @returns {boolean} True if the wall is solid
+     */
+    get collidable() {
+        if (!this.getDoorway) return true;
+        
+        const doorway = this.getDoorway();
+        return !(doorway && doorway.isOpen);
+    }
+    
+    /**
+     * Walls are drawn by TestScene.drawWalls, so there is nothing to draw here
+     */
+    draw() {}
+}
+
+/**
+ * Build the collision walls for a room
+ * @param {TestScene} scene - Scene whose grid size and door positions the walls follow
+ * @param {Object} [options] - Room options
+ * @param {Function} [options.getDoorway] - (wallSide, position) => the door in that wall gap, if any
+ * @param {Object} [options.footprint] - Size {width, height} of the entity the room is sized for, usually the player
+ * @returns {Array<CollisionWallEntity>} Walls to add to the game
+ */
+function createRoomWalls(scene, options = {}) {
+    const getDoorway = options.getDoorway || null;
+    const footprint = options.footprint || {};
+    const { width: footprintWidth, height: footprintHeight } = Collision.getCollisionBox(footprint);
+    const doorPositions = scene.doorPositions || {};
+    
+    // Far edges of the space an entity's footprint can take up
+    const east = scene.gridWidth - 1 + footprintWidth;
+    const south = scene.gridHeight - 1 + footprintHeight;
+    
+    const walls = [];
+    
+    /**
+     * Add a row of wall along one side, leaving a door-sized gap at the door position
+     * @param {string} wallSide - Side of the room
+     * @param {number} inner - Edge of the wall facing the room
+     * @param {number} outer - Edge of the wall facing away from the room
+     * @param {number} length - Far end of the row (rows start at -WALL_THICKNESS)
+     * @param {number} [doorPosition] - Door position along the wall, if it has one
+     */
+    const addRow = (wallSide, inner, outer, length, doorPosition) => {
+        const isNorthSouth = wallSide === 'north' || wallSide === 'south';
+        const across = [Math.min(inner, outer), Math.max(inner, outer)];
+        const label = wallSide.charAt(0).toUpperCase() + wallSide.slice(1);
+        const footprintAlong = isNorthSouth ? footprintWidth : footprintHeight;
+        
+        const addPiece = (from, to, pieceOptions) => {
+            if (to <= from) return;
+            const wall = isNorthSouth
+                ? new CollisionWallEntity(from, across[0], to, across[1], pieceOptions)
+                : new CollisionWallEntity(across[0], from, across[1], to, pieceOptions);
+            walls.push(wall);
+        };
+        
+        if (typeof doorPosition !== 'number') {
+            addPiece(-WALL_THICKNESS, length, { wallSide, name: `${label} Wall` });
+            return;
+        }
+        
+        // An entity fits through while its position is within half a cell of the door
+        const gapStart = doorPosition - 0.5;
+        const gapEnd = doorPosition + 0.5 + footprintAlong;
+        
+        addPiece(-WALL_THICKNESS, gapStart, { wallSide, name: `${label} Wall` });
+        addPiece(gapStart, gapEnd, {
+            wallSide,
+            name: `${label} Door`,
+            getDoorway: getDoorway ? () => getDoorway(wallSide, doorPosition) : null
+        });
+        addPiece(gapEnd, length, { wallSide, name: `${label} Wall` });
+    };
+    
+    addRow('north', 0, -WALL_THICKNESS, east + WALL_THICKNESS, doorPositions.north);
+    addRow('west', 0, -WALL_THICKNESS, south + WALL_THICKNESS, doorPositions.west);
+    addRow('south', south, south + WALL_THICKNESS, east + WALL_THICKNESS);
+    addRow('east', east, east + WALL_THICKNESS, south + WALL_THICKNESS);
+    
+    return walls;
+}
+
+export { CollisionWallEntity, createRoomWalls, WALL_THICKNESS };
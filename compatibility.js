@@ -127,6 +127,7 @@ function createCompatibilityErrorMessage(unsupportedFeatures) {
 
 export {
     checkBrowserCompatibility,
+    checkFeatureSupport,
     createCompatibilityErrorMessage,
     REQUIRED_FEATURES
 };
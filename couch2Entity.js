@@ -30,6 +30,9 @@ export class Couch2Entity extends Entity {
         
         // Set appearance properties
         this.couchKey = 'couch2';
+        this.scaleX = 1.2;  // Adjust scale factor for proper size
+        this.scaleY = 1.2;
+        this.groundingFactor = 0.8; // How much to "sink" the couch image down to align with the floor
         this.couchImage = null;
         this.loadAttempts = 0;
         this.maxLoadAttempts = 3;
@@ -122,8 +125,7 @@ export class Couch2Entity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position with grounding factor
-        const groundingFactor = 0.8; // How much to "sink" the couch image down to align with the floor
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position
         const drawY = adjustedScreenY - (this.z * 0.5);
@@ -134,9 +136,8 @@ export class Couch2Entity extends Entity {
             ctx.save();
             
             // Scale the image to match the desired width/height
-            const scaleFactor = 1.2; // Adjust scale factor for proper size
-            const drawWidth = width * scaleFactor;
-            const drawHeight = height * scaleFactor;
+            const drawWidth = width * this.scaleX;
+            const drawHeight = height * this.scaleY;
             
             // Draw couch - centered on position
             ctx.drawImage(
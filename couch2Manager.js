@@ -55,19 +55,31 @@ export class Couch2Manager {
         // Create and add couches
         for (let i = 0; i < Math.min(count, couchPositions.length); i++) {
             const pos = couchPositions[i];
-            
-            // Create new couch entity
-            const couch = new Couch2Entity(pos.x, pos.y, pos.z || 0);
-            
-            // Add to game
-            if (this.game && typeof this.game.addEntity === 'function') {
-                this.game.addEntity(couch);
-                this.couches.push(couch);
-                debug(`Couch2Manager: Added couch at (${pos.x}, ${pos.y})`);
-            } else {
-                console.error('Couch2Manager: Game instance not available, cannot add couch entity');
-            }
+            this.addCouch(pos.x, pos.y, pos.z || 0);
+        }
+    }
+    
+    /**
+     * Add a single couch to the scene
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} z - Z position
+     * @returns {Couch2Entity|null} - The created couch entity, or null if no game is available
+     */
+    addCouch(x, y, z = 0) {
+        // Create new couch entity
+        const couch = new Couch2Entity(x, y, z);
+        
+        // Add to game
+        if (this.game && typeof this.game.addEntity === 'function') {
+            this.game.addEntity(couch);
+            this.couches.push(couch);
+            debug(`Couch2Manager: Added couch at (${x}, ${y})`);
+            return couch;
         }
+        
+        console.error('Couch2Manager: Game instance not available, cannot add couch entity');
+        return null;
     }
     
     /**
@@ -54,13 +54,25 @@ export class CouchManager {
         
         // Create and add each couch
         couchPositions.forEach(pos => {
-            const couch = new CouchEntity(pos.x, pos.y, pos.z || 0);
-            this.game.addEntity(couch);
-            this.couches.push(couch);
-            debug(`CouchManager: Added couch at (${pos.x}, ${pos.y}, ${pos.z || 0})`);
+            this.addCouch(pos.x, pos.y, pos.z || 0);
         });
     }
     
+    /**
+     * Add a single couch to the scene
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} z - Z position
+     * @returns {CouchEntity} - The created couch entity
+     */
+    addCouch(x, y, z = 0) {
+        const couch = new CouchEntity(x, y, z);
+        this.game.addEntity(couch);
+        this.couches.push(couch);
+        debug(`CouchManager: Added couch at (${x}, ${y}, ${z})`);
+        return couch;
+    }
+    
     /**
      * Create a couch ground hitbox
      * This creates the collision bounds for a couch
@@ -157,6 +157,51 @@ class DebugRenderer {
         }
     }
     
+    /**
+     * Draws the contacts from the last collision step as arrows along their normals
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array} contacts - Contacts {normalX, normalY, x, y} from Game.resolvePlayerCollisions
+     * @param {Object} scene - Scene for coordinate transformation
+     */
+    drawContactNormals(ctx, contacts, scene) {
+        if (!this.showCollisionBoxes || !contacts || contacts.length === 0) return;
+        
+        // Arrow length in grid units
+        const length = 0.5;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 0, 255, 0.9)';
+        ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
+        ctx.lineWidth = 2;
+        
+        for (const contact of contacts) {
+            const start = this.worldToIso(contact.x, contact.y, scene);
+            const end = this.worldToIso(
+                contact.x + contact.normalX * length,
+                contact.y + contact.normalY * length,
+                scene
+            );
+            
+            // Contact point
+            ctx.beginPath();
+            ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            
+            // Normal with an arrowhead
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - 6 * Math.cos(angle - Math.PI / 6), end.y - 6 * Math.sin(angle - Math.PI / 6));
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - 6 * Math.cos(angle + Math.PI / 6), end.y - 6 * Math.sin(angle + Math.PI / 6));
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
     /**
      * Renders spatial grid cells for visualization
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -345,6 +390,7 @@ class DebugRenderer {
         try {
             // Draw collision boxes for all entities
             this.drawCollisionBoxes(ctx, game.entities, game.player, camera, scene);
+            this.drawContactNormals(ctx, game.contacts, scene);
             
             // Draw spatial grid visualization
             this.drawSpatialGrid(ctx, game.spatialGrid, camera, scene);
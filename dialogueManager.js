@@ -0,0 +1,704 @@
+/**
+ * Dialogue Manager for AI Alchemist's Lair
+ * Runs branching conversations loaded from dialogue-tree files
+ * (assets/dialogue/<id>.json) in a text box at the bottom of the screen
+ *
+ * Dialogue file format:
+ * {
+ *     "version": 1,
+ *     "id": "guide",
+ *     "speaker": "Guide",
+ *     "start": "greeting",
+ *     "nodes": {
+ *         "greeting": {
+ *             "text": "Welcome!",
+ *             "actions": [ { "type": "setFlag", "flag": "metGuide" } ],
+ *             "choices": [
+ *                 { "text": "Tell me more", "next": "about", "conditions": [ { "notFlag": "heardAbout" } ] },
+ *                 { "text": "Bye" }
+ *             ]
+ *         },
+ *         "about": { "text": "...", "next": "greeting" }
+ *     }
+ * }
+ *
+ * - A node shows its text, then either its choices, a "next" node to continue to,
+ *   or nothing (the conversation ends). A choice without "next" ends the conversation.
+ * - "branches": [ { "conditions": [...], "next": "nodeId" } ] on a node jumps straight
+ *   to the first branch whose conditions hold, before the node's own text is shown.
+ * - Conditions: { "flag" }, { "notFlag" }, { "achievement" }, { "notAchievement" }
+ * - Actions run when a node is shown or a choice is picked:
+ *   { "type": "openUrl", "url" }, { "type": "giveAchievement", "id" },
+ *   { "type": "setFlag", "flag", "value" } - more can be added with registerAction()
+ *
+ * Any interactable entity can hand its interaction off to a dialogue:
+ *     interact() { dialogueManager.start('guide', { entity: this }); }
+ */
+
+import overlayManager from './overlayManager.js';
+import achievementManager from './achievementManager.js';
+import { input } from './input.js';
+import { getAssetPath } from './pathResolver.js';
+import { checkFeatureSupport } from './compatibility.js';
+import { debug, warn } from './utils.js';
+
+// Current dialogue file format version
+const DIALOGUE_VERSION = 1;
+
+// Folder holding one file per dialogue tree
+const DIALOGUE_BASE_PATH = 'assets/dialogue/';
+
+// localStorage key holding the flags dialogue actions set
+const FLAGS_KEY = 'aiAlchemistsLair.dialogueFlags';
+
+// Overlay ID of the dialogue box
+const OVERLAY_ID = 'dialogue';
+
+// Milliseconds between revealed characters
+const TYPEWRITER_INTERVAL = 25;
+
+// Keys that move the choice highlight
+const PREVIOUS_KEYS = ['ArrowUp', 'w', 'W'];
+const NEXT_KEYS = ['ArrowDown', 's', 'S'];
+
+class DialogueManager {
+    constructor() {
+        // Validated dialogue trees keyed by ID
+        this.trees = {};
+        
+        // Handlers for node and choice actions keyed by action type
+        this.actions = {};
+        
+        // Flags set by dialogue actions, persisted between visits
+        this.flags = {};
+        this.storageAvailable = false;
+        this.flagsLoaded = false;
+        
+        // The running conversation, or null
+        this.current = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        
+        this.registerAction('openUrl', action => {
+            if (action.url) {
+                window.open(action.url, '_blank');
+            }
+        });
+        this.registerAction('giveAchievement', action => {
+            achievementManager.unlock(action.id);
+        });
+        this.registerAction('setFlag', action => {
+            this.setFlag(action.flag, action.value !== undefined ? action.value : true);
+        });
+    }
+    
+    /**
+     * Add a handler for an action type
+     * @param {string} type - Action type used in dialogue files
+     * @param {Function} handler - Called with (action, dialogueManager)
+     */
+    registerAction(type, handler) {
+        if (typeof handler !== 'function') {
+            warn(`DialogueManager: Action handler for ${type} is not a function`);
+            return;
+        }
+        this.actions[type] = handler;
+    }
+    
+    /**
+     * Add a dialogue tree without loading it from a file
+     * @param {string} id - Dialogue ID
+     * @param {Object} tree - Dialogue tree data
+     * @returns {Object} The validated tree
+     */
+    registerDialogue(id, tree) {
+        const validated = this.validateDialogue(tree, id);
+        this.trees[id] = validated;
+        return validated;
+    }
+    
+    /**
+     * Get the path of a dialogue file
+     * @param {string} id - Dialogue ID
+     * @returns {string} Resolved path to the dialogue file
+     */
+    getDialoguePath(id) {
+        return getAssetPath(`${DIALOGUE_BASE_PATH}${id}.json`);
+    }
+    
+    /**
+     * Load a dialogue tree
+     * @param {string} id - Dialogue ID
+     * @returns {Promise<Object>} Promise that resolves with the validated tree
+     */
+    loadDialogue(id) {
+        if (this.trees[id]) {
+            return Promise.resolve(this.trees[id]);
+        }
+        
+        const path = this.getDialoguePath(id);
+        debug(`DialogueManager: Loading dialogue ${id} from ${path}`);
+        
+        return fetch(path)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => this.registerDialogue(id, data));
+    }
+    
+    /**
+     * Validate dialogue data, dropping links to nodes that don't exist
+     * @param {Object} data - Raw dialogue data
+     * @param {string} id - Dialogue ID the data was requested for
+     * @returns {Object} The validated tree
+     */
+    validateDialogue(data, id) {
+        if (!data || !data.nodes || typeof data.nodes !== 'object') {
+            throw new Error(`Dialogue ${id} has no nodes`);
+        }
+        
+        if (data.version !== DIALOGUE_VERSION) {
+            warn(`DialogueManager: Dialogue ${id} is version ${data.version}, expected ${DIALOGUE_VERSION}`);
+        }
+        
+        const start = data.start || Object.keys(data.nodes)[0];
+        if (!data.nodes[start]) {
+            throw new Error(`Dialogue ${id} has no start node "${start}"`);
+        }
+        
+        const checkLink = (next, from) => {
+            if (next && !data.nodes[next]) {
+                warn(`DialogueManager: ${id}/${from} links to missing node "${next}"`);
+                return null;
+            }
+            return next || null;
+        };
+        
+        const nodes = {};
+        Object.entries(data.nodes).forEach(([nodeId, node]) => {
+            nodes[nodeId] = {
+                id: nodeId,
+                speaker: node.speaker || null,
+                text: node.text || '',
+                actions: Array.isArray(node.actions) ? node.actions : [],
+                next: checkLink(node.next, nodeId),
+                branches: (Array.isArray(node.branches) ? node.branches : [])
+                    .map(branch => ({ conditions: branch.conditions || [], next: checkLink(branch.next, nodeId) }))
+                    .filter(branch => branch.next),
+                choices: (Array.isArray(node.choices) ? node.choices : [])
+                    .filter(choice => choice && choice.text)
+                    .map(choice => ({
+                        text: choice.text,
+                        next: checkLink(choice.next, nodeId),
+                        conditions: choice.conditions || [],
+                        actions: Array.isArray(choice.actions) ? choice.actions : []
+                    }))
+            };
+        });
+        
+        return {
+            version: data.version,
+            id: data.id || id,
+            speaker: data.speaker || null,
+            start,
+            nodes
+        };
+    }
+    
+    /**
+     * Start a conversation
+     * @param {string|Object} treeOrId - Dialogue ID to load, or a dialogue tree
+     * @param {Object} [options] - Conversation options
+     * @param {string} [options.speaker] - Speaker name for nodes that don't set one
+     * @param {Entity} [options.entity] - Entity the conversation belongs to
+     * @param {Function} [options.onEnd] - Called when the conversation ends
+     * @returns {Promise<boolean>} Resolves true if the conversation started
+     */
+    start(treeOrId, options = {}) {
+        if (this.isActive()) {
+            debug('DialogueManager: A conversation is already running');
+            return Promise.resolve(false);
+        }
+        
+        this.loadFlags();
+        
+        const treePromise = typeof treeOrId === 'string'
+            ? this.loadDialogue(treeOrId)
+            : Promise.resolve(this.validateDialogue(treeOrId, treeOrId && treeOrId.id || 'inline'));
+        
+        return treePromise
+            .then(tree => {
+                // Another conversation may have started while this one loaded
+                if (this.isActive()) return false;
+                
+                this.current = {
+                    tree,
+                    node: null,
+                    speaker: options.speaker || tree.speaker || '',
+                    entity: options.entity || null,
+                    onEnd: options.onEnd || null,
+                    choices: [],
+                    selectedIndex: 0,
+                    typing: false,
+                    typeTimer: null,
+                    elements: this.createDialogueBox()
+                };
+                
+                this.current.overlay = overlayManager.open({
+                    id: OVERLAY_ID,
+                    content: this.current.elements.box,
+                    backdrop: 'rgba(0, 0, 0, 0.25)',
+                    fadeDuration: 200,
+                    closeOnBackdropClick: false,
+                    onClose: () => this.finish()
+                });
+                
+                // Bottom-aligned box rather than the manager's centred modal
+                this.current.overlay.element.style.alignItems = 'flex-end';
+                
+                document.addEventListener('keydown', this.handleKeyDown, true);
+                input.clearGamepadPresses();
+                
+                debug(`DialogueManager: Started ${tree.id}`);
+                this.showNode(this.resolveNode(tree.start));
+                return true;
+            })
+            .catch(err => {
+                warn(`DialogueManager: Could not start dialogue`, err);
+                return false;
+            });
+    }
+    
+    /**
+     * Check whether a conversation is running
+     * @returns {boolean} True while the dialogue box is open
+     */
+    isActive() {
+        return this.current !== null;
+    }
+    
+    /**
+     * Follow a node's branches to the node that should actually be shown
+     * @param {string} nodeId - Node to start from
+     * @returns {Object|null} Node to show, or null if it doesn't exist
+     */
+    resolveNode(nodeId) {
+        const nodes = this.current.tree.nodes;
+        let node = nodes[nodeId] || null;
+        const visited = new Set();
+        
+        while (node && !visited.has(node.id)) {
+            visited.add(node.id);
+            const branch = node.branches.find(entry => this.checkConditions(entry.conditions));
+            if (!branch) break;
+            node = nodes[branch.next];
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Show a node - runs its actions, then types out its text
+     * @param {Object|null} node - Node to show; null ends the conversation
+     */
+    showNode(node) {
+        if (!this.current) return;
+        
+        if (!node) {
+            this.end();
+            return;
+        }
+        
+        const current = this.current;
+        current.node = node;
+        current.choices = node.choices.filter(choice => this.checkConditions(choice.conditions));
+        current.selectedIndex = 0;
+        
+        this.runActions(node.actions);
+        
+        // An action (e.g. openUrl) may have ended the conversation
+        if (this.current !== current) return;
+        
+        const { speakerLabel, choiceList } = current.elements;
+        speakerLabel.textContent = node.speaker || current.speaker;
+        speakerLabel.style.display = speakerLabel.textContent ? 'block' : 'none';
+        choiceList.innerHTML = '';
+        
+        this.typeText(node.text);
+    }
+    
+    /**
+     * Reveal text a character at a time
+     * @param {string} text - Text to reveal
+     */
+    typeText(text) {
+        const current = this.current;
+        const { textElement, continueHint } = current.elements;
+        
+        clearInterval(current.typeTimer);
+        textElement.textContent = '';
+        continueHint.style.visibility = 'hidden';
+        current.typing = true;
+        
+        let shown = 0;
+        current.typeTimer = setInterval(() => {
+            shown++;
+            textElement.textContent = text.slice(0, shown);
+            if (shown >= text.length) {
+                this.completeText();
+            }
+        }, TYPEWRITER_INTERVAL);
+    }
+    
+    /**
+     * Finish the typewriter reveal and show the node's choices
+     */
+    completeText() {
+        const current = this.current;
+        if (!current || !current.typing) return;
+        
+        clearInterval(current.typeTimer);
+        current.typeTimer = null;
+        current.typing = false;
+        current.elements.textElement.textContent = current.node.text;
+        
+        this.renderChoices();
+    }
+    
+    /**
+     * Build the choice buttons, or a continue hint for nodes without choices
+     */
+    renderChoices() {
+        const { node, choices, elements } = this.current;
+        const { choiceList, continueHint } = elements;
+        choiceList.innerHTML = '';
+        
+        if (choices.length === 0) {
+            continueHint.textContent = node.next ? '▼ ENTER to continue' : '▼ ENTER to close';
+            continueHint.style.visibility = 'visible';
+            elements.box.focus({ preventScroll: true });
+            return;
+        }
+        
+        continueHint.style.visibility = 'hidden';
+        choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = `${index + 1}. ${choice.text}`;
+            button.style.cssText = `
+                display: block;
+                width: 100%;
+                margin: 6px 0 0;
+                padding: 8px 12px;
+                background-color: transparent;
+                border: 2px solid transparent;
+                color: #ccffff;
+                font-family: monospace;
+                font-size: 16px;
+                text-align: left;
+                cursor: pointer;
+            `;
+            button.addEventListener('click', () => this.choose(index));
+            button.addEventListener('mouseenter', () => this.selectChoice(index));
+            choiceList.appendChild(button);
+        });
+        
+        this.selectChoice(0);
+    }
+    
+    /**
+     * Highlight a choice and give it focus
+     * @param {number} index - Choice index
+     */
+    selectChoice(index) {
+        const buttons = Array.from(this.current.elements.choiceList.children);
+        if (buttons.length === 0) return;
+        
+        this.current.selectedIndex = (index + buttons.length) % buttons.length;
+        buttons.forEach((button, buttonIndex) => {
+            const selected = buttonIndex === this.current.selectedIndex;
+            button.style.borderColor = selected ? '#00ffcc' : 'transparent';
+            button.style.color = selected ? '#00ffcc' : '#ccffff';
+            if (selected) {
+                button.focus({ preventScroll: true });
+            }
+        });
+    }
+    
+    /**
+     * Pick a choice - runs its actions and moves to its next node
+     * @param {number} index - Choice index
+     */
+    choose(index) {
+        const current = this.current;
+        if (!current || current.typing) return;
+        
+        const choice = current.choices[index];
+        if (!choice) return;
+        
+        this.runActions(choice.actions);
+        if (this.current !== current) return;
+        
+        this.showNode(choice.next ? this.resolveNode(choice.next) : null);
+    }
+    
+    /**
+     * Confirm - finishes the reveal, picks the highlighted choice or continues
+     */
+    advance() {
+        const current = this.current;
+        if (!current) return;
+        
+        if (current.typing) {
+            this.completeText();
+        } else if (current.choices.length > 0) {
+            this.choose(current.selectedIndex);
+        } else {
+            this.showNode(current.node.next ? this.resolveNode(current.node.next) : null);
+        }
+    }
+    
+    /**
+     * Handle keys while the dialogue box is open
+     * Runs in the capture phase so the game's shortcuts don't see them
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        if (!this.current || overlayManager.getTopOverlay() !== this.current.overlay) return;
+        
+        const { key } = event;
+        let handled = true;
+        
+        if (key === 'Enter' || key === ' ') {
+            // A held interact key shouldn't skip through the conversation
+            if (!event.repeat) {
+                this.advance();
+            }
+        } else if (PREVIOUS_KEYS.includes(key)) {
+            this.selectChoice(this.current.selectedIndex - 1);
+        } else if (NEXT_KEYS.includes(key)) {
+            this.selectChoice(this.current.selectedIndex + 1);
+        } else if (/^[1-9]$/.test(key)) {
+            this.choose(Number(key) - 1);
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+    
+    /**
+     * Read gamepad buttons - call once per frame after input.pollGamepad()
+     * D-pad up/down moves the highlight, A confirms and B leaves the conversation
+     */
+    update() {
+        if (!this.current || !input.gamepad.connected) return;
+        
+        if (input.consumeGamepadButtonPress('up')) {
+            this.selectChoice(this.current.selectedIndex - 1);
+        } else if (input.consumeGamepadButtonPress('down')) {
+            this.selectChoice(this.current.selectedIndex + 1);
+        } else if (input.consumeGamepadButtonPress('a')) {
+            this.advance();
+        } else if (input.consumeGamepadButtonPress('b')) {
+            this.end();
+        }
+    }
+    
+    /**
+     * Check a list of conditions
+     * @param {Array<Object>} conditions - Conditions that must all hold
+     * @returns {boolean} True if every condition holds
+     */
+    checkConditions(conditions) {
+        return (conditions || []).every(condition => {
+            if (condition.flag !== undefined) return !!this.flags[condition.flag];
+            if (condition.notFlag !== undefined) return !this.flags[condition.notFlag];
+            if (condition.achievement !== undefined) return achievementManager.isUnlocked(condition.achievement);
+            if (condition.notAchievement !== undefined) return !achievementManager.isUnlocked(condition.notAchievement);
+            
+            warn('DialogueManager: Unknown condition', condition);
+            return false;
+        });
+    }
+    
+    /**
+     * Run a list of actions
+     * @param {Array<Object>} actions - Actions to run
+     */
+    runActions(actions) {
+        actions.forEach(action => {
+            const handler = action && this.actions[action.type];
+            if (!handler) {
+                warn('DialogueManager: Unknown action', action);
+                return;
+            }
+            
+            try {
+                handler(action, this);
+            } catch (err) {
+                warn(`DialogueManager: Error running ${action.type} action`, err);
+            }
+        });
+    }
+    
+    /**
+     * End the running conversation
+     */
+    end() {
+        if (this.current) {
+            overlayManager.close(this.current.overlay);
+        }
+    }
+    
+    /**
+     * Clean up after the dialogue box closes, however it was closed
+     */
+    finish() {
+        const current = this.current;
+        if (!current) return;
+        
+        clearInterval(current.typeTimer);
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        this.current = null;
+        
+        debug(`DialogueManager: Ended ${current.tree.id}`);
+        
+        if (current.onEnd) {
+            try {
+                current.onEnd();
+            } catch (err) {
+                console.error('DialogueManager: Error in onEnd callback', err);
+            }
+        }
+    }
+    
+    /**
+     * Create the dialogue box elements
+     * @returns {Object} The box and the elements inside it that change per node
+     */
+    createDialogueBox() {
+        const box = document.createElement('div');
+        box.setAttribute('tabindex', '-1');
+        box.style.cssText = `
+            width: 90%;
+            max-width: 720px;
+            margin-bottom: 40px;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 4px solid #00ffcc;
+            box-shadow: 0 0 20px #00ffcc, inset 0 0 10px #00ffcc;
+            padding: 16px 20px;
+            color: white;
+            font-family: monospace;
+            outline: none;
+        `;
+        
+        // Clicking the text box (but not a choice) works like pressing Enter
+        box.addEventListener('click', (event) => {
+            if (!event.target.closest('button')) {
+                this.advance();
+            }
+        });
+        
+        const speakerLabel = document.createElement('div');
+        speakerLabel.style.cssText = `
+            margin-bottom: 8px;
+            color: #00ffcc;
+            font-weight: bold;
+            text-shadow: 0 0 5px #00ffcc;
+        `;
+        box.appendChild(speakerLabel);
+        
+        const textElement = document.createElement('p');
+        textElement.setAttribute('aria-live', 'polite');
+        textElement.style.cssText = 'margin: 0; min-height: 3em; font-size: 16px; line-height: 1.5;';
+        box.appendChild(textElement);
+        
+        const choiceList = document.createElement('div');
+        box.appendChild(choiceList);
+        
+        const continueHint = document.createElement('div');
+        continueHint.style.cssText = 'margin-top: 8px; text-align: right; color: #888; font-size: 12px;';
+        box.appendChild(continueHint);
+        
+        return { box, speakerLabel, textElement, choiceList, continueHint };
+    }
+    
+    /**
+     * Set a dialogue flag
+     * @param {string} flag - Flag name
+     * @param {*} [value] - Flag value
+     */
+    setFlag(flag, value = true) {
+        if (!flag) return;
+        
+        this.flags[flag] = value;
+        this.saveFlags();
+    }
+    
+    /**
+     * Get a dialogue flag
+     * @param {string} flag - Flag name
+     * @returns {*} Flag value, or undefined if it was never set
+     */
+    getFlag(flag) {
+        this.loadFlags();
+        return this.flags[flag];
+    }
+    
+    /**
+     * Read saved flags from localStorage, once
+     */
+    loadFlags() {
+        if (this.flagsLoaded) return;
+        this.flagsLoaded = true;
+        
+        this.storageAvailable = checkFeatureSupport('LOCAL_STORAGE');
+        if (!this.storageAvailable) return;
+        
+        try {
+            this.flags = JSON.parse(window.localStorage.getItem(FLAGS_KEY) || '{}') || {};
+        } catch (err) {
+            warn('DialogueManager: Ignoring unreadable dialogue flags', err);
+        }
+    }
+    
+    /**
+     * Write flags to localStorage
+     */
+    saveFlags() {
+        if (!this.storageAvailable) return;
+        
+        try {
+            window.localStorage.setItem(FLAGS_KEY, JSON.stringify(this.flags));
+        } catch (err) {
+            warn('DialogueManager: Failed to save dialogue flags', err);
+        }
+    }
+    
+    /**
+     * Forget all dialogue flags
+     */
+    reset() {
+        this.loadFlags();
+        this.flags = {};
+        
+        if (this.storageAvailable) {
+            try {
+                window.localStorage.removeItem(FLAGS_KEY);
+            } catch (err) {
+                warn('DialogueManager: Failed to clear dialogue flags', err);
+            }
+        }
+    }
+}
+
+// Create a singleton instance
+const dialogueManager = new DialogueManager();
+export { DialogueManager };
+export default dialogueManager;
@@ -362,6 +362,33 @@ class DoorwayManager {
         return this.doorwaysByScene[sceneId] || [];
     }
     
+    /**
+     * Find the wall door in a scene nearest a position along a wall
+     * Door positions in scene data don't always land on a whole tile (startRoom's
+     * east door is at 5.3), so any door within a cell of the position counts
+     * @param {string} sceneId - Scene ID
+     * @param {string} wallSide - Wall side ('north' or 'west')
+     * @param {number} position - Position along that wall
+     * @returns {Doorway|null} The door, or null if the wall has none there
+     */
+    getWallDoor(sceneId, wallSide, position) {
+        let nearest = null;
+        let nearestDistance = 1;
+        
+        this.getActiveDoorsForScene(sceneId).forEach(doorway => {
+            if (!doorway.isWallDoorway || doorway.wallSide !== wallSide) return;
+            
+            const doorPosition = wallSide === 'north' ? doorway.gridX : doorway.gridY;
+            const distance = Math.abs(doorPosition - position);
+            if (distance < nearestDistance) {
+                nearest = doorway;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    }
+    
     update(deltaTime, playerX, playerY, scene) {
         // Decrease cooldown
         if (this.transitionCooldown > 0) {
@@ -638,6 +665,26 @@ class DoorwayManager {
             }
         });
     }
+    
+    /**
+     * Get the open/closed state of every wall door, in the form forceDoorState expects
+     * @returns {Object} Door states keyed by scene ID, each a list of {wallSide, position, isOpen}
+     */
+    getDoorStates() {
+        const states = {};
+        
+        Object.keys(this.doorwaysByScene).forEach(sceneId => {
+            states[sceneId] = this.doorwaysByScene[sceneId]
+                .filter(doorway => doorway.isWallDoorway)
+                .map(doorway => ({
+                    wallSide: doorway.wallSide,
+                    position: doorway.wallSide === 'north' ? doorway.gridX : doorway.gridY,
+                    isOpen: doorway.isOpen
+                }));
+        });
+        
+        return states;
+    }
 }
 
 // Create singleton instance
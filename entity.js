@@ -17,6 +17,7 @@ class Entity {
         // Z-axis properties for height-based rendering and collision
         this.z = options.z || 0;           // Dynamic height (for jumping)
         this.zHeight = options.zHeight || 0.5;   // Static base height of the entity
+        this.groundHeight = 0;             // Height of the surface under the entity (set by Physics)
         
         // Visual properties
         this.color = options.color || null;
@@ -26,7 +27,6 @@ class Entity {
         this.isStatic = options.isStatic || false;  // Static entities don't move with physics
         this.isPlayer = options.isPlayer || false;  // Added isPlayer property
         this.keepOffGrid = options.keepOffGrid || false;  // Added keepOffGrid property
-        this.gravity = options.gravity || 0.1;  // Added gravity property
     }
     
     /**
@@ -51,14 +51,7 @@ class Entity {
         this.y += this.velocityY * deltaTime;
         this.z += this.velocityZ * deltaTime;
         
-        // Apply gravity if entity is in the air
-        if (this.z > 0) {
-            this.velocityZ -= this.gravity * deltaTime;
-        } else {
-            // Stop falling when entity hits the ground
-            this.z = 0;
-            this.velocityZ = 0;
-        }
+        // Gravity and landing are handled by Physics (applyGravity and checkGroundCollision)
     }
     
     /**
@@ -0,0 +1,112 @@
+/**
+ * Entity Registry for AI Alchemist's Lair
+ * Maps room layout entity types (e.g. 'trophy', 'couch') to the factories that create them
+ */
+
+import { debug } from './utils.js';
+
+class EntityRegistry {
+    constructor() {
+        // Registered types keyed by layout type name
+        this.types = new Map();
+    }
+    
+    /**
+     * Register an entity type
+     * @param {string} type - Type name used in layout files
+     * @param {Object} definition - Type definition
+     * @param {Function} definition.create - Factory (config) => entity, called for each layout entry
+     * @param {Function} [definition.preload] - Optional asset preload, called once before first use
+     * @param {string} [definition.label] - Optional human-readable label
+     */
+    register(type, definition) {
+        if (!type || !definition || typeof definition.create !== 'function') {
+            console.error(`EntityRegistry: Invalid definition for type "${type}"`);
+            return;
+        }
+        
+        if (this.types.has(type)) {
+            debug(`EntityRegistry: Replacing existing definition for type "${type}"`);
+        }
+        
+        this.types.set(type, {
+            label: definition.label || type,
+            create: definition.create,
+            preload: definition.preload || null,
+            preloaded: false
+        });
+        
+        debug(`EntityRegistry: Registered type "${type}"`);
+    }
+    
+    /**
+     * Check if a type is registered
+     * @param {string} type - Type name
+     * @returns {boolean} True if registered
+     */
+    has(type) {
+        return this.types.has(type);
+    }
+    
+    /**
+     * Get the names of all registered types
+     * @returns {Array<string>} Registered type names
+     */
+    getRegisteredTypes() {
+        return Array.from(this.types.keys());
+    }
+    
+    /**
+     * Get the label for a registered type
+     * @param {string} type - Type name
+     * @returns {string|null} Label or null if type is unknown
+     */
+    getLabel(type) {
+        const definition = this.types.get(type);
+        return definition ? definition.label : null;
+    }
+    
+    /**
+     * Run a type's preload step if it has one and has not run yet
+     * @param {string} type - Type name
+     */
+    preload(type) {
+        const definition = this.types.get(type);
+        if (!definition || definition.preloaded || !definition.preload) return;
+        
+        try {
+            definition.preload();
+        } catch (err) {
+            console.error(`EntityRegistry: Preload failed for type "${type}"`, err);
+        }
+        definition.preloaded = true;
+    }
+    
+    /**
+     * Create an entity of the given type
+     * @param {string} type - Type name
+     * @param {Object} config - Layout entry ({ type, position, assetKey, options })
+     * @returns {Object|null} The created entity or null on failure
+     */
+    create(type, config) {
+        const definition = this.types.get(type);
+        if (!definition) {
+            console.error(`EntityRegistry: Unknown entity type "${type}"`);
+            return null;
+        }
+        
+        this.preload(type);
+        
+        try {
+            return definition.create(config) || null;
+        } catch (err) {
+            console.error(`EntityRegistry: Failed to create entity of type "${type}"`, err);
+            return null;
+        }
+    }
+}
+
+// Create a singleton instance
+const entityRegistry = new EntityRegistry();
+export { EntityRegistry };
+export default entityRegistry;
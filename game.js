@@ -10,6 +10,24 @@ import { debug, info, error } from './utils.js';
 import { input } from './input.js';
 import { SpatialGrid } from './spatialGrid.js';
 import { DebugRenderer } from './debugRenderer.js';
+import { InteractionManager } from './interactionManager.js';
+import { particleSystem } from './particleSystem.js';
+
+// Entities that moved further than this in one step (grid units) were teleported
+// (portals, scene changes) and are drawn where they are instead of interpolated
+const MAX_INTERPOLATION_DISTANCE = 1;
+
+// Moves longer than this (grid units) in one step are teleports, not walking, and aren't swept
+const TELEPORT_DISTANCE = 2;
+
+// Surfaces the player can slide along in one step (enough for a corner plus a wall)
+const MAX_CONTACTS_PER_STEP = 3;
+
+// Gap left between the player and what it touches, so it isn't counted as overlapping
+const CONTACT_SKIN = 0.001;
+
+// Furthest an overlap pushes the player out in one step
+const MAX_PUSH_OUT = 0.35;
 
 class Game {
     constructor() {
@@ -17,19 +35,32 @@ class Game {
         this.physics = new Physics();
         this.entities = [];
         this.player = null;
-        this.groundLevel = 400; // Default ground level
+        this.groundLevel = 0; // Height of the floor on the z-axis
         
         // Initialize spatial grid for collision optimization
         this.spatialGrid = new SpatialGrid(1); // 1 unit cell size (was 100, which was far too large)
         
+        // Contacts from the last collision step, drawn by the debug overlay
+        this.contacts = [];
+        
+        // Where the last step left the player, so the next one can sweep from there
+        this.lastResolvedPosition = null;
+        
         // Initialize debug renderer
         this.debugRenderer = new DebugRenderer();
         
         // Portal transition state
         this._portalTransitionActive = false;
         
-        // Interaction state for menus and dialogs
-        this._interactionActive = false;
+        // Reasons input is paused for menus and dialogs (e.g. 'overlay', 'levelEditor')
+        // Each system releases only its own reason, so one closing doesn't unpause another
+        this._interactionReasons = new Set();
+        
+        // Focus and Enter-key dispatch for interactable entities
+        this.interactionManager = new InteractionManager(this);
+        
+        // Real positions of entities drawn at interpolated ones this frame
+        this.interpolationRestore = [];
         
         debug('Game instance created');
     }
@@ -130,154 +161,159 @@ class Game {
             this.entities.splice(index, 1);
             debug('Entity removed from game world');
         }
+        
+        this.spatialGrid.removeEntity(entity);
     }
 
     /**
-     * Clears all entities except the player
+     * Clears all entities except the player and the room's walls
      */
     clearEntities() {
         // Preserve player entity
         const player = this.player;
         
         // Clear all other entities
-        this.entities = this.entities.filter(e => e === player);
+        this.entities = this.entities.filter(e => e === player || e.isWall);
         
         // Reset spatial grid
         this.spatialGrid.clear();
         
-        // Re-add player to spatial grid if it exists
+        // Re-add the walls and the player to the spatial grid
+        this.entities.forEach(entity => {
+            if (entity !== player) this.spatialGrid.addEntity(entity);
+        });
         if (player) {
             this.spatialGrid.addEntity(player);
         }
         
-        info('All entities cleared except player');
+        info('All entities cleared except player and walls');
     }
 
     /**
      * Handles collision response between two entities
-     * @param {Object} entity1 - First entity in collision
-     * @param {Object} entity2 - Second entity in collision
-     * @param {Object} collisionInfo - Information about the collision
+     * Pushes entity1 out of entity2 along the contact normal, a little at a time so a
+     * deep overlap doesn't fling it across the room, and removes the part of its
+     * velocity heading into entity2 so the rest carries it along the surface
+     * @param {Object} entity1 - Moving entity (usually the player)
+     * @param {Object} entity2 - Entity it ran into
+     * @param {Object} [collisionInfo] - Contact from Collision.sweep or Collision.getPenetration; worked out if missing
      */
     handleCollision(entity1, entity2, collisionInfo) {
-        // Skip self-collisions and collisions with special objects if needed
         if (entity1 === entity2) return;
         
-        // Add detailed logging to track the collision resolution
-        console.log(`[COLLISION HANDLER] Starting collision handling: 
-            Entity1 pos: (${entity1.x.toFixed(3)}, ${entity1.y.toFixed(3)})
-            Entity1 vel: (${(entity1.velocityX || 0).toFixed(3)}, ${(entity1.velocityY || 0).toFixed(3)})
-            Entity2 pos: (${entity2.x.toFixed(3)}, ${entity2.y.toFixed(3)})`);
-        
-        // Calculate centers and distances - more precise calculations
-        const e1CenterX = entity1.x + (entity1.width || 0.6) / 2;
-        const e1CenterY = entity1.y + (entity1.height || 0.6) / 2;
-        const e2CenterX = entity2.x + (entity2.width || 0.6) / 2;
-        const e2CenterY = entity2.y + (entity2.height || 0.6) / 2;
-        
-        // Determine collision direction (which side the player is approaching from)
-        const dx = e1CenterX - e2CenterX;
-        const dy = e1CenterY - e2CenterY;
-        const absDx = Math.abs(dx);
-        const absDy = Math.abs(dy);
-        
-        // Log the exact collision vector
-        console.log(`[COLLISION VECTOR] dx=${dx.toFixed(4)}, dy=${dy.toFixed(4)}, absDx=${absDx.toFixed(4)}, absDy=${absDy.toFixed(4)}`);
+        const contact = collisionInfo || Collision.getPenetration(entity1, entity2);
+        if (!contact) return;
         
-        // Get collision penetration depths - how far entity1 has penetrated entity2
-        const halfWidth1 = (entity1.width || 0.6) / 2;
-        const halfHeight1 = (entity1.height || 0.6) / 2;
-        const halfWidth2 = (entity2.width || 0.6) / 2;
-        const halfHeight2 = (entity2.height || 0.6) / 2;
+        const { normalX, normalY } = contact;
         
-        const overlapX = halfWidth1 + halfWidth2 - absDx;
-        const overlapY = halfHeight1 + halfHeight2 - absDy;
-        
-        console.log(`[COLLISION OVERLAP] overlapX=${overlapX.toFixed(4)}, overlapY=${overlapY.toFixed(4)}`);
-        
-        // Determine if collision is more horizontal or vertical
-        // Use a slightly different approach - pick the axis with minimal penetration
-        // This helps prevent slingshotting by choosing the "easiest" way out
-        const isHorizontalCollision = overlapX < overlapY;
-        
-        console.log(`[COLLISION TYPE] ${isHorizontalCollision ? 'Horizontal' : 'Vertical'} collision detected`);
+        if (contact.depth > 0) {
+            const push = Math.min(contact.depth, MAX_PUSH_OUT) + CONTACT_SKIN;
+            entity1.x += normalX * push;
+            entity1.y += normalY * push;
+        }
         
-        // Store original position for comparison
-        const originalX = entity1.x;
-        const originalY = entity1.y;
+        // Project velocity onto the contact surface
+        const velocityInto = (entity1.velocityX || 0) * normalX + (entity1.velocityY || 0) * normalY;
+        if (velocityInto < 0) {
+            entity1.velocityX = (entity1.velocityX || 0) - velocityInto * normalX;
+            entity1.velocityY = (entity1.velocityY || 0) - velocityInto * normalY;
+        }
         
-        // ENHANCED COLLISION RESPONSE: Use a larger multiplier for stronger push-back
-        // This is the key factor in making collisions feel solid and preventing pass-through
-        const separationMultiplier = 1.25; // Increased from 1.05 to 1.25 for more solid feel
+        this.contacts.push({ entity: entity2, normalX, normalY, x: contact.x, y: contact.y });
+    }
+
+    /**
+     * Move the player from where the last step left it to where input and physics
+     * put it this step, stopping at obstacles and sliding along them
+     * 
+     * The whole move is swept, so nothing is skipped at large time steps. Each
+     * contact takes the part of the remaining move that points into the obstacle
+     * away, and the rest carries on along its face, so walking diagonally into a
+     * couch glides along it. Anything still overlapping afterwards (furniture
+     * placed on the player, a door closing on them) is pushed out.
+     */
+    resolvePlayerCollisions() {
+        const player = this.player;
+        this.contacts = [];
+        
+        // Start from where the previous step resolved the player, unless it was moved there
+        // by a teleport (portals, scene changes, loading a save) rather than by walking
+        let startX = player.x;
+        let startY = player.y;
+        if (this.lastResolvedPosition) {
+            const movedX = player.x - this.lastResolvedPosition.x;
+            const movedY = player.y - this.lastResolvedPosition.y;
+            if (Math.abs(movedX) <= TELEPORT_DISTANCE && Math.abs(movedY) <= TELEPORT_DISTANCE) {
+                startX = this.lastResolvedPosition.x;
+                startY = this.lastResolvedPosition.y;
+            }
+        }
         
-        if (isHorizontalCollision) {
-            // Horizontal collision - stop X velocity completely
-            entity1.velocityX = 0;
-            
-            // Apply stronger response for horizontal collisions
-            if (dx > 0) { // Entity1 is to the right of Entity2
-                // Use more forceful adjustment
-                const adjustmentX = overlapX * separationMultiplier;
-                
-                console.log(`[HORIZONTAL ADJUST] Right collision, adjustment=${adjustmentX.toFixed(5)}`);
-                entity1.x += adjustmentX;
-                
-                // Apply a small extra push in the opposite direction of movement
-                // This helps prevent slingshotting by adding a small buffer zone
-                if (entity1.lastVelocityX < 0) { // Was moving left
-                    entity1.x += 0.05; // Extra small buffer
-                }
-            } else { // Entity1 is to the left of Entity2
-                // Use more forceful adjustment
-                const adjustmentX = -overlapX * separationMultiplier;
-                
-                console.log(`[HORIZONTAL ADJUST] Left collision, adjustment=${adjustmentX.toFixed(5)}`);
-                entity1.x += adjustmentX;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityX > 0) { // Was moving right
-                    entity1.x -= 0.05; // Extra small buffer
-                }
+        let moveX = player.x - startX;
+        let moveY = player.y - startY;
+        player.x = startX;
+        player.y = startY;
+        
+        // Everything the player's box could touch on the way
+        const start = this.spatialGrid.getEntityBounds(player);
+        const obstacles = this.spatialGrid.queryAABB(
+            start.minX + Math.min(moveX, 0),
+            start.minY + Math.min(moveY, 0),
+            start.maxX + Math.max(moveX, 0),
+            start.maxY + Math.max(moveY, 0)
+        ).filter(entity => Collision.canBlock(player, entity));
+        
+        for (let i = 0; i < MAX_CONTACTS_PER_STEP && (moveX !== 0 || moveY !== 0); i++) {
+            const hit = Collision.sweep(player, moveX, moveY, obstacles);
+            if (!hit) {
+                player.x += moveX;
+                player.y += moveY;
+                moveX = 0;
+                moveY = 0;
+                break;
             }
-        } else {
-            // Vertical collision - stop Y velocity completely
-            entity1.velocityY = 0;
             
-            // Apply stronger response for vertical collisions
-            if (dy > 0) { // Entity1 is below Entity2
-                // Use more forceful adjustment
-                const adjustmentY = overlapY * separationMultiplier;
-                
-                console.log(`[VERTICAL ADJUST] Bottom collision, adjustment=${adjustmentY.toFixed(5)}`);
-                entity1.y += adjustmentY;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityY < 0) { // Was moving up
-                    entity1.y += 0.05; // Extra small buffer
-                }
-            } else { // Entity1 is above Entity2
-                // Use more forceful adjustment
-                const adjustmentY = -overlapY * separationMultiplier;
-                
-                console.log(`[VERTICAL ADJUST] Top collision, adjustment=${adjustmentY.toFixed(5)}`);
-                entity1.y += adjustmentY;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityY > 0) { // Was moving down
-                    entity1.y -= 0.05; // Extra small buffer
-                }
+            // Stop just short of the obstacle, then slide with what's left of the move
+            player.x += moveX * hit.time + hit.normalX * CONTACT_SKIN;
+            player.y += moveY * hit.time + hit.normalY * CONTACT_SKIN;
+            
+            moveX *= 1 - hit.time;
+            moveY *= 1 - hit.time;
+            const moveInto = moveX * hit.normalX + moveY * hit.normalY;
+            if (moveInto < 0) {
+                moveX -= moveInto * hit.normalX;
+                moveY -= moveInto * hit.normalY;
             }
+            
+            this.handleCollision(player, hit.entity, hit);
         }
         
-        // Store last velocity for next collision check
-        entity1.lastVelocityX = entity1.velocityX;
-        entity1.lastVelocityY = entity1.velocityY;
+        obstacles.forEach(entity => {
+            const overlap = Collision.getPenetration(player, entity);
+            if (overlap) {
+                this.handleCollision(player, entity, overlap);
+            }
+        });
         
-        // Log the final position and velocity after adjustment
-        console.log(`[COLLISION RESULT] 
-            Final position: (${entity1.x.toFixed(3)}, ${entity1.y.toFixed(3)})
-            Position change: (${(entity1.x - originalX).toFixed(5)}, ${(entity1.y - originalY).toFixed(5)})
-            Final velocity: (${(entity1.velocityX || 0).toFixed(3)}, ${(entity1.velocityY || 0).toFixed(3)})`);
+        this.lastResolvedPosition = { x: player.x, y: player.y };
+    }
+
+    /**
+     * Get the height of the ground under an entity: the top of the highest
+     * surface it is standing on or dropping onto, or the floor
+     * @param {Object} entity - Entity to find the ground for
+     * @param {number} [previousZ] - Height at the start of the step, so a fast fall still lands on a surface it passed
+     * @returns {number} Ground height on the z-axis
+     */
+    getGroundHeight(entity, previousZ = entity.z) {
+        if (entity.isStatic) return entity.z || 0;
+        
+        const feetZ = Math.max(entity.z || 0, previousZ || 0);
+        const bounds = this.spatialGrid.getEntityBounds(entity);
+        
+        return this.spatialGrid.queryAABB(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY)
+            .filter(surface => Collision.canStandOn(entity, surface, feetZ))
+            .reduce((height, surface) => Math.max(height, Collision.getTop(surface)), this.groundLevel);
     }
 
     /**
@@ -285,7 +321,7 @@ class Game {
      */
     handlePlayerInput() {
         // Skip input handling if portal transition is active or interaction is active
-        if (this._portalTransitionActive || this._interactionActive) {
+        if (this._portalTransitionActive || this.isInteractionActive()) {
             // Reset velocity to ensure player doesn't move
             if (this.player) {
                 this.player.velocityX = 0;
@@ -308,7 +344,7 @@ class Game {
         const rightPressed = input.isKeyPressed('ArrowRight') || input.isKeyPressed('d') || input.isKeyPressed('D');
 
         // Only process movement if no interaction is active
-        if (!this._interactionActive) {
+        if (!this.isInteractionActive()) {
             // Handle movement based on key presses
             if (upPressed) this.player.velocityY = -this.player.speed;
             if (downPressed) this.player.velocityY = this.player.speed;
@@ -351,7 +387,7 @@ class Game {
         this.player.lastVelocityY = this.player.velocityY || 0;
         
         // Handle player input - skip if interaction is active
-        if (!this._interactionActive) {
+        if (!this.isInteractionActive()) {
             this.handlePlayerInput();
         } else {
             // Ensure player is stopped during interactions
@@ -359,18 +395,19 @@ class Game {
             this.player.velocityY = 0;
         }
         
-        // Apply physics to player - only apply if player is moving
-        // IMPORTANT FIX: Only apply physics if player hasn't collided
-        this.physics.applyGravity(this.player);
+        // Pull the player down if they're in the air
+        this.physics.applyGravity(this.player, deltaTime);
         
         // IMPORTANT: When we update player position, we want to be able to revert back if collision occurs
         // Update player with deltaTime
         const oldX = this.player.x;
         const oldY = this.player.y;
+        const oldZ = this.player.z;
         this.player.update(deltaTime);
         
-        // Check ground collision for player
-        this.physics.checkGroundCollision(this.player, this.groundLevel);
+        // Land on the floor or on furniture before sliding against anything, so
+        // the player isn't pushed off a couch they just dropped onto
+        this.physics.checkGroundCollision(this.player, this.getGroundHeight(this.player, oldZ));
         
         // Store player's post-update position before any collisions are resolved
         const playerPhysicsX = this.player.x;
@@ -402,7 +439,8 @@ class Game {
                 return;
             }
             
-            this.physics.applyGravity(entity);
+            this.physics.applyGravity(entity, deltaTime);
+            const oldZ = entity.z;
             if (typeof entity.update === 'function') {
                 // Check if entity is an interactive entity that needs player reference
                 if (entity.constructor && 
@@ -412,8 +450,8 @@ class Game {
                      entity.constructor.name === 'PortalEntity' ||
                      entity.constructor.name === 'SpellbookEntity' ||
                      entity.constructor.name === 'ArcadeEntity' ||
-                     entity.constructor.name === 'VibePortalEntity')) {
-                    console.log(`[GAME] Updating ${entity.constructor.name} at (${entity.x.toFixed(2)}, ${entity.y.toFixed(2)}) with player ref`);
+                     entity.constructor.name === 'VibePortalEntity' ||
+                     entity.constructor.name === 'NPCEntity')) {
                     entity.update(deltaTime, this.player);
                 } else {
                     entity.update(deltaTime);
@@ -421,130 +459,35 @@ class Game {
             }
             
             // Check ground collision for entity
-            this.physics.checkGroundCollision(entity, this.groundLevel);
+            this.physics.checkGroundCollision(entity, this.getGroundHeight(entity, oldZ));
         });
         
-        // FULL COLLISION DETECTION SYSTEM
-        // Clear and rebuild spatial grid
-        this.spatialGrid.clear();
+        // Advance particle emitters attached to the player and this room's entities
+        const particleEntities = this.entities.includes(this.player)
+            ? this.entities
+            : [this.player, ...this.entities];
+        particleSystem.update(deltaTime, particleEntities);
+        
+        // Pick the interaction target and handle Enter presses
+        this.interactionManager.update(this.player);
         
+        // FULL COLLISION DETECTION SYSTEM
         // Update cell dimensions based on scene (if available)
-        if (window.testScene) {
+        if (typeof window !== 'undefined' && window.testScene) {
             this.spatialGrid.updateCellDimensions(
                 window.testScene.cellWidth,
                 window.testScene.cellHeight
             );
         }
         
-        // Add player to spatial grid
-        if (this.player) {
-            this.spatialGrid.addEntity(this.player);
-        }
+        // Move entities that crossed a cell edge; only those change cells
+        this.spatialGrid.updateEntities(this.player ? [this.player, ...this.entities] : this.entities);
         
-        // Add all other entities to spatial grid
-        this.entities.forEach(entity => {
-            if (entity === this.player) return; // Skip player, already added
-            if (entity) {
-                this.spatialGrid.addEntity(entity);
-            }
-        });
-        
-        // Check for collisions using spatial grid optimization
-        const nearbyEntities = this.spatialGrid.getSurroundingEntities(this.player, 2);
-        
-        // Flag to track if any collision was detected
-        let collisionDetected = false;
-        
-        // Only check collisions with nearby entities
-        nearbyEntities.forEach(entity => {
-            // Skip collision with self
-            if (entity === this.player) return;
-            
-            // ANTI-SLINGSHOT FIX: Test if the collision happens at current position
-            if (Collision.checkCollision(this.player, entity)) {
-                collisionDetected = true;
-                
-                // Store player position BEFORE collision handling
-                const beforeHandlingX = this.player.x;
-                const beforeHandlingY = this.player.y;
-                
-                // Handle the collision
-                this.handleCollision(this.player, entity);
-                
-                // Verify player didn't move too far (prevent slingshotting)
-                const xDiff = Math.abs(this.player.x - beforeHandlingX);
-                const yDiff = Math.abs(this.player.y - beforeHandlingY);
-                
-                // If movement from collision resolution is too large, reset to a safer position
-                // This effectively limits how far a collision can push the player
-                const MAX_ADJUST = 0.35; // Increased to allow stronger collision responses
-                
-                if (xDiff > MAX_ADJUST || yDiff > MAX_ADJUST) {
-                    console.log(`[ANTI-SLINGSHOT] Excessive movement detected (${xDiff.toFixed(3)}, ${yDiff.toFixed(3)})`);
-                    
-                    // Choose a safer position - either original position or an intermediate one
-                    // Calculate an intermediate position that moves slightly away from obstacle
-                    if (xDiff > MAX_ADJUST) {
-                        // Determine which direction we need to move (away from entity)
-                        const entityCenterX = entity.x + (entity.width || 0.6) / 2;
-                        const playerCenterX = beforeHandlingX + (this.player.width || 0.6) / 2;
-                        const moveDirection = playerCenterX > entityCenterX ? 1 : -1; // Away from entity
-                        
-                        // Calculate a proper adjustment that's proportional to the penetration
-                        // but capped at MAX_ADJUST
-                        const safeAdjustment = Math.min(xDiff * 0.95, MAX_ADJUST) * moveDirection;
-                        
-                        // Move player by a substantial amount in the proper direction
-                        this.player.x = beforeHandlingX + safeAdjustment;
-                        this.player.velocityX = 0; // Stop horizontal movement
-                        
-                        console.log(`[ANTI-SLINGSHOT] X position adjusted to ${this.player.x.toFixed(3)} (safe adjustment: ${safeAdjustment.toFixed(3)})`);
-                    }
-                    
-                    if (yDiff > MAX_ADJUST) {
-                        // Determine which direction we need to move (away from entity)
-                        const entityCenterY = entity.y + (entity.height || 0.6) / 2;
-                        const playerCenterY = beforeHandlingY + (this.player.height || 0.6) / 2;
-                        const moveDirection = playerCenterY > entityCenterY ? 1 : -1; // Away from entity
-                        
-                        // Calculate a proper adjustment that's proportional to the penetration
-                        // but capped at MAX_ADJUST
-                        const safeAdjustment = Math.min(yDiff * 0.95, MAX_ADJUST) * moveDirection;
-                        
-                        // Move player by a substantial amount in the proper direction
-                        this.player.y = beforeHandlingY + safeAdjustment;
-                        this.player.velocityY = 0; // Stop vertical movement
-                        
-                        console.log(`[ANTI-SLINGSHOT] Y position adjusted to ${this.player.y.toFixed(3)} (safe adjustment: ${safeAdjustment.toFixed(3)})`);
-                    }
-                }
-                
-                // After collision is resolved, perform a second check to ensure we're really clear
-                // This "double check" approach helps prevent entities from getting stuck
-                if (Collision.checkCollision(this.player, entity)) {
-                    console.log(`[COLLISION SAFETY] Still colliding after resolution - applying additional force`);
-                    
-                    // Calculate direction to push player away from entity
-                    const pushDirX = this.player.x > entity.x ? 1 : -1;
-                    const pushDirY = this.player.y > entity.y ? 1 : -1;
-                    
-                    // Apply a stronger push in the appropriate direction
-                    // Use whichever axis has more room to move
-                    if (Math.abs(this.player.lastVelocityX) > Math.abs(this.player.lastVelocityY)) {
-                        // Was moving more horizontally - push horizontally
-                        this.player.x += pushDirX * 0.1;
-                        console.log(`[COLLISION SAFETY] Applied extra horizontal push: ${pushDirX * 0.1}`);
-                    } else {
-                        // Was moving more vertically - push vertically
-                        this.player.y += pushDirY * 0.1;
-                        console.log(`[COLLISION SAFETY] Applied extra vertical push: ${pushDirY * 0.1}`);
-                    }
-                }
-            }
-        });
+        // Move the player up to whatever it runs into and slide along it
+        this.resolvePlayerCollisions();
         
         // If collision was detected, log player position changes
-        if (collisionDetected) {
+        if (this.contacts.length > 0) {
             console.log(`[POSITION SUMMARY] Player movement:
                 Starting:  (${originalPlayerX.toFixed(3)}, ${originalPlayerY.toFixed(3)})
                 Physics:   (${playerPhysicsX.toFixed(3)}, ${playerPhysicsY.toFixed(3)})
@@ -554,6 +497,72 @@ class Game {
         }
     }
 
+    /**
+     * Get the player and the entities that can move, for render interpolation
+     * @returns {Array} Moving entities, player first
+     */
+    getMovingEntities() {
+        const entities = this.player ? [this.player] : [];
+        this.entities.forEach(entity => {
+            if (entity && entity !== this.player && !entity.isStatic) {
+                entities.push(entity);
+            }
+        });
+        return entities;
+    }
+
+    /**
+     * Remember where moving entities are before a simulation step, so rendering
+     * can interpolate between this step and the next
+     */
+    storePreviousPositions() {
+        this.restorePositions();
+        this.getMovingEntities().forEach(entity => {
+            entity.previousX = entity.x;
+            entity.previousY = entity.y;
+            entity.previousZ = entity.z || 0;
+        });
+    }
+
+    /**
+     * Move entities to where they are between the last two simulation steps for drawing
+     * Call restorePositions() once the frame has been drawn
+     * @param {number} alpha - 0 draws the previous step, 1 the latest one
+     */
+    interpolatePositions(alpha) {
+        this.restorePositions();
+        if (alpha >= 1) return;
+        
+        this.getMovingEntities().forEach(entity => {
+            if (entity.previousX === undefined) return;
+            
+            const dx = entity.x - entity.previousX;
+            const dy = entity.y - entity.previousY;
+            const dz = (entity.z || 0) - entity.previousZ;
+            if (dx === 0 && dy === 0 && dz === 0) return;
+            if (Math.abs(dx) > MAX_INTERPOLATION_DISTANCE || Math.abs(dy) > MAX_INTERPOLATION_DISTANCE) return;
+            
+            this.interpolationRestore.push({ entity, x: entity.x, y: entity.y, z: entity.z });
+            entity.x = entity.previousX + dx * alpha;
+            entity.y = entity.previousY + dy * alpha;
+            if (typeof entity.z === 'number') {
+                entity.z = entity.previousZ + dz * alpha;
+            }
+        });
+    }
+
+    /**
+     * Put entities moved by interpolatePositions() back at their simulated positions
+     */
+    restorePositions() {
+        this.interpolationRestore.forEach(({ entity, x, y, z }) => {
+            entity.x = x;
+            entity.y = y;
+            entity.z = z;
+        });
+        this.interpolationRestore = [];
+    }
+
     /**
      * Creates test entities around the player to demonstrate spatial grid and depth sorting
      * @param {number} count - Number of entities to create
@@ -625,19 +634,8 @@ class Game {
             }
         }
         
-        // Force rebuild spatial grid immediately
-        this.spatialGrid.clear();
-        
-        // Add all entities to spatial grid
-        if (this.player) {
-            this.spatialGrid.addEntity(this.player);
-        }
-        
-        this.entities.forEach(entity => {
-            if (entity !== this.player) {
-                this.spatialGrid.addEntity(entity);
-            }
-        });
+        // Bring the spatial grid up to date immediately
+        this.spatialGrid.updateEntities(this.player ? [this.player, ...this.entities] : this.entities);
         
         // Log comprehensive entity creation summary
         info(`[TEST ENTITIES] Created ${entityCount} test entities with various heights`);
@@ -656,15 +654,22 @@ class Game {
 
     /**
      * Set the interaction active state for menus and dialogs
+     * Input stays paused while any reason is active
      * @param {boolean} isActive - Whether interaction is active
+     * @param {string} [reason] - What is pausing input, so it can release only its own pause
      */
-    setInteractionActive(isActive) {
-        console.log(`Game: Setting interaction active state to ${isActive}`);
+    setInteractionActive(isActive, reason = 'interaction') {
+        console.log(`Game: Setting interaction active state to ${isActive} (${reason})`);
         
         // Update the interaction state
-        this._interactionActive = isActive;
-        
+        const wasActive = this.isInteractionActive();
         if (isActive) {
+            this._interactionReasons.add(reason);
+        } else {
+            this._interactionReasons.delete(reason);
+        }
+        
+        if (isActive && !wasActive) {
             // Store player state when entering interaction
             if (this.player) {
                 this.player._preInteractionVelocityX = this.player.velocityX;
@@ -677,7 +682,7 @@ class Game {
             
             // Optionally play a sound or visual effect
             // this.playSound('menu-open');
-        } else {
+        } else if (!isActive && !this.isInteractionActive()) {
             // Restore player state when exiting interaction
             if (this.player && this.player._preInteractionVelocityX !== undefined) {
                 // Don't restore velocity - just allow movement again
@@ -685,7 +690,15 @@ class Game {
             }
         }
         
-        debug(`Game: Interaction active state set to ${this._interactionActive}`);
+        debug(`Game: Interaction active state set to ${this.isInteractionActive()} (${[...this._interactionReasons].join(', ') || 'none'})`);
+    }
+    
+    /**
+     * Check whether a menu or dialog currently has control of input
+     * @returns {boolean} True while an interaction is active
+     */
+    isInteractionActive() {
+        return this._interactionReasons.size > 0;
     }
 }
 
@@ -0,0 +1,218 @@
+/**
+ * Headless Simulation for AI Alchemist's Lair
+ * Runs Game.update for a number of ticks without a DOM or canvas, driven by
+ * scripted keyboard input, and reports player positions and collisions.
+ * Intended for reproducing movement and collision bugs under Node:
+ *
+ *   import { runSimulation } from './headless.js';
+ *
+ *   const report = runSimulation({
+ *       player: { x: 5, y: 5 },
+ *       entities: [{ x: 7, y: 5, width: 1, height: 1, isStatic: true }],
+ *       inputs: [
+ *           { ticks: 60, keys: ['ArrowRight'] },
+ *           { ticks: 30, keys: [] }
+ *       ]
+ *   });
+ *   console.log(report.final, report.collisions.length);
+ *
+ * headlessCheck.js uses it to check that walking into a box stops at its edge.
+ */
+
+import { Game } from './game.js';
+import { Entity } from './entity.js';
+import { input } from './input.js';
+import { createRoomWalls, WALL_THICKNESS } from './collisionWallEntity.js';
+
+// Default simulation step - one frame at 60 FPS
+const DEFAULT_DELTA_TIME = 1 / 60;
+
+// Console methods the game logs through, silenced in quiet mode. Errors still print.
+// Logging done while the game's modules are first imported (e.g. assetLoader.js and
+// the particle system announcing themselves) happens before any of this runs, so
+// quiet mode can't silence it
+const SILENCED_CONSOLE_METHODS = ['log', 'debug', 'info', 'warn'];
+
+/**
+ * Silence the game's console logging
+ * @returns {Function} Call to put the console back
+ */
+function silenceConsole() {
+    const original = {};
+    SILENCED_CONSOLE_METHODS.forEach(method => {
+        original[method] = console[method];
+        console[method] = () => {};
+    });
+    
+    return () => {
+        SILENCED_CONSOLE_METHODS.forEach(method => {
+            console[method] = original[method];
+        });
+    };
+}
+
+/**
+ * Create a Game with a player and entities, ready to be stepped without a browser
+ * @param {Object} [options] - Setup options
+ * @param {Object} [options.player] - Player start position {x, y}
+ * @param {Array} [options.entities] - Entity instances, or plain specs {x, y, width, height, ...Entity options}
+ * @param {Object} [options.room] - Surround the player with room walls: {width, height, doorPositions: {north, west}};
+ *                                  doorway gaps stay closed unless room.getDoorway returns an open door
+ * @param {boolean} [options.quiet] - Silence the game's console logging while setting up (default true)
+ * @returns {Game} The game instance
+ */
+function createHeadlessGame(options = {}) {
+    const restoreConsole = options.quiet !== false ? silenceConsole() : null;
+    try {
+        return setUpGame(options);
+    } finally {
+        if (restoreConsole) restoreConsole();
+    }
+}
+
+/**
+ * Build the game for createHeadlessGame
+ * @param {Object} options - Setup options (see createHeadlessGame)
+ * @returns {Game} The game instance
+ */
+function setUpGame(options) {
+    const game = new Game();
+    const start = options.player || { x: 5, y: 5 };
+    game.initPlayer(start.x, start.y);
+    
+    (options.entities || []).forEach(spec => {
+        const entity = spec instanceof Entity
+            ? spec
+            : new Entity(spec.x, spec.y, spec.width, spec.height, spec);
+        
+        // Entity doesn't copy collidable from its options
+        if (spec.collidable === false) entity.collidable = false;
+        
+        game.addEntity(entity);
+    });
+    
+    if (options.room) {
+        const room = options.room;
+        createRoomWalls(
+            { gridWidth: room.width, gridHeight: room.height, doorPositions: room.doorPositions },
+            { footprint: game.player, getDoorway: room.getDoorway }
+        ).forEach(wall => game.addEntity(wall));
+    }
+    
+    return game;
+}
+
+/**
+ * Get the keys held on a tick from an input script
+ * @param {Array|Function} inputs - Steps [{ticks, keys}] played in order, or a function (tick) => keys
+ * @param {number} tick - Tick number, starting at 0
+ * @returns {Array<string>} Keys held down on this tick
+ */
+function getScriptedKeys(inputs, tick) {
+    if (typeof inputs === 'function') {
+        return inputs(tick) || [];
+    }
+    
+    let stepEnd = 0;
+    for (const step of inputs || []) {
+        stepEnd += step.ticks;
+        if (tick < stepEnd) return step.keys || [];
+    }
+    
+    return [];
+}
+
+/**
+ * Run a scripted simulation and report what happened
+ * @param {Object} [options] - Simulation options
+ * @param {Object} [options.player] - Player start position {x, y}
+ * @param {Array} [options.entities] - Entities to place (see createHeadlessGame)
+ * @param {Array|Function} [options.inputs] - Input script (see getScriptedKeys)
+ * @param {number} [options.ticks] - Ticks to run; defaults to the length of a step script
+ * @param {number} [options.deltaTime] - Seconds per tick (default 1/60)
+ * @param {Object} [options.bounds] - Grid size {width, height} to keep the player inside, as the main loop does
+ * @param {boolean} [options.quiet] - Silence the game's console logging while setting up and running (default true)
+ * @param {Game} [options.game] - Existing game to step instead of creating one
+ * @returns {Object} Report with per-tick frames, collisions and the final player state
+ */
+function runSimulation(options = {}) {
+    // The game logs every frame and collision; keep the report readable
+    const restoreConsole = options.quiet !== false ? silenceConsole() : null;
+    try {
+        return simulate(options);
+    } finally {
+        if (restoreConsole) restoreConsole();
+    }
+}
+
+/**
+ * Step the game for runSimulation
+ * @param {Object} options - Simulation options (see runSimulation)
+ * @returns {Object} Simulation report
+ */
+function simulate(options) {
+    const game = options.game || setUpGame(options);
+    const player = game.player;
+    const deltaTime = options.deltaTime || DEFAULT_DELTA_TIME;
+    const inputs = options.inputs || [];
+    const ticks = options.ticks !== undefined
+        ? options.ticks
+        : (Array.isArray(inputs) ? inputs.reduce((total, step) => total + step.ticks, 0) : 0);
+    
+    const frames = [];
+    const collisions = [];
+    let tick = 0;
+    
+    // Record every collision the game resolves, with the push it applied
+    const handleCollision = game.handleCollision;
+    game.handleCollision = function(entity1, entity2, collisionInfo) {
+        const before = { x: entity1.x, y: entity1.y };
+        handleCollision.call(this, entity1, entity2, collisionInfo);
+        collisions.push({
+            tick,
+            entity: game.entities.indexOf(entity2),
+            name: entity2.name || (entity2.constructor && entity2.constructor.name),
+            before,
+            after: { x: entity1.x, y: entity1.y }
+        });
+    };
+    
+    try {
+        for (tick = 0; tick < ticks; tick++) {
+            // Hold exactly the scripted keys for this tick
+            input.keys = {};
+            getScriptedKeys(inputs, tick).forEach(key => {
+                input.keys[key] = true;
+            });
+            
+            game.update(deltaTime);
+            
+            if (options.bounds) {
+                player.x = Math.max(-WALL_THICKNESS, Math.min(options.bounds.width - 1, player.x));
+                player.y = Math.max(-WALL_THICKNESS, Math.min(options.bounds.height - 1, player.y));
+            }
+            
+            frames.push({
+                tick,
+                x: player.x,
+                y: player.y,
+                z: player.z,
+                velocityX: player.velocityX,
+                velocityY: player.velocityY
+            });
+        }
+    } finally {
+        input.keys = {};
+        game.handleCollision = handleCollision;
+    }
+    
+    return {
+        ticks,
+        deltaTime,
+        frames,
+        collisions,
+        final: { x: player.x, y: player.y, z: player.z }
+    };
+}
+
+export { createHeadlessGame, runSimulation, getScriptedKeys };
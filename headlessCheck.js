@@ -0,0 +1,50 @@
+/**
+ * Headless Collision Check for AI Alchemist's Lair
+ * Walks the wizard into a static box with the headless simulation and checks
+ * where it stops, so collision changes can be checked without a browser:
+ *
+ *   node --experimental-default-type=module headlessCheck.js
+ *
+ * Exits with status 1 if the wizard passes through the box or stops short of it.
+ */
+
+import { createHeadlessGame, runSimulation } from './headless.js';
+import { Collision } from './collision.js';
+
+// How far from the expected stop position still counts as stopping at the box
+const TOLERANCE = 0.01;
+
+const box = { x: 7, y: 5, width: 1, height: 1, isStatic: true };
+
+const game = createHeadlessGame({ player: { x: 5, y: 5 }, entities: [box] });
+
+// Two seconds of walking right covers the two tiles to the box with plenty to spare
+const report = runSimulation({
+    game,
+    inputs: [{ ticks: 120, keys: ['ArrowRight'] }]
+});
+
+// The wizard's collision box should end up touching the left side of the box's
+const expectedX = box.x - Collision.getCollisionBox(game.player).width;
+const { x, y } = report.final;
+
+const failures = [];
+if (Math.abs(x - expectedX) > TOLERANCE) {
+    failures.push(`stopped at x=${x.toFixed(3)}, expected x=${expectedX.toFixed(3)}`);
+}
+if (Math.abs(y - 5) > TOLERANCE) {
+    failures.push(`drifted to y=${y.toFixed(3)} walking straight right`);
+}
+if (report.collisions.length === 0) {
+    failures.push('no collisions were resolved');
+}
+
+if (failures.length > 0) {
+    console.error(`Headless check failed: ${failures.join('; ')}`);
+    process.exit(1);
+}
+
+console.log(`Headless check passed: stopped at x=${x.toFixed(3)} against the box at x=${box.x}`);
+
+// The game's modules leave timers running, so end the process here
+process.exit(0);
@@ -1,9 +1,38 @@
+// Button indices for gamepads using the browser's "standard" mapping
+const GAMEPAD_BUTTONS = {
+    a: 0,       // Interact / confirm
+    b: 1,       // Back / cancel
+    x: 2,       // Jump
+    y: 3,
+    start: 9,
+    up: 12,     // D-pad
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+// Stick deflection below which analog input is ignored
+const GAMEPAD_DEADZONE = 0.25;
+
 const input = {
     keys: {},
     // Store previous key states for detecting key presses
     previousKeys: {},
+    // Keys pressed since they were last consumed (one entry per physical press, ignoring auto-repeat)
+    pressedKeys: {},
     mouse: { x: 0, y: 0, leftClick: false, rightClick: false },
+    // Gamepad state, refreshed by pollGamepad() once per frame
+    gamepad: {
+        connected: false,
+        index: null,
+        id: '',
+        stick: { x: 0, y: 0 },  // Left stick with deadzone applied (-1 to 1)
+        buttons: {},            // Button name -> currently held
+        pressedButtons: {}      // Button name -> pressed since last consumed
+    },
     initialized: false,
+    // True while an input replay feeds the gamepad state instead of the real controller
+    playback: false,
     // Add a flag specifically for Enter key
     enterKeyPressed: false,
     numpadEnterPressed: false,
@@ -31,6 +60,164 @@ const input = {
         return keys.some(key => this.isKeyPressed(key));
     },
     
+    /**
+     * Consumes a single press of a key
+     * Returns true once per physical press, so holding the key or auto-repeat
+     * does not trigger the action again
+     * @param {string} key - The key to check
+     * @returns {boolean} - True if the key was pressed since it was last consumed
+     */
+    consumeKeyPress(key) {
+        if (this.pressedKeys[key]) {
+            this.pressedKeys[key] = false;
+            return true;
+        }
+        return false;
+    },
+    
+    /**
+     * Track a newly connected gamepad
+     * @param {Gamepad} gamepad - The connected gamepad
+     */
+    connectGamepad(gamepad) {
+        // Stick with the first controller if several are plugged in
+        if (this.gamepad.connected && this.gamepad.index !== gamepad.index) return;
+        
+        this.gamepad.connected = true;
+        this.gamepad.index = gamepad.index;
+        this.gamepad.id = gamepad.id;
+        console.log(`Gamepad connected: ${gamepad.id} (index ${gamepad.index}, mapping: ${gamepad.mapping || 'non-standard'})`);
+    },
+    
+    /**
+     * Forget a disconnected gamepad and release its buttons
+     * @param {Gamepad} gamepad - The disconnected gamepad
+     */
+    disconnectGamepad(gamepad) {
+        if (this.gamepad.index !== gamepad.index) return;
+        
+        console.log(`Gamepad disconnected: ${gamepad.id}`);
+        this.gamepad.connected = false;
+        this.gamepad.index = null;
+        this.gamepad.id = '';
+        this.gamepad.stick = { x: 0, y: 0 };
+        this.gamepad.buttons = {};
+        this.gamepad.pressedButtons = {};
+    },
+    
+    /**
+     * Read the current gamepad state - call once per frame before using gamepad input
+     * Browsers only expose gamepad state by polling, so this also picks up controllers
+     * whose connect event was missed (e.g. plugged in before the page loaded)
+     */
+    pollGamepad() {
+        if (this.playback) return;
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return;
+        
+        const gamepads = navigator.getGamepads();
+        let gamepad = this.gamepad.index !== null ? gamepads[this.gamepad.index] : null;
+        
+        if (!gamepad) {
+            // The tracked controller went away without an event - look for another one
+            if (this.gamepad.connected) {
+                this.disconnectGamepad({ index: this.gamepad.index, id: this.gamepad.id });
+            }
+            
+            gamepad = Array.from(gamepads).find(pad => pad && pad.connected) || null;
+            if (!gamepad) return;
+            
+            this.connectGamepad(gamepad);
+        }
+        
+        // Left stick with a radial deadzone so small drift doesn't move the player
+        const axisX = gamepad.axes[0] || 0;
+        const axisY = gamepad.axes[1] || 0;
+        const magnitude = Math.sqrt(axisX * axisX + axisY * axisY);
+        this.gamepad.stick = magnitude < GAMEPAD_DEADZONE
+            ? { x: 0, y: 0 }
+            : { x: axisX, y: axisY };
+        
+        // Button states
+        const held = {};
+        Object.entries(GAMEPAD_BUTTONS).forEach(([name, buttonIndex]) => {
+            const button = gamepad.buttons[buttonIndex];
+            held[name] = !!button && button.pressed;
+        });
+        this.setGamepadButtons(held);
+    },
+    
+    /**
+     * Update the held gamepad buttons, recording a press for each newly held one
+     * @param {Object} held - Button name (see GAMEPAD_BUTTONS) -> currently held
+     */
+    setGamepadButtons(held) {
+        Object.keys(GAMEPAD_BUTTONS).forEach(name => {
+            const isPressed = !!held[name];
+            
+            if (isPressed && !this.gamepad.buttons[name]) {
+                this.gamepad.pressedButtons[name] = true;
+            }
+            this.gamepad.buttons[name] = isPressed;
+        });
+    },
+    
+    /**
+     * Checks if a gamepad button is held
+     * @param {string} name - Button name (see GAMEPAD_BUTTONS)
+     * @returns {boolean} - True if the button is held
+     */
+    isGamepadButtonPressed(name) {
+        return this.gamepad.buttons[name] || false;
+    },
+    
+    /**
+     * Consumes a single press of a gamepad button
+     * Works like consumeKeyPress() - true once per press
+     * @param {string} name - Button name (see GAMEPAD_BUTTONS)
+     * @returns {boolean} - True if the button was pressed since it was last consumed
+     */
+    consumeGamepadButtonPress(name) {
+        if (this.gamepad.pressedButtons[name]) {
+            this.gamepad.pressedButtons[name] = false;
+            return true;
+        }
+        return false;
+    },
+    
+    /**
+     * Discard gamepad presses that haven't been consumed yet
+     * Used when a menu opens so D-pad presses made while walking don't carry over
+     */
+    clearGamepadPresses() {
+        this.gamepad.pressedButtons = {};
+    },
+    
+    /**
+     * Get the gamepad movement direction, snapped to one of 8 directions
+     * Uses the left stick, falling back to the D-pad
+     * @returns {{dx: number, dy: number}} - Direction components, each -1, 0 or 1
+     */
+    getGamepadDirection() {
+        if (!this.gamepad.connected) return { dx: 0, dy: 0 };
+        
+        const { x, y } = this.gamepad.stick;
+        if (x !== 0 || y !== 0) {
+            // Snap the stick angle to the nearest 45 degree sector
+            const sector = Math.round(Math.atan2(y, x) / (Math.PI / 4));
+            const angle = sector * (Math.PI / 4);
+            return {
+                dx: Math.round(Math.cos(angle)),
+                dy: Math.round(Math.sin(angle))
+            };
+        }
+        
+        const buttons = this.gamepad.buttons;
+        return {
+            dx: (buttons.right ? 1 : 0) - (buttons.left ? 1 : 0),
+            dy: (buttons.down ? 1 : 0) - (buttons.up ? 1 : 0)
+        };
+    },
+    
     /**
      * Resets the input state, clearing all pressed keys
      * Useful after loading screens or when changing scenes
@@ -38,8 +225,10 @@ const input = {
     reset() {
         console.log('Resetting input system');
         this.keys = {};
+        this.pressedKeys = {};
         this.mouse.leftClick = false;
         this.mouse.rightClick = false;
+        this.clearGamepadPresses();
     },
     
     /**
@@ -79,6 +268,11 @@ const input = {
             // Store the key state
             this.keys[event.key] = true;
             
+            // Record new presses only - auto-repeat keydowns don't count as another press
+            if (!event.repeat) {
+                this.pressedKeys[event.key] = true;
+            }
+            
             // Special enhanced handling for Enter keys
             if (event.key === 'Enter') {
                 this.keys['Enter'] = true;
@@ -143,6 +337,15 @@ const input = {
             }
         });
         
+        // Hot-plug detection for controllers
+        window.addEventListener('gamepadconnected', (event) => {
+            this.connectGamepad(event.gamepad);
+        });
+        
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.disconnectGamepad(event.gamepad);
+        });
+        
         // Set up mouse event handlers
         const canvas = document.getElementById('gameCanvas');
         if (canvas) {
@@ -181,22 +384,24 @@ const input = {
     }
 };
 
-// DOM event listeners
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize input system once DOM is loaded
-    input.initialize();
-    
-    // Also listen for loading complete event to reinitialize
-    window.addEventListener('loadingComplete', () => {
-        console.log('Loading complete event received in input.js');
-        
-        // Reset and reinitialize input system after loading completes
-        input.reset();
-        
-        // Force re-initialization to ensure event handlers are properly attached
-        input.initialized = false;
+// DOM event listeners (skipped when running headless under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Initialize input system once DOM is loaded
         input.initialize();
+        
+        // Also listen for loading complete event to reinitialize
+        window.addEventListener('loadingComplete', () => {
+            console.log('Loading complete event received in input.js');
+            
+            // Reset and reinitialize input system after loading completes
+            input.reset();
+            
+            // Force re-initialization to ensure event handlers are properly attached
+            input.initialized = false;
+            input.initialize();
+        });
     });
-});
+}
 
-export { input };
+export { input, GAMEPAD_BUTTONS };
@@ -0,0 +1,701 @@
+/**
+ * Input Recorder for AI Alchemist's Lair
+ * Records a session's input and replays it step by step, so input bugs (like
+ * the Enter key problems keyDiagnostic.js and inputDiagnostic.js chase) can be
+ * reproduced exactly:
+ * - K starts and stops recording; stopping downloads the recording as JSON
+ * - Shift+K loads a recording and replays it, with a HUD showing the step
+ *   (Space pauses, . steps a paused replay, Esc stops)
+ *
+ * Keyboard events, left clicks on the canvas and gamepad state are recorded
+ * with the fixed simulation step they arrived before, rather than the rendered
+ * frame, so a replay repeats the run however fast either display refreshes.
+ * Both run with a seeded Math.random, and a replay starts from the saved state
+ * (room, player position, doors, camera) the recording started from, along with
+ * the room's NPCs and particle emitters - both draw on Math.random, so starting
+ * them anywhere else would send the replay down a different path.
+ * Replayed events are dispatched as synthetic DOM events, so browser default
+ * actions (e.g. Tab moving focus) aren't reproduced.
+ */
+
+import { input } from './input.js';
+import { ParticleEmitter, particleSystem } from './particleSystem.js';
+import { FIXED_TIMESTEP } from './timing.js';
+import { debug, info, warn } from './utils.js';
+
+// Current recording format version (1 stamped events with rendered frames)
+const RECORDING_VERSION = 2;
+
+// Keyboard event properties that are recorded and replayed
+const KEY_EVENT_PROPERTIES = ['key', 'code', 'repeat', 'shiftKey', 'ctrlKey', 'altKey', 'metaKey'];
+
+// Keys that control the recorder itself and are never recorded
+const RECORDER_KEYS = ['k', 'K'];
+
+// Real events that are blocked while a replay has control of the game
+const BLOCKED_EVENTS = ['keydown', 'keyup', 'click', 'mousedown', 'mouseup', 'touchstart', 'touchmove', 'touchend'];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1) like Math.random
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class InputRecorder {
+    /**
+     * Create the input recorder
+     * @param {HTMLCanvasElement} canvas - Game canvas whose clicks are recorded
+     * @param {Game} game - Game instance providing the player
+     * @param {SaveManager} saveManager - Save manager used to capture and restore the starting state
+     */
+    constructor(canvas, game, saveManager) {
+        this.canvas = canvas;
+        this.game = game;
+        this.saveManager = saveManager;
+        
+        // Set once the room layout system is ready; gives the entities whose state is recorded
+        this.sceneEntityManager = null;
+        
+        // 'idle', 'recording', 'loading' (waiting for a replay's room) or 'replaying'
+        this.mode = 'idle';
+        
+        // Recording being written or played back
+        this.recording = null;
+        
+        // Simulation steps started since recording or replay began
+        this.step = 0;
+        
+        // Index of the next event to replay
+        this.eventIndex = 0;
+        this.startTime = 0;
+        
+        // Replay controls
+        this.paused = false;
+        this.stepRequested = false;
+        
+        // Last recorded gamepad state, to record changes only
+        this.lastGamepadState = null;
+        
+        // Math.random is swapped for a seeded generator while active
+        this.originalRandom = null;
+        
+        this.hud = null;
+        
+        this.handleRecordedEvent = this.handleRecordedEvent.bind(this);
+        this.handleReplayBlock = this.handleReplayBlock.bind(this);
+        
+        debug('InputRecorder: Initialized');
+    }
+    
+    /**
+     * Set the scene entity manager whose active room's entities are recorded and restored
+     * @param {SceneEntityManager} sceneEntityManager - Scene entity manager
+     */
+    setSceneEntityManager(sceneEntityManager) {
+        this.sceneEntityManager = sceneEntityManager;
+    }
+    
+    /**
+     * Check whether a recording or replay is running
+     * @returns {boolean} True if recording or replaying
+     */
+    isActive() {
+        return this.mode !== 'idle';
+    }
+    
+    /**
+     * Check whether a replay has control of the game
+     * @returns {boolean} True while replaying
+     */
+    isReplaying() {
+        return this.mode === 'replaying';
+    }
+    
+    /**
+     * Start or stop recording
+     */
+    toggleRecording() {
+        if (this.mode === 'recording') {
+            this.stopRecording();
+        } else if (this.mode === 'idle') {
+            this.startRecording();
+        }
+    }
+    
+    /**
+     * Start recording input from the current state of the lair
+     */
+    startRecording() {
+        if (this.isActive()) return;
+        
+        const player = this.game.player;
+        const start = this.saveManager.getState();
+        if (player) {
+            start.player = {
+                x: player.x,
+                y: player.y,
+                direction: player.lastDirection,
+                emitters: this.getEmitters(player).map(emitter => emitter.getSnapshot())
+            };
+        }
+        start.entities = this.captureEntityStates();
+        
+        this.recording = {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            deltaTime: FIXED_TIMESTEP,
+            seed: Math.floor(Math.random() * 0xFFFFFFFF),
+            steps: 0,
+            start,
+            events: []
+        };
+        
+        this.begin('recording');
+        
+        window.addEventListener('keydown', this.handleRecordedEvent, true);
+        window.addEventListener('keyup', this.handleRecordedEvent, true);
+        window.addEventListener('click', this.handleRecordedEvent, true);
+        
+        info('InputRecorder: Recording started (K to stop)');
+    }
+    
+    /**
+     * Stop recording and download the recording
+     * @returns {Object|null} The finished recording
+     */
+    stopRecording() {
+        if (this.mode !== 'recording') return null;
+        
+        window.removeEventListener('keydown', this.handleRecordedEvent, true);
+        window.removeEventListener('keyup', this.handleRecordedEvent, true);
+        window.removeEventListener('click', this.handleRecordedEvent, true);
+        
+        const recording = this.recording;
+        recording.steps = this.step;
+        this.end();
+        
+        this.download(recording);
+        info(`InputRecorder: Recorded ${recording.steps} steps, ${recording.events.length} events`);
+        return recording;
+    }
+    
+    /**
+     * Record a keyboard event or canvas click
+     * Listens in the capture phase on window so it sees events before any handler can stop them
+     * @param {Event} event - DOM event
+     */
+    handleRecordedEvent(event) {
+        if (!event.isTrusted) return;
+        
+        const entry = {
+            step: this.step,
+            time: Math.round(performance.now() - this.startTime),
+            type: event.type
+        };
+        
+        if (event.type === 'click') {
+            if (event.target !== this.canvas || event.button !== 0) return;
+            entry.clientX = event.clientX;
+            entry.clientY = event.clientY;
+            entry.button = event.button;
+        } else {
+            if (RECORDER_KEYS.includes(event.key)) return;
+            KEY_EVENT_PROPERTIES.forEach(property => {
+                entry[property] = event[property];
+            });
+        }
+        
+        this.recording.events.push(entry);
+    }
+    
+    /**
+     * Record the gamepad state if it changed since the last step
+     */
+    recordGamepad() {
+        const gamepad = input.gamepad;
+        const state = {
+            connected: gamepad.connected,
+            stick: { ...gamepad.stick },
+            buttons: { ...gamepad.buttons }
+        };
+        
+        const serialized = JSON.stringify(state);
+        if (serialized === this.lastGamepadState) return;
+        this.lastGamepadState = serialized;
+        
+        this.recording.events.push({
+            step: this.step,
+            time: Math.round(performance.now() - this.startTime),
+            type: 'gamepad',
+            ...state
+        });
+    }
+    
+    /**
+     * Load a recording from a file chosen by the user and replay it
+     */
+    promptReplay() {
+        if (this.isActive()) return;
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.replay(JSON.parse(text)))
+                .catch(err => warn('InputRecorder: Could not load recording', err));
+        });
+        fileInput.click();
+    }
+    
+    /**
+     * Replay a recording from its starting state
+     * @param {Object} recording - Recording made by stopRecording()
+     * @returns {boolean} True if the replay is starting
+     */
+    replay(recording) {
+        if (this.isActive()) return false;
+        
+        if (!recording || !Array.isArray(recording.events) || !recording.start) {
+            warn('InputRecorder: Not a recording');
+            return false;
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            warn(`InputRecorder: Recording is version ${recording.version}, expected ${RECORDING_VERSION}`);
+            return false;
+        }
+        if (recording.deltaTime && Math.abs(recording.deltaTime - FIXED_TIMESTEP) > 1e-9) {
+            warn(`InputRecorder: Recording used ${recording.deltaTime}s steps but the game runs ${FIXED_TIMESTEP}s steps, so the replay may differ`);
+        }
+        
+        // Put everything back where it was when recording started, then wait for the
+        // room's entities in case the recording started in a room that hasn't loaded yet
+        this.mode = 'loading';
+        this.saveManager.restore(recording.start);
+        
+        const roomReady = this.sceneEntityManager
+            ? this.sceneEntityManager.activateScene(recording.start.sceneId)
+            : Promise.resolve([]);
+        
+        roomReady
+            .then(() => this.startReplay(recording))
+            .catch(err => {
+                warn('InputRecorder: Could not start replay', err);
+                this.mode = 'idle';
+            });
+        
+        return true;
+    }
+    
+    /**
+     * Start a replay once its room is in place
+     * @param {Object} recording - Recording to replay
+     */
+    startReplay(recording) {
+        if (this.mode !== 'loading') return;
+        
+        this.recording = recording;
+        
+        const start = recording.start;
+        const player = this.game.player;
+        if (player) {
+            if (start.player && Number.isFinite(start.player.x) && Number.isFinite(start.player.y)) {
+                player.x = start.player.x;
+                player.y = start.player.y;
+            }
+            player.velocityX = 0;
+            player.velocityY = 0;
+            player.z = 0;
+            player.velocityZ = 0;
+            player.isJumping = false;
+            if (start.player && start.player.direction) {
+                player.lastDirection = start.player.direction;
+            }
+            if (start.player) {
+                this.restoreEmitters(player, start.player.emitters);
+            }
+        }
+        this.restoreEntityStates(start.entities);
+        
+        this.begin('replaying');
+        this.paused = false;
+        this.stepRequested = false;
+        input.playback = true;
+        
+        BLOCKED_EVENTS.forEach(type => window.addEventListener(type, this.handleReplayBlock, true));
+        this.createHud();
+        
+        info(`InputRecorder: Replaying ${recording.steps} steps recorded ${recording.recordedAt}`);
+    }
+    
+    /**
+     * Get the entities in the active room, in the order the room created them
+     * @returns {Array} Room entities (empty before the room layout system is ready)
+     */
+    getRoomEntities() {
+        if (!this.sceneEntityManager) return [];
+        return this.sceneEntityManager.getEntitiesForScene(this.sceneEntityManager.activeSceneId);
+    }
+    
+    /**
+     * Get an entity's particle emitters, including one it keeps and draws itself (portals)
+     * @param {Entity} entity - Entity
+     * @returns {Array<ParticleEmitter>} The entity's emitters
+     */
+    getEmitters(entity) {
+        const emitters = particleSystem.getEmitters(entity);
+        return entity.particleEmitter instanceof ParticleEmitter
+            ? [...emitters, entity.particleEmitter]
+            : emitters;
+    }
+    
+    /**
+     * Capture the state of the active room's NPCs and particle emitters
+     * @returns {Array<Object>} States keyed by the entity's index in the room
+     */
+    captureEntityStates() {
+        return this.getRoomEntities().map((entity, index) => {
+            const state = { index };
+            if (typeof entity.getSnapshot === 'function') {
+                state.snapshot = entity.getSnapshot();
+            }
+            
+            const emitters = this.getEmitters(entity);
+            if (emitters.length > 0) {
+                state.emitters = emitters.map(emitter => emitter.getSnapshot());
+            }
+            
+            return state.snapshot || state.emitters ? state : null;
+        }).filter(Boolean);
+    }
+    
+    /**
+     * Put the active room's NPCs and particle emitters back into a recorded state
+     * @param {Array<Object>} [states] - States from captureEntityStates()
+     */
+    restoreEntityStates(states) {
+        const entities = this.getRoomEntities();
+        
+        (states || []).forEach(state => {
+            const entity = entities[state.index];
+            if (!entity) {
+                warn(`InputRecorder: Room has no entity ${state.index} to restore, the replay may differ`);
+                return;
+            }
+            
+            if (state.snapshot && typeof entity.restoreSnapshot === 'function') {
+                entity.restoreSnapshot(state.snapshot);
+            }
+            this.restoreEmitters(entity, state.emitters);
+        });
+    }
+    
+    /**
+     * Put an entity's particle emitters back into a recorded state
+     * @param {Entity} entity - Entity
+     * @param {Array<Object>} [snapshots] - Emitter snapshots, in getEmitters() order
+     */
+    restoreEmitters(entity, snapshots) {
+        if (!snapshots) return;
+        
+        const emitters = this.getEmitters(entity);
+        snapshots.forEach((snapshot, index) => {
+            if (emitters[index]) {
+                emitters[index].restoreSnapshot(snapshot);
+            }
+        });
+    }
+    
+    /**
+     * Stop a replay and hand control back to the player
+     */
+    stopReplay() {
+        if (this.mode !== 'replaying') return;
+        
+        BLOCKED_EVENTS.forEach(type => window.removeEventListener(type, this.handleReplayBlock, true));
+        input.playback = false;
+        this.removeHud();
+        this.end();
+        
+        info('InputRecorder: Replay stopped');
+    }
+    
+    /**
+     * Keep the real keyboard and mouse out of a replay, except for the replay controls
+     * @param {Event} event - DOM event
+     */
+    handleReplayBlock(event) {
+        if (!event.isTrusted) return;
+        if (this.hud && this.hud.contains(event.target)) return;
+        
+        event.stopImmediatePropagation();
+        event.preventDefault();
+        
+        if (event.type !== 'keydown' || event.repeat) return;
+        
+        if (event.key === ' ') {
+            this.togglePause();
+        } else if (event.key === '.') {
+            this.requestStep();
+        } else if (event.key === 'Escape') {
+            this.stopReplay();
+        }
+    }
+    
+    /**
+     * Pause or resume the replay
+     */
+    togglePause() {
+        this.paused = !this.paused;
+        this.stepRequested = false;
+        this.updateHud();
+    }
+    
+    /**
+     * Check whether a replay is paused
+     * @returns {boolean} True while a replay is paused
+     */
+    isPaused() {
+        return this.mode === 'replaying' && this.paused;
+    }
+    
+    /**
+     * Advance a paused replay by one simulation step
+     */
+    requestStep() {
+        if (!this.paused) return;
+        this.stepRequested = true;
+    }
+    
+    /**
+     * Start a simulation step - call before each fixed step the game loop runs
+     * Replays the events due this step, or records the gamepad state
+     * @returns {boolean} False if the game should hold the simulation (replay paused)
+     */
+    beginStep() {
+        if (this.mode === 'recording') {
+            this.recordGamepad();
+            this.step++;
+            this.updateHud();
+            return true;
+        }
+        
+        if (this.mode !== 'replaying') return true;
+        
+        if (this.step >= this.recording.steps) {
+            info(`InputRecorder: Replay finished after ${this.step} steps`);
+            this.stopReplay();
+            return true;
+        }
+        
+        if (this.paused) {
+            if (!this.stepRequested) return false;
+            this.stepRequested = false;
+        }
+        
+        const events = this.recording.events;
+        while (this.eventIndex < events.length && events[this.eventIndex].step <= this.step) {
+            this.dispatch(events[this.eventIndex]);
+            this.eventIndex++;
+        }
+        
+        this.step++;
+        this.updateHud();
+        return true;
+    }
+    
+    /**
+     * Feed a recorded event back into the game
+     * @param {Object} entry - Recorded event
+     */
+    dispatch(entry) {
+        if (entry.type === 'gamepad') {
+            input.gamepad.connected = entry.connected;
+            input.gamepad.stick = { ...entry.stick };
+            input.setGamepadButtons(entry.buttons || {});
+            return;
+        }
+        
+        if (entry.type === 'click') {
+            this.canvas.dispatchEvent(new MouseEvent('click', {
+                bubbles: true,
+                cancelable: true,
+                clientX: entry.clientX,
+                clientY: entry.clientY,
+                button: entry.button
+            }));
+            return;
+        }
+        
+        const init = { bubbles: true, cancelable: true };
+        KEY_EVENT_PROPERTIES.forEach(property => {
+            init[property] = entry[property];
+        });
+        document.body.dispatchEvent(new KeyboardEvent(entry.type, init));
+    }
+    
+    /**
+     * Common setup for recording and replay
+     * @param {string} mode - 'recording' or 'replaying'
+     */
+    begin(mode) {
+        this.mode = mode;
+        this.step = 0;
+        this.eventIndex = 0;
+        this.startTime = performance.now();
+        this.lastGamepadState = null;
+        
+        // Held keys from before the recording shouldn't leak into it
+        input.reset();
+        
+        this.originalRandom = Math.random;
+        Math.random = createSeededRandom(this.recording.seed);
+        
+        if (mode === 'recording') {
+            this.createHud();
+        }
+    }
+    
+    /**
+     * Common teardown for recording and replay
+     */
+    end() {
+        if (this.originalRandom) {
+            Math.random = this.originalRandom;
+            this.originalRandom = null;
+        }
+        
+        this.removeHud();
+        input.reset();
+        this.mode = 'idle';
+        this.recording = null;
+        this.paused = false;
+    }
+    
+    /**
+     * Download a recording as a JSON file
+     * @param {Object} recording - Recording to download
+     */
+    download(recording) {
+        const json = JSON.stringify(recording, null, 4) + '\n';
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `input-recording-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Build the HUD showing the recording or replay step
+     */
+    createHud() {
+        if (this.hud) return;
+        
+        const hud = document.createElement('div');
+        hud.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            background-color: rgba(0, 0, 0, 0.85);
+            border: 2px solid #ff4466;
+            box-shadow: 0 0 10px rgba(255, 68, 102, 0.6);
+            padding: 6px 12px;
+            color: white;
+            font-family: monospace;
+            font-size: 12px;
+            z-index: 900;
+        `;
+        
+        const label = document.createElement('span');
+        hud.appendChild(label);
+        
+        const controls = { label };
+        if (this.mode === 'replaying') {
+            hud.style.borderColor = '#00ffcc';
+            hud.style.boxShadow = '0 0 10px rgba(0, 255, 204, 0.6)';
+            
+            controls.pauseButton = this.createButton('Pause', () => this.togglePause());
+            controls.stepButton = this.createButton('Step', () => this.requestStep());
+            hud.appendChild(controls.pauseButton);
+            hud.appendChild(controls.stepButton);
+            hud.appendChild(this.createButton('Stop', () => this.stopReplay()));
+        }
+        
+        document.body.appendChild(hud);
+        this.hud = hud;
+        this.hudControls = controls;
+        this.updateHud();
+    }
+    
+    /**
+     * Create a HUD button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            padding: 2px 8px;
+            background-color: transparent;
+            border: 1px solid #00ffcc;
+            color: #00ffcc;
+            font-family: monospace;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Refresh the HUD for the current step
+     */
+    updateHud() {
+        if (!this.hud) return;
+        
+        const { label, pauseButton, stepButton } = this.hudControls;
+        if (this.mode === 'recording') {
+            label.textContent = `● REC step ${this.step}`;
+            return;
+        }
+        
+        label.textContent = `REPLAY step ${this.step} / ${this.recording.steps}${this.paused ? ' (paused)' : ''}`;
+        pauseButton.textContent = this.paused ? 'Resume' : 'Pause';
+        stepButton.disabled = !this.paused;
+    }
+    
+    /**
+     * Remove the HUD
+     */
+    removeHud() {
+        if (this.hud && this.hud.parentNode) {
+            this.hud.parentNode.removeChild(this.hud);
+        }
+        this.hud = null;
+        this.hudControls = null;
+    }
+}
+
+export { InputRecorder, createSeededRandom };
@@ -0,0 +1,207 @@
+/**
+ * Interaction Manager for AI Alchemist's Lair
+ * Single owner of "press Enter to interact" (or the gamepad A button): tracks interactable entities near the
+ * player, keeps one of them focused and dispatches interact() once per key press
+ *
+ * An entity is interactable when it has an interact() method. Optional members:
+ * - interactionDistance: range in grid units (defaults to DEFAULT_INTERACTION_DISTANCE)
+ * - interactionEnabled: set to false to opt out temporarily
+ * - isActive: true while the entity's own UI is open (e.g. the TV's video modal);
+ *   the entity keeps focus so the next press closes it
+ *
+ * The focused entity has hasInteractionFocus set to true and is the only one
+ * that should draw its interaction prompt.
+ */
+
+import { input } from './input.js';
+import { debug } from './utils.js';
+
+// Range used for interactables that don't define interactionDistance
+const DEFAULT_INTERACTION_DISTANCE = 3.0;
+
+// Keys that trigger an interaction
+const INTERACT_KEYS = ['Enter', 'NumpadEnter'];
+
+// Gamepad button that triggers an interaction
+const INTERACT_GAMEPAD_BUTTON = 'a';
+
+class InteractionManager {
+    /**
+     * Create a new interaction manager
+     * @param {Game} game - Game instance whose entities are checked for interactables
+     */
+    constructor(game) {
+        this.game = game;
+        
+        // Interactable currently targeted by the interact key
+        this.focusedEntity = null;
+        
+        // Interaction requested by something other than a key (e.g. the touch interact button)
+        this.interactionRequested = false;
+        
+        debug('InteractionManager: Initialized');
+    }
+    
+    /**
+     * Check whether an entity can currently be interacted with
+     * @param {Object} entity - Entity to check
+     * @returns {boolean} True if the entity is an enabled interactable
+     */
+    isInteractable(entity) {
+        return !!entity &&
+            entity !== this.game.player &&
+            typeof entity.interact === 'function' &&
+            entity.interactionEnabled !== false;
+    }
+    
+    /**
+     * Get an entity's interaction range
+     * @param {Object} entity - Interactable entity
+     * @returns {number} Interaction range in grid units
+     */
+    getInteractionDistance(entity) {
+        return typeof entity.interactionDistance === 'number'
+            ? entity.interactionDistance
+            : DEFAULT_INTERACTION_DISTANCE;
+    }
+    
+    /**
+     * Get the interactables within range of the player, nearest first
+     * @param {Entity} player - Player entity
+     * @returns {Array<{entity: Object, distance: number}>} Interactables in range
+     */
+    getInteractablesInRange(player) {
+        const inRange = [];
+        
+        this.game.entities.forEach(entity => {
+            if (!this.isInteractable(entity)) return;
+            
+            const dx = player.x - entity.x;
+            const dy = player.y - entity.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance <= this.getInteractionDistance(entity)) {
+                inRange.push({ entity, distance });
+            }
+        });
+        
+        return inRange.sort((a, b) => a.distance - b.distance);
+    }
+    
+    /**
+     * Pick the interactable that should have focus
+     * @param {Entity} player - Player entity
+     * @returns {Object|null} The entity to focus, or null if nothing is in range
+     */
+    findFocusTarget(player) {
+        // An entity with its own UI open keeps focus, even if the player has moved away
+        const focused = this.focusedEntity;
+        if (focused && focused.isActive === true && this.game.entities.includes(focused)) {
+            return focused;
+        }
+        
+        const inRange = this.getInteractablesInRange(player);
+        return inRange.length > 0 ? inRange[0].entity : null;
+    }
+    
+    /**
+     * Move focus to an entity
+     * @param {Object|null} entity - Entity to focus, or null to clear focus
+     */
+    setFocus(entity) {
+        if (entity === this.focusedEntity) return;
+        
+        if (this.focusedEntity) {
+            this.focusedEntity.hasInteractionFocus = false;
+        }
+        
+        this.focusedEntity = entity;
+        
+        if (entity) {
+            entity.hasInteractionFocus = true;
+            debug(`InteractionManager: Focus moved to ${entity.constructor.name}`);
+        }
+    }
+    
+    /**
+     * Consume any pending press of the interact keys or gamepad button
+     * @returns {boolean} True if an interact key was pressed since the last update
+     */
+    consumeInteractPress() {
+        // Consume every key so pressing both counts once and neither press lingers
+        let pressed = false;
+        INTERACT_KEYS.forEach(key => {
+            if (input.consumeKeyPress(key)) {
+                pressed = true;
+            }
+        });
+        if (input.consumeGamepadButtonPress(INTERACT_GAMEPAD_BUTTON)) {
+            pressed = true;
+        }
+        if (this.interactionRequested) {
+            this.interactionRequested = false;
+            pressed = true;
+        }
+        return pressed;
+    }
+    
+    /**
+     * Request an interaction with the focused entity on the next update
+     * Lets non-keyboard controls act like a press of the interact key
+     */
+    requestInteraction() {
+        this.interactionRequested = true;
+    }
+    
+    /**
+     * Update focus and dispatch interactions - called once per frame
+     * @param {Entity} player - Player entity
+     */
+    update(player) {
+        // Presses are consumed every frame so one made with nothing in range isn't replayed later
+        const pressed = this.consumeInteractPress();
+        
+        if (!player) {
+            this.setFocus(null);
+            return;
+        }
+        
+        this.setFocus(this.findFocusTarget(player));
+        
+        // Menus that take over input (e.g. the arcade game selection) handle their own keys
+        if (pressed && this.focusedEntity && !this.game.isInteractionActive()) {
+            this.dispatch(this.focusedEntity);
+        }
+    }
+    
+    /**
+     * Call an entity's interact() method
+     * @param {Object} entity - Entity to interact with
+     */
+    dispatch(entity) {
+        debug(`InteractionManager: Interacting with ${entity.constructor.name}`);
+        
+        try {
+            entity.interact();
+        } catch (err) {
+            console.error(`InteractionManager: Error interacting with ${entity.constructor.name}`, err);
+        }
+        
+        // Let other systems (e.g. the save manager's visited items) know about the interaction
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('entityInteracted', {
+                detail: { entity }
+            }));
+        }
+    }
+    
+    /**
+     * Get the currently focused interactable
+     * @returns {Object|null} Focused entity or null
+     */
+    getFocusedEntity() {
+        return this.focusedEntity;
+    }
+}
+
+export { InteractionManager, DEFAULT_INTERACTION_DISTANCE };
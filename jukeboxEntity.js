@@ -6,8 +6,21 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
-import { input } from './input.js';
 import { getAssetPath } from './pathResolver.js';
+import overlayManager from './overlayManager.js';
+import audioManager from './audioManager.js';
+
+// Local music is at full volume within this many grid units of the jukebox...
+const FULL_VOLUME_DISTANCE = 2;
+
+// ...and fades out to silence at this distance
+const SILENT_DISTANCE = 12;
+
+// Sideways (isometric screen) offset in grid units at which music pans fully to one speaker
+const FULL_PAN_OFFSET = 6;
+
+// Time constant (seconds) for volume and pan changes, so movement doesn't cause clicks
+const POSITIONAL_SMOOTHING = 0.1;
 
 class JukeboxEntity extends Entity {
     /**
@@ -17,8 +30,10 @@ class JukeboxEntity extends Entity {
      * @param {number} width - Width in grid units
      * @param {number} height - Height in grid units
      * @param {string} jukeboxKey - Key for the jukebox asset in the asset loader
+     * @param {Object} options - Additional options
+     * @param {Array} [options.tracks] - Local music tracks, as paths or {src, title}; without any the SoundCloud player is used
      */
-    constructor(x, y, width = 1.5, height = 1.5, jukeboxKey = 'jukebox1') {
+    constructor(x, y, width = 1.5, height = 1.5, jukeboxKey = 'jukebox1', options = {}) {
         super(x, y, width, height);
         
         console.log(`JukeboxEntity: Creating new jukebox at (${x}, ${y}) with key ${jukeboxKey}`);
@@ -50,20 +65,23 @@ class JukeboxEntity extends Entity {
         this.interactionDistance = 4;   // Distance within which player can interact with jukebox
         this.isPlayerNearby = false;      // Tracks if player is close enough to interact
         this.isActive = false;            // Tracks if music player is currently active
-        this.wasEnterPressed = false;     // Tracks enter key state to detect press
-        this.soundCloudPlayer = null;     // Will hold the soundcloud player element
+        this.hasInteractionFocus = false; // Set by the InteractionManager while this is the interaction target
+        this.soundCloudPlayer = null;     // Will hold the soundcloud player panel
+        this.playerOverlay = null;        // Overlay showing the player while it is open
         this.interactionPromptAlpha = 0;  // Transparency for interaction prompt
         
-        // Add a direct Enter key event listener
-        this.handleKeyDown = (event) => {
-            if (event.key === 'Enter' && this.isPlayerNearby && !this.isActive) {
-                console.log('JukeboxEntity: Direct Enter key event detected - toggling jukebox');
-                this.toggleJukebox();
-            }
-        };
-        
-        // Register the event listener
-        document.addEventListener('keydown', this.handleKeyDown);
+        // Local audio mode - the jukebox is a positional sound source in the room
+        this.tracks = (options.tracks || []).map(track => typeof track === 'string'
+            ? { src: track, title: track.split('/').pop().replace(/\.[^.]+$/, '') }
+            : track
+        );
+        this.currentTrackIndex = 0;
+        this.audioElement = null;         // Media element streaming the current track
+        this.positionalGain = null;       // Distance-based volume
+        this.stereoPanner = null;         // Left/right pan from the player's point of view
+        this.localPanel = null;           // Player panel for local tracks
+        this.localPanelControls = null;   // Track label and play button inside the panel
+        this.handleSceneChanged = this.handleSceneChanged.bind(this);
         
         // Debug console log about jukebox placement
         console.log(`JukeboxEntity: Final adjusted position: (${this.x}, ${this.y})`);
@@ -319,8 +337,8 @@ class JukeboxEntity extends Entity {
                 console.log(`JukeboxEntity: Player proximity changed to ${this.isPlayerNearby ? 'NEARBY' : 'FAR'} (distance: ${distance.toFixed(2)})`);
             }
             
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
+            // Handle interaction prompt fade - only the focused interactable shows its prompt
+            if (this.hasInteractionFocus) {
                 // Only show prompt if jukebox is inactive
                 if (!this.isActive) {
                     // Fade in prompt
@@ -334,287 +352,480 @@ class JukeboxEntity extends Entity {
                 this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
             }
             
-            // Check for Enter key press - only toggle when player is nearby and Enter is newly pressed
-            // We check Input.keys.Enter directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            // Only detect a new press (not holding)
-            if (isEnterPressed && !this.wasEnterPressed && this.isPlayerNearby && !this.isActive) {
-                console.log('JukeboxEntity: Enter key newly pressed, toggling jukebox ON');
-                this.toggleJukebox();
-            } 
-            // Handle closing with Enter if already active
-            else if (isEnterPressed && !this.wasEnterPressed && this.isActive) {
-                console.log('JukeboxEntity: Enter key newly pressed while active, toggling jukebox OFF');
-                this.toggleJukebox();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
+            // Local music follows the player around the room
+            this.updatePositionalAudio(player);
         }
     }
     
+    /**
+     * Handle jukebox interaction - opens the music player, or closes it if already open
+     * Called by the InteractionManager, which keeps focus on the jukebox while the player is open
+     */
+    interact() {
+        this.toggleJukebox();
+    }
+    
     /**
      * Toggle the jukebox player on/off
      */
     toggleJukebox() {
-        this.isActive = !this.isActive;
-        
-        console.log(`JukeboxEntity: Toggling jukebox state to ${this.isActive ? 'ACTIVE' : 'INACTIVE'}`);
+        console.log(`JukeboxEntity: Toggling jukebox state to ${this.isActive ? 'INACTIVE' : 'ACTIVE'}`);
         
         if (this.isActive) {
-            this.showSoundCloudPlayer();
-            
-            // Temporarily disable the direct Enter key event listener while player is active
-            // This prevents it from immediately closing due to key repeat
-            document.removeEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
+            this.hidePlayer();
+        } else if (this.hasLocalTracks()) {
+            this.showLocalPlayer();
         } else {
-            this.hideSoundCloudPlayer();
-            
-            // Re-enable the direct Enter key event listener after player is closed
-            document.addEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
+            this.showSoundCloudPlayer();
         }
     }
     
+    /**
+     * Check whether the jukebox has local tracks to play
+     * @returns {boolean} True if local audio mode is available
+     */
+    hasLocalTracks() {
+        return this.tracks.length > 0;
+    }
+    
     /**
      * Create and show the SoundCloud player
+     * The panel is built once and reused; the overlay manager handles the backdrop,
+     * Escape/back closing, fading and pausing the game
      */
     showSoundCloudPlayer() {
         console.log('JukeboxEntity: Showing SoundCloud player');
         
-        // Create container if it doesn't exist
+        // Create the panel if it doesn't exist
         if (!this.soundCloudPlayer) {
             console.log('JukeboxEntity: Creating SoundCloud player container');
+            this.soundCloudPlayer = this.createSoundCloudPanel();
+        }
+        
+        this.playerOverlay = overlayManager.open({
+            id: 'soundCloudPlayerModal',
+            content: this.soundCloudPlayer,
+            backdrop: 'rgba(0, 0, 0, 0.4)',
+            onClose: () => {
+                this.isActive = false;
+                this.playerOverlay = null;
+            }
+        });
+        this.isActive = !!this.playerOverlay;
+    }
+    
+    /**
+     * Build the SoundCloud player panel
+     * @returns {HTMLElement} The panel element
+     */
+    createSoundCloudPanel() {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            width: 80%;
+            max-width: 800px;
+            height: 400px;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 4px solid #ff00a5;
+            box-shadow: 0 0 20px #ff00a5, inset 0 0 10px #ff00a5;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+            padding: 20px;
+            color: white;
+            font-family: monospace;
+        `;
+        
+        // Create a header with title and close button
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 15px;
+            padding-bottom: 10px;
+            border-bottom: 2px solid #ff00a5;
+        `;
+        
+        // Add title
+        const title = document.createElement('h2');
+        title.textContent = 'AI Alchemist\'s Jukebox';
+        title.style.cssText = `
+            margin: 0;
+            color: #ff00a5;
+            text-shadow: 0 0 5px #ff00a5;
+        `;
+        header.appendChild(title);
+        
+        // Add close button - the overlay manager closes the player when it is clicked
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'X';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.setAttribute('data-overlay-close', '');
+        closeButton.style.cssText = `
+            background-color: transparent;
+            border: 2px solid #ff00a5;
+            color: #ff00a5;
+            font-weight: bold;
+            font-size: 18px;
+            width: 40px;
+            height: 40px;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: all 0.3s ease;
+            box-shadow: 0 0 10px rgba(255, 0, 165, 0.5);
+        `;
+        
+        // Close button hover effect
+        closeButton.onmouseover = () => {
+            closeButton.style.backgroundColor = 'rgba(255, 0, 165, 0.2)';
+        };
+        closeButton.onmouseout = () => {
+            closeButton.style.backgroundColor = 'transparent';
+        };
+        
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+        
+        // Create player container
+        const playerContainer = document.createElement('div');
+        playerContainer.style.cssText = `
+            flex: 1;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+        `;
+        
+        // Add SoundCloud iframe
+        const iframe = document.createElement('iframe');
+        iframe.width = '100%';
+        iframe.height = '100%';
+        iframe.frameBorder = 'no';
+        iframe.allow = 'autoplay';
+        iframe.src = 'https://w.soundcloud.com/player/?url=https%3A//api.soundcloud.com/playlists/1886380535&color=%23ff00a5&auto_play=false&hide_related=false&show_comments=true&show_user=true&show_reposts=false&show_teaser=true&visual=true';
+        playerContainer.appendChild(iframe);
+        
+        // Add attribution div
+        const attribution = document.createElement('div');
+        attribution.style.cssText = `
+            font-size: 10px;
+            color: #cccccc;
+            line-break: anywhere;
+            word-break: normal;
+            overflow: hidden;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+            font-family: Interstate,Lucida Grande,Lucida Sans Unicode,Lucida Sans,Garuda,Verdana,Tahoma,sans-serif;
+            font-weight: 100;
+            margin-top: 5px;
+            text-align: center;
+        `;
+        attribution.innerHTML = '<a href="https://soundcloud.com/vanitas_euphony" title="Vanitas" target="_blank" style="color: #cccccc; text-decoration: none;">Vanitas</a> · <a href="https://soundcloud.com/vanitas_euphony/sets/vanitas-essential-tracks" title="Vanitas Essential Tracks" target="_blank" style="color: #cccccc; text-decoration: none;">Vanitas Essential Tracks</a>';
+        playerContainer.appendChild(attribution);
+        
+        // Add instruction text
+        const instructions = document.createElement('p');
+        instructions.textContent = 'Press ESC key or click X to close the player';
+        instructions.style.cssText = `
+            color: rgba(255, 0, 165, 0.8);
+            margin-top: 15px;
+            text-align: center;
+            font-size: 12px;
+        `;
+        playerContainer.appendChild(instructions);
+        
+        panel.appendChild(playerContainer);
+        
+        return panel;
+    }
+    
+    /**
+     * Hide the open player panel (SoundCloud or local)
+     * Local music keeps playing after the panel closes
+     */
+    hidePlayer() {
+        console.log('JukeboxEntity: Hiding player');
+        
+        if (this.playerOverlay) {
+            this.playerOverlay.close();
+        }
+    }
+    
+    /**
+     * Show the local music player, starting the music on first use
+     */
+    showLocalPlayer() {
+        console.log('JukeboxEntity: Showing local player');
+        
+        if (!this.localPanel) {
+            this.localPanel = this.createLocalPanel();
+        }
+        
+        // Opening the jukebox for the first time starts the music
+        if (!this.audioElement) {
+            this.playTrack(this.currentTrackIndex);
+        }
+        this.updateLocalPanel();
+        
+        this.playerOverlay = overlayManager.open({
+            id: 'jukeboxLocalPlayerModal',
+            content: this.localPanel,
+            backdrop: 'rgba(0, 0, 0, 0.4)',
+            onClose: () => {
+                this.isActive = false;
+                this.playerOverlay = null;
+            }
+        });
+        this.isActive = !!this.playerOverlay;
+    }
+    
+    /**
+     * Build the local music player panel
+     * @returns {HTMLElement} The panel element
+     */
+    createLocalPanel() {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            width: 80%;
+            max-width: 480px;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 4px solid #ff00a5;
+            box-shadow: 0 0 20px #ff00a5, inset 0 0 10px #ff00a5;
+            padding: 20px;
+            color: white;
+            font-family: monospace;
+            text-align: center;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'AI Alchemist\'s Jukebox';
+        title.style.cssText = `
+            margin: 0 0 15px 0;
+            color: #ff00a5;
+            text-shadow: 0 0 5px #ff00a5;
+        `;
+        panel.appendChild(title);
+        
+        // Current track name
+        const nowPlaying = document.createElement('p');
+        nowPlaying.style.cssText = 'margin: 0 0 20px 0; font-size: 16px;';
+        panel.appendChild(nowPlaying);
+        
+        const buttonStyle = `
+            background-color: transparent;
+            border: 2px solid #ff00a5;
+            color: #ff00a5;
+            font-family: monospace;
+            font-weight: bold;
+            font-size: 14px;
+            padding: 8px 16px;
+            margin: 0 5px;
+            cursor: pointer;
+            box-shadow: 0 0 10px rgba(255, 0, 165, 0.5);
+        `;
+        
+        const playButton = document.createElement('button');
+        playButton.style.cssText = buttonStyle;
+        playButton.addEventListener('click', () => this.togglePlayback());
+        
+        const nextButton = document.createElement('button');
+        nextButton.textContent = 'NEXT';
+        nextButton.style.cssText = buttonStyle;
+        nextButton.addEventListener('click', () => this.playTrack(this.currentTrackIndex + 1));
+        
+        // The overlay manager closes the player when this is clicked
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'CLOSE';
+        closeButton.setAttribute('data-overlay-close', '');
+        closeButton.style.cssText = buttonStyle;
+        
+        panel.appendChild(playButton);
+        panel.appendChild(nextButton);
+        panel.appendChild(closeButton);
+        
+        const instructions = document.createElement('p');
+        instructions.textContent = 'The music plays from the jukebox - walk away and it fades';
+        instructions.style.cssText = `
+            color: rgba(255, 0, 165, 0.8);
+            margin: 20px 0 0 0;
+            font-size: 12px;
+        `;
+        panel.appendChild(instructions);
+        
+        // Keep references so the labels can be refreshed
+        this.localPanelControls = { nowPlaying, playButton };
+        
+        return panel;
+    }
+    
+    /**
+     * Refresh the local player panel's track name and play/pause label
+     */
+    updateLocalPanel() {
+        if (!this.localPanelControls) return;
+        
+        const track = this.tracks[this.currentTrackIndex];
+        const playing = this.audioElement && !this.audioElement.paused;
+        this.localPanelControls.nowPlaying.textContent = track ? `♪ ${track.title || track.src}` : '';
+        this.localPanelControls.playButton.textContent = playing ? 'PAUSE' : 'PLAY';
+    }
+    
+    /**
+     * Create the media element and route it through the positional audio chain:
+     * element -> distance gain -> stereo pan -> music bus
+     */
+    createLocalAudio() {
+        this.audioElement = new Audio();
+        this.audioElement.preload = 'auto';
+        
+        // Carry on through the playlist, wrapping round at the end
+        this.audioElement.addEventListener('ended', () => this.playTrack(this.currentTrackIndex + 1));
+        this.audioElement.addEventListener('play', () => this.updateLocalPanel());
+        this.audioElement.addEventListener('pause', () => this.updateLocalPanel());
+        
+        // Silence the music in other rooms (removed again in cleanup())
+        window.addEventListener('sceneChanged', this.handleSceneChanged);
+        
+        const musicBus = audioManager.getBus('music');
+        if (!musicBus) {
+            // No Web Audio - positional volume falls back to the element volume, without panning
+            debug('JukeboxEntity: Web Audio unavailable, local music will not be panned');
+            return;
+        }
+        
+        try {
+            const context = audioManager.getContext();
+            const source = context.createMediaElementSource(this.audioElement);
+            this.positionalGain = context.createGain();
+            source.connect(this.positionalGain);
             
-            // Create container for the SoundCloud player
-            this.soundCloudPlayer = document.createElement('div');
-            this.soundCloudPlayer.id = 'soundCloudPlayerModal';
-            this.soundCloudPlayer.style.cssText = `
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                width: 80%;
-                max-width: 800px;
-                height: 400px;
-                background-color: rgba(0, 0, 0, 0.9);
-                border: 4px solid #ff00a5;
-                box-shadow: 0 0 20px #ff00a5, inset 0 0 10px #ff00a5;
-                z-index: 1000;
-                display: flex;
-                flex-direction: column;
-                opacity: 0;
-                transition: opacity 0.3s ease;
-                overflow: hidden;
-                padding: 20px;
-                color: white;
-                font-family: monospace;
-            `;
-            
-            // Create a header with title and close button
-            const header = document.createElement('div');
-            header.style.cssText = `
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                margin-bottom: 15px;
-                padding-bottom: 10px;
-                border-bottom: 2px solid #ff00a5;
-            `;
-            
-            // Add title
-            const title = document.createElement('h2');
-            title.textContent = 'AI Alchemist\'s Jukebox';
-            title.style.cssText = `
-                margin: 0;
-                color: #ff00a5;
-                text-shadow: 0 0 5px #ff00a5;
-            `;
-            header.appendChild(title);
-            
-            // Add close button
-            const closeButton = document.createElement('button');
-            closeButton.textContent = 'X';
-            closeButton.style.cssText = `
-                background-color: transparent;
-                border: 2px solid #ff00a5;
-                color: #ff00a5;
-                font-weight: bold;
-                font-size: 18px;
-                width: 40px;
-                height: 40px;
-                cursor: pointer;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                transition: all 0.3s ease;
-                box-shadow: 0 0 10px rgba(255, 0, 165, 0.5);
-            `;
-            
-            // Close button hover effect
-            closeButton.onmouseover = () => {
-                closeButton.style.backgroundColor = 'rgba(255, 0, 165, 0.2)';
-            };
-            closeButton.onmouseout = () => {
-                closeButton.style.backgroundColor = 'transparent';
-            };
-            
-            // Close button click handler with specific callback function to prevent issues
-            this.closePlayerHandler = () => {
-                console.log('JukeboxEntity: Close button clicked, toggling player off');
-                this.toggleJukebox();
-            };
-            closeButton.addEventListener('click', this.closePlayerHandler);
-            
-            header.appendChild(closeButton);
-            this.soundCloudPlayer.appendChild(header);
-            
-            // Create player container
-            const playerContainer = document.createElement('div');
-            playerContainer.style.cssText = `
-                flex: 1;
-                width: 100%;
-                height: 100%;
-                display: flex;
-                flex-direction: column;
-                align-items: center;
-            `;
-            
-            // Add SoundCloud iframe
-            const iframe = document.createElement('iframe');
-            iframe.width = '100%';
-            iframe.height = '100%';
-            iframe.frameBorder = 'no';
-            iframe.allow = 'autoplay';
-            iframe.src = 'https://w.soundcloud.com/player/?url=https%3A//api.soundcloud.com/playlists/1886380535&color=%23ff00a5&auto_play=false&hide_related=false&show_comments=true&show_user=true&show_reposts=false&show_teaser=true&visual=true';
-            playerContainer.appendChild(iframe);
-            
-            // Add attribution div
-            const attribution = document.createElement('div');
-            attribution.style.cssText = `
-                font-size: 10px;
-                color: #cccccc;
-                line-break: anywhere;
-                word-break: normal;
-                overflow: hidden;
-                white-space: nowrap;
-                text-overflow: ellipsis;
-                font-family: Interstate,Lucida Grande,Lucida Sans Unicode,Lucida Sans,Garuda,Verdana,Tahoma,sans-serif;
-                font-weight: 100;
-                margin-top: 5px;
-                text-align: center;
-            `;
-            attribution.innerHTML = '<a href="https://soundcloud.com/vanitas_euphony" title="Vanitas" target="_blank" style="color: #cccccc; text-decoration: none;">Vanitas</a> · <a href="https://soundcloud.com/vanitas_euphony/sets/vanitas-essential-tracks" title="Vanitas Essential Tracks" target="_blank" style="color: #cccccc; text-decoration: none;">Vanitas Essential Tracks</a>';
-            playerContainer.appendChild(attribution);
-            
-            // Add instruction text
-            const instructions = document.createElement('p');
-            instructions.textContent = 'Press ESC key or click X to close the player';
-            instructions.style.cssText = `
-                color: rgba(255, 0, 165, 0.8);
-                margin-top: 15px;
-                text-align: center;
-                font-size: 12px;
-            `;
-            playerContainer.appendChild(instructions);
-            
-            this.soundCloudPlayer.appendChild(playerContainer);
-            
-            // Add to DOM
-            document.body.appendChild(this.soundCloudPlayer);
-            
-            // Setup keydown event to close with Escape key
-            this.keydownHandler = (event) => {
-                if (event.key === 'Escape') {
-                    this.toggleJukebox();
-                }
-            };
-            document.addEventListener('keydown', this.keydownHandler);
-            
-            // Prevent clicks on the player from propagating to game canvas
-            this.soundCloudPlayer.addEventListener('click', (event) => {
-                event.stopPropagation();
+            // StereoPannerNode is missing in some older browsers
+            if (typeof context.createStereoPanner === 'function') {
+                this.stereoPanner = context.createStereoPanner();
+                this.positionalGain.connect(this.stereoPanner);
+                this.stereoPanner.connect(musicBus);
+            } else {
+                this.positionalGain.connect(musicBus);
+            }
+        } catch (err) {
+            console.error('JukeboxEntity: Could not set up positional audio', err);
+            this.positionalGain = null;
+            this.stereoPanner = null;
+        }
+    }
+    
+    /**
+     * Play a track from the local playlist
+     * @param {number} index - Track index (wraps round the playlist)
+     */
+    playTrack(index) {
+        if (!this.hasLocalTracks()) return;
+        
+        if (!this.audioElement) {
+            this.createLocalAudio();
+        }
+        
+        this.currentTrackIndex = ((index % this.tracks.length) + this.tracks.length) % this.tracks.length;
+        const track = this.tracks[this.currentTrackIndex];
+        
+        this.audioElement.src = getAssetPath(track.src);
+        this.audioElement.play().catch(err => {
+            console.log(`JukeboxEntity: Could not play ${track.src}`, err);
+        });
+        
+        this.updateLocalPanel();
+        debug(`JukeboxEntity: Playing track ${this.currentTrackIndex + 1}/${this.tracks.length}: ${track.title || track.src}`);
+    }
+    
+    /**
+     * Pause or resume the local music
+     */
+    togglePlayback() {
+        if (!this.audioElement) {
+            this.playTrack(this.currentTrackIndex);
+            return;
+        }
+        
+        if (this.audioElement.paused) {
+            this.audioElement.play().catch(err => {
+                console.log('JukeboxEntity: Could not resume playback', err);
             });
-            
-            // Small delay to allow DOM to update before transitioning opacity
-            setTimeout(() => {
-                this.soundCloudPlayer.style.opacity = '1';
-            }, 50);
         } else {
-            // Just show existing player
-            document.body.appendChild(this.soundCloudPlayer);
-            
-            // Setup keydown event to close with Escape key
-            this.keydownHandler = (event) => {
-                if (event.key === 'Escape') {
-                    this.toggleJukebox();
-                }
-            };
-            document.addEventListener('keydown', this.keydownHandler);
-            
-            // Small delay to allow DOM to update before transitioning opacity
-            setTimeout(() => {
-                this.soundCloudPlayer.style.opacity = '1';
-            }, 50);
+            this.audioElement.pause();
         }
     }
     
     /**
-     * Hide the SoundCloud player
+     * Set the volume and stereo pan of the local music
+     * @param {number} volume - Distance volume from 0 to 1
+     * @param {number} pan - Stereo pan from -1 (left) to 1 (right)
      */
-    hideSoundCloudPlayer() {
-        console.log('JukeboxEntity: Hiding SoundCloud player');
-        
-        if (this.soundCloudPlayer) {
-            // Fade out
-            this.soundCloudPlayer.style.opacity = '0';
-            
-            // Clean up event listeners explicitly
-            if (this.keydownHandler) {
-                document.removeEventListener('keydown', this.keydownHandler);
-                this.keydownHandler = null;
+    setPositionalLevels(volume, pan) {
+        if (!this.audioElement) return;
+        
+        if (this.positionalGain) {
+            const now = this.positionalGain.context.currentTime;
+            this.positionalGain.gain.setTargetAtTime(volume, now, POSITIONAL_SMOOTHING);
+            if (this.stereoPanner) {
+                this.stereoPanner.pan.setTargetAtTime(pan, now, POSITIONAL_SMOOTHING);
             }
-            
-            // Remove after transition
-            setTimeout(() => {
-                // Remove from DOM but keep reference
-                if (this.soundCloudPlayer && this.soundCloudPlayer.parentNode) {
-                    this.soundCloudPlayer.parentNode.removeChild(this.soundCloudPlayer);
-                    console.log('JukeboxEntity: Player element removed from DOM');
-                }
-            }, 300);
+        } else {
+            this.audioElement.volume = volume;
         }
     }
     
+    /**
+     * Step back from the jukebox when changing rooms; update() turns it back up on return
+     */
+    handleSceneChanged() {
+        this.setPositionalLevels(0, 0);
+    }
+    
+    /**
+     * Make the local music louder as the player approaches and pan it towards the jukebox's side
+     * @param {Object} player - Player entity
+     */
+    updatePositionalAudio(player) {
+        if (!this.audioElement) return;
+        
+        // Offset from the player to the middle of the jukebox, in grid units
+        const dx = (this.x + this.width / 2) - player.x;
+        const dy = (this.y + this.height / 2) - player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Linear falloff between the full-volume and silent distances
+        const falloff = (distance - FULL_VOLUME_DISTANCE) / (SILENT_DISTANCE - FULL_VOLUME_DISTANCE);
+        const volume = 1 - Math.max(0, Math.min(1, falloff));
+        
+        // Isometric screen X grows with (x - y), so that is the jukebox's left/right offset on screen
+        const pan = Math.max(-1, Math.min(1, (dx - dy) / FULL_PAN_OFFSET));
+        
+        this.setPositionalLevels(volume, pan);
+    }
+    
     /**
      * Clean up event listeners when entity is removed
      * This prevents memory leaks
      */
     cleanup() {
         console.log('JukeboxEntity: Cleaning up event listeners');
-        // Remove the direct keydown event listener
-        document.removeEventListener('keydown', this.handleKeyDown);
         
         // Hide and remove player if active
         if (this.isActive) {
-            this.hideSoundCloudPlayer();
+            this.hidePlayer();
+        }
+        
+        // Stop local music
+        if (this.audioElement) {
+            this.audioElement.pause();
+            this.audioElement.removeAttribute('src');
+            this.audioElement.load();
         }
+        
+        window.removeEventListener('sceneChanged', this.handleSceneChanged);
     }
     
     /**
@@ -68,12 +68,13 @@ class JukeboxManager {
      * @param {number} x - Grid X position
      * @param {number} y - Grid Y position
      * @param {string} jukeboxKey - Key for the jukebox asset
+     * @param {Object} options - Jukebox options (e.g. local music tracks)
      */
-    addJukebox(x, y, jukeboxKey = 'jukebox1') {
+    addJukebox(x, y, jukeboxKey = 'jukebox1', options = {}) {
         debug(`JukeboxManager: Adding jukebox at (${x}, ${y}) with key ${jukeboxKey}`);
         
         // Create jukebox entity
-        const jukebox = new JukeboxEntity(x, y, 1.125, 1.875, jukeboxKey);
+        const jukebox = new JukeboxEntity(x, y, 1.125, 1.875, jukeboxKey, options);
         
         // Add to game
         if (this.game) {
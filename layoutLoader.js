@@ -0,0 +1,181 @@
+/**
+ * Layout Loader for AI Alchemist's Lair
+ * Loads per-scene room layout files (assets/layouts/<sceneId>.json) and
+ * instantiates their entities through the entity registry
+ *
+ * Layout file format:
+ * {
+ *     "version": 1,
+ *     "sceneId": "startRoom",
+ *     "entities": [
+ *         { "type": "trophy", "position": { "x": 18.5, "y": 8, "z": 0 }, "assetKey": "trophy1", "options": { ... } }
+ *     ]
+ * }
+ *
+ * Entries may also carry "display": { "scaleX", "scaleY", "groundingFactor" } to
+ * override how the entity's image is drawn (written by the level editor)
+ */
+
+import entityRegistry from './entityRegistry.js';
+import { getAssetPath } from './pathResolver.js';
+import { debug, warn } from './utils.js';
+
+// Current layout file format version
+const LAYOUT_VERSION = 1;
+
+// Folder holding one layout file per scene
+const LAYOUT_BASE_PATH = 'assets/layouts/';
+
+// Entity drawing properties a layout entry's "display" block may override
+const DISPLAY_PROPERTIES = ['scaleX', 'scaleY', 'groundingFactor'];
+
+class LayoutLoader {
+    /**
+     * Create a new layout loader
+     * @param {Game} game - Game instance the layout's entities belong to
+     * @param {EntityRegistry} registry - Registry used to create entities
+     */
+    constructor(game, registry = entityRegistry) {
+        this.game = game;
+        this.registry = registry;
+        
+        // Cache of loaded layout data keyed by scene ID
+        this.layouts = {};
+        
+        debug('LayoutLoader: Initialized');
+    }
+    
+    /**
+     * Get the path of the layout file for a scene
+     * @param {string} sceneId - Scene ID
+     * @returns {string} Resolved path to the layout file
+     */
+    getLayoutPath(sceneId) {
+        return getAssetPath(`${LAYOUT_BASE_PATH}${sceneId}.json`);
+    }
+    
+    /**
+     * Load the layout data for a scene
+     * @param {string} sceneId - Scene ID
+     * @returns {Promise<Object>} Promise that resolves with the validated layout
+     */
+    loadLayout(sceneId) {
+        if (this.layouts[sceneId]) {
+            return Promise.resolve(this.layouts[sceneId]);
+        }
+        
+        const path = this.getLayoutPath(sceneId);
+        debug(`LayoutLoader: Loading layout for ${sceneId} from ${path}`);
+        
+        return fetch(path)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const layout = this.validateLayout(data, sceneId);
+                this.layouts[sceneId] = layout;
+                return layout;
+            });
+    }
+    
+    /**
+     * Validate layout data, dropping malformed entries
+     * @param {Object} data - Raw layout data
+     * @param {string} sceneId - Scene ID the layout was requested for
+     * @returns {Object} The validated layout
+     */
+    validateLayout(data, sceneId) {
+        if (!data || !Array.isArray(data.entities)) {
+            throw new Error(`Layout for ${sceneId} has no entities array`);
+        }
+        
+        if (data.version !== LAYOUT_VERSION) {
+            warn(`LayoutLoader: Layout for ${sceneId} is version ${data.version}, expected ${LAYOUT_VERSION}`);
+        }
+        
+        const entities = data.entities.filter((entry, index) => {
+            const hasPosition = entry && entry.position &&
+                typeof entry.position.x === 'number' &&
+                typeof entry.position.y === 'number';
+            
+            if (!entry || !entry.type || !hasPosition) {
+                warn(`LayoutLoader: Skipping malformed entry ${index} in ${sceneId} layout`, entry);
+                return false;
+            }
+            return true;
+        });
+        
+        return {
+            version: data.version,
+            sceneId: data.sceneId || sceneId,
+            entities
+        };
+    }
+    
+    /**
+     * Instantiate every entity in a layout
+     * @param {Object} layout - Validated layout
+     * @returns {Array} The created entities
+     */
+    applyLayout(layout) {
+        const created = [];
+        
+        layout.entities.forEach(entry => {
+            const entity = this.createEntity(entry);
+            if (entity) {
+                created.push(entity);
+            }
+        });
+        
+        debug(`LayoutLoader: Applied ${layout.sceneId} layout (${created.length}/${layout.entities.length} entities)`);
+        
+        return created;
+    }
+    
+    /**
+     * Instantiate a single layout entry
+     * The entity remembers the entry it came from, where it was created and any helper
+     * entities its manager added (e.g. ground hitboxes), so the level editor can move
+     * it and write the layout back out
+     * @param {Object} entry - Layout entry ({ type, position, assetKey, options, display })
+     * @returns {Object|null} The created entity or null on failure
+     */
+    createEntity(entry) {
+        if (!this.registry.has(entry.type)) {
+            warn(`LayoutLoader: No registered type "${entry.type}"`);
+            return null;
+        }
+        
+        const existing = new Set(this.game.entities);
+        const entity = this.registry.create(entry.type, entry);
+        if (!entity) return null;
+        
+        if (entry.display) {
+            DISPLAY_PROPERTIES.forEach(property => {
+                if (typeof entry.display[property] === 'number') {
+                    entity[property] = entry.display[property];
+                }
+            });
+        }
+        
+        entity.layoutEntry = entry;
+        entity.layoutOrigin = { x: entity.x, y: entity.y };
+        entity.layoutHelpers = this.game.entities.filter(other => !existing.has(other) && other !== entity);
+        
+        return entity;
+    }
+    
+    /**
+     * Load a scene's layout and instantiate its entities
+     * @param {string} sceneId - Scene ID
+     * @returns {Promise<Array>} Promise that resolves with the created entities
+     */
+    loadSceneLayout(sceneId) {
+        return this.loadLayout(sceneId).then(layout => this.applyLayout(layout));
+    }
+}
+
+export { LayoutLoader, LAYOUT_VERSION, DISPLAY_PROPERTIES };
@@ -0,0 +1,690 @@
+/**
+ * Level Editor for AI Alchemist's Lair
+ * Debug mode for furnishing rooms without guessing grid coordinates:
+ * - click an entity to select it and drag it across the isometric grid, snapping to a step
+ * - adjust scaleX, scaleY and groundingFactor live
+ * - add entities from a palette of the registered types, or delete them
+ * - export the room as a layout file (assets/layouts/<sceneId>.json)
+ *
+ * Positions are edited and exported in layout coordinates - the position the layout
+ * entry gives - so offsets entities apply in their constructors (e.g. ArcadeEntity's
+ * x - 1.0) are carried through unchanged
+ */
+
+import entityRegistry from './entityRegistry.js';
+import { LAYOUT_VERSION, DISPLAY_PROPERTIES } from './layoutLoader.js';
+import { debug, info, warn } from './utils.js';
+
+// Snap steps offered in the editor panel (0 = no snapping)
+const SNAP_STEPS = [1, 0.5, 0.25, 0];
+
+// Default snap step - layouts use quarter cells
+const DEFAULT_SNAP = 0.25;
+
+// How far outside an entity's footprint (grid units) a click still selects it
+const PICK_MARGIN = 0.75;
+
+// Step used by the display property inputs
+const DISPLAY_STEP = 0.05;
+
+class LevelEditor {
+    /**
+     * Create the level editor
+     * @param {HTMLCanvasElement} canvas - Game canvas that receives clicks and drags
+     * @param {Camera} camera - Camera used to convert the pointer to world coordinates
+     * @param {TestScene} scene - Scene providing the grid size and isometric transform
+     * @param {Game} game - Game instance holding the entities
+     * @param {SceneManager} sceneManager - Scene manager providing the current room
+     * @param {LayoutLoader} layoutLoader - Loader used to create entities from layout entries
+     * @param {SceneEntityManager} sceneEntityManager - Manager owning each room's entities
+     * @param {EntityRegistry} registry - Registry providing the palette of entity types
+     */
+    constructor(canvas, camera, scene, game, sceneManager, layoutLoader, sceneEntityManager, registry = entityRegistry) {
+        this.canvas = canvas;
+        this.camera = camera;
+        this.scene = scene;
+        this.game = game;
+        this.sceneManager = sceneManager;
+        this.layoutLoader = layoutLoader;
+        this.sceneEntityManager = sceneEntityManager;
+        this.registry = registry;
+        
+        this.active = false;
+        this.selected = null;
+        this.snap = DEFAULT_SNAP;
+        
+        // Pointer offset from the selected entity while dragging
+        this.drag = null;
+        
+        // Display properties changed in the editor, by entity
+        this.displayEdits = new WeakMap();
+        
+        // Editor panel and the controls that are refreshed on selection changes
+        this.panel = null;
+        this.controls = null;
+        
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        
+        // A selection in the old room means nothing in the new one
+        window.addEventListener('sceneChanged', () => {
+            if (this.active) {
+                this.select(null);
+            }
+        });
+        
+        debug('LevelEditor: Initialized');
+    }
+    
+    /**
+     * Turn editor mode on or off
+     * @returns {boolean} True if the editor is now active
+     */
+    toggle() {
+        if (this.active) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+        return this.active;
+    }
+    
+    /**
+     * Enter editor mode - pauses the wizard and shows the editor panel
+     */
+    enable() {
+        if (this.active) return;
+        
+        this.active = true;
+        
+        // Stop movement, click-to-move and interactions while editing
+        this.game.setInteractionActive(true, 'levelEditor');
+        
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+        window.addEventListener('keydown', this.handleKeyDown);
+        
+        this.createPanel();
+        info('Level editor enabled');
+    }
+    
+    /**
+     * Leave editor mode
+     */
+    disable() {
+        if (!this.active) return;
+        
+        this.select(null);
+        this.drag = null;
+        this.active = false;
+        
+        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+        window.removeEventListener('keydown', this.handleKeyDown);
+        
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.controls = null;
+        
+        this.game.setInteractionActive(false, 'levelEditor');
+        info('Level editor disabled');
+    }
+    
+    /**
+     * Get the ID of the room being edited
+     * @returns {string|null} Current scene ID
+     */
+    getSceneId() {
+        const scene = this.sceneManager.getCurrentScene();
+        return scene ? scene.id : null;
+    }
+    
+    /**
+     * Get the entities in the current room that came from layout entries
+     * Helper entities (hitboxes) are left out; they follow their owner
+     * @returns {Array} Editable entities
+     */
+    getEditableEntities() {
+        return this.sceneEntityManager.getEntitiesForScene(this.getSceneId())
+            .filter(entity => entity.layoutEntry);
+    }
+    
+    /**
+     * Get an entity's position in layout coordinates
+     * Entities that walk around on their own (NPCs) are placed by their home position
+     * @param {Object} entity - Editable entity
+     * @returns {Object} Layout position {x, y}
+     */
+    getLayoutPosition(entity) {
+        const anchor = entity.home || entity;
+        return {
+            x: entity.layoutEntry.position.x + (anchor.x - entity.layoutOrigin.x),
+            y: entity.layoutEntry.position.y + (anchor.y - entity.layoutOrigin.y)
+        };
+    }
+    
+    /**
+     * Move an entity, and its helper entities, to a layout position
+     * @param {Object} entity - Editable entity
+     * @param {number} x - Layout X position
+     * @param {number} y - Layout Y position
+     */
+    setLayoutPosition(entity, x, y) {
+        const current = this.getLayoutPosition(entity);
+        const dx = x - current.x;
+        const dy = y - current.y;
+        if (dx === 0 && dy === 0) return;
+        
+        if (entity.home) {
+            entity.home.x += dx;
+            entity.home.y += dy;
+        }
+        
+        [entity, ...(entity.layoutHelpers || [])].forEach(item => {
+            item.x += dx;
+            item.y += dy;
+        });
+    }
+    
+    /**
+     * Round a value to the current snap step
+     * @param {number} value - Grid coordinate
+     * @returns {number} Snapped coordinate
+     */
+    snapValue(value) {
+        if (!this.snap) return value;
+        return Math.round(value / this.snap) * this.snap;
+    }
+    
+    /**
+     * Snap a layout position and keep it inside the room
+     * @param {number} x - Layout X position
+     * @param {number} y - Layout Y position
+     * @returns {Object} Snapped position {x, y}
+     */
+    constrainPosition(x, y) {
+        return {
+            x: Math.max(0, Math.min(this.scene.gridWidth - 1, this.snapValue(x))),
+            y: Math.max(0, Math.min(this.scene.gridHeight - 1, this.snapValue(y)))
+        };
+    }
+    
+    /**
+     * Convert a mouse event to a fractional grid position
+     * @param {MouseEvent} e - Mouse event
+     * @returns {Object} Grid position {x, y}
+     */
+    getPointerGrid(e) {
+        // The canvas can be scaled by CSS, so map through its on-screen size
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const screenY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        
+        const world = this.camera.screenToWorld(screenX, screenY);
+        return this.scene.isoToGrid(world.x, world.y);
+    }
+    
+    /**
+     * Find the editable entity under a grid position
+     * @param {Object} grid - Grid position {x, y}
+     * @returns {Object|null} The closest entity whose footprint contains the position
+     */
+    pickEntity(grid) {
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        this.getEditableEntities().forEach(entity => {
+            const width = entity.width || 1;
+            const height = entity.height || 1;
+            
+            const inside = grid.x >= entity.x - PICK_MARGIN && grid.x <= entity.x + width + PICK_MARGIN &&
+                grid.y >= entity.y - PICK_MARGIN && grid.y <= entity.y + height + PICK_MARGIN;
+            if (!inside) return;
+            
+            // Prefer the entity whose centre is nearest, so small items on rugs can be picked
+            const distance = Math.hypot(grid.x - (entity.x + width / 2), grid.y - (entity.y + height / 2));
+            if (distance < closestDistance) {
+                closest = entity;
+                closestDistance = distance;
+            }
+        });
+        
+        return closest;
+    }
+    
+    /**
+     * Select an entity
+     * @param {Object|null} entity - Entity to select, or null to clear the selection
+     */
+    select(entity) {
+        this.selected = entity;
+        this.updatePanel();
+    }
+    
+    /**
+     * Start dragging the entity under the pointer
+     * @param {MouseEvent} e - Mousedown event
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        
+        const grid = this.getPointerGrid(e);
+        const entity = this.pickEntity(grid);
+        this.select(entity);
+        
+        if (entity) {
+            const position = this.getLayoutPosition(entity);
+            this.drag = {
+                offsetX: grid.x - position.x,
+                offsetY: grid.y - position.y,
+                moved: false
+            };
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Drag the selected entity, snapping to the grid
+     * @param {MouseEvent} e - Mousemove event
+     */
+    handleMouseMove(e) {
+        if (!this.drag || !this.selected) return;
+        
+        const grid = this.getPointerGrid(e);
+        const target = this.constrainPosition(grid.x - this.drag.offsetX, grid.y - this.drag.offsetY);
+        const current = this.getLayoutPosition(this.selected);
+        
+        if (target.x !== current.x || target.y !== current.y) {
+            this.setLayoutPosition(this.selected, target.x, target.y);
+            this.drag.moved = true;
+            this.updatePanel();
+        }
+    }
+    
+    /**
+     * Finish dragging
+     */
+    handleMouseUp() {
+        if (!this.drag) return;
+        
+        if (this.drag.moved && this.selected) {
+            const position = this.getLayoutPosition(this.selected);
+            debug(`LevelEditor: Moved ${this.selected.layoutEntry.type} to (${position.x}, ${position.y})`);
+        }
+        this.drag = null;
+    }
+    
+    /**
+     * Editor shortcuts - Delete removes the selection, arrows nudge it, Escape deselects
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeyDown(e) {
+        if (!this.selected) return;
+        
+        if (e.key === 'Delete') {
+            this.deleteSelected();
+            e.preventDefault();
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            this.select(null);
+            return;
+        }
+        
+        // Arrow keys move along the grid axes by one snap step (a quarter cell without snapping)
+        const step = this.snap || DEFAULT_SNAP;
+        const nudges = {
+            ArrowUp: { x: 0, y: -step },
+            ArrowDown: { x: 0, y: step },
+            ArrowLeft: { x: -step, y: 0 },
+            ArrowRight: { x: step, y: 0 }
+        };
+        
+        const nudge = nudges[e.key];
+        if (nudge) {
+            const position = this.getLayoutPosition(this.selected);
+            const target = this.constrainPosition(position.x + nudge.x, position.y + nudge.y);
+            this.setLayoutPosition(this.selected, target.x, target.y);
+            this.updatePanel();
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Set a drawing property on the selected entity
+     * @param {string} property - 'scaleX', 'scaleY' or 'groundingFactor'
+     * @param {number} value - New value
+     */
+    setDisplayProperty(property, value) {
+        if (!this.selected || !Number.isFinite(value)) return;
+        
+        this.selected[property] = value;
+        
+        const edits = this.displayEdits.get(this.selected) || {};
+        edits[property] = value;
+        this.displayEdits.set(this.selected, edits);
+    }
+    
+    /**
+     * Add an entity of a registered type at the centre of the view
+     * @param {string} type - Registered type name
+     * @returns {Object|null} The created entity
+     */
+    addEntity(type) {
+        const sceneId = this.getSceneId();
+        if (!sceneId) return null;
+        
+        const centre = this.scene.isoToGrid(this.camera.x, this.camera.y);
+        const position = this.constrainPosition(centre.x, centre.y);
+        
+        const entity = this.layoutLoader.createEntity({ type, position });
+        if (!entity) {
+            warn(`LevelEditor: Could not create a ${type}`);
+            return null;
+        }
+        
+        this.sceneEntityManager.claimEntities(sceneId, [entity, ...entity.layoutHelpers]);
+        this.select(entity);
+        
+        info(`Level editor: Added ${this.registry.getLabel(type)} at (${position.x}, ${position.y})`);
+        return entity;
+    }
+    
+    /**
+     * Delete the selected entity and its helper entities from the room
+     */
+    deleteSelected() {
+        const entity = this.selected;
+        if (!entity) return;
+        
+        if (typeof entity.cleanup === 'function') {
+            try {
+                entity.cleanup();
+            } catch (err) {
+                warn('LevelEditor: Error cleaning up deleted entity', err);
+            }
+        }
+        
+        this.sceneEntityManager.releaseEntities(this.getSceneId(), [entity, ...(entity.layoutHelpers || [])]);
+        this.select(null);
+        
+        info(`Level editor: Deleted ${entity.layoutEntry.type}`);
+    }
+    
+    /**
+     * Build the layout of the current room as it now stands
+     * @returns {Object} Layout data in the layout file format
+     */
+    getLayout() {
+        const round = value => Math.round(value * 1000) / 1000;
+        
+        const entities = this.getEditableEntities().map(entity => {
+            // Copy so the loader's cached layout isn't changed
+            const entry = JSON.parse(JSON.stringify(entity.layoutEntry));
+            const position = this.getLayoutPosition(entity);
+            entry.position = { ...entry.position, x: round(position.x), y: round(position.y) };
+            
+            const edits = this.displayEdits.get(entity);
+            if (edits) {
+                entry.display = { ...(entry.display || {}) };
+                Object.keys(edits).forEach(property => {
+                    entry.display[property] = round(edits[property]);
+                });
+            }
+            
+            return entry;
+        });
+        
+        return {
+            version: LAYOUT_VERSION,
+            sceneId: this.getSceneId(),
+            entities
+        };
+    }
+    
+    /**
+     * Download the current room's layout as JSON, and copy it to the clipboard
+     * @returns {string} The layout JSON
+     */
+    exportLayout() {
+        const layout = this.getLayout();
+        const json = JSON.stringify(layout, null, 4) + '\n';
+        
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${layout.sceneId}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(json)
+                .catch(err => debug(`LevelEditor: Could not copy layout to clipboard: ${err.message || err}`));
+        }
+        
+        info(`Level editor: Exported ${layout.sceneId} layout (${layout.entities.length} entities)`);
+        return json;
+    }
+    
+    /**
+     * Build the editor panel
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            width: 240px;
+            max-height: calc(100% - 40px);
+            overflow-y: auto;
+            background-color: rgba(0, 0, 0, 0.85);
+            border: 2px solid #00ffcc;
+            box-shadow: 0 0 10px rgba(0, 255, 204, 0.6);
+            padding: 12px;
+            color: white;
+            font-family: monospace;
+            font-size: 12px;
+            z-index: 900;
+        `;
+        
+        // Typing in the panel shouldn't trigger game shortcuts
+        panel.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        const title = document.createElement('div');
+        title.textContent = 'LEVEL EDITOR';
+        title.style.cssText = 'color: #00ffcc; font-size: 15px; font-weight: bold; margin-bottom: 4px;';
+        panel.appendChild(title);
+        
+        const sceneLabel = document.createElement('div');
+        sceneLabel.style.cssText = 'color: #aaaaaa; margin-bottom: 10px;';
+        panel.appendChild(sceneLabel);
+        
+        // Selected entity details
+        const selectionLabel = document.createElement('div');
+        selectionLabel.style.cssText = 'margin-bottom: 6px;';
+        panel.appendChild(selectionLabel);
+        
+        const displayInputs = {};
+        DISPLAY_PROPERTIES.forEach(property => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;';
+            row.textContent = property;
+            
+            const field = document.createElement('input');
+            field.type = 'number';
+            field.step = String(DISPLAY_STEP);
+            field.style.cssText = 'width: 80px; background: #111; color: white; border: 1px solid #00ffcc; font-family: monospace;';
+            field.addEventListener('input', () => this.setDisplayProperty(property, parseFloat(field.value)));
+            
+            row.appendChild(field);
+            panel.appendChild(row);
+            displayInputs[property] = field;
+        });
+        
+        const deleteButton = this.createButton('Delete selected', () => this.deleteSelected());
+        deleteButton.style.borderColor = '#ff4466';
+        deleteButton.style.color = '#ff4466';
+        panel.appendChild(deleteButton);
+        
+        // Snap step
+        const snapRow = document.createElement('label');
+        snapRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin: 10px 0;';
+        snapRow.textContent = 'Snap';
+        
+        const snapSelect = document.createElement('select');
+        snapSelect.style.cssText = 'background: #111; color: white; border: 1px solid #00ffcc; font-family: monospace;';
+        SNAP_STEPS.forEach(step => {
+            const option = document.createElement('option');
+            option.value = String(step);
+            option.textContent = step ? `${step} cell` : 'off';
+            option.selected = step === this.snap;
+            snapSelect.appendChild(option);
+        });
+        snapSelect.addEventListener('change', () => {
+            this.snap = parseFloat(snapSelect.value);
+        });
+        snapRow.appendChild(snapSelect);
+        panel.appendChild(snapRow);
+        
+        // Palette of registered types
+        const paletteTitle = document.createElement('div');
+        paletteTitle.textContent = 'Add';
+        paletteTitle.style.cssText = 'color: #00ffcc; margin-bottom: 4px;';
+        panel.appendChild(paletteTitle);
+        
+        this.registry.getRegisteredTypes().forEach(type => {
+            panel.appendChild(this.createButton(this.registry.getLabel(type), () => this.addEntity(type)));
+        });
+        
+        const exportButton = this.createButton('Export room JSON', () => this.exportLayout());
+        exportButton.style.marginTop = '10px';
+        panel.appendChild(exportButton);
+        
+        const help = document.createElement('div');
+        help.textContent = 'Drag to move, arrows nudge, Delete removes, Esc deselects. ` exits.';
+        help.style.cssText = 'color: #888888; margin-top: 10px;';
+        panel.appendChild(help);
+        
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.controls = { sceneLabel, selectionLabel, displayInputs, deleteButton };
+        
+        this.updatePanel();
+    }
+    
+    /**
+     * Create a panel button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            display: block;
+            width: 100%;
+            margin-bottom: 4px;
+            padding: 4px;
+            background-color: transparent;
+            border: 1px solid #00ffcc;
+            color: #00ffcc;
+            font-family: monospace;
+            cursor: pointer;
+            text-align: left;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Refresh the panel for the current room and selection
+     */
+    updatePanel() {
+        if (!this.controls) return;
+        
+        const { sceneLabel, selectionLabel, displayInputs, deleteButton } = this.controls;
+        const entity = this.selected;
+        
+        sceneLabel.textContent = `Room: ${this.getSceneId() || 'none'}`;
+        
+        if (entity) {
+            const position = this.getLayoutPosition(entity);
+            const label = this.registry.getLabel(entity.layoutEntry.type) || entity.layoutEntry.type;
+            selectionLabel.textContent = `${label} at (${+position.x.toFixed(3)}, ${+position.y.toFixed(3)})`;
+        } else {
+            selectionLabel.textContent = 'Click an entity to select it';
+        }
+        
+        // Only entities that draw with these properties can be adjusted
+        DISPLAY_PROPERTIES.forEach(property => {
+            const field = displayInputs[property];
+            const editable = !!entity && typeof entity[property] === 'number';
+            field.disabled = !editable;
+            
+            // Don't overwrite a value while it's being typed
+            if (document.activeElement !== field) {
+                field.value = editable ? String(+entity[property].toFixed(3)) : '';
+            }
+        });
+        
+        deleteButton.disabled = !entity;
+    }
+    
+    /**
+     * Draw footprints of the room's editable entities, highlighting the selection
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    render(ctx) {
+        if (!this.active) return;
+        
+        const halfWidth = this.scene.cellWidth / 2;
+        const halfHeight = this.scene.cellHeight / 2;
+        const toIso = (x, y) => ({ x: (x - y) * halfWidth, y: (x + y) * halfHeight });
+        
+        ctx.save();
+        
+        // Same camera transform the scene renders with
+        ctx.translate(ctx.canvas.width / 2, ctx.canvas.height / 2);
+        ctx.scale(this.camera.zoom, this.camera.zoom);
+        ctx.translate(-this.camera.x, -this.camera.y);
+        
+        this.getEditableEntities().forEach(entity => {
+            const width = entity.width || 1;
+            const height = entity.height || 1;
+            const corners = [
+                toIso(entity.x, entity.y),
+                toIso(entity.x + width, entity.y),
+                toIso(entity.x + width, entity.y + height),
+                toIso(entity.x, entity.y + height)
+            ];
+            
+            const isSelected = entity === this.selected;
+            ctx.strokeStyle = isSelected ? '#ff00ff' : 'rgba(0, 255, 204, 0.6)';
+            ctx.fillStyle = isSelected ? 'rgba(255, 0, 255, 0.15)' : 'rgba(0, 255, 204, 0.05)';
+            ctx.lineWidth = isSelected ? 2 : 1;
+            
+            ctx.beginPath();
+            ctx.moveTo(corners[0].x, corners[0].y);
+            corners.slice(1).forEach(corner => ctx.lineTo(corner.x, corner.y));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+}
+
+export { LevelEditor };
@@ -0,0 +1,214 @@
+/**
+ * Lighting Renderer for AI Alchemist's Lair
+ * Darkens the room to the scene's ambient light level and lets the glowing
+ * entities (trophies, portals, the arcade, vibe portals...) light the floor and
+ * walls around them in their glow color
+ *
+ * Any entity with a glowColor and a numeric glowIntensity is a light source.
+ * Intensity is measured against the entity's maxGlowIntensity when it has one,
+ * so entities that store their glow as a blur radius (the arcade) work too.
+ * An entity can set lightRadius (grid cells) to change how far its light reaches.
+ */
+
+import { scenes } from './sceneData.js';
+
+// Ambient light for scenes that don't set one (1 = fully lit, 0 = pitch black)
+const DEFAULT_AMBIENT_LIGHT = 0.65;
+
+// How far light reaches from an emitter, in grid cells
+const DEFAULT_LIGHT_RADIUS = 3.5;
+
+// Color of the darkness; a deep violet suits the neon better than black
+const DARKNESS_RGB = '8, 2, 24';
+
+// Strength of the colored light added on top of the cut-out darkness
+const COLOR_STRENGTH = 0.35;
+
+// Height of the walls above the floor, in cell heights (matches TestScene.drawWalls)
+const WALL_RISE = 2.75;
+
+class LightingRenderer {
+    constructor() {
+        this.enabled = true;
+        
+        // Offscreen canvas the darkness is drawn on, created on first use
+        this.lightCanvas = null;
+        this.lightCtx = null;
+    }
+    
+    /**
+     * Get the ambient light level for a scene
+     * @param {string} sceneId - Scene ID
+     * @returns {number} Ambient light level between 0 and 1
+     */
+    getAmbientLight(sceneId) {
+        const scene = scenes[sceneId];
+        const ambient = scene && typeof scene.ambientLight === 'number'
+            ? scene.ambientLight
+            : DEFAULT_AMBIENT_LIGHT;
+        return Math.max(0, Math.min(1, ambient));
+    }
+    
+    /**
+     * Collect the light sources among the entities
+     * @param {Array} entities - Entities in the scene
+     * @returns {Array<Object>} Lights with x, y (grid), color, strength (0-1) and radius (grid cells)
+     */
+    getLights(entities) {
+        const lights = [];
+        
+        (entities || []).forEach(entity => {
+            if (!entity || !entity.glowColor || typeof entity.glowIntensity !== 'number') return;
+            
+            const max = entity.maxGlowIntensity > 0 ? entity.maxGlowIntensity : 1;
+            const strength = Math.max(0, Math.min(1, entity.glowIntensity / max));
+            if (strength <= 0) return;
+            
+            lights.push({
+                x: entity.x,
+                y: entity.y,
+                color: entity.glowColor,
+                strength,
+                radius: entity.lightRadius || DEFAULT_LIGHT_RADIUS
+            });
+        });
+        
+        return lights;
+    }
+    
+    /**
+     * Make sure the offscreen canvas matches the game canvas
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     * @returns {boolean} True if the offscreen canvas is ready
+     */
+    prepareLightCanvas(canvas) {
+        if (!this.lightCanvas) {
+            if (typeof document === 'undefined') return false;
+            this.lightCanvas = document.createElement('canvas');
+            this.lightCtx = this.lightCanvas.getContext('2d');
+        }
+        
+        if (this.lightCanvas.width !== canvas.width || this.lightCanvas.height !== canvas.height) {
+            this.lightCanvas.width = canvas.width;
+            this.lightCanvas.height = canvas.height;
+        }
+        
+        return !!this.lightCtx;
+    }
+    
+    /**
+     * Draw the lighting pass over the floor and walls
+     * Call after the floor and walls are drawn and before the entities, with the
+     * camera transform still applied to the context
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {TestScene} scene - Scene being rendered (for grid and cell sizes)
+     * @param {Array} entities - Entities that may emit light
+     * @param {string} sceneId - Current scene ID, for its ambient light level
+     */
+    render(ctx, scene, entities, sceneId) {
+        if (!this.enabled) return;
+        
+        const ambient = this.getAmbientLight(sceneId);
+        if (ambient >= 1) return;
+        
+        if (!this.prepareLightCanvas(ctx.canvas)) return;
+        
+        const lights = this.getLights(entities);
+        const transform = ctx.getTransform();
+        const lightCtx = this.lightCtx;
+        
+        // Darkness over the whole view...
+        lightCtx.setTransform(1, 0, 0, 1, 0, 0);
+        lightCtx.globalCompositeOperation = 'source-over';
+        lightCtx.clearRect(0, 0, this.lightCanvas.width, this.lightCanvas.height);
+        lightCtx.fillStyle = `rgba(${DARKNESS_RGB}, ${1 - ambient})`;
+        lightCtx.fillRect(0, 0, this.lightCanvas.width, this.lightCanvas.height);
+        
+        // ...with a hole cut out around each light, in world coordinates
+        lightCtx.setTransform(transform);
+        lightCtx.globalCompositeOperation = 'destination-out';
+        lights.forEach(light => {
+            this.drawLightPool(lightCtx, scene, light, 'rgba(0, 0, 0, 1)', light.strength);
+        });
+        
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(this.lightCanvas, 0, 0);
+        ctx.restore();
+        
+        // Tint the lit areas with each light's color, keeping it on the floor and walls
+        if (lights.length > 0) {
+            ctx.save();
+            this.clipToRoom(ctx, scene);
+            ctx.globalCompositeOperation = 'lighter';
+            lights.forEach(light => {
+                this.drawLightPool(ctx, scene, light, light.color, light.strength * COLOR_STRENGTH);
+            });
+            ctx.restore();
+        }
+    }
+    
+    /**
+     * Draw a soft pool of light on the floor, squashed to match the isometric view
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     * @param {TestScene} scene - Scene being rendered
+     * @param {Object} light - Light from getLights()
+     * @param {string} color - Color at the center of the pool
+     * @param {number} alpha - Opacity at the center of the pool
+     */
+    drawLightPool(ctx, scene, light, color, alpha) {
+        const screenX = (light.x - light.y) * (scene.cellWidth / 2);
+        const screenY = (light.x + light.y) * (scene.cellHeight / 2);
+        // Horizontal radius of the ellipse a circle of light.radius cells makes on the floor
+        const radius = light.radius * Math.SQRT2 * scene.cellWidth / 2;
+        
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(0.4, color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        
+        ctx.save();
+        ctx.translate(screenX, screenY);
+        ctx.scale(1, scene.cellHeight / scene.cellWidth);
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    /**
+     * Clip drawing to the room - the floor diamond plus the north and west walls
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {TestScene} scene - Scene being rendered
+     */
+    clipToRoom(ctx, scene) {
+        const toScreen = (gridX, gridY) => ({
+            x: (gridX - gridY) * (scene.cellWidth / 2),
+            y: (gridX + gridY) * (scene.cellHeight / 2)
+        });
+        const rise = scene.cellHeight * WALL_RISE;
+        
+        // Tiles are centered on their grid position, so the room edge is half a cell out
+        const left = toScreen(-0.5, scene.gridHeight - 0.5);
+        const top = toScreen(-0.5, -0.5);
+        const right = toScreen(scene.gridWidth - 0.5, -0.5);
+        const bottom = toScreen(scene.gridWidth - 0.5, scene.gridHeight - 0.5);
+        
+        ctx.beginPath();
+        ctx.moveTo(left.x, left.y);
+        ctx.lineTo(left.x, left.y - rise);
+        ctx.lineTo(top.x, top.y - rise);
+        ctx.lineTo(right.x, right.y - rise);
+        ctx.lineTo(right.x, right.y);
+        ctx.lineTo(bottom.x, bottom.y);
+        ctx.closePath();
+        ctx.clip();
+    }
+}
+
+// Create a singleton instance
+const lightingRenderer = new LightingRenderer();
+
+export { lightingRenderer, LightingRenderer };
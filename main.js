@@ -5,7 +5,7 @@
 
 import { input } from './input.js';
 import { TestScene } from './scene.js';
-import { shouldRenderFrame, getDeltaTime, updateFps, TARGET_FPS } from './timing.js';
+import { shouldRenderFrame, updateFps, setRenderCapped, isRenderCapped, getSimulationSteps, getInterpolationAlpha, FIXED_TIMESTEP, TARGET_FPS } from './timing.js';
 import { drawFpsCounter, DEBUG_CONFIG } from './debug.js';
 import { info, warn, error, debug } from './utils.js';
 import { checkBrowserCompatibility, createCompatibilityErrorMessage } from './compatibility.js';
@@ -20,17 +20,20 @@ import doorwayManager from './doorways.js';
 import { characterRenderer } from './characterRenderer.js';
 import assetLoader from './assetLoader.js';
 import { Player } from './player.js'; // Use named import to match named export in player.js
-import { SignManager } from './signManager.js'; // Import SignManager
-import { JukeboxManager } from './jukeboxManager.js'; // Import JukeboxManager
-import { TVManager } from './tvManager.js'; // Import TVManager
-import { CouchManager } from './couchManager.js'; // Import CouchManager
-import { Couch2Manager } from './couch2Manager.js'; // Import Couch2Manager
-import { RugManager } from './rugManager.js'; // Import RugManager
-import { VibePortalManager } from './vibePortalManager.js'; // Import VibePortalManager
-import { TrophyManager } from './trophyManager.js'; // Import TrophyManager
-import { XPortalManager } from './xPortalManager.js'; // Import XPortalManager
-import { SpellbookManager } from './spellbookManager.js'; // Import SpellbookManager
-import { ArcadeManager } from './arcadeManager.js'; // Import ArcadeManager
+import entityRegistry from './entityRegistry.js';
+import { registerDefaultEntityTypes } from './roomEntityTypes.js';
+import { LayoutLoader } from './layoutLoader.js';
+import { SceneEntityManager } from './sceneEntityManager.js';
+import { TouchControls } from './touchControls.js';
+import { ClickToMove } from './clickToMove.js';
+import { LevelEditor } from './levelEditor.js';
+import { SaveManager } from './saveManager.js';
+import { InputRecorder } from './inputRecorder.js';
+import audioManager from './audioManager.js';
+import achievementManager from './achievementManager.js';
+import dialogueManager from './dialogueManager.js';
+import { animationLibrary } from './spriteAnimation.js';
+import { createRoomWalls, WALL_THICKNESS } from './collisionWallEntity.js';
 
 // Check browser compatibility before initializing the game
 const compatibilityResults = checkBrowserCompatibility();
@@ -74,25 +77,68 @@ if (compatibilityResults.allCriticalSupported) {
         // Set the camera smoothness - lower value for smoother movement
         camera.setSmoothingFactor(0.08);
         
-        // Initialize mini-map with grid dimensions, cell size, and canvas dimensions
+        // Initialize game system
+        const game = new Game();
+        
+        // Initialize mini-map with grid dimensions, cell size, and canvas dimensions,
+        // plus what it needs to show the room's furniture, interactables and doors
         const miniMap = new MiniMap(
             scene.gridWidth, 
             scene.gridHeight, 
             scene.cellWidth, 
             scene.cellHeight,
             canvas.width, 
-            canvas.height
+            canvas.height,
+            { game, scene, sceneManager, doorwayManager }
         );
         
-        // Initialize game system
-        const game = new Game();
-        
         // Make game instance globally accessible for entities
         window.game = game;
         
         // Create and initialize player entity at starting position
         const playerEntity = game.initPlayer(playerX, playerY);
         
+        // Solid walls and room edges; the doorway gaps follow the current scene's doors
+        createRoomWalls(scene, {
+            footprint: { width: playerEntity.width, height: playerEntity.height },
+            getDoorway: (wallSide, position) => {
+                const currentScene = sceneManager.getCurrentScene();
+                return currentScene ? doorwayManager.getWallDoor(currentScene.id, wallSide, position) : null;
+            }
+        }).forEach(wall => game.addEntity(wall));
+        
+        // On-screen joystick and interact button for phones and tablets (inactive without touch)
+        const touchControls = new TouchControls(canvas, camera, game);
+        
+        // Click a floor tile to walk there
+        const clickToMove = new ClickToMove(canvas, camera, scene, game, miniMap);
+        
+        // Furniture editor, created once the room layout system is ready
+        let levelEditor = null;
+        
+        // Pick up where the visitor left off, then keep the save up to date
+        const saveManager = new SaveManager(game, camera, sceneManager, doorwayManager);
+        const savedState = saveManager.load();
+        if (savedState) {
+            saveManager.restore(savedState);
+            playerX = playerEntity.x;
+            playerY = playerEntity.y;
+        }
+        saveManager.enableAutosave();
+        
+        // Record input with K and replay a recording with Shift+K, for reproducing input bugs
+        const inputRecorder = new InputRecorder(canvas, game, saveManager);
+        
+        // Track achievements from here so the restored room counts as visited
+        achievementManager.init(sceneManager);
+        
+        // Reset lair option, also reachable with Shift+Backspace
+        window.resetLair = () => {
+            achievementManager.reset();
+            dialogueManager.reset();
+            saveManager.reset();
+        };
+        
         // Calculate player's isometric position
         const playerIsoX = (playerX - playerY) * (scene.cellWidth / 2);
         const playerIsoY = (playerX + playerY) * (scene.cellHeight / 2);
@@ -100,147 +146,40 @@ if (compatibilityResults.allCriticalSupported) {
         // Center camera on player's isometric coordinates
         camera.centerOn(playerIsoX, playerIsoY);
         
-        // Wait briefly for asset loading before creating signs
+        // Wait briefly for asset loading before furnishing the room
         setTimeout(() => {
-            // Initialize SignManager with game instance
-            const signManager = new SignManager(game);
-            
-            // Preload sign assets
-            signManager.preloadSigns();
-            
-            // Add signs to scene
-            console.log('Adding signs to scene...');
-            signManager.addSigns(); // Create one sign in the center
-            console.log('Signs added successfully');
-            
-            // Initialize JukeboxManager with game instance
-            const jukeboxManager = new JukeboxManager(game);
-            
-            // Preload jukebox assets
-            jukeboxManager.preloadJukeboxes();
-            
-            // Add jukeboxes to scene
-            console.log('Adding jukeboxes to scene...');
-            jukeboxManager.addJukeboxes();
-            console.log('Jukeboxes added successfully');
-            
-            // Initialize TVManager with game instance
-            const tvManager = new TVManager(game);
-            
-            // Preload TV assets
-            tvManager.preloadTVs();
-            
-            // Add TVs to scene
-            console.log('Adding TVs to scene...');
-            tvManager.addTVs();
-            console.log('TVs added successfully');
-            
-            // Initialize CouchManager with game instance
-            const couchManager = new CouchManager(game);
-            
-            // Preload couch assets
-            couchManager.preloadAssets();
-            
-            // Add couches to scene
-            console.log('Adding couches to scene...');
-            couchManager.addCouches();
-            console.log('Couches added successfully');
-            
-            // Initialize Couch2Manager with game instance
-            const couch2Manager = new Couch2Manager(game);
-            
-            // Preload couch2 assets
-            couch2Manager.preloadAssets();
-            
-            // Add couch2 to scene
-            console.log('Adding couch2 to scene...');
-            couch2Manager.addCouches();
-            console.log('Couch2 added successfully');
-            
-            // Initialize VibePortalManager with game instance
-            const vibePortalManager = new VibePortalManager(game);
-            
-            // Add portals to scene
-            console.log('Adding VIBEVERSE portals to scene...');
-            vibePortalManager.addPortals(
-                // Start portal options (red) - positioned in lower right corner
-                { 
-                    position: { x: 19, y: 19, z: 0 },
-                    label: 'RETURN PORTAL',
-                    interactionDistance: 3.5,  // Slightly larger interaction range
-                    entryDetectionRange: 2.0   // Easier to enter
-                },
-                // Exit portal options (green) - positioned in upper left corner
-                { 
-                    position: { x: 1, y: 19, z: 0 },
-                    label: 'ENTER VIBEVERSE',
-                    targetUrl: 'https://portal.pieter.com',
-                    interactionDistance: 3.5,  // Slightly larger interaction range
-                    entryDetectionRange: 2.0   // Easier to enter
-                }
-            );
-            console.log('VIBEVERSE portals added successfully');
-            
-            // Initialize RugManager with game instance
-            const rugManager = new RugManager(game);
-            
-            // Preload rug assets
-            rugManager.preloadAssets();
-            
-            // Add rugs to scene
-            console.log('Adding rugs to scene...');
-            rugManager.addRugs();
-            console.log('Rugs added successfully');
-            
-            // Initialize TrophyManager with game instance
-            const trophyManager = new TrophyManager(game);
-            
-            // Preload trophy assets
-            trophyManager.preloadAssets();
-            
-            // Add trophies to scene
-            console.log('Adding trophies to scene...');
-            trophyManager.addTrophies();
-            console.log('Trophies added successfully');
+            // Register the furniture and interactable types that layout files refer to
+            registerDefaultEntityTypes(entityRegistry, game, scene);
             
-            // Initialize XPortalManager with game instance
-            const xPortalManager = new XPortalManager(game);
+            // Each scene gets its own entities, furnished from its layout file
+            const layoutLoader = new LayoutLoader(game, entityRegistry);
+            const sceneEntityManager = new SceneEntityManager(game, layoutLoader);
+            inputRecorder.setSceneEntityManager(sceneEntityManager);
             
-            // Preload X portal assets
-            xPortalManager.preloadAssets();
-            
-            // Add X portals to scene
-            console.log('Adding X portals to scene...');
-            xPortalManager.addPortals();
-            console.log('X portals added successfully');
-            
-            // Initialize SpellbookManager with game instance
-            const spellbookManager = new SpellbookManager(game);
-            
-            // Preload spellbook assets
-            spellbookManager.preloadAssets();
-            
-            // Add spellbooks to scene
-            console.log('Adding spellbooks to scene...');
-            spellbookManager.addSpellbooks();
-            console.log('Spellbooks added successfully');
-            
-            // Initialize ArcadeManager with game instance
-            const arcadeManager = new ArcadeManager(game);
-            
-            // Preload arcade assets
-            arcadeManager.preloadAssets(assetLoader);
-            
-            // Force window.assetLoader to be set for direct access by entity classes
-            window.assetLoader = assetLoader;
-            
-            // Change this - explicitly pass a scene name that will match our condition
-            arcadeManager.addEntities('startRoom');
-            console.log('Arcade cabinets added successfully');
+            // Swap room contents whenever the scene manager changes scenes
+            window.addEventListener('sceneChanged', (event) => {
+                sceneEntityManager.activateScene(event.detail.sceneId);
+            });
             
-            // Send initialization complete event
+            levelEditor = new LevelEditor(canvas, camera, scene, game, sceneManager, layoutLoader, sceneEntityManager);
+            
+            // Furnish the scene that is already loaded
+            const initialScene = sceneManager.getCurrentScene();
+            const initialSceneId = initialScene ? initialScene.id : 'startRoom';
+            console.log(`Adding room layout entities to ${initialSceneId}...`);
+            sceneEntityManager.activateScene(initialSceneId)
+                .then(entities => {
+                    console.log(`Room layout added successfully (${entities.length} entities)`);
+                })
+                .catch(err => {
+                    error(`Failed to load room layout for ${initialSceneId}`, err);
+                });
         }, 500);
         
+        // Wizard idle, walk and jump animations; characters draw their static sprites until these load
+        animationLibrary.load('wizard')
+            .catch(err => warn('Failed to load wizard animations, using static sprites', err));
+        
         // Explicitly check if character renderer is loaded
         console.log('🧙 Initializing character renderer and checking sprites...');
         // Force asset loading check
@@ -345,14 +284,53 @@ if (compatibilityResults.allCriticalSupported) {
                 info('Pan state reset with P key');
             }
             
-            // Toggle mini-map with 'M' key
+            // Toggle mini-map with 'M' key, or the full-screen world map with Shift+M
             if (e.key === 'm' || e.key === 'M') {
-                miniMap.visible = !miniMap.visible;
-                info(`Mini-map ${miniMap.visible ? 'shown' : 'hidden'}`);
+                if (e.shiftKey) {
+                    miniMap.setExpanded(!miniMap.expanded);
+                } else {
+                    miniMap.visible = !miniMap.visible;
+                    info(`Mini-map ${miniMap.visible ? 'shown' : 'hidden'}`);
+                }
+            }
+            
+            // Close the world map with Escape
+            if (e.key === 'Escape' && miniMap.expanded) {
+                miniMap.setExpanded(false);
+            }
+            
+            // Mute/unmute all sound with 'N' key (remembered between visits)
+            if (e.key === 'n' || e.key === 'N') {
+                audioManager.toggleMute();
+            }
+            
+            // Toggle the level editor with the backquote key
+            if (e.key === '`' && levelEditor) {
+                levelEditor.toggle();
+            }
+            
+            // Start/stop recording input with 'K' key, or replay a recording with Shift+K
+            if (e.key === 'k' || e.key === 'K') {
+                if (e.shiftKey) {
+                    inputRecorder.promptReplay();
+                } else {
+                    inputRecorder.toggleRecording();
+                }
+            }
+            
+            // Toggle the 60 FPS render cap with 'U' key (the simulation always runs at 60 steps a second)
+            if (e.key === 'u' || e.key === 'U') {
+                setRenderCapped(!isRenderCapped());
+                info(`Render rate ${isRenderCapped() ? `capped at ${TARGET_FPS} FPS` : 'uncapped'}`);
+            }
+            
+            // Show achievements with 'H' key
+            if (e.key === 'h' || e.key === 'H') {
+                achievementManager.togglePanel();
             }
             
-            // Jump with spacebar
-            if (e.key === ' ' || e.key === 'Spacebar') {
+            // Jump with spacebar (not while a menu or overlay is open)
+            if ((e.key === ' ' || e.key === 'Spacebar') && !game.isInteractionActive()) {
                 playerEntity.jump();
                 debug('Jump triggered with spacebar');
             }
@@ -384,6 +362,13 @@ if (compatibilityResults.allCriticalSupported) {
                 info(`Camera smoothing set to ${smoothing}`);
             }
             
+            // Reset the lair (clear the save and start over) with Shift+Backspace
+            if (e.key === 'Backspace' && e.shiftKey) {
+                if (window.confirm('Reset the lair? Your position, doors, camera settings, visited items, achievements and conversations will be forgotten.')) {
+                    window.resetLair();
+                }
+            }
+            
             // Force door open/close with 'O' key
             if (e.key === 'o' || e.key === 'O') {
                 // Toggle north door state in current scene
@@ -436,6 +421,111 @@ if (compatibilityResults.allCriticalSupported) {
             }
         });
 
+        /**
+         * Advance the lair by one fixed simulation step
+         * @param {number} deltaTime - Step length in seconds
+         */
+        function simulateStep(deltaTime) {
+            // Remember where everything was, for drawing between this step and the next
+            game.storePreviousPositions();
+            
+            // Update scene from scene manager, passing the player entity for portal detection
+            updateScene(deltaTime, playerEntity);
+            
+            // Portal transitions place the player at the target scene's doorway
+            playerX = playerEntity.x;
+            playerY = playerEntity.y;
+            
+            // Update player position based on input
+            // Calculate movement direction from input
+            let dx = 0;
+            let dy = 0;
+            
+            // Left movement (decreases X in isometric)
+            if (input.keys['ArrowLeft'] || input.keys['a'] || input.keys['A']) dx -= 1;
+            // Right movement (increases X in isometric)
+            if (input.keys['ArrowRight'] || input.keys['d'] || input.keys['D']) dx += 1;
+            // Up movement (decreases Y in isometric)
+            if (input.keys['ArrowUp'] || input.keys['w'] || input.keys['W']) dy -= 1;
+            // Down movement (increases Y in isometric)
+            if (input.keys['ArrowDown'] || input.keys['s'] || input.keys['S']) dy += 1;
+            
+            // Menus and overlays pause movement
+            if (game.isInteractionActive()) {
+                dx = 0;
+                dy = 0;
+            }
+            
+            // Fall back to the gamepad stick / D-pad, then the touch joystick, when no
+            // movement keys are held (the D-pad drives menus instead while one is open)
+            if (dx === 0 && dy === 0 && !game.isInteractionActive()) {
+                const gamepadDirection = input.getGamepadDirection();
+                dx = gamepadDirection.dx;
+                dy = gamepadDirection.dy;
+                
+                if (dx === 0 && dy === 0) {
+                    const touchDirection = touchControls.getDirection();
+                    dx = touchDirection.dx;
+                    dy = touchDirection.dy;
+                }
+            }
+            
+            // Direct movement input cancels a click-to-move path, otherwise keep following it
+            if (dx !== 0 || dy !== 0 || game.isInteractionActive()) {
+                clickToMove.cancel();
+            } else {
+                const pathDirection = clickToMove.getDirection(deltaTime);
+                dx = pathDirection.dx;
+                dy = pathDirection.dy;
+            }
+            
+            // Jump with the gamepad X button
+            if (input.consumeGamepadButtonPress('x') && !game.isInteractionActive()) {
+                playerEntity.jump();
+                debug('Jump triggered with gamepad');
+            }
+            
+            // Use the player's move method to update position and direction
+            if (dx !== 0 || dy !== 0) {
+                // Convert direction to proper format
+                let direction = '';
+                if (dx < 0) direction = 'left';
+                else if (dx > 0) direction = 'right';
+                
+                if (dy < 0) {
+                    direction = direction ? 'north' + direction : 'up';
+                } else if (dy > 0) {
+                    direction = direction ? 'south' + direction : 'down';
+                }
+                
+                // Call the player's move method
+                playerEntity.move(direction, deltaTime);
+                
+                // Update local tracking variables
+                playerX = playerEntity.x;
+                playerY = playerEntity.y;
+            } else {
+                // If no keys pressed, ensure player stops
+                playerEntity.move('none', deltaTime);
+            }
+            
+            // The walls keep the player in the room; this only stops the player leaving
+            // the map through an open doorway (walking through the wall's thickness is fine)
+            playerX = Math.max(-WALL_THICKNESS, Math.min(scene.gridWidth - 1, playerX));
+            playerY = Math.max(-WALL_THICKNESS, Math.min(scene.gridHeight - 1, playerY));
+            playerEntity.x = playerX;
+            playerEntity.y = playerY;
+            
+            // Update game physics and collisions
+            game.update(deltaTime);
+            
+            // Show the touch interact button only while something is in range
+            touchControls.update();
+            
+            // Update doorway animations and check for player-doorway collisions
+            doorwayManager.update(deltaTime, playerX, playerY, scene);
+        }
+
         function gameLoop(timestamp) {
             try {
                 // Check if we should render this frame (60 FPS cap)
@@ -444,14 +534,25 @@ if (compatibilityResults.allCriticalSupported) {
                     return;
                 }
                 
+                // Gamepads have no events for buttons or sticks, so read them each frame
+                input.pollGamepad();
+                
+                // Dialogue choices are read from the gamepad before anything else uses the buttons
+                dialogueManager.update();
+                
                 // Update FPS counter
                 const currentFps = updateFps(timestamp);
                 
-                // Get delta time for frame-rate independent movement
-                const deltaTime = getDeltaTime();
+                // Simulate in fixed steps however often we render; recorded input is stamped
+                // with the step it arrived before, so replays don't depend on the refresh rate
+                const steps = getSimulationSteps(timestamp);
+                for (let step = 0; step < steps; step++) {
+                    // Replayed input goes in before the step reads it; a paused replay holds the simulation
+                    if (!inputRecorder.beginStep()) break;
+                    simulateStep(FIXED_TIMESTEP);
+                }
                 
-                // Update scene from scene manager, passing the player entity for portal detection
-                const currentScene = updateScene(deltaTime, playerEntity);
+                const currentScene = sceneManager.getCurrentScene();
                 if (currentScene) {
                     // Log scene rendering for debugging during development
                     if (DEBUG_CONFIG.logSceneRendering) {
@@ -459,59 +560,14 @@ if (compatibilityResults.allCriticalSupported) {
                     }
                 }
                 
-                // Update player position based on input
-                // Calculate movement direction from input
-                let dx = 0;
-                let dy = 0;
-                
-                // Left movement (decreases X in isometric)
-                if (input.keys['ArrowLeft'] || input.keys['a'] || input.keys['A']) dx -= 1;
-                // Right movement (increases X in isometric)
-                if (input.keys['ArrowRight'] || input.keys['d'] || input.keys['D']) dx += 1;
-                // Up movement (decreases Y in isometric)
-                if (input.keys['ArrowUp'] || input.keys['w'] || input.keys['W']) dy -= 1;
-                // Down movement (increases Y in isometric)
-                if (input.keys['ArrowDown'] || input.keys['s'] || input.keys['S']) dy += 1;
-                
-                // Use the player's move method to update position and direction
-                if (dx !== 0 || dy !== 0) {
-                    // Convert direction to proper format
-                    let direction = '';
-                    if (dx < 0) direction = 'left';
-                    else if (dx > 0) direction = 'right';
-                    
-                    if (dy < 0) {
-                        direction = direction ? 'north' + direction : 'up';
-                    } else if (dy > 0) {
-                        direction = direction ? 'south' + direction : 'down';
-                    }
-                    
-                    // Call the player's move method
-                    playerEntity.move(direction, deltaTime);
-                    
-                    // Update local tracking variables
-                    playerX = playerEntity.x;
-                    playerY = playerEntity.y;
-                } else {
-                    // If no keys pressed, ensure player stops
-                    playerEntity.move('none', deltaTime);
-                }
-                
-                // Constrain player within grid boundaries
-                playerX = Math.max(0, Math.min(scene.gridWidth - 1, playerX));
-                playerY = Math.max(0, Math.min(scene.gridHeight - 1, playerY));
-                playerEntity.x = playerX;
-                playerEntity.y = playerY;
-                
-                // Update game physics and collisions
-                game.update(deltaTime);
+                // Draw moving entities between their last two simulated positions
+                game.interpolatePositions(inputRecorder.isPaused() ? 1 : getInterpolationAlpha());
+                const viewX = playerEntity.x;
+                const viewY = playerEntity.y;
                 
                 // Calculate player's isometric position using scene's cell dimensions
-                const playerIsoX = (playerX - playerY) * (scene.cellWidth / 2);
-                const playerIsoY = (playerX + playerY) * (scene.cellHeight / 2);
-                
-                // Update doorway animations and check for player-doorway collisions
-                doorwayManager.update(deltaTime, playerX, playerY, scene);
+                const playerIsoX = (viewX - viewY) * (scene.cellWidth / 2);
+                const playerIsoY = (viewX + viewY) * (scene.cellHeight / 2);
                 
                 // Update camera to follow player's isometric position
                 camera.follow(playerIsoX, playerIsoY);
@@ -533,7 +589,15 @@ if (compatibilityResults.allCriticalSupported) {
                 }
                 
                 // Then render game entities and player on top of the scene visuals
-                scene.render(ctx, playerX, playerY, camera, playerEntity, game);
+                scene.render(ctx, viewX, viewY, camera, playerEntity, game);
+                
+                // Preview the click-to-move path
+                clickToMove.render(ctx);
+                
+                // Entity footprints while editing the room
+                if (levelEditor) {
+                    levelEditor.render(ctx);
+                }
                 
                 // Render doorways on top of the base scene but below UI elements
                 doorwayManager.render(ctx, camera);
@@ -559,7 +623,7 @@ if (compatibilityResults.allCriticalSupported) {
                 }
                 
                 // Render mini-map after scene to overlay it
-                miniMap.render(ctx, playerX, playerY, camera);
+                miniMap.render(ctx, viewX, viewY, camera);
                 
                 // Direct drawing of decorative elements based on current scene
                 const currentSceneId = window.location.hash.substring(1) || 'startRoom';
@@ -654,9 +718,15 @@ if (compatibilityResults.allCriticalSupported) {
                     console.log('Doors drawn directly in main game loop');
                 }
                 
+                // Draw touch controls on top of the scene
+                touchControls.render(ctx);
+                
                 // Draw FPS counter if enabled
                 drawFpsCounter(ctx, currentFps);
                 
+                // Back to the simulated positions for input handling and the next step
+                game.restorePositions();
+                
                 // Debug key handling
                 if (input.keys['B'] && !keyStates.B) {
                     keyStates.B = true;
@@ -810,6 +880,7 @@ if (compatibilityResults.allCriticalSupported) {
 
         // Log initialization status
         info(`Game initialized with ${TARGET_FPS} FPS cap`);
+        info(`Press 'U' to toggle the ${TARGET_FPS} FPS render cap`);
         info(`Press 'F' to toggle FPS display (currently ${DEBUG_CONFIG.SHOW_FPS ? 'visible' : 'hidden'})`);
         info(`Press 'C' to center camera on player`);
         info(`Press '1-9' to adjust camera smoothness (1=smooth, 9=responsive)`);
@@ -1,12 +1,57 @@
 /**
  * Mini-Map module for AI Alchemist's Lair
  * Provides a spatial navigation aid to help with orientation
+ *
+ * The mini-map shows the current room's furniture, icons for its interactables
+ * and its wall doors (green while open). It expands into a full-screen world
+ * map of every room in sceneData and the exits between them. Clicking a spot
+ * on either map returns a tile for ClickToMove to walk to; clicking another
+ * room on the world map heads for the door that leads towards it.
  */
 
-import { debug } from './utils.js';
+import { scenes } from './sceneData.js';
+import { debug, info } from './utils.js';
+
+// Interactable icons by entity class; other interactables use DEFAULT_INTERACTABLE_ICON
+const INTERACTABLE_ICONS = {
+    JukeboxEntity: '♪',
+    TVEntity: '▣',
+    ArcadeEntity: '◆',
+    TrophyEntity: '★',
+    SpellbookEntity: '✦',
+    PortalEntity: '◎',
+    NPCEntity: '☺'
+};
+
+const DEFAULT_INTERACTABLE_ICON = '●';
+
+// Where a room's neighbour goes on the world map, by the direction of the exit to it
+const EXIT_OFFSETS = {
+    north: { x: 0, y: -1 },
+    south: { x: 0, y: 1 },
+    east: { x: 1, y: 0 },
+    west: { x: -1, y: 0 }
+};
+
+// Size of the expand button in the mini-map's corner
+const EXPAND_BUTTON_SIZE = 12;
 
 class MiniMap {
-    constructor(gridWidth, gridHeight, cellWidth, cellHeight, canvasWidth, canvasHeight) {
+    /**
+     * Create the mini-map
+     * @param {number} gridWidth - Room width in grid cells
+     * @param {number} gridHeight - Room height in grid cells
+     * @param {number} cellWidth - Isometric cell width in pixels
+     * @param {number} cellHeight - Isometric cell height in pixels
+     * @param {number} canvasWidth - Canvas width in pixels
+     * @param {number} canvasHeight - Canvas height in pixels
+     * @param {Object} [world] - What the map shows
+     * @param {Game} [world.game] - Game whose entities and interactables are drawn
+     * @param {TestScene} [world.scene] - Scene providing the wall door positions
+     * @param {SceneManager} [world.sceneManager] - Scene manager providing the current room
+     * @param {DoorwayManager} [world.doorwayManager] - Doorway manager providing the doors and their state
+     */
+    constructor(gridWidth, gridHeight, cellWidth, cellHeight, canvasWidth, canvasHeight, world = {}) {
         // Store grid dimensions and cell size
         this.gridWidth = gridWidth;
         this.gridHeight = gridHeight;
@@ -47,11 +92,30 @@ class MiniMap {
         this.playerColor = '#ff3366';                 // Bright magenta-red for player
         this.gridColor = 'rgba(255, 255, 255, 0.15)'; // Subtle grid lines - slightly brighter
         this.viewportColor = '#ffffff';               // White viewport rectangle
+        this.furnitureColor = 'rgba(0, 255, 204, 0.3)'; // Furniture footprints
+        this.iconColor = '#ffcc00';                   // Interactable icons
+        this.openDoorColor = '#33ff99';               // Open doors
+        this.closedDoorColor = '#ff9933';             // Closed doors
         this.borderWidth = 2;
         
+        // Size of the grid cell diamonds
+        this.cellSize = 0.8;
+        
+        // Sources for what's in the room
+        this.game = world.game || null;
+        this.scene = world.scene || null;
+        this.sceneManager = world.sceneManager || null;
+        this.doorwayManager = world.doorwayManager || null;
+        
         // Toggleable state
         this.visible = true;
         
+        // Whether the full-screen world map is open
+        this.expanded = false;
+        
+        // Room boxes from the last world map render, for clicks
+        this.worldMapRooms = [];
+        
         debug('MiniMap initialized', { 
             gridSize: `${gridWidth}x${gridHeight}`,
             dimensions: `${this.width}x${this.height}`,
@@ -70,13 +134,23 @@ class MiniMap {
         return this.visible;
     }
     
+    /**
+     * Open or close the full-screen world map
+     * @param {boolean} expanded - True to open it
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        debug(`World map ${this.expanded ? 'opened' : 'closed'}`);
+    }
+    
     /**
      * Convert isometric grid position to minimap coordinates
      * @param {number} gridX - X position in grid
      * @param {number} gridY - Y position in grid
+     * @param {Object} [view] - Area the room is drawn in {x, y, width, height, scaleX, scaleY}; defaults to the mini-map
      * @returns {Object} x and y coordinates on minimap
      */
-    gridToMinimap(gridX, gridY) {
+    gridToMinimap(gridX, gridY, view = this) {
         // First convert grid coordinates to isometric coordinates
         const isoX = (gridX - gridY) * (this.cellWidth / 2);
         const isoY = (gridX + gridY) * (this.cellHeight / 2);
@@ -87,9 +161,240 @@ class MiniMap {
         
         // Calculate position relative to center, then scale and offset to minimap
         return {
-            x: this.x + this.width / 2 + (isoX - centerIsoX) * this.scaleX,
-            y: this.y + this.height / 2 + (isoY - centerIsoY) * this.scaleY
+            x: view.x + view.width / 2 + (isoX - centerIsoX) * view.scaleX,
+            y: view.y + view.height / 2 + (isoY - centerIsoY) * view.scaleY
+        };
+    }
+    
+    /**
+     * Convert minimap coordinates back to a grid position (the inverse of gridToMinimap)
+     * @param {number} mapX - X position on the canvas
+     * @param {number} mapY - Y position on the canvas
+     * @param {Object} [view] - Area the room is drawn in; defaults to the mini-map
+     * @returns {Object} Grid position {x, y}
+     */
+    minimapToGrid(mapX, mapY, view = this) {
+        const centerIsoX = (this.gridWidth - this.gridHeight) * (this.cellWidth / 4);
+        const centerIsoY = (this.gridWidth + this.gridHeight) * (this.cellHeight / 4);
+        
+        const isoX = (mapX - view.x - view.width / 2) / view.scaleX + centerIsoX;
+        const isoY = (mapY - view.y - view.height / 2) / view.scaleY + centerIsoY;
+        
+        // isoX gives x - y and isoY gives x + y
+        const difference = isoX / (this.cellWidth / 2);
+        const sum = isoY / (this.cellHeight / 2);
+        return {
+            x: (sum + difference) / 2,
+            y: (sum - difference) / 2
+        };
+    }
+    
+    /**
+     * Find the floor tile under a point on a map
+     * @param {number} mapX - X position on the canvas
+     * @param {number} mapY - Y position on the canvas
+     * @param {Object} [view] - Area the room is drawn in; defaults to the mini-map
+     * @returns {Object|null} Tile {x, y}, or null if the point is outside the room
+     */
+    pickTile(mapX, mapY, view = this) {
+        const grid = this.minimapToGrid(mapX, mapY, view);
+        
+        // Tiles are drawn centred on whole grid coordinates
+        const tile = { x: Math.round(grid.x), y: Math.round(grid.y) };
+        if (tile.x < 0 || tile.y < 0 || tile.x >= this.gridWidth || tile.y >= this.gridHeight) {
+            return null;
+        }
+        
+        return tile;
+    }
+    
+    /**
+     * Get the expand button in the mini-map's top right corner
+     * @returns {Object} Button box {x, y, width, height}
+     */
+    getExpandButton() {
+        return {
+            x: this.x + this.width - EXPAND_BUTTON_SIZE - 3,
+            y: this.y + 3,
+            width: EXPAND_BUTTON_SIZE,
+            height: EXPAND_BUTTON_SIZE
+        };
+    }
+    
+    /**
+     * Check whether a canvas position is on the visible mini-map or the open world map
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {boolean} True if a click there belongs to the map
+     */
+    containsPoint(screenX, screenY) {
+        // The world map covers the whole canvas
+        if (this.expanded) return true;
+        if (!this.visible) return false;
+        
+        return screenX >= this.x && screenX <= this.x + this.width &&
+            screenY >= this.y && screenY <= this.y + this.height;
+    }
+    
+    /**
+     * Handle a click on the mini-map or world map
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {Object|null} Tile {x, y} in the current room to walk to, or null
+     */
+    handleClick(screenX, screenY) {
+        if (this.expanded) {
+            return this.handleWorldMapClick(screenX, screenY);
+        }
+        
+        const button = this.getExpandButton();
+        if (screenX >= button.x && screenX <= button.x + button.width &&
+            screenY >= button.y && screenY <= button.y + button.height) {
+            this.setExpanded(true);
+            return null;
+        }
+        
+        return this.pickTile(screenX, screenY);
+    }
+    
+    /**
+     * Handle a click on the world map: a spot in the current room walks there,
+     * another room walks to the door on the way to it, anywhere else closes the map
+     * @param {number} screenX - X position in canvas pixels
+     * @param {number} screenY - Y position in canvas pixels
+     * @returns {Object|null} Tile {x, y} to walk to, or null
+     */
+    handleWorldMapClick(screenX, screenY) {
+        const room = this.worldMapRooms.find(box =>
+            screenX >= box.x && screenX <= box.x + box.width &&
+            screenY >= box.y && screenY <= box.y + box.height
+        );
+        
+        if (!room) {
+            this.setExpanded(false);
+            return null;
+        }
+        
+        const tile = room.id === this.getCurrentSceneId()
+            ? this.pickTile(screenX, screenY, room.view)
+            : this.getDoorTileTowards(room.id);
+        
+        // Close the map so the walk can be seen
+        if (tile) {
+            this.setExpanded(false);
+        }
+        return tile;
+    }
+    
+    /**
+     * Get the ID of the room the player is in
+     * @returns {string} Scene ID
+     */
+    getCurrentSceneId() {
+        const currentScene = this.sceneManager && this.sceneManager.getCurrentScene();
+        return currentScene ? currentScene.id : 'startRoom';
+    }
+    
+    /**
+     * Find the tile in front of the door to take from the current room towards another
+     * @param {string} targetId - Scene ID of the room to head for
+     * @returns {Object|null} Tile {x, y}, or null if there is no way there
+     */
+    getDoorTileTowards(targetId) {
+        const currentId = this.getCurrentSceneId();
+        
+        // Breadth-first search over exits for the first room on the way
+        const previous = { [currentId]: null };
+        const queue = [currentId];
+        while (queue.length > 0 && !(targetId in previous)) {
+            const id = queue.shift();
+            ((scenes[id] && scenes[id].exits) || []).forEach(exit => {
+                if (scenes[exit.to] && !(exit.to in previous)) {
+                    previous[exit.to] = id;
+                    queue.push(exit.to);
+                }
+            });
+        }
+        
+        if (!(targetId in previous)) {
+            info(`No way from ${currentId} to ${targetId}`);
+            return null;
+        }
+        
+        let nextId = targetId;
+        while (previous[nextId] !== currentId) {
+            nextId = previous[nextId];
+        }
+        
+        // The door to that room and where its gap is in the wall
+        const door = this.getDoors().find(({ doorway }) => doorway.targetScene === nextId);
+        if (!door) {
+            info(`No door from ${currentId} to ${nextId}`);
+            return null;
+        }
+        
+        return door.wallSide === 'north'
+            ? { x: door.position, y: 0 }
+            : { x: 0, y: door.position };
+    }
+    
+    /**
+     * Get the current room's wall doors
+     * @returns {Array<{doorway: Doorway, wallSide: string, position: number}>} Doors and their wall gaps
+     */
+    getDoors() {
+        const doorPositions = (this.scene && this.scene.doorPositions) || {};
+        if (!this.doorwayManager) return [];
+        
+        const sceneId = this.getCurrentSceneId();
+        const doors = [];
+        Object.entries(doorPositions).forEach(([wallSide, position]) => {
+            const doorway = this.doorwayManager.getWallDoor(sceneId, wallSide, position);
+            if (doorway) {
+                doors.push({ doorway, wallSide, position });
+            }
+        });
+        return doors;
+    }
+    
+    /**
+     * Lay the rooms out on a grid, each neighbour in the direction of the exit to it
+     * @returns {Object} Room positions {sceneId: {x, y}}
+     */
+    getRoomLayout() {
+        const positions = {};
+        const taken = new Set();
+        const place = (id, x, y, step) => {
+            // Rooms that would land on top of another move further along
+            while (taken.has(`${x},${y}`)) {
+                x += step ? step.x : 1;
+                y += step ? step.y : 0;
+            }
+            positions[id] = { x, y };
+            taken.add(`${x},${y}`);
         };
+        
+        Object.keys(scenes).forEach(startId => {
+            if (positions[startId]) return;
+            
+            // Rooms no earlier room leads to start beside the rest
+            const columns = Object.values(positions).map(position => position.x);
+            place(startId, columns.length > 0 ? Math.max(...columns) + 1 : 0, 0, null);
+            
+            const queue = [startId];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                (scenes[id].exits || []).forEach(exit => {
+                    const offset = EXIT_OFFSETS[exit.direction];
+                    if (!offset || !scenes[exit.to] || positions[exit.to]) return;
+                    
+                    place(exit.to, positions[id].x + offset.x, positions[id].y + offset.y, offset);
+                    queue.push(exit.to);
+                });
+            }
+        });
+        
+        return positions;
     }
     
     /**
@@ -100,6 +405,12 @@ class MiniMap {
      * @param {Camera} camera - Camera instance
      */
     render(ctx, playerX, playerY, camera) {
+        // The world map replaces the mini-map while it's open
+        if (this.expanded) {
+            this.renderWorldMap(ctx, playerX, playerY);
+            return;
+        }
+        
         // Skip rendering if not visible
         if (!this.visible) return;
         
@@ -115,41 +426,9 @@ class MiniMap {
         ctx.fillRect(this.x, this.y, this.width, this.height);
         ctx.strokeRect(this.x, this.y, this.width, this.height);
         
-        // Draw grid representation
-        ctx.strokeStyle = this.gridColor;
-        ctx.lineWidth = 0.5;
-        
-        // Draw more visible isometric grid
-        for (let i = 0; i < this.gridWidth; i++) {
-            for (let j = 0; j < this.gridHeight; j++) {
-                const miniPos = this.gridToMinimap(i, j);
-                
-                // Draw a diamond shape for each grid cell
-                const cellSize = 0.8; // Size of the cell representation - reduced further to match new scale
-                
-                ctx.beginPath();
-                // Draw diamond (rhombus) shape to represent isometric cell
-                ctx.moveTo(miniPos.x, miniPos.y - cellSize);
-                ctx.lineTo(miniPos.x + cellSize, miniPos.y);
-                ctx.lineTo(miniPos.x, miniPos.y + cellSize);
-                ctx.lineTo(miniPos.x - cellSize, miniPos.y);
-                ctx.closePath();
-                
-                // Fill with a subtle color
-                ctx.fillStyle = 'rgba(128, 128, 128, 0.2)';
-                ctx.fill();
-                
-                // Stroke the outline
-                ctx.stroke();
-            }
-        }
-        
-        // Draw player position
+        // Draw the room: grid, furniture, interactables, doors and player
+        this.drawRoomContents(ctx, this, playerX, playerY, { markerSize: 3, iconSize: 9 });
         const playerMiniPos = this.gridToMinimap(playerX, playerY);
-        ctx.fillStyle = this.playerColor;
-        ctx.beginPath();
-        ctx.arc(playerMiniPos.x, playerMiniPos.y, 3, 0, Math.PI * 2);
-        ctx.fill();
         
         // Draw camera viewport rectangle
         ctx.strokeStyle = this.viewportColor;
@@ -206,12 +485,262 @@ class MiniMap {
         
         // Add key tip
         ctx.font = '8px monospace';
-        ctx.fillText('Press M to toggle', this.x + this.width/2, this.y + this.height + 10);
+        ctx.fillText('M: toggle  Shift+M: world map', this.x + this.width/2, this.y + this.height + 10);
+        
+        // Expand button for the world map
+        const button = this.getExpandButton();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = this.borderColor;
+        ctx.strokeRect(button.x, button.y, button.width, button.height);
+        ctx.font = '10px monospace';
+        ctx.fillText('⤢', button.x + button.width / 2, button.y + button.height - 2);
         
         // Reset line dash and restore context
         ctx.setLineDash([]);
         ctx.restore();
     }
+    
+    /**
+     * Draw the current room into an area of the canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} view - Area to draw in {x, y, width, height, scaleX, scaleY, cellSize}
+     * @param {number} playerX - Player X position in grid coordinates
+     * @param {number} playerY - Player Y position in grid coordinates
+     * @param {Object} sizes - Marker sizes in pixels {markerSize, iconSize}
+     */
+    drawRoomContents(ctx, view, playerX, playerY, sizes) {
+        // Draw grid representation
+        ctx.strokeStyle = this.gridColor;
+        ctx.lineWidth = 0.5;
+        
+        // Draw more visible isometric grid
+        for (let i = 0; i < this.gridWidth; i++) {
+            for (let j = 0; j < this.gridHeight; j++) {
+                const miniPos = this.gridToMinimap(i, j, view);
+                
+                // Draw a diamond shape for each grid cell
+                const cellSize = view.cellSize;
+                
+                ctx.beginPath();
+                // Draw diamond (rhombus) shape to represent isometric cell
+                ctx.moveTo(miniPos.x, miniPos.y - cellSize);
+                ctx.lineTo(miniPos.x + cellSize, miniPos.y);
+                ctx.lineTo(miniPos.x, miniPos.y + cellSize);
+                ctx.lineTo(miniPos.x - cellSize, miniPos.y);
+                ctx.closePath();
+                
+                // Fill with a subtle color
+                ctx.fillStyle = 'rgba(128, 128, 128, 0.2)';
+                ctx.fill();
+                
+                // Stroke the outline
+                ctx.stroke();
+            }
+        }
+        
+        const entities = (this.game && this.game.entities) || [];
+        const interactionManager = this.game && this.game.interactionManager;
+        const focused = interactionManager ? interactionManager.getFocusedEntity() : null;
+        const interactables = [];
+        
+        // Furniture footprints; walls are the map's edge already
+        entities.forEach(entity => {
+            if (!entity || entity.isPlayer || entity.isWall || entity.keepOffGrid) return;
+            
+            if (interactionManager && interactionManager.isInteractable(entity)) {
+                interactables.push(entity);
+                return;
+            }
+            
+            const width = entity.width || 0.6;
+            const height = entity.height || 0.6;
+            const corners = [
+                this.gridToMinimap(entity.x, entity.y, view),
+                this.gridToMinimap(entity.x + width, entity.y, view),
+                this.gridToMinimap(entity.x + width, entity.y + height, view),
+                this.gridToMinimap(entity.x, entity.y + height, view)
+            ];
+            
+            ctx.globalAlpha = entity.collidable === false ? 0.4 : 1;
+            ctx.fillStyle = this.furnitureColor;
+            ctx.beginPath();
+            corners.forEach((corner, index) => {
+                if (index === 0) ctx.moveTo(corner.x, corner.y);
+                else ctx.lineTo(corner.x, corner.y);
+            });
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+        
+        // Interactable icons, the focused one ringed
+        ctx.font = `${sizes.iconSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        interactables.forEach(entity => {
+            const center = this.gridToMinimap(
+                entity.x + (entity.width || 0.6) / 2,
+                entity.y + (entity.height || 0.6) / 2,
+                view
+            );
+            const icon = INTERACTABLE_ICONS[entity.constructor && entity.constructor.name] || DEFAULT_INTERACTABLE_ICON;
+            
+            ctx.fillStyle = this.iconColor;
+            ctx.fillText(icon, center.x, center.y);
+            
+            if (entity === focused) {
+                ctx.strokeStyle = this.iconColor;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, sizes.iconSize * 0.8, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        });
+        
+        // Doors sit in the wall gaps, just outside the first row of tiles
+        this.getDoors().forEach(({ doorway, wallSide, position }) => {
+            const door = wallSide === 'north'
+                ? this.gridToMinimap(position, -0.5, view)
+                : this.gridToMinimap(-0.5, position, view);
+            
+            ctx.fillStyle = doorway.isOpen ? this.openDoorColor : this.closedDoorColor;
+            ctx.fillRect(door.x - sizes.markerSize, door.y - sizes.markerSize, sizes.markerSize * 2, sizes.markerSize * 2);
+            
+            // Room the door leads to, where there's room for it
+            if (sizes.iconSize >= 12 && scenes[doorway.targetScene]) {
+                ctx.font = `${Math.round(sizes.iconSize * 0.75)}px monospace`;
+                ctx.fillText(scenes[doorway.targetScene].name, door.x, door.y - sizes.markerSize * 3);
+                ctx.font = `${sizes.iconSize}px sans-serif`;
+            }
+        });
+        ctx.textBaseline = 'alphabetic';
+        
+        // Draw player position
+        const playerMiniPos = this.gridToMinimap(playerX, playerY, view);
+        ctx.fillStyle = this.playerColor;
+        ctx.beginPath();
+        ctx.arc(playerMiniPos.x, playerMiniPos.y, sizes.markerSize, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    /**
+     * Render the full-screen world map: every room, the exits between them and
+     * the current room in detail
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} playerX - Player X position in grid coordinates
+     * @param {number} playerY - Player Y position in grid coordinates
+     */
+    renderWorldMap(ctx, playerX, playerY) {
+        const canvasWidth = ctx.canvas.width;
+        const canvasHeight = ctx.canvas.height;
+        const currentId = this.getCurrentSceneId();
+        const layout = this.getRoomLayout();
+        
+        // Fit the room grid into the canvas below the title
+        const positions = Object.values(layout);
+        const minX = Math.min(...positions.map(position => position.x));
+        const maxX = Math.max(...positions.map(position => position.x));
+        const minY = Math.min(...positions.map(position => position.y));
+        const maxY = Math.max(...positions.map(position => position.y));
+        const columns = maxX - minX + 1;
+        const rows = maxY - minY + 1;
+        
+        const margin = 40;
+        const top = 60;
+        const gap = 40;
+        const boxWidth = Math.min(320, (canvasWidth - margin * 2 - gap * (columns - 1)) / columns);
+        const boxHeight = Math.min(boxWidth * 0.75, (canvasHeight - top - margin - gap * (rows - 1)) / rows);
+        const originX = (canvasWidth - (boxWidth * columns + gap * (columns - 1))) / 2;
+        const originY = top + (canvasHeight - top - margin - (boxHeight * rows + gap * (rows - 1))) / 2;
+        
+        this.worldMapRooms = Object.entries(layout).map(([id, position]) => ({
+            id,
+            x: originX + (position.x - minX) * (boxWidth + gap),
+            y: originY + (position.y - minY) * (boxHeight + gap),
+            width: boxWidth,
+            height: boxHeight
+        }));
+        const boxes = {};
+        this.worldMapRooms.forEach(box => {
+            boxes[box.id] = box;
+        });
+        
+        ctx.save();
+        
+        // Dim everything behind the map
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        
+        // Title and key tip
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.borderColor;
+        ctx.font = '18px monospace';
+        ctx.fillText('WORLD MAP', canvasWidth / 2, 30);
+        ctx.font = '11px monospace';
+        ctx.fillText('Click a spot or a room to walk there  -  Shift+M or Esc to close', canvasWidth / 2, 48);
+        
+        // Exits between rooms
+        ctx.strokeStyle = this.borderColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        Object.keys(layout).forEach(id => {
+            (scenes[id].exits || []).forEach(exit => {
+                const from = boxes[id];
+                const to = boxes[exit.to];
+                if (!from || !to) return;
+                
+                ctx.beginPath();
+                ctx.moveTo(from.x + from.width / 2, from.y + from.height / 2);
+                ctx.lineTo(to.x + to.width / 2, to.y + to.height / 2);
+                ctx.stroke();
+            });
+        });
+        ctx.setLineDash([]);
+        
+        // Rooms
+        this.worldMapRooms.forEach(box => {
+            const room = scenes[box.id];
+            const isCurrent = box.id === currentId;
+            
+            ctx.fillStyle = 'rgba(10, 10, 30, 0.95)';
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+            ctx.strokeStyle = isCurrent ? this.playerColor : this.borderColor;
+            ctx.lineWidth = isCurrent ? 3 : 1;
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+            
+            ctx.fillStyle = isCurrent ? this.playerColor : this.borderColor;
+            ctx.font = '13px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(room.name || box.id, box.x + box.width / 2, box.y + 18);
+            
+            if (isCurrent) {
+                // The room in detail, fitted below its name
+                const mapDiagonalWidth = (this.gridWidth + this.gridHeight) * (this.cellWidth / 2);
+                const mapDiagonalHeight = (this.gridWidth + this.gridHeight) * (this.cellHeight / 2);
+                const scale = Math.min((box.width - 20) / mapDiagonalWidth, (box.height - 40) / mapDiagonalHeight);
+                box.view = {
+                    x: box.x,
+                    y: box.y + 24,
+                    width: box.width,
+                    height: box.height - 28,
+                    scaleX: scale,
+                    scaleY: scale,
+                    cellSize: this.cellSize * scale / this.scaleX
+                };
+                this.drawRoomContents(ctx, box.view, playerX, playerY, { markerSize: 4, iconSize: 14 });
+            } else {
+                // Where its exits lead
+                ctx.font = '11px monospace';
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                (room.exits || []).forEach((exit, index) => {
+                    const name = scenes[exit.to] ? scenes[exit.to].name : exit.to;
+                    ctx.fillText(`${exit.direction}: ${name}`, box.x + box.width / 2, box.y + 40 + index * 14);
+                });
+            }
+        });
+        
+        ctx.restore();
+    }
 }
 
 export { MiniMap };
@@ -0,0 +1,551 @@
+/**
+ * NPC Entity for AI Alchemist's Lair
+ * A character that wanders the room and comes over to greet the player,
+ * drawn with the same 8-direction wizard sprites as the player
+ *
+ * Behaviour states:
+ * - idle: stands still for a moment
+ * - wander: walks to a random spot near its home position
+ * - approach: walks towards the player when they come close, then waits facing them
+ * - talking: stands facing the player while a conversation is open
+ *
+ * NPCs with a "dialogue" option hand their conversation to the dialogue manager;
+ * the others say their "lines" one at a time in a speech bubble
+ */
+
+import { Entity } from './entity.js';
+import { Collision } from './collision.js';
+import { characterRenderer } from './characterRenderer.js';
+import dialogueManager from './dialogueManager.js';
+import { SpriteAnimator } from './spriteAnimation.js';
+import { debug } from './utils.js';
+
+// Behaviour states
+const NPC_STATES = {
+    IDLE: 'idle',
+    WANDER: 'wander',
+    APPROACH: 'approach',
+    TALKING: 'talking'
+};
+
+// Seconds to stand still between wanders (min, max)
+const IDLE_TIME = [1.5, 4];
+
+// Give up on a wander target after this many seconds, e.g. when furniture is in the way
+const WANDER_TIMEOUT = 6;
+
+// Distance (grid units) at which a target counts as reached
+const ARRIVAL_DISTANCE = 0.2;
+
+// Fallback room size when the scene isn't available
+const DEFAULT_ROOM_SIZE = 20;
+
+class NPCEntity extends Entity {
+    /**
+     * Create an NPC
+     * @param {number} x - Grid X position (also the centre of the area it wanders)
+     * @param {number} y - Grid Y position
+     * @param {Object} options - NPC options
+     * @param {Game} [options.game] - Game instance, used for collision checks against the spatial grid
+     * @param {TestScene} [options.scene] - Scene whose grid size keeps the NPC inside the room
+     * @param {string} [options.name] - Name shown above the NPC
+     * @param {Array<string>} [options.lines] - Lines the NPC says, one per interact press
+     * @param {number} [options.speed] - Walking speed in grid units per second
+     * @param {number} [options.wanderRadius] - How far from home the NPC wanders
+     * @param {number} [options.noticeDistance] - Distance at which the NPC walks over to the player
+     * @param {number} [options.interactionDistance] - Range for talking to the NPC
+     * @param {string} [options.spriteFilter] - Canvas filter that sets the NPC apart from the player's wizard
+     * @param {string} [options.animation] - Animation set ID from assets/animations (defaults to the wizard's)
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, 0.7, 0.75, {
+            isStatic: false,
+            zHeight: 0.5,
+            name: options.name || 'Guide'
+        });
+        
+        this.game = options.game || null;
+        this.scene = options.scene || null;
+        this.collidable = true;
+        
+        // Behaviour
+        this.state = NPC_STATES.IDLE;
+        this.stateTime = 0;
+        this.idleDuration = this.randomIdleTime();
+        this.home = { x, y };
+        this.target = null;
+        this.speed = options.speed || 1.2;
+        this.wanderRadius = options.wanderRadius !== undefined ? options.wanderRadius : 3;
+        this.noticeDistance = options.noticeDistance || 4;
+        this.stopDistance = 1.5; // Stop this close to the player
+        
+        // Rendering
+        this.direction = 'south';
+        this.isMoving = false;
+        this.animator = new SpriteAnimator(options.animation || 'wizard');
+        this.spriteFilter = options.spriteFilter || 'hue-rotate(150deg) saturate(1.4)';
+        
+        // Conversation - a dialogue tree ID, or simple lines for the speech bubble
+        this.dialogue = options.dialogue || null;
+        this.lines = options.lines && options.lines.length > 0
+            ? options.lines
+            : ["Welcome to the lair! Have a look around - everything that glows can be used."];
+        this.lineIndex = 0;
+        this.isActive = false; // True while talking, so the interaction manager keeps focus on us
+        this.interactionDistance = options.interactionDistance || 2.5;
+        this.hasInteractionFocus = false;
+        this.interactionPromptAlpha = 0;
+        this.player = null;
+        
+        debug(`NPCEntity: Created ${this.name} at (${x}, ${y})`);
+    }
+    
+    /**
+     * Pick how long to stand still
+     * @returns {number} Idle time in seconds
+     */
+    randomIdleTime() {
+        return IDLE_TIME[0] + Math.random() * (IDLE_TIME[1] - IDLE_TIME[0]);
+    }
+    
+    /**
+     * Switch behaviour state
+     * @param {string} state - One of NPC_STATES
+     */
+    setState(state) {
+        if (state === this.state) return;
+        
+        this.state = state;
+        this.stateTime = 0;
+        this.isMoving = false;
+        
+        if (state === NPC_STATES.IDLE) {
+            this.idleDuration = this.randomIdleTime();
+            this.target = null;
+        }
+    }
+    
+    /**
+     * Capture position and behaviour, e.g. so an input replay starts from them
+     * @returns {Object} Snapshot for restoreSnapshot()
+     */
+    getSnapshot() {
+        return {
+            x: this.x,
+            y: this.y,
+            state: this.state,
+            stateTime: this.stateTime,
+            idleDuration: this.idleDuration,
+            home: { ...this.home },
+            target: this.target ? { ...this.target } : null,
+            direction: this.direction,
+            lineIndex: this.lineIndex
+        };
+    }
+    
+    /**
+     * Put position and behaviour back to a captured state
+     * @param {Object} snapshot - Snapshot from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.x = snapshot.x;
+        this.y = snapshot.y;
+        this.state = snapshot.state;
+        this.stateTime = snapshot.stateTime;
+        this.idleDuration = snapshot.idleDuration;
+        this.home = { ...snapshot.home };
+        this.target = snapshot.target ? { ...snapshot.target } : null;
+        this.direction = snapshot.direction;
+        this.lineIndex = snapshot.lineIndex;
+        this.isMoving = false;
+    }
+    
+    /**
+     * Get the distance to the player
+     * @param {Entity} player - Player entity
+     * @returns {number} Distance in grid units
+     */
+    distanceTo(player) {
+        return Math.hypot(player.x - this.x, player.y - this.y);
+    }
+    
+    /**
+     * Update behaviour and movement
+     * @param {number} deltaTime - Time step in seconds
+     * @param {Entity} player - Player entity
+     */
+    update(deltaTime, player) {
+        this.player = player || null;
+        this.stateTime += deltaTime;
+        this.animator.update(deltaTime, {
+            animation: this.isMoving ? 'walk' : 'idle',
+            speed: this.isMoving ? this.speed : 0
+        });
+        
+        const distance = player ? this.distanceTo(player) : Infinity;
+        
+        // Fade the prompt in while we have focus
+        if (this.hasInteractionFocus && this.state !== NPC_STATES.TALKING) {
+            this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
+        } else {
+            this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
+        }
+        
+        // Stand still while a menu or overlay has control of the game
+        if (this.game && this.game.isInteractionActive()) {
+            this.isMoving = false;
+            return;
+        }
+        
+        switch (this.state) {
+            case NPC_STATES.TALKING:
+                this.face(player);
+                
+                // Walking away ends the conversation
+                if (distance > this.interactionDistance + 1.5) {
+                    this.endConversation();
+                }
+                break;
+            
+            case NPC_STATES.APPROACH:
+                if (distance > this.noticeDistance + 1) {
+                    // Player moved on
+                    this.setState(NPC_STATES.IDLE);
+                } else if (distance > this.stopDistance) {
+                    this.moveTowards(player.x, player.y, deltaTime);
+                } else {
+                    this.isMoving = false;
+                    this.face(player);
+                }
+                break;
+            
+            case NPC_STATES.WANDER:
+                if (distance <= this.noticeDistance) {
+                    this.setState(NPC_STATES.APPROACH);
+                } else if (!this.target || this.stateTime > WANDER_TIMEOUT ||
+                    !this.moveTowards(this.target.x, this.target.y, deltaTime)) {
+                    this.setState(NPC_STATES.IDLE);
+                }
+                break;
+            
+            case NPC_STATES.IDLE:
+            default:
+                this.isMoving = false;
+                if (distance <= this.noticeDistance) {
+                    this.setState(NPC_STATES.APPROACH);
+                } else if (this.stateTime >= this.idleDuration && this.wanderRadius > 0) {
+                    this.target = this.pickWanderTarget();
+                    this.setState(NPC_STATES.WANDER);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Pick a random spot near home, inside the room
+     * @returns {Object} Target position {x, y}
+     */
+    pickWanderTarget() {
+        const angle = Math.random() * Math.PI * 2;
+        const radius = Math.random() * this.wanderRadius;
+        return this.clampToRoom(
+            this.home.x + Math.cos(angle) * radius,
+            this.home.y + Math.sin(angle) * radius
+        );
+    }
+    
+    /**
+     * Keep a position inside the room's grid
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @returns {Object} Clamped position {x, y}
+     */
+    clampToRoom(x, y) {
+        const gridWidth = this.scene ? this.scene.gridWidth : DEFAULT_ROOM_SIZE;
+        const gridHeight = this.scene ? this.scene.gridHeight : DEFAULT_ROOM_SIZE;
+        
+        return {
+            x: Math.max(0.5, Math.min(gridWidth - 1.5, x)),
+            y: Math.max(0.5, Math.min(gridHeight - 1.5, y))
+        };
+    }
+    
+    /**
+     * Walk towards a position, stopping at anything solid
+     * @param {number} targetX - Grid X position
+     * @param {number} targetY - Grid Y position
+     * @param {number} deltaTime - Time step in seconds
+     * @returns {boolean} False once the target is reached or the way is blocked
+     */
+    moveTowards(targetX, targetY, deltaTime) {
+        const dx = targetX - this.x;
+        const dy = targetY - this.y;
+        const distance = Math.hypot(dx, dy);
+        
+        if (distance <= ARRIVAL_DISTANCE) {
+            this.isMoving = false;
+            return false;
+        }
+        
+        const step = Math.min(distance, this.speed * deltaTime);
+        const stepX = (dx / distance) * step;
+        const stepY = (dy / distance) * step;
+        
+        // Move one axis at a time so the NPC slides along furniture instead of sticking to it
+        const movedX = this.tryMove(stepX, 0);
+        const movedY = this.tryMove(0, stepY);
+        
+        this.isMoving = movedX || movedY;
+        if (this.isMoving) {
+            // Face the way we're heading, ignoring tiny components so the sprite doesn't flicker
+            const threshold = step * 0.4;
+            this.direction = characterRenderer.getDirectionForVector(
+                Math.abs(stepX) > threshold ? stepX : 0,
+                Math.abs(stepY) > threshold ? stepY : 0,
+                this.direction
+            );
+        }
+        
+        return this.isMoving;
+    }
+    
+    /**
+     * Move by an offset unless it would collide with a solid entity
+     * @param {number} offsetX - X offset in grid units
+     * @param {number} offsetY - Y offset in grid units
+     * @returns {boolean} True if the move was made
+     */
+    tryMove(offsetX, offsetY) {
+        if (offsetX === 0 && offsetY === 0) return false;
+        
+        const previousX = this.x;
+        const previousY = this.y;
+        const clamped = this.clampToRoom(this.x + offsetX, this.y + offsetY);
+        this.x = clamped.x;
+        this.y = clamped.y;
+        
+        if (this.x === previousX && this.y === previousY) return false;
+        
+        if (this.isBlocked()) {
+            this.x = previousX;
+            this.y = previousY;
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check for solid entities at the current position, using the game's spatial grid
+     * @returns {boolean} True if the NPC overlaps something solid
+     */
+    isBlocked() {
+        if (!this.game || !this.game.spatialGrid) return false;
+        
+        return this.game.spatialGrid.getSurroundingEntities(this, 2)
+            .some(entity => Collision.checkCollision(this, entity));
+    }
+    
+    /**
+     * Turn to face the player
+     * @param {Entity} player - Player entity
+     */
+    face(player) {
+        if (!player) return;
+        this.direction = characterRenderer.getDirectionForVector(
+            Math.round(player.x - this.x),
+            Math.round(player.y - this.y),
+            this.direction
+        );
+    }
+    
+    /**
+     * Talk - opens the NPC's dialogue tree, or for NPCs without one shows the next
+     * line on each press and ends the conversation after the last one
+     */
+    interact() {
+        if (this.dialogue) {
+            if (this.state === NPC_STATES.TALKING) return;
+            
+            this.isActive = true;
+            this.setState(NPC_STATES.TALKING);
+            this.face(this.player);
+            dialogueManager.start(this.dialogue, {
+                speaker: this.name,
+                entity: this,
+                onEnd: () => this.endConversation()
+            }).then(started => {
+                if (!started) this.endConversation();
+            });
+            return;
+        }
+        
+        if (this.state !== NPC_STATES.TALKING) {
+            this.lineIndex = 0;
+            this.isActive = true;
+            this.setState(NPC_STATES.TALKING);
+            debug(`NPCEntity: ${this.name} started a conversation`);
+            return;
+        }
+        
+        this.lineIndex++;
+        if (this.lineIndex >= this.lines.length) {
+            this.endConversation();
+        }
+    }
+    
+    /**
+     * Stop talking and go back to idling
+     */
+    endConversation() {
+        this.isActive = false;
+        this.lineIndex = 0;
+        this.setState(NPC_STATES.IDLE);
+    }
+    
+    /**
+     * Draw the NPC
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} screenX - Screen X position to draw at
+     * @param {number} screenY - Screen Y position to draw at
+     * @param {number} width - Width to draw
+     * @param {number} height - Height to draw
+     * @param {number} zOffset - Z-axis offset
+     */
+    draw(ctx, screenX, screenY, width, height, zOffset) {
+        ctx.save();
+        
+        // Shadow
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.beginPath();
+        ctx.ellipse(screenX, screenY, width / 2, width / 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Same proportions as the player's wizard
+        const spriteWidth = width * 1.5;
+        const spriteHeight = height * 3.5;
+        const spriteX = screenX - spriteWidth / 2;
+        const spriteY = screenY - spriteHeight + height / 1.5 - zOffset;
+        
+        const sprite = characterRenderer.getSpriteForDirection(this.direction);
+        if (sprite) {
+            ctx.filter = this.spriteFilter;
+            if (!this.animator.draw(ctx, this.direction, spriteX, spriteY, spriteWidth, spriteHeight)) {
+                // Gentle bob while walking until the walk cycle has loaded
+                const bob = this.isMoving ? Math.sin(this.stateTime * 12) * 1.5 : 0;
+                ctx.drawImage(sprite, spriteX, spriteY + bob, spriteWidth, spriteHeight);
+            }
+            ctx.filter = 'none';
+        } else {
+            characterRenderer.renderFallbackCharacter(ctx, screenX, screenY - height, width, height * 2, this.direction);
+        }
+        
+        // Name tag
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#00ffcc';
+        ctx.fillText(this.name, screenX, spriteY - 6);
+        
+        if (this.state === NPC_STATES.TALKING) {
+            // Dialogue trees are shown in the dialogue box rather than a bubble
+            if (!this.dialogue) {
+                this.drawSpeechBubble(ctx, screenX, spriteY - 20);
+            }
+        } else if (this.interactionPromptAlpha > 0) {
+            this.drawInteractionPrompt(ctx, screenX, spriteY - 40);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the current line in a speech bubble
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position of the bubble's tail
+     * @param {number} y - Y position of the bubble's tail
+     */
+    drawSpeechBubble(ctx, x, y) {
+        const text = this.lines[this.lineIndex] || '';
+        const maxWidth = 260;
+        const lineHeight = 16;
+        
+        ctx.font = '13px monospace';
+        
+        // Word-wrap the line to the bubble width
+        const wrapped = [];
+        let current = '';
+        text.split(' ').forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (ctx.measureText(candidate).width > maxWidth && current) {
+                wrapped.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        if (current) wrapped.push(current);
+        
+        const hint = this.lineIndex < this.lines.length - 1 ? '[ ENTER ] next' : '[ ENTER ] bye';
+        const boxWidth = Math.max(...wrapped.map(line => ctx.measureText(line).width), ctx.measureText(hint).width) + 20;
+        const boxHeight = (wrapped.length + 1) * lineHeight + 16;
+        const boxX = x - boxWidth / 2;
+        const boxY = y - boxHeight - 8;
+        
+        // Bubble with a tail pointing at the NPC
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.strokeStyle = '#00ffcc';
+        ctx.lineWidth = 2;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+        
+        ctx.beginPath();
+        ctx.moveTo(x - 6, boxY + boxHeight);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + 6, boxY + boxHeight);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'white';
+        wrapped.forEach((line, index) => {
+            ctx.fillText(line, boxX + 10, boxY + 8 + index * lineHeight);
+        });
+        
+        ctx.fillStyle = '#00ffcc';
+        ctx.textAlign = 'right';
+        ctx.fillText(hint, boxX + boxWidth - 10, boxY + 8 + wrapped.length * lineHeight);
+    }
+    
+    /**
+     * Draw the "talk" prompt above the NPC
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X position for the prompt
+     * @param {number} y - Y position for the prompt
+     */
+    drawInteractionPrompt(ctx, x, y) {
+        ctx.save();
+        
+        ctx.font = 'bold 14px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        const text = `Press ENTER to talk to ${this.name}`;
+        const textWidth = ctx.measureText(text).width;
+        
+        ctx.fillStyle = `rgba(0, 0, 0, ${this.interactionPromptAlpha * 0.7})`;
+        ctx.fillRect(x - textWidth / 2 - 10, y - 15, textWidth + 20, 30);
+        
+        ctx.strokeStyle = `rgba(0, 255, 204, ${this.interactionPromptAlpha})`;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - textWidth / 2 - 10, y - 15, textWidth + 20, 30);
+        
+        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
+        ctx.fillText(text, x, y);
+        
+        ctx.restore();
+    }
+}
+
+export { NPCEntity, NPC_STATES };
@@ -0,0 +1,62 @@
+/**
+ * NPCManager.js - Manages NPC entities in AI Alchemist's Lair
+ * Handles creating and placing the characters that wander the rooms
+ */
+
+import { NPCEntity } from './npcEntity.js';
+import { debug } from './utils.js';
+
+export class NPCManager {
+    /**
+     * Create a new NPC manager
+     * @param {Game} game - Reference to the main game instance
+     * @param {TestScene} [scene] - Scene whose grid keeps the NPCs inside the room
+     */
+    constructor(game, scene = null) {
+        this.game = game;
+        this.scene = scene;
+        this.npcs = [];
+
+        debug('NPCManager: Initialized');
+    }
+
+    /**
+     * Add an NPC to the game
+     * @param {Object} config - NPC configuration ({ position, name, lines, speed, wanderRadius, ... })
+     * @returns {NPCEntity|null} - The created NPC entity
+     */
+    addNPC(config) {
+        if (!config || !config.position) {
+            debug('NPCManager: Invalid NPC configuration', config);
+            return null;
+        }
+
+        if (!this.game) {
+            debug('NPCManager: Cannot add NPC - no game instance available');
+            return null;
+        }
+
+        const { x, y } = config.position;
+        const npc = new NPCEntity(x, y, { ...config, game: this.game, scene: this.scene });
+
+        this.game.addEntity(npc);
+        this.npcs.push(npc);
+        debug(`NPCManager: Added ${npc.name} at (${x}, ${y})`);
+
+        return npc;
+    }
+
+    /**
+     * Remove all NPCs from the game
+     */
+    removeNPCs() {
+        if (this.game) {
+            this.npcs.forEach(npc => {
+                this.game.removeEntity(npc);
+            });
+        }
+
+        this.npcs = [];
+        debug('NPCManager: Removed all NPCs');
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * Overlay Manager for AI Alchemist's Lair
+ * Shared modal/overlay layer for entity UIs (spellbook page, TV, jukebox...)
+ *
+ * Entities only supply the content element; the manager provides:
+ * - a stack of modals, each above the last
+ * - closing with Escape, the browser back button or a backdrop click
+ * - any element inside the content with a data-overlay-close attribute closes the overlay
+ * - focus trapping while a modal is open, restoring focus when it closes
+ * - fade in/out transitions
+ * - pausing game input while any overlay is open
+ */
+
+import { input } from './input.js';
+import { debug } from './utils.js';
+
+// z-index of the first overlay; stacked overlays go above it
+const BASE_Z_INDEX = 1000;
+
+// Default fade duration in milliseconds
+const DEFAULT_FADE_DURATION = 300;
+
+// Elements that can receive keyboard focus
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+    'textarea:not([disabled])', 'iframe', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+class OverlayManager {
+    constructor() {
+        // Open overlays, bottom first
+        this.stack = [];
+        
+        // History entries we are popping ourselves, so their popstate events are ignored
+        this.pendingHistoryBacks = 0;
+        
+        this.listenersAttached = false;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+    
+    /**
+     * Attach the document listeners on first use
+     */
+    attachListeners() {
+        if (this.listenersAttached) return;
+        
+        // Capture phase so Escape and Tab are handled before anything in the game sees them
+        document.addEventListener('keydown', this.handleKeyDown, true);
+        document.addEventListener('focusin', this.handleFocusIn);
+        window.addEventListener('popstate', this.handlePopState);
+        
+        this.listenersAttached = true;
+    }
+    
+    /**
+     * Open an overlay
+     * @param {Object} options - Overlay options
+     * @param {HTMLElement} options.content - Element to show, centred over the game
+     * @param {string} [options.id] - ID for the backdrop element; opening an ID that is already open returns the existing overlay
+     * @param {string} [options.backdrop] - Backdrop colour
+     * @param {boolean} [options.blur] - Blur the game behind the overlay
+     * @param {number} [options.fadeDuration] - Fade in/out duration in milliseconds
+     * @param {boolean} [options.closeOnBackdropClick] - Close when the backdrop around the content is clicked (default true)
+     * @param {Function} [options.onClose] - Called once the overlay has been closed
+     * @returns {Object} Overlay handle with id, element, content and close()
+     */
+    open(options) {
+        if (!options || !options.content) {
+            console.error('OverlayManager: open() needs a content element');
+            return null;
+        }
+        
+        if (options.id && this.isOpen(options.id)) {
+            return this.stack.find(overlay => overlay.id === options.id);
+        }
+        
+        this.attachListeners();
+        
+        const fadeDuration = options.fadeDuration !== undefined ? options.fadeDuration : DEFAULT_FADE_DURATION;
+        
+        // Full-screen backdrop that centres the content
+        const backdrop = document.createElement('div');
+        if (options.id) backdrop.id = options.id;
+        backdrop.setAttribute('role', 'dialog');
+        backdrop.setAttribute('aria-modal', 'true');
+        backdrop.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            background-color: ${options.backdrop || 'rgba(0, 0, 0, 0.8)'};
+            z-index: ${BASE_Z_INDEX + this.stack.length * 10};
+            opacity: 0;
+            transition: opacity ${fadeDuration}ms ease-in-out;
+        `;
+        if (options.blur) {
+            backdrop.style.backdropFilter = 'blur(5px)';
+        }
+        backdrop.appendChild(options.content);
+        
+        const overlay = {
+            id: options.id || null,
+            element: backdrop,
+            content: options.content,
+            fadeDuration,
+            onClose: options.onClose || null,
+            previousFocus: document.activeElement,
+            close: () => this.close(overlay)
+        };
+        
+        // Backdrop clicks close the overlay; clicks never reach the game canvas
+        backdrop.addEventListener('click', (event) => {
+            event.stopPropagation();
+            
+            const closeTrigger = event.target.closest && event.target.closest('[data-overlay-close]');
+            if (closeTrigger && backdrop.contains(closeTrigger)) {
+                this.close(overlay);
+            } else if (event.target === backdrop && options.closeOnBackdropClick !== false) {
+                this.close(overlay);
+            }
+        });
+        
+        // First overlay pauses the game
+        if (this.stack.length === 0) {
+            this.pauseGameInput(true);
+        }
+        
+        this.stack.push(overlay);
+        document.body.appendChild(backdrop);
+        
+        // Give the back button something to pop
+        if (window.history && typeof window.history.pushState === 'function') {
+            window.history.pushState({ overlay: overlay.id }, '');
+        }
+        
+        this.focusFirstElement(overlay);
+        
+        // Let the browser lay out the backdrop before fading it in
+        setTimeout(() => {
+            backdrop.style.opacity = '1';
+        }, 10);
+        
+        debug(`OverlayManager: Opened ${overlay.id || 'overlay'} (${this.stack.length} open)`);
+        
+        return overlay;
+    }
+    
+    /**
+     * Close an overlay
+     * @param {Object|string} overlayOrId - Overlay handle or ID
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.fromHistory] - True when closing because the back button was pressed
+     */
+    close(overlayOrId, options = {}) {
+        const overlay = typeof overlayOrId === 'string'
+            ? this.stack.find(entry => entry.id === overlayOrId)
+            : overlayOrId;
+        
+        const index = overlay ? this.stack.indexOf(overlay) : -1;
+        if (index === -1) return;
+        
+        this.stack.splice(index, 1);
+        
+        // Pop the history entry this overlay added, unless the back button already did
+        if (!options.fromHistory && window.history && typeof window.history.back === 'function') {
+            this.pendingHistoryBacks++;
+            window.history.back();
+        }
+        
+        // Fade out, then remove
+        const backdrop = overlay.element;
+        backdrop.style.opacity = '0';
+        backdrop.style.pointerEvents = 'none';
+        setTimeout(() => {
+            if (backdrop.parentNode) {
+                backdrop.parentNode.removeChild(backdrop);
+            }
+        }, overlay.fadeDuration);
+        
+        // Hand focus back to whatever had it before
+        if (overlay.previousFocus && typeof overlay.previousFocus.focus === 'function' && document.contains(overlay.previousFocus)) {
+            overlay.previousFocus.focus();
+        }
+        
+        if (this.stack.length === 0) {
+            this.pauseGameInput(false);
+        }
+        
+        debug(`OverlayManager: Closed ${overlay.id || 'overlay'} (${this.stack.length} open)`);
+        
+        if (overlay.onClose) {
+            try {
+                overlay.onClose();
+            } catch (err) {
+                console.error('OverlayManager: Error in onClose callback', err);
+            }
+        }
+    }
+    
+    /**
+     * Close the topmost overlay
+     * @returns {boolean} True if an overlay was closed
+     */
+    closeTop() {
+        const top = this.getTopOverlay();
+        if (!top) return false;
+        
+        this.close(top);
+        return true;
+    }
+    
+    /**
+     * Check whether an overlay is open
+     * @param {string} id - Overlay ID
+     * @returns {boolean} True if an overlay with this ID is open
+     */
+    isOpen(id) {
+        return this.stack.some(overlay => overlay.id === id);
+    }
+    
+    /**
+     * Check whether any overlay is open
+     * @returns {boolean} True if at least one overlay is open
+     */
+    hasOpenOverlays() {
+        return this.stack.length > 0;
+    }
+    
+    /**
+     * Get the topmost overlay
+     * @returns {Object|null} Overlay handle or null if none are open
+     */
+    getTopOverlay() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+    }
+    
+    /**
+     * Pause or resume game input
+     * Movement and interactions stop while an overlay is open. The pause is held
+     * under its own reason, so closing an overlay leaves the level editor paused
+     * @param {boolean} paused - Whether game input should be paused
+     */
+    pauseGameInput(paused) {
+        // Drop held keys so the wizard doesn't keep walking after the overlay closes
+        input.reset();
+        
+        if (window.game && typeof window.game.setInteractionActive === 'function') {
+            window.game.setInteractionActive(paused, 'overlay');
+        }
+    }
+    
+    /**
+     * Get the focusable elements inside an overlay
+     * @param {Object} overlay - Overlay handle
+     * @returns {Array<HTMLElement>} Focusable elements in document order
+     */
+    getFocusableElements(overlay) {
+        return Array.from(overlay.element.querySelectorAll(FOCUSABLE_SELECTOR));
+    }
+    
+    /**
+     * Move focus into an overlay
+     * Close buttons are preferred so Enter or Space closes the modal
+     * @param {Object} overlay - Overlay handle
+     */
+    focusFirstElement(overlay) {
+        const closeButton = overlay.element.querySelector('[data-overlay-close]');
+        const target = closeButton || this.getFocusableElements(overlay)[0] || overlay.content;
+        
+        // Non-interactive elements need a tabindex to take focus
+        if (!target.matches(FOCUSABLE_SELECTOR)) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+    }
+    
+    /**
+     * Handle keys while an overlay is open - Escape closes, Tab stays inside the overlay
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeyDown(event) {
+        const top = this.getTopOverlay();
+        if (!top) return;
+        
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close(top);
+            return;
+        }
+        
+        // A held interact key shouldn't immediately activate the focused close button
+        if (event.repeat && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'Tab') {
+            const focusable = this.getFocusableElements(top);
+            if (focusable.length === 0) {
+                event.preventDefault();
+                return;
+            }
+            
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            
+            if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+    }
+    
+    /**
+     * Pull focus back into the top overlay if it escapes (e.g. a click on the page behind)
+     * @param {FocusEvent} event - Focusin event
+     */
+    handleFocusIn(event) {
+        const top = this.getTopOverlay();
+        if (!top || top.element.contains(event.target)) return;
+        
+        this.focusFirstElement(top);
+    }
+    
+    /**
+     * Close the top overlay when the browser back button is pressed
+     */
+    handlePopState() {
+        if (this.pendingHistoryBacks > 0) {
+            this.pendingHistoryBacks--;
+            return;
+        }
+        
+        const top = this.getTopOverlay();
+        if (top) {
+            this.close(top, { fromHistory: true });
+        }
+    }
+}
+
+// Create a singleton instance
+const overlayManager = new OverlayManager();
+export { OverlayManager };
+export default overlayManager;
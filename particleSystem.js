@@ -0,0 +1,512 @@
+/**
+ * Particle System for AI Alchemist's Lair
+ * Reusable particle emitters for sparkles, dust, smoke, portal swirls and the like
+ *
+ * An emitter spawns particles at a rate (or in bursts) from a point, circle or
+ * ring, gives them a lifetime and a velocity, pulls them down with gravity and
+ * fades them through a list of colors as they age. Particles come from a
+ * fixed-size pool, so a busy emitter never allocates while it runs.
+ *
+ * Emitters can be used two ways:
+ * - owned and drawn by an entity: create a ParticleEmitter, call update() from the
+ *   entity's update and draw(ctx, x, y) from its draw, e.g. VibePortalEntity
+ * - attached to any entity with particleSystem.attach(entity, config): the system
+ *   updates them with the game and TestScene draws them just after their entity
+ */
+
+import { debug } from './utils.js';
+
+// Grid cell size used to place attached emitters (matches TestScene)
+const DEFAULT_CELL_WIDTH = 64;
+const DEFAULT_CELL_HEIGHT = 32;
+
+// Settings an emitter config may leave out
+const DEFAULT_EMITTER_CONFIG = {
+    rate: 10,                   // Particles per second while emitting
+    maxParticles: 50,           // Pool size; no more than this many are alive at once
+    lifetime: [1, 2],           // Seconds (min, max)
+    velocityX: [0, 0],          // Pixels per second (min, max)
+    velocityY: [0, 0],          // Pixels per second (min, max); negative is up
+    gravity: 0,                 // Pixels per second squared, pulling particles down
+    drag: 0,                    // Fraction of velocity lost per second (0-1)
+    colors: ['#ffffff'],        // Color gradient over each particle's life
+    alpha: [1, 0],              // Opacity at birth and death
+    size: [2, 2],               // Radius in pixels at birth and death
+    blendMode: 'source-over',   // Canvas globalCompositeOperation
+    glow: 0,                    // shadowBlur in pixels
+    shape: 'point',             // Spawn area: 'point', 'circle' or 'ring'
+    radiusX: 0,                 // Spawn area size for circle and ring shapes
+    radiusY: 0,
+    offsetX: 0,                 // Spawn offset from the emitter's anchor, in pixels
+    offsetY: 0,
+    orbitSpeed: 0,              // Radians per second particles circle the spawn center
+    space: 'world',             // 'world' particles stay where they spawned, 'local' ones move with the anchor
+    emitting: true              // Whether the emitter starts emitting straight away
+};
+
+// Ready-made configs for common effects
+const PARTICLE_PRESETS = {
+    sparkle: {
+        rate: 4,
+        maxParticles: 20,
+        lifetime: [0.6, 1.2],
+        velocityX: [-6, 6],
+        velocityY: [-18, -6],
+        colors: ['#ffffff', '#ffd700'],
+        alpha: [1, 0],
+        size: [2, 0.5],
+        blendMode: 'lighter',
+        glow: 6,
+        shape: 'circle',
+        radiusX: 18,
+        radiusY: 24
+    },
+    dust: {
+        rate: 12,
+        maxParticles: 30,
+        lifetime: [0.3, 0.6],
+        velocityX: [-12, 12],
+        velocityY: [-10, -2],
+        gravity: 20,
+        drag: 0.8,
+        colors: ['#b8a88a', '#6b6257'],
+        alpha: [0.5, 0],
+        size: [2, 4],
+        shape: 'circle',
+        radiusX: 8,
+        radiusY: 3
+    },
+    smoke: {
+        rate: 6,
+        maxParticles: 40,
+        lifetime: [2, 3.5],
+        velocityX: [-5, 5],
+        velocityY: [-25, -15],
+        gravity: -4,
+        colors: ['#9be7a0', '#556b5a', '#333333'],
+        alpha: [0.4, 0],
+        size: [4, 12],
+        shape: 'circle',
+        radiusX: 10,
+        radiusY: 4
+    }
+};
+
+/**
+ * Pick a random number in a [min, max] range (or return a plain number as is)
+ * @param {number|Array<number>} range - Range or fixed value
+ * @returns {number} Random value in the range
+ */
+function randomInRange(range) {
+    if (!Array.isArray(range)) return range;
+    return range[0] + Math.random() * (range[1] - range[0]);
+}
+
+/**
+ * Parse a CSS hex or rgb()/rgba() color into components
+ * @param {string} color - Color string
+ * @returns {Object} Color as { r, g, b } (0-255)
+ */
+function parseColor(color) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16)
+        };
+    }
+    
+    const rgb = /^rgba?\(([^)]+)\)$/i.exec(color);
+    if (rgb) {
+        const [r, g, b] = rgb[1].split(',').map(part => parseFloat(part));
+        return { r, g, b };
+    }
+    
+    return { r: 255, g: 255, b: 255 };
+}
+
+class ParticleEmitter {
+    /**
+     * Create a particle emitter
+     * @param {Object} config - Emitter settings (see DEFAULT_EMITTER_CONFIG)
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_EMITTER_CONFIG, ...config };
+        this.colors = this.config.colors.map(parseColor);
+        this.emitting = this.config.emitting;
+        
+        // Extra opacity multiplier, e.g. to fade an effect with distance
+        this.opacity = 1;
+        
+        // Fractional particles carried between frames so low rates still emit
+        this.emitAccumulator = 0;
+        
+        // Fixed pool of particles, reused as they die
+        this.particles = [];
+        for (let i = 0; i < this.config.maxParticles; i++) {
+            this.particles.push({
+                alive: false, age: 0, lifetime: 1,
+                x: 0, y: 0, velocityX: 0, velocityY: 0,
+                originX: 0, originY: 0, angle: 0, radiusX: 0, radiusY: 0
+            });
+        }
+        this.nextIndex = 0;
+        this.aliveCount = 0;
+    }
+    
+    /**
+     * Start emitting particles at the configured rate
+     */
+    start() {
+        this.emitting = true;
+    }
+    
+    /**
+     * Stop emitting; particles already alive live out their lifetime
+     */
+    stop() {
+        this.emitting = false;
+    }
+    
+    /**
+     * Kill every particle
+     */
+    clear() {
+        this.particles.forEach(particle => {
+            particle.alive = false;
+        });
+        this.aliveCount = 0;
+        this.emitAccumulator = 0;
+    }
+    
+    /**
+     * Capture the emitter's state, e.g. so an input replay starts from it
+     * @returns {Object} Snapshot for restoreSnapshot()
+     */
+    getSnapshot() {
+        return {
+            emitting: this.emitting,
+            emitAccumulator: this.emitAccumulator,
+            nextIndex: this.nextIndex,
+            particles: this.particles
+                .map((particle, index) => particle.alive ? { index, ...particle } : null)
+                .filter(Boolean)
+        };
+    }
+    
+    /**
+     * Put the emitter back into a captured state
+     * @param {Object} snapshot - Snapshot from getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.clear();
+        this.emitting = snapshot.emitting;
+        this.emitAccumulator = snapshot.emitAccumulator || 0;
+        this.nextIndex = (snapshot.nextIndex || 0) % Math.max(1, this.particles.length);
+        
+        (snapshot.particles || []).forEach(({ index, ...saved }) => {
+            const particle = this.particles[index];
+            if (!particle) return;
+            Object.assign(particle, saved, { alive: true });
+            this.aliveCount++;
+        });
+    }
+    
+    /**
+     * Check whether the emitter has nothing to show
+     * @returns {boolean} True if not emitting and no particles are alive
+     */
+    isIdle() {
+        return !this.emitting && this.aliveCount === 0;
+    }
+    
+    /**
+     * Emit a number of particles at once
+     * @param {number} count - Particles to emit
+     * @param {number} [anchorX] - Anchor X in world pixels (world-space emitters)
+     * @param {number} [anchorY] - Anchor Y in world pixels (world-space emitters)
+     */
+    burst(count, anchorX = 0, anchorY = 0) {
+        for (let i = 0; i < count; i++) {
+            this.spawn(anchorX, anchorY);
+        }
+    }
+    
+    /**
+     * Spawn a single particle from the pool
+     * When every particle is alive, the next slot in turn is overwritten
+     * @param {number} anchorX - Anchor X in world pixels
+     * @param {number} anchorY - Anchor Y in world pixels
+     */
+    spawn(anchorX, anchorY) {
+        const config = this.config;
+        if (this.particles.length === 0) return;
+        
+        // Prefer a dead particle; fall back to overwriting the next slot
+        let particle = null;
+        for (let i = 0; i < this.particles.length; i++) {
+            const candidate = this.particles[(this.nextIndex + i) % this.particles.length];
+            if (!candidate.alive) {
+                particle = candidate;
+                this.nextIndex = (this.nextIndex + i + 1) % this.particles.length;
+                break;
+            }
+        }
+        if (!particle) {
+            particle = this.particles[this.nextIndex];
+            this.nextIndex = (this.nextIndex + 1) % this.particles.length;
+        } else {
+            this.aliveCount++;
+        }
+        
+        // Position within the spawn shape, relative to the spawn center
+        let spawnX = 0;
+        let spawnY = 0;
+        particle.angle = Math.random() * Math.PI * 2;
+        if (config.shape === 'ring' || config.shape === 'circle') {
+            const distance = config.shape === 'ring' ? 1 : Math.sqrt(Math.random());
+            particle.radiusX = config.radiusX * distance;
+            particle.radiusY = config.radiusY * distance;
+            spawnX = Math.cos(particle.angle) * particle.radiusX;
+            spawnY = Math.sin(particle.angle) * particle.radiusY;
+        } else {
+            particle.radiusX = 0;
+            particle.radiusY = 0;
+        }
+        
+        const originX = config.space === 'local' ? 0 : anchorX;
+        const originY = config.space === 'local' ? 0 : anchorY;
+        
+        particle.alive = true;
+        particle.age = 0;
+        particle.lifetime = Math.max(0.01, randomInRange(config.lifetime));
+        particle.originX = originX + config.offsetX;
+        particle.originY = originY + config.offsetY;
+        particle.x = particle.originX + spawnX;
+        particle.y = particle.originY + spawnY;
+        particle.velocityX = randomInRange(config.velocityX);
+        particle.velocityY = randomInRange(config.velocityY);
+    }
+    
+    /**
+     * Emit new particles and move the living ones
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} [anchorX] - Anchor X in world pixels (where world-space particles spawn)
+     * @param {number} [anchorY] - Anchor Y in world pixels
+     */
+    update(deltaTime, anchorX = 0, anchorY = 0) {
+        const config = this.config;
+        
+        if (this.emitting && config.rate > 0) {
+            this.emitAccumulator += config.rate * deltaTime;
+            const count = Math.floor(this.emitAccumulator);
+            this.emitAccumulator -= count;
+            this.burst(count, anchorX, anchorY);
+        }
+        
+        if (this.aliveCount === 0) return;
+        
+        const dragFactor = Math.max(0, 1 - config.drag * deltaTime);
+        
+        this.particles.forEach(particle => {
+            if (!particle.alive) return;
+            
+            particle.age += deltaTime;
+            if (particle.age >= particle.lifetime) {
+                particle.alive = false;
+                this.aliveCount--;
+                return;
+            }
+            
+            particle.velocityY += config.gravity * deltaTime;
+            particle.velocityX *= dragFactor;
+            particle.velocityY *= dragFactor;
+            
+            if (config.orbitSpeed !== 0) {
+                // Circle the spawn center, drifting with the particle's own velocity
+                particle.angle += config.orbitSpeed * deltaTime;
+                particle.originX += particle.velocityX * deltaTime;
+                particle.originY += particle.velocityY * deltaTime;
+                particle.x = particle.originX + Math.cos(particle.angle) * particle.radiusX;
+                particle.y = particle.originY + Math.sin(particle.angle) * particle.radiusY;
+            } else {
+                particle.x += particle.velocityX * deltaTime;
+                particle.y += particle.velocityY * deltaTime;
+            }
+        });
+    }
+    
+    /**
+     * Get a particle's color for its age
+     * @param {number} t - Life progress from 0 (born) to 1 (dead)
+     * @returns {Object} Interpolated { r, g, b }
+     */
+    getColorAt(t) {
+        const colors = this.colors;
+        if (colors.length === 1) return colors[0];
+        
+        const scaled = t * (colors.length - 1);
+        const index = Math.min(colors.length - 2, Math.floor(scaled));
+        const blend = scaled - index;
+        const from = colors[index];
+        const to = colors[index + 1];
+        
+        return {
+            r: from.r + (to.r - from.r) * blend,
+            g: from.g + (to.g - from.g) * blend,
+            b: from.b + (to.b - from.b) * blend
+        };
+    }
+    
+    /**
+     * Draw the living particles
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} [anchorX] - Anchor X local-space particles are drawn around
+     * @param {number} [anchorY] - Anchor Y local-space particles are drawn around
+     */
+    draw(ctx, anchorX = 0, anchorY = 0) {
+        if (this.aliveCount === 0 || this.opacity <= 0) return;
+        
+        const config = this.config;
+        const offsetX = config.space === 'local' ? anchorX : 0;
+        const offsetY = config.space === 'local' ? anchorY : 0;
+        
+        ctx.save();
+        ctx.globalCompositeOperation = config.blendMode;
+        ctx.shadowBlur = config.glow;
+        
+        this.particles.forEach(particle => {
+            if (!particle.alive) return;
+            
+            const t = particle.age / particle.lifetime;
+            const alpha = (config.alpha[0] + (config.alpha[1] - config.alpha[0]) * t) * this.opacity;
+            const size = config.size[0] + (config.size[1] - config.size[0]) * t;
+            if (alpha <= 0 || size <= 0) return;
+            
+            const color = this.getColorAt(t);
+            const rgb = `${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}`;
+            ctx.fillStyle = `rgba(${rgb}, ${alpha})`;
+            if (config.glow > 0) {
+                ctx.shadowColor = `rgba(${rgb}, ${alpha * 0.8})`;
+            }
+            
+            ctx.beginPath();
+            ctx.arc(offsetX + particle.x, offsetY + particle.y, size, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        ctx.restore();
+    }
+}
+
+class ParticleSystem {
+    constructor() {
+        // Emitters attached to entities; weak so removed entities don't leak
+        this.attached = new WeakMap();
+        
+        // Grid cell size for converting entity positions to world pixels
+        this.cellWidth = DEFAULT_CELL_WIDTH;
+        this.cellHeight = DEFAULT_CELL_HEIGHT;
+        
+        debug('ParticleSystem: Initialized');
+    }
+    
+    /**
+     * Attach an emitter to an entity
+     * The emitter's anchor is the entity's floor position; use offsetY to raise it
+     * @param {Entity} entity - Entity to attach to
+     * @param {Object|ParticleEmitter} configOrEmitter - Emitter settings, or an existing emitter
+     * @returns {ParticleEmitter} The attached emitter
+     */
+    attach(entity, configOrEmitter = {}) {
+        const emitter = configOrEmitter instanceof ParticleEmitter
+            ? configOrEmitter
+            : new ParticleEmitter(configOrEmitter);
+        
+        const emitters = this.attached.get(entity) || [];
+        emitters.push(emitter);
+        this.attached.set(entity, emitters);
+        
+        return emitter;
+    }
+    
+    /**
+     * Detach emitters from an entity
+     * @param {Entity} entity - Entity to detach from
+     * @param {ParticleEmitter} [emitter] - Emitter to detach; all of the entity's emitters if omitted
+     */
+    detach(entity, emitter = null) {
+        if (!emitter) {
+            this.attached.delete(entity);
+            return;
+        }
+        
+        const emitters = (this.attached.get(entity) || []).filter(entry => entry !== emitter);
+        if (emitters.length > 0) {
+            this.attached.set(entity, emitters);
+        } else {
+            this.attached.delete(entity);
+        }
+    }
+    
+    /**
+     * Get the emitters attached to an entity
+     * @param {Entity} entity - Entity
+     * @returns {Array<ParticleEmitter>} Attached emitters (empty if none)
+     */
+    getEmitters(entity) {
+        return this.attached.get(entity) || [];
+    }
+    
+    /**
+     * Get the world pixel position emitters attached to an entity are anchored at
+     * @param {Entity} entity - Entity
+     * @returns {Object} Anchor as { x, y }
+     */
+    getAnchor(entity) {
+        return {
+            x: (entity.x - entity.y) * (this.cellWidth / 2),
+            y: (entity.x + entity.y) * (this.cellHeight / 2) - (entity.z || 0) * this.cellHeight
+        };
+    }
+    
+    /**
+     * Update the emitters attached to the given entities
+     * Entities that aren't in the world (e.g. in another room) are left paused
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Array<Entity>} entities - Entities currently in the world
+     */
+    update(deltaTime, entities) {
+        (entities || []).forEach(entity => {
+            const emitters = entity && this.attached.get(entity);
+            if (!emitters) return;
+            
+            const anchor = this.getAnchor(entity);
+            emitters.forEach(emitter => emitter.update(deltaTime, anchor.x, anchor.y));
+        });
+    }
+    
+    /**
+     * Draw the emitters attached to an entity
+     * Call with the camera transform applied, right after drawing the entity
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Entity} entity - Entity whose emitters to draw
+     */
+    drawEntityEmitters(ctx, entity) {
+        const emitters = this.attached.get(entity);
+        if (!emitters) return;
+        
+        const anchor = this.getAnchor(entity);
+        emitters.forEach(emitter => emitter.draw(ctx, anchor.x, anchor.y));
+    }
+}
+
+// Create a singleton instance
+const particleSystem = new ParticleSystem();
+
+export { ParticleEmitter, ParticleSystem, PARTICLE_PRESETS, particleSystem };
@@ -0,0 +1,158 @@
+/**
+ * Pathfinding module for AI Alchemist's Lair
+ * A* search over the room grid with 8-way movement
+ */
+
+import { Collision } from './collision.js';
+import { debug } from './utils.js';
+
+// Neighbour offsets - cardinal steps first, then diagonals
+const NEIGHBOR_OFFSETS = [
+    { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 },
+    { x: 1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 1 }, { x: -1, y: -1 }
+];
+
+/**
+ * Octile distance - exact cost of the shortest 8-way path on an open grid
+ * @param {number} dx - X distance in cells
+ * @param {number} dy - Y distance in cells
+ * @returns {number} Estimated path cost
+ */
+function octileDistance(dx, dy) {
+    const ax = Math.abs(dx);
+    const ay = Math.abs(dy);
+    return Math.max(ax, ay) + (Math.SQRT2 - 1) * Math.min(ax, ay);
+}
+
+/**
+ * Work out which grid cells the player cannot stand in
+ * A cell is blocked when the player standing at its centre would collide with
+ * an entity that can block them, using the same buffered bounding boxes and
+ * height rules as Collision (low ledges the player steps onto stay walkable)
+ * @param {Array} entities - Entities to avoid (usually SpatialGrid.getAllEntities())
+ * @param {Entity} player - Player entity, used for its hitbox size and height
+ * @param {number} gridWidth - Grid width in cells
+ * @param {number} gridHeight - Grid height in cells
+ * @returns {Set<string>} Keys ("x,y") of blocked cells
+ */
+function getBlockedCells(entities, player, gridWidth, gridHeight) {
+    const blocked = new Set();
+    const { width: playerWidth, height: playerHeight } = Collision.getCollisionBox(player);
+    
+    entities.forEach(entity => {
+        if (!entity || entity.isPlayer || entity.keepOffGrid) return;
+        if (!Collision.canBlock(player, entity)) return;
+        
+        const { width: entityWidth, height: entityHeight } = Collision.getCollisionBox(entity);
+        
+        // Cells whose centre puts the player's box inside the entity's box
+        const minX = Math.max(0, Math.floor(entity.x - playerWidth));
+        const maxX = Math.min(gridWidth - 1, Math.ceil(entity.x + entityWidth));
+        const minY = Math.max(0, Math.floor(entity.y - playerHeight));
+        const maxY = Math.min(gridHeight - 1, Math.ceil(entity.y + entityHeight));
+        
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                const overlapsX = x < entity.x + entityWidth && x + playerWidth > entity.x;
+                const overlapsY = y < entity.y + entityHeight && y + playerHeight > entity.y;
+                if (overlapsX && overlapsY) {
+                    blocked.add(`${x},${y}`);
+                }
+            }
+        }
+    });
+    
+    return blocked;
+}
+
+/**
+ * Find the shortest 8-way path between two grid cells with A*
+ * Diagonal steps are not allowed to cut the corner of a blocked cell.
+ * If the goal itself is blocked (e.g. a clicked piece of furniture) the path
+ * ends at the nearest reachable cell next to it.
+ * @param {Object} start - Start cell {x, y}
+ * @param {Object} goal - Goal cell {x, y}
+ * @param {Set<string>} blocked - Keys ("x,y") of blocked cells
+ * @param {number} gridWidth - Grid width in cells
+ * @param {number} gridHeight - Grid height in cells
+ * @returns {Array<Object>|null} Cells from start to goal inclusive, or null if unreachable
+ */
+function findPath(start, goal, blocked, gridWidth, gridHeight) {
+    const key = (x, y) => `${x},${y}`;
+    const inBounds = (x, y) => x >= 0 && y >= 0 && x < gridWidth && y < gridHeight;
+    const goalKey = key(goal.x, goal.y);
+    const goalBlocked = blocked.has(goalKey);
+    
+    // The goal is searched for even when blocked so we can stop next to it
+    const isWalkable = (x, y) => inBounds(x, y) && (!blocked.has(key(x, y)) || key(x, y) === goalKey);
+    
+    if (!inBounds(start.x, start.y) || !inBounds(goal.x, goal.y)) {
+        return null;
+    }
+    
+    const startKey = key(start.x, start.y);
+    const open = new Map([[startKey, { x: start.x, y: start.y, g: 0, f: octileDistance(goal.x - start.x, goal.y - start.y) }]]);
+    const cameFrom = new Map();
+    const costSoFar = new Map([[startKey, 0]]);
+    const closed = new Set();
+    
+    while (open.size > 0) {
+        // Rooms are small, so a linear scan for the cheapest node is fast enough
+        let currentKey = null;
+        let current = null;
+        for (const [nodeKey, node] of open) {
+            if (!current || node.f < current.f) {
+                currentKey = nodeKey;
+                current = node;
+            }
+        }
+        
+        if (currentKey === goalKey) {
+            // Walk back to the start to build the path
+            const path = [{ x: current.x, y: current.y }];
+            let stepKey = currentKey;
+            while (cameFrom.has(stepKey)) {
+                const previous = cameFrom.get(stepKey);
+                path.unshift({ x: previous.x, y: previous.y });
+                stepKey = key(previous.x, previous.y);
+            }
+            
+            // Stop beside a blocked goal rather than walking into it
+            if (goalBlocked) {
+                path.pop();
+            }
+            
+            debug(`Pathfinding: Found path of ${path.length} cells to (${goal.x}, ${goal.y})`);
+            return path;
+        }
+        
+        open.delete(currentKey);
+        closed.add(currentKey);
+        
+        NEIGHBOR_OFFSETS.forEach(offset => {
+            const nx = current.x + offset.x;
+            const ny = current.y + offset.y;
+            const neighborKey = key(nx, ny);
+            
+            if (closed.has(neighborKey) || !isWalkable(nx, ny)) return;
+            
+            // Don't squeeze diagonally between two obstacles or clip a corner
+            const isDiagonal = offset.x !== 0 && offset.y !== 0;
+            if (isDiagonal && (!isWalkable(current.x + offset.x, current.y) || !isWalkable(current.x, current.y + offset.y))) {
+                return;
+            }
+            
+            const g = current.g + (isDiagonal ? Math.SQRT2 : 1);
+            if (costSoFar.has(neighborKey) && g >= costSoFar.get(neighborKey)) return;
+            
+            costSoFar.set(neighborKey, g);
+            cameFrom.set(neighborKey, { x: current.x, y: current.y });
+            open.set(neighborKey, { x: nx, y: ny, g, f: g + octileDistance(goal.x - nx, goal.y - ny) });
+        });
+    }
+    
+    debug(`Pathfinding: No path to (${goal.x}, ${goal.y})`);
+    return null;
+}
+
+export { findPath, getBlockedCells, octileDistance };
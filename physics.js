@@ -1,51 +1,59 @@
 /**
  * Physics module for AI Alchemist's Lair
  * Handles core physics calculations including gravity and other world physics.
+ *
+ * Height works on the z-axis in grid units: gravity pulls an airborne entity's
+ * velocityZ down, and it lands on the floor or on the top of whatever it is
+ * above (a couch, a rug). Walking off the edge of a surface starts a fall.
  */
 
+// Downward acceleration on the z-axis, in grid units per second squared
+const GRAVITY = 25;
+
+// Ledges this tall or less are walked up and down instead of jumped or fallen from
+const STEP_HEIGHT = 0.1;
+
 class Physics {
-    constructor(gravity = 0.5) {
+    constructor(gravity = GRAVITY) {
         this.gravity = gravity;
     }
 
     /**
      * Applies gravity to an entity if it is not grounded
      * @param {Object} entity - The entity to apply gravity to
+     * @param {number} [deltaTime] - Time step in seconds
      */
-    applyGravity(entity) {
-        if (!entity.isGrounded) {
-            entity.velocityY += this.gravity;
-        }
+    applyGravity(entity, deltaTime = 1 / 60) {
+        // Static entities stay at the height they were placed at
+        if (entity.isStatic || entity.isGrounded) return;
+        
+        entity.velocityZ = (entity.velocityZ || 0) - this.gravity * deltaTime;
     }
 
     /**
      * Checks and handles collision with the ground
+     * Lands a falling entity on the ground, keeps a walking one on it over small
+     * steps, and lets it fall once the ground drops away beneath it
      * @param {Object} entity - The entity to check for ground collision
-     * @param {number} groundLevel - The Y coordinate of the ground level
-     * @param {boolean} considerHeight - Whether to consider entity's height in collision
+     * @param {number} [groundHeight] - Height of the surface under the entity (0 for the floor)
      */
-    checkGroundCollision(entity, groundLevel, considerHeight = true) {
-        // Get the total height including both static height and dynamic jump height
-        const totalHeight = considerHeight ? (entity.height + entity.zHeight + entity.z) : entity.height;
+    checkGroundCollision(entity, groundHeight = 0) {
+        if (entity.isStatic) return;
         
-        // Only check for ground collision in a real isometric game context
-        // For our test environment, we'll skip this to allow free movement
-        // This prevents getting stuck at ground level during development
-        const ENFORCE_GROUND_COLLISION = false;
+        entity.groundHeight = groundHeight;
+        const heightAboveGround = (entity.z || 0) - groundHeight;
+        const falling = (entity.velocityZ || 0) <= 0;
         
-        if (ENFORCE_GROUND_COLLISION && entity.y + totalHeight >= groundLevel) {
-            // Prevent entity from falling below ground level
-            entity.y = groundLevel - totalHeight;
-            entity.velocityY = 0;
+        if (falling && (heightAboveGround <= 0 || (entity.isGrounded && heightAboveGround <= STEP_HEIGHT))) {
+            // Landed, or stepped down onto a slightly lower surface
+            entity.z = groundHeight;
+            entity.velocityZ = 0;
             entity.isGrounded = true;
-        } else if (ENFORCE_GROUND_COLLISION) {
-            // Entity is in the air only when we're enforcing ground collision
-            entity.isGrounded = false;
         } else {
-            // When not enforcing ground collision, always treat as grounded for jump mechanics
-            entity.isGrounded = true;
+            // Jumping, or walked off an edge
+            entity.isGrounded = false;
         }
     }
 }
 
-export { Physics };
+export { Physics, GRAVITY, STEP_HEIGHT };
@@ -6,6 +6,9 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
+import { particleSystem, PARTICLE_PRESETS } from './particleSystem.js';
+import { SpriteAnimator } from './spriteAnimation.js';
+import { GRAVITY } from './physics.js';
 
 class Player extends Entity {
     constructor(x, y, width = 0.7, height = 0.75) {
@@ -19,7 +22,7 @@ class Player extends Entity {
         
         // Player specific properties
         this.speed = 3;             // Increased by 30% from 3.0 for faster portal navigation
-        this.jumpStrength = 1.6;      // Jump strength (reduced from 2.0 for gameplay balance)
+        this.jumpStrength = 1.3;      // Jump height in grid units (clears couches, not walls)
         this.jumpProgress = 0;        // Track jump animation progress
         this.isJumping = false;       // Track if player is currently jumping
         this.canJump = true;          // Prevent double jumps
@@ -27,6 +30,12 @@ class Player extends Entity {
         // Track last movement direction for sprite rendering
         this.lastDirection = 'south'; // Default facing south
         this.isMoving = false;        // Track if player is currently moving
+        
+        // Idle, walk and jump frames from assets/animations/wizard.json
+        this.animator = new SpriteAnimator('wizard');
+        
+        // Dust kicked up while walking
+        this.dustEmitter = particleSystem.attach(this, { ...PARTICLE_PRESETS.dust, emitting: false });
     }
 
     /**
@@ -154,6 +163,15 @@ class Player extends Entity {
         this.isMoving = false;
     }
 
+    /**
+     * Gets the upward speed a jump starts with, enough to rise jumpStrength
+     * grid units before gravity brings the player back down
+     * @returns {number} Take-off velocityZ
+     */
+    getJumpVelocity() {
+        return Math.sqrt(2 * GRAVITY * this.jumpStrength);
+    }
+
     /**
      * Initiates a jump if the player is grounded
      */
@@ -163,32 +181,32 @@ class Player extends Entity {
             this.isGrounded = false;
             this.canJump = false;
             this.jumpProgress = 0;
+            this.velocityZ = this.getJumpVelocity();
             debug('Player jumped');
         }
     }
 
     /**
-     * Handles the jump animation
+     * Tracks a jump or fall for the animation, and ends the jump on landing
+     * Physics moves the player on the z-axis; this only follows along
      * @param {number} deltaTime - Time step in seconds
      */
     updateJump(deltaTime) {
-        // Update jump progress
-        this.jumpProgress += 0.05;
-        
-        // Parabolic jump curve: z = jumpStrength * (t - t²)
-        // This creates a smooth up and down motion
-        this.z = this.jumpStrength * (this.jumpProgress - (this.jumpProgress * this.jumpProgress));
-        
-        // End jump when animation completes
-        if (this.jumpProgress >= 1) {
-            this.isJumping = false;
-            this.z = 0;
+        if (this.isGrounded) {
+            if (this.isJumping) {
+                this.isJumping = false;
+                debug('Player landed');
+            }
             
             // Allow jumping again when grounded
-            if (this.isGrounded) {
-                this.canJump = true;
-            }
+            this.canJump = true;
+            this.jumpProgress = 0;
+            return;
         }
+        
+        // 0 at take-off, 0.5 at the top of the jump and 1 back at take-off height
+        const jumpVelocity = this.getJumpVelocity();
+        this.jumpProgress = Math.max(0, Math.min(1, (jumpVelocity - this.velocityZ) / (2 * jumpVelocity)));
     }
 
     /**
@@ -199,10 +217,8 @@ class Player extends Entity {
         // Apply velocity to position
         super.update(deltaTime);
         
-        // Update jump animation if currently jumping
-        if (this.isJumping) {
-            this.updateJump(deltaTime);
-        }
+        // Follow the jump or fall for the animation
+        this.updateJump(deltaTime);
         
         // Check if player is moving and update direction accordingly
         if (Math.abs(this.velocityX) > 0.1 || Math.abs(this.velocityY) > 0.1) {
@@ -214,6 +230,34 @@ class Player extends Entity {
             this.velocityX = 0;
             this.velocityY = 0;
         }
+        
+        // Only kick up dust while walking on the floor or a surface
+        if (this.isMoving && this.isGrounded) {
+            this.dustEmitter.start();
+        } else {
+            this.dustEmitter.stop();
+        }
+        
+        this.updateAnimation(deltaTime);
+    }
+    
+    /**
+     * Pick the animation for what the player is doing and advance it
+     * @param {number} deltaTime - Time step in seconds
+     */
+    updateAnimation(deltaTime) {
+        let animation = 'idle';
+        if (this.isJumping || (!this.isGrounded && this.z > this.groundHeight)) {
+            animation = 'jump';
+        } else if (this.isMoving) {
+            animation = 'walk';
+        }
+        
+        this.animator.update(deltaTime, {
+            animation,
+            speed: Math.hypot(this.velocityX, this.velocityY),
+            progress: this.jumpProgress
+        });
     }
     
     /**
@@ -282,14 +326,21 @@ class Player extends Entity {
             console.log('Missing sprites:', loadedSprites.filter(s => !s.loaded).map(s => s.key).join(', '));
             
             if (sprite) {
-                // Draw shadow under player
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+                // Draw shadow under player, on whatever they're standing on or above.
+                // zOffset is z in pixels, which gives the pixel height of the ground
+                const pixelsPerUnit = this.z > 0 ? zOffset / this.z : 0;
+                const shadowY = screenY - (this.groundHeight || 0) * pixelsPerUnit;
+                
+                // The shadow shrinks and fades the higher the player is off the ground
+                const heightAboveGround = Math.max(0, this.z - (this.groundHeight || 0));
+                const shadowScale = Math.max(0.5, 1 - heightAboveGround * 0.35);
+                ctx.fillStyle = `rgba(0, 0, 0, ${(0.3 * shadowScale).toFixed(2)})`;
                 ctx.beginPath();
                 ctx.ellipse(
                     screenX, 
-                    screenY, 
-                    width / 2, 
-                    width / 4, 
+                    shadowY, 
+                    width / 2 * shadowScale, 
+                    width / 4 * shadowScale, 
                     0, 0, Math.PI * 2
                 );
                 ctx.fill();
@@ -303,14 +354,17 @@ class Player extends Entity {
                 const spriteX = screenX - spriteWidth / 2;
                 const spriteY = screenY - spriteHeight + height / 1.5 - zOffset;
                 
-                // Draw sprite
-                ctx.drawImage(
-                    sprite,
-                    spriteX,
-                    spriteY,
-                    spriteWidth,
-                    spriteHeight
-                );
+                // Draw the current animation frame, or the static sprite until the animation has loaded
+                const animated = this.animator.draw(ctx, this.lastDirection, spriteX, spriteY, spriteWidth, spriteHeight);
+                if (!animated) {
+                    ctx.drawImage(
+                        sprite,
+                        spriteX,
+                        spriteY,
+                        spriteWidth,
+                        spriteHeight
+                    );
+                }
             } else {
                 // Fallback: draw colored rectangle if sprite not available
                 ctx.fillStyle = '#00BFFF'; // Light blue placeholder
@@ -5,7 +5,6 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js';
 import { debug } from './utils.js';
 
 export class PortalEntity extends Entity {
@@ -38,12 +37,17 @@ export class PortalEntity extends Entity {
         this.minGlowIntensity = 0.3;
         this.interactionDistance = options.interactionDistance || 4.0; // 3 grid units
         
+        // Drawing adjustments for the portal image
+        this.scaleX = 1; // Multiplier on the size that fits the bounds
+        this.scaleY = 1;
+        this.groundingFactor = 1.8; // Adjust to make portal appear at right height
+        
         // Interaction state
         this.isPlayerNearby = false;
         this.showPrompt = false;
         this.interactionEnabled = true;
         this.interactionPromptAlpha = 0; // For fade in/out effect
-        this.wasEnterPressed = false;
+        this.hasInteractionFocus = false; // Set by the InteractionManager while this is the interaction target
         
         // Animation properties
         this.animationTime = 0;
@@ -154,14 +158,6 @@ export class PortalEntity extends Entity {
         
         // Update glow effect
         this.updateGlowEffect(deltaTime);
-        
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
-        
-        // Debug logging every 60 frames
-        if (Math.round(this.animationTime * 10) % 60 === 0) {
-            console.log(`Portal update: animTime=${this.animationTime.toFixed(2)}, glow=${this.glowIntensity.toFixed(2)}, isNearby=${this.isPlayerNearby}`);
-        }
     }
     
     /**
@@ -187,8 +183,8 @@ export class PortalEntity extends Entity {
                 console.log(`PortalEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
             
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
+            // Handle interaction prompt fade - only the focused interactable shows its prompt
+            if (this.hasInteractionFocus) {
                 // Fade in prompt
                 this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
                 this.showPrompt = true;
@@ -234,49 +230,6 @@ export class PortalEntity extends Entity {
         }
     }
     
-    /**
-     * Check for user interaction with the portal
-     */
-    checkForInteraction() {
-        // Only check for interaction if player is nearby and interaction is enabled
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Portal interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('PortalEntity: NEW Enter key press detected, navigating to URL!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Handle portal interaction (navigate to URL)
      */
@@ -338,8 +291,7 @@ export class PortalEntity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position with proper grounding
-        const groundingFactor = 1.8; // Adjust to make portal appear at right height
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position
         const drawY = adjustedScreenY - (this.z * 2);
@@ -360,8 +312,8 @@ export class PortalEntity extends Entity {
             const scale = Math.min(width * 14 / img.width, height * 14 / img.height);
             
             // Calculate centered position
-            const drawWidth = img.width * scale;
-            const drawHeight = img.height * scale;
+            const drawWidth = img.width * scale * this.scaleX;
+            const drawHeight = img.height * scale * this.scaleY;
             const drawX = screenX - drawWidth / 2;
             
             // Apply glow effect with shadow
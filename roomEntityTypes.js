@@ -0,0 +1,141 @@
+/**
+ * Room Entity Types for AI Alchemist's Lair
+ * Registers the built-in furniture and interactable types with the entity registry
+ * so room layout files can refer to them by name
+ */
+
+import assetLoader from './assetLoader.js';
+import { SignManager } from './signManager.js';
+import { JukeboxManager } from './jukeboxManager.js';
+import { TVManager } from './tvManager.js';
+import { CouchManager } from './couchManager.js';
+import { Couch2Manager } from './couch2Manager.js';
+import { RugManager } from './rugManager.js';
+import { VibePortalManager } from './vibePortalManager.js';
+import { TrophyManager } from './trophyManager.js';
+import { XPortalManager } from './xPortalManager.js';
+import { SpellbookManager } from './spellbookManager.js';
+import { ArcadeManager } from './arcadeManager.js';
+import { NPCManager } from './npcManager.js';
+import { debug } from './utils.js';
+
+/**
+ * Register all built-in entity types
+ * Each type delegates to its manager so hitboxes, event listeners and asset
+ * handling stay in one place
+ * @param {EntityRegistry} registry - Registry to add the types to
+ * @param {Game} game - Game instance the managers add entities to
+ * @param {TestScene} [scene] - Scene providing the room's grid size, for entities that move around in it
+ * @returns {Object} The managers created for the registered types, keyed by type
+ */
+export function registerDefaultEntityTypes(registry, game, scene = null) {
+    const managers = {
+        sign: new SignManager(game),
+        jukebox: new JukeboxManager(game),
+        tv: new TVManager(game),
+        couch: new CouchManager(game),
+        couch2: new Couch2Manager(game),
+        rug: new RugManager(game),
+        vibePortal: new VibePortalManager(game),
+        trophy: new TrophyManager(game),
+        xPortal: new XPortalManager(game),
+        spellbook: new SpellbookManager(game),
+        arcade: new ArcadeManager(game),
+        npc: new NPCManager(game, scene)
+    };
+    
+    registry.register('sign', {
+        label: 'Sign',
+        preload: () => managers.sign.preloadSigns(),
+        create: (config) => managers.sign.addSign(config.position.x, config.position.y, config.assetKey || 'sign1')
+    });
+    
+    registry.register('jukebox', {
+        label: 'Jukebox',
+        preload: () => managers.jukebox.preloadJukeboxes(),
+        create: (config) => managers.jukebox.addJukebox(config.position.x, config.position.y, config.assetKey || 'jukebox1', config.options || {})
+    });
+    
+    registry.register('tv', {
+        label: 'Television',
+        preload: () => managers.tv.preloadTVs(),
+        create: (config) => managers.tv.addTV(config.position.x, config.position.y, config.assetKey || 'tv1')
+    });
+    
+    registry.register('couch', {
+        label: 'Couch',
+        preload: () => managers.couch.preloadAssets(),
+        create: (config) => managers.couch.addCouch(config.position.x, config.position.y, config.position.z || 0)
+    });
+    
+    registry.register('couch2', {
+        label: 'Couch (style 2)',
+        preload: () => managers.couch2.preloadAssets(),
+        create: (config) => managers.couch2.addCouch(config.position.x, config.position.y, config.position.z || 0)
+    });
+    
+    registry.register('rug', {
+        label: 'Rug',
+        preload: () => managers.rug.preloadAssets(),
+        create: (config) => managers.rug.addRug(
+            config.position.x,
+            config.position.y,
+            config.position.z !== undefined ? config.position.z : -0.1
+        )
+    });
+    
+    registry.register('vibePortal', {
+        label: 'VIBEVERSE Portal',
+        create: (config) => {
+            const options = { ...(config.options || {}), position: config.position };
+            
+            // 'start' portals are the red return portals, everything else is an exit portal
+            return options.portalType === 'start'
+                ? managers.vibePortal.addStartPortal(options)
+                : managers.vibePortal.addExitPortal(options);
+        }
+    });
+    
+    registry.register('trophy', {
+        label: 'Trophy',
+        preload: () => managers.trophy.preloadAssets(),
+        create: (config) => managers.trophy.addTrophy({ ...(config.options || {}), position: config.position })
+    });
+    
+    registry.register('xPortal', {
+        label: 'X Portal',
+        preload: () => managers.xPortal.preloadAssets(),
+        create: (config) => managers.xPortal.addPortal({ ...(config.options || {}), position: config.position })
+    });
+    
+    registry.register('spellbook', {
+        label: 'Spellbook',
+        preload: () => managers.spellbook.preloadAssets(),
+        create: (config) => managers.spellbook.addSpellbook({ ...(config.options || {}), position: config.position })
+    });
+    
+    registry.register('arcade', {
+        label: 'Arcade Cabinet',
+        preload: () => {
+            managers.arcade.preloadAssets(assetLoader);
+            
+            // Force window.assetLoader to be set for direct access by entity classes
+            window.assetLoader = assetLoader;
+        },
+        create: (config) => managers.arcade.addArcade(
+            config.position.x,
+            config.position.y,
+            config.assetKey || 'Arcade_1',
+            { ...(config.options || {}) }
+        )
+    });
+    
+    registry.register('npc', {
+        label: 'NPC',
+        create: (config) => managers.npc.addNPC({ ...(config.options || {}), position: config.position })
+    });
+    
+    debug(`RoomEntityTypes: Registered ${registry.getRegisteredTypes().length} entity types`);
+    
+    return managers;
+}
@@ -31,6 +31,11 @@ export class RugEntity extends Entity {
         // No collision for the rug - player can walk over it
         this.collidable = false;
         
+        // Drawing adjustments for the rug image
+        this.scaleX = 1.8;  // Adjust scale factor for proper size
+        this.scaleY = 1.8;
+        this.groundingFactor = 0.98; // Almost entirely on the ground
+        
         // Set render priority to ensure it draws under other entities
         this.renderPriority = -1; // Lower number = render earlier (underneath)
         
@@ -141,8 +146,7 @@ export class RugEntity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position - flat on the ground
-        const groundingFactor = 0.98; // Almost entirely on the ground
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position (very slight for rug)
         const drawY = adjustedScreenY - (this.z * 0.2);
@@ -153,9 +157,8 @@ export class RugEntity extends Entity {
             ctx.save();
             
             // Scale the image to match the desired width/height
-            const scaleFactor = 1.8; // Adjust scale factor for proper size
-            const drawWidth = width * scaleFactor;
-            const drawHeight = height * scaleFactor;
+            const drawWidth = width * this.scaleX;
+            const drawHeight = height * this.scaleY;
             
             // Draw rug - centered on position
             ctx.drawImage(
@@ -54,13 +54,25 @@ export class RugManager {
         
         // Create and add each rug
         rugPositions.forEach(pos => {
-            const rug = new RugEntity(pos.x, pos.y, pos.z || -0.1);
-            this.game.addEntity(rug);
-            this.rugs.push(rug);
-            debug(`RugManager: Added rug at (${pos.x}, ${pos.y}, ${pos.z || -0.1})`);
+            this.addRug(pos.x, pos.y, pos.z || -0.1);
         });
     }
     
+    /**
+     * Add a single rug to the scene
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} z - Z position (rugs sit slightly below the floor)
+     * @returns {RugEntity} - The created rug entity
+     */
+    addRug(x, y, z = -0.1) {
+        const rug = new RugEntity(x, y, z);
+        this.game.addEntity(rug);
+        this.rugs.push(rug);
+        debug(`RugManager: Added rug at (${x}, ${y}, ${z})`);
+        return rug;
+    }
+    
     /**
      * Get default rug positions
      * @param {number} count - Number of positions to generate
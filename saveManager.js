@@ -0,0 +1,297 @@
+/**
+ * Save Manager for AI Alchemist's Lair
+ * Persists the visitor's progress in localStorage so it survives a reload:
+ * player position, current scene, door states, camera settings and the
+ * portfolio items that have already been visited
+ */
+
+import { checkFeatureSupport } from './compatibility.js';
+import { requirePortalClearance } from './sceneIntegration.js';
+import { debug, info, warn } from './utils.js';
+
+// localStorage key holding the save
+const SAVE_KEY = 'aiAlchemistsLair.save';
+
+// Current save format version - bump it and add a migration when the format changes
+const SAVE_VERSION = 1;
+
+// Upgrades from each older version to the next, keyed by the version they upgrade from, e.g.
+// 1: (data) => ({ ...data, version: 2, settings: {} })
+const MIGRATIONS = {};
+
+/**
+ * Upgrade save data to the current format version
+ * @param {Object} data - Parsed save data
+ * @returns {Object|null} Save data in the current format, or null if it can't be upgraded
+ */
+function migrateSave(data) {
+    if (!data || typeof data !== 'object') return null;
+    
+    let migrated = data;
+    let version = data.version;
+    
+    if (typeof version !== 'number') {
+        warn('SaveManager: Save has no version, ignoring it');
+        return null;
+    }
+    
+    // A save from a newer build can't be read safely
+    if (version > SAVE_VERSION) {
+        warn(`SaveManager: Save version ${version} is newer than supported version ${SAVE_VERSION}, ignoring it`);
+        return null;
+    }
+    
+    while (version < SAVE_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            warn(`SaveManager: No migration from save version ${version}, ignoring save`);
+            return null;
+        }
+        
+        migrated = migration(migrated);
+        debug(`SaveManager: Migrated save from version ${version} to ${migrated.version}`);
+        version = migrated.version;
+    }
+    
+    return migrated;
+}
+
+class SaveManager {
+    /**
+     * Create a save manager
+     * @param {Game} game - Game instance providing the player
+     * @param {Camera} camera - Camera whose zoom and smoothing are saved
+     * @param {SceneManager} sceneManager - Scene manager used to save and restore the current scene
+     * @param {DoorwayManager} doorwayManager - Doorway manager whose door states are saved
+     */
+    constructor(game, camera, sceneManager, doorwayManager) {
+        this.game = game;
+        this.camera = camera;
+        this.sceneManager = sceneManager;
+        this.doorwayManager = doorwayManager;
+        
+        // Saving is skipped entirely when the browser has no usable localStorage
+        this.enabled = checkFeatureSupport('LOCAL_STORAGE');
+        
+        // Keys of portfolio items the visitor has interacted with
+        this.visitedItems = new Set();
+        
+        this.autosaveEnabled = false;
+        
+        this.handleSceneChanged = this.handleSceneChanged.bind(this);
+        this.handleUnload = this.handleUnload.bind(this);
+        this.handleEntityInteracted = this.handleEntityInteracted.bind(this);
+        
+        // Visits are tracked even before autosave starts so none are missed
+        window.addEventListener('entityInteracted', this.handleEntityInteracted);
+        
+        if (!this.enabled) {
+            info('Local storage unavailable - lair progress will not be saved');
+        }
+    }
+    
+    /**
+     * Save automatically when the scene changes and when the page is closed
+     */
+    enableAutosave() {
+        if (this.autosaveEnabled) return;
+        
+        window.addEventListener('sceneChanged', this.handleSceneChanged);
+        
+        // pagehide covers mobile browsers, which often skip beforeunload
+        window.addEventListener('beforeunload', this.handleUnload);
+        window.addEventListener('pagehide', this.handleUnload);
+        
+        this.autosaveEnabled = true;
+    }
+    
+    /**
+     * Stop saving automatically
+     */
+    disableAutosave() {
+        window.removeEventListener('sceneChanged', this.handleSceneChanged);
+        window.removeEventListener('beforeunload', this.handleUnload);
+        window.removeEventListener('pagehide', this.handleUnload);
+        
+        this.autosaveEnabled = false;
+    }
+    
+    /**
+     * Build the key identifying a portfolio item
+     * Item IDs from layouts aren't guaranteed to be unique, so the scene, type and
+     * position are used instead - layouts place the same item in the same spot each visit
+     * @param {Object} entity - Interactable entity
+     * @returns {string} Item key
+     */
+    getItemKey(entity) {
+        const scene = this.sceneManager.getCurrentScene();
+        const sceneId = scene ? scene.id : 'unknown';
+        return `${sceneId}:${entity.constructor.name}:${entity.x.toFixed(1)},${entity.y.toFixed(1)}`;
+    }
+    
+    /**
+     * Check whether a portfolio item has been visited
+     * @param {Object} entity - Interactable entity
+     * @returns {boolean} True if the visitor has interacted with the item before
+     */
+    isVisited(entity) {
+        return this.visitedItems.has(this.getItemKey(entity));
+    }
+    
+    /**
+     * Collect the current state of the lair
+     * @returns {Object} Save data in the current format
+     */
+    getState() {
+        const scene = this.sceneManager.getCurrentScene();
+        const player = this.game.player;
+        
+        return {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            sceneId: scene ? scene.id : null,
+            player: player ? { x: player.x, y: player.y } : null,
+            doors: this.doorwayManager.getDoorStates(),
+            camera: {
+                zoom: this.camera.targetZoom,
+                smoothing: this.camera.getSmoothingFactor()
+            },
+            visitedItems: Array.from(this.visitedItems)
+        };
+    }
+    
+    /**
+     * Write the current state to localStorage
+     * @returns {boolean} True if the state was saved
+     */
+    save() {
+        if (!this.enabled) return false;
+        
+        try {
+            window.localStorage.setItem(SAVE_KEY, JSON.stringify(this.getState()));
+            debug('SaveManager: Lair saved');
+            return true;
+        } catch (err) {
+            // Quota exceeded or storage blocked (e.g. private browsing)
+            warn('SaveManager: Failed to save lair state', err);
+            return false;
+        }
+    }
+    
+    /**
+     * Read the saved state from localStorage
+     * @returns {Object|null} Save data in the current format, or null if there is no usable save
+     */
+    load() {
+        if (!this.enabled) return null;
+        
+        try {
+            const raw = window.localStorage.getItem(SAVE_KEY);
+            if (!raw) return null;
+            
+            return migrateSave(JSON.parse(raw));
+        } catch (err) {
+            warn('SaveManager: Discarding unreadable save', err);
+            return null;
+        }
+    }
+    
+    /**
+     * Apply saved state to the game
+     * The scene is loaded last so everything is in place when sceneChanged fires
+     * @param {Object} state - Save data in the current format
+     */
+    restore(state) {
+        if (!state) return;
+        
+        const player = this.game.player;
+        if (player && state.player && Number.isFinite(state.player.x) && Number.isFinite(state.player.y)) {
+            player.x = state.player.x;
+            player.y = state.player.y;
+            
+            // Saves are made on arrival from a portal, so the player may be restored in its doorway
+            requirePortalClearance();
+        }
+        
+        if (state.camera) {
+            if (Number.isFinite(state.camera.zoom)) {
+                this.camera.setZoom(state.camera.zoom);
+                
+                // Start at the saved zoom rather than animating to it
+                this.camera.zoom = this.camera.targetZoom;
+            }
+            if (Number.isFinite(state.camera.smoothing)) {
+                this.camera.setSmoothingFactor(state.camera.smoothing);
+            }
+        }
+        
+        Object.keys(state.doors || {}).forEach(sceneId => {
+            state.doors[sceneId].forEach(door => {
+                this.doorwayManager.forceDoorState(sceneId, door.wallSide, door.position, door.isOpen);
+            });
+        });
+        
+        this.visitedItems = new Set(state.visitedItems || []);
+        
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (state.sceneId && (!currentScene || currentScene.id !== state.sceneId)) {
+            this.sceneManager.loadScene(state.sceneId);
+        }
+        
+        info(`Lair restored from save (${state.sceneId || 'unknown scene'}, ${this.visitedItems.size} items visited)`);
+    }
+    
+    /**
+     * Delete the save and reload the lair from scratch
+     */
+    reset() {
+        // Don't let the unload handler write the old state straight back
+        this.disableAutosave();
+        this.visitedItems.clear();
+        
+        if (this.enabled) {
+            try {
+                window.localStorage.removeItem(SAVE_KEY);
+            } catch (err) {
+                warn('SaveManager: Failed to clear save', err);
+            }
+        }
+        
+        info('Lair reset - reloading');
+        
+        // Drop the scene hash so the reload starts in the first room
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        window.location.reload();
+    }
+    
+    /**
+     * Autosave after a scene change
+     */
+    handleSceneChanged() {
+        this.save();
+    }
+    
+    /**
+     * Autosave when the page is closed or reloaded
+     */
+    handleUnload() {
+        this.save();
+    }
+    
+    /**
+     * Record an interaction with a portfolio item
+     * @param {CustomEvent} event - entityInteracted event
+     */
+    handleEntityInteracted(event) {
+        const entity = event.detail && event.detail.entity;
+        if (!entity) return;
+        
+        const key = this.getItemKey(entity);
+        if (!this.visitedItems.has(key)) {
+            this.visitedItems.add(key);
+            debug(`SaveManager: Visited ${key}`);
+        }
+    }
+}
+
+export { SaveManager, SAVE_KEY, SAVE_VERSION, migrateSave };
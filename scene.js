@@ -9,6 +9,8 @@ import { isometricRenderer } from './isometricRenderer.js';
 import doorwayManager from './doorways.js';
 import { directionalLabelsManager } from './directionalLabels.js'; 
 import { characterRenderer } from './characterRenderer.js';
+import { lightingRenderer } from './lightingRenderer.js';
+import { particleSystem } from './particleSystem.js';
 
 // Set to false to disable verbose rendering optimization logs
 const VERBOSE_RENDERING_DEBUG = false;
@@ -209,6 +211,10 @@ class TestScene {
             this.drawWalls(ctx);
         }
         
+        // Darken the room and light the floor and walls from glowing entities
+        // (before the entities, so they keep their own colors and halos)
+        lightingRenderer.render(ctx, this, game ? game.entities : [], this.id);
+        
         // Collect all entities for depth sorting
         const allEntities = [];
         
@@ -277,6 +283,7 @@ class TestScene {
             // Draw debug visuals separately - don't call draw directly
             if (game.debugRenderer.showCollisionBoxes) {
                 game.debugRenderer.drawCollisionBoxes(ctx, game.entities, playerEntity, camera, this);
+                game.debugRenderer.drawContactNormals(ctx, game.contacts, this);
             }
             
             if (game.debugRenderer.showSpatialGrid) {
@@ -334,6 +341,9 @@ class TestScene {
                 // Render the entity
                 try {
                     this.drawEntity(ctx, entity);
+                    
+                    // Particle emitters attached to the entity draw just in front of it
+                    particleSystem.drawEntityEmitters(ctx, entity);
                     entitiesRendered++;
                 } catch (error) {
                     console.error("Error rendering entity:", error, entity);
@@ -1236,6 +1246,20 @@ class TestScene {
         };
     }
     
+    /**
+     * Convert isometric world coordinates back to grid coordinates
+     * Inverse of the (i - j) * cellWidth / 2, (i + j) * cellHeight / 2 transform used for tiles
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {Object} Fractional grid position {x, y}
+     */
+    isoToGrid(isoX, isoY) {
+        return {
+            x: isoX / this.cellWidth + isoY / this.cellHeight,
+            y: isoY / this.cellHeight - isoX / this.cellWidth
+        };
+    }
+    
     /**
      * Utility to adjust color brightness for 3D effects
      * @param {string} color - Base color in hex format (#RRGGBB)
@@ -12,6 +12,7 @@ export const scenes = {
         description: 'The starting point of the portfolio journey.',
         width: 400, // Canvas units
         height: 300,
+        ambientLight: 0.6, // 0 (dark) to 1 (fully lit); glowing entities light the rest
         exits: [
             { 
                 direction: 'north', 
@@ -47,6 +48,7 @@ export const scenes = {
         name: 'Circuit Sanctum',
         width: 800,
         height: 600,
+        ambientLight: 0.45,
         exits: [
             { 
                 direction: 'south', 
@@ -75,6 +77,7 @@ export const scenes = {
         name: 'Neon Phylactery',
         width: 800,
         height: 600,
+        ambientLight: 0.35, // Darkest room, so the neon stands out
         exits: [
             { 
                 direction: 'west', 
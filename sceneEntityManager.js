@@ -0,0 +1,166 @@
+/**
+ * Scene Entity Manager for AI Alchemist's Lair
+ * Keeps a separate set of entities for each scene and swaps them in and out
+ * of the game world when the scene manager changes scenes
+ */
+
+import { debug, warn } from './utils.js';
+
+class SceneEntityManager {
+    /**
+     * Create a new scene entity manager
+     * @param {Game} game - Game instance whose entity list is swapped
+     * @param {LayoutLoader} layoutLoader - Loader used to furnish a scene the first time it is entered
+     */
+    constructor(game, layoutLoader) {
+        this.game = game;
+        this.layoutLoader = layoutLoader;
+        
+        // Entities belonging to each scene, keyed by scene ID
+        // Includes helper entities the managers add (e.g. jukebox hitboxes)
+        this.sceneEntities = {};
+        
+        // Scene whose entities are currently in the game world, and the promise for them
+        // (still pending while the scene's layout loads)
+        this.activeSceneId = null;
+        this.activation = Promise.resolve([]);
+        
+        debug('SceneEntityManager: Initialized');
+    }
+    
+    /**
+     * Make a scene's entities the active set, removing the previous scene's entities
+     * Scenes are furnished from their layout file on first entry and reuse the same
+     * entities on later visits
+     * @param {string} sceneId - Scene ID to activate
+     * @returns {Promise<Array>} Promise that resolves with the scene's entities
+     */
+    activateScene(sceneId) {
+        if (!sceneId) {
+            return Promise.resolve([]);
+        }
+        
+        if (sceneId === this.activeSceneId) {
+            return this.activation;
+        }
+        
+        // Take the previous room's entities out of the world
+        this.deactivateScene(this.activeSceneId);
+        this.activeSceneId = sceneId;
+        
+        // Revisiting a scene - put its existing entities back
+        if (this.sceneEntities[sceneId]) {
+            this.sceneEntities[sceneId].forEach(entity => this.game.addEntity(entity));
+            debug(`SceneEntityManager: Restored ${this.sceneEntities[sceneId].length} entities for ${sceneId}`);
+            this.activation = Promise.resolve(this.sceneEntities[sceneId]);
+            return this.activation;
+        }
+        
+        this.activation = this.layoutLoader.loadLayout(sceneId)
+            .then(layout => this.furnishScene(sceneId, layout))
+            .catch(err => {
+                warn(`SceneEntityManager: No usable layout for ${sceneId}, leaving room empty`, err);
+                this.sceneEntities[sceneId] = [];
+                return this.sceneEntities[sceneId];
+            });
+        return this.activation;
+    }
+    
+    /**
+     * Create a scene's entities from its layout
+     * @param {string} sceneId - Scene ID
+     * @param {Object} layout - Validated layout data
+     * @returns {Array} The entities now owned by the scene
+     */
+    furnishScene(sceneId, layout) {
+        // The player may have moved on while the layout was loading
+        if (this.activeSceneId !== sceneId) {
+            debug(`SceneEntityManager: Skipping stale layout for ${sceneId}`);
+            return [];
+        }
+        
+        // Managers can add more than the entity they return (hitboxes etc.),
+        // so record everything that appears in the world while applying the layout
+        const existing = new Set(this.game.entities);
+        this.layoutLoader.applyLayout(layout);
+        
+        const added = this.game.entities.filter(entity =>
+            !existing.has(entity) && entity !== this.game.player
+        );
+        this.sceneEntities[sceneId] = added;
+        
+        debug(`SceneEntityManager: Furnished ${sceneId} with ${added.length} entities`);
+        
+        return added;
+    }
+    
+    /**
+     * Remove a scene's entities from the game world
+     * The entities are kept so the scene can be restored later
+     * @param {string} sceneId - Scene ID to deactivate
+     */
+    deactivateScene(sceneId) {
+        const entities = sceneId ? this.sceneEntities[sceneId] : null;
+        if (!entities) return;
+        
+        entities.forEach(entity => {
+            this.game.removeEntity(entity);
+            
+            // Clear proximity state so glows and prompts don't stay live while away
+            // (ArcadeEntity.isPlayerNearby is a method, so only reset boolean flags)
+            if (typeof entity.isPlayerNearby === 'boolean') entity.isPlayerNearby = false;
+            if (typeof entity.isNearPlayer === 'boolean') entity.isNearPlayer = false;
+        });
+        
+        debug(`SceneEntityManager: Removed ${entities.length} entities for ${sceneId}`);
+    }
+    
+    /**
+     * Give a scene ownership of entities that were added to the game world while it
+     * was active, e.g. furniture placed with the level editor
+     * @param {string} sceneId - Scene ID
+     * @param {Array} entities - Entities to add to the scene's set
+     */
+    claimEntities(sceneId, entities) {
+        if (!this.sceneEntities[sceneId]) {
+            this.sceneEntities[sceneId] = [];
+        }
+        
+        entities.forEach(entity => {
+            if (!this.sceneEntities[sceneId].includes(entity)) {
+                this.sceneEntities[sceneId].push(entity);
+            }
+        });
+    }
+    
+    /**
+     * Remove entities from a scene for good, taking them out of the game world
+     * @param {string} sceneId - Scene ID
+     * @param {Array} entities - Entities to remove
+     */
+    releaseEntities(sceneId, entities) {
+        const sceneEntities = this.sceneEntities[sceneId];
+        if (!sceneEntities) return;
+        
+        entities.forEach(entity => {
+            const index = sceneEntities.indexOf(entity);
+            if (index !== -1) {
+                sceneEntities.splice(index, 1);
+            }
+            this.game.removeEntity(entity);
+        });
+        
+        debug(`SceneEntityManager: Released ${entities.length} entities from ${sceneId}`);
+    }
+    
+    /**
+     * Get the entities belonging to a scene
+     * @param {string} sceneId - Scene ID
+     * @returns {Array} The scene's entities (empty if the scene has not been furnished)
+     */
+    getEntitiesForScene(sceneId) {
+        return this.sceneEntities[sceneId] || [];
+    }
+}
+
+export { SceneEntityManager };
@@ -30,6 +30,10 @@ window.portalRenderer = portalRenderer; // Make available globally for renderer
 // Timestamp to track last render
 let lastRenderTime = 0;
 
+// Set after a portal transition so the player, who arrives standing next to the
+// matching doorway, has to step away from it before portals trigger again
+let awaitingPortalClearance = false;
+
 // Track consumed keys to avoid interfering with movement
 const consumedKeys = {
     ShiftE: false,
@@ -94,8 +98,13 @@ export function updateScene(deltaTime, player) {
                 1.5
             );
             
+            // Re-arm portals once the player has moved away from the arrival doorway
+            if (awaitingPortalClearance && nearbyPortals.length === 0) {
+                awaitingPortalClearance = false;
+            }
+            
             // If player is near a portal, trigger transition
-            if (nearbyPortals.length > 0) {
+            if (nearbyPortals.length > 0 && !awaitingPortalClearance) {
                 // Use the first nearby portal
                 const portalId = nearbyPortals[0];
                 console.log(`Player near portal: ${portalId}`);
@@ -103,7 +112,9 @@ export function updateScene(deltaTime, player) {
                 // Check if player's Z position allows them to use the portal
                 // (must be on the ground to use portals, not jumping)
                 if (player.z <= 0.1) {
-                    portalSystem.transitionThroughPortal(portalId, player);
+                    if (portalSystem.transitionThroughPortal(portalId, player)) {
+                        awaitingPortalClearance = true;
+                    }
                 }
             }
         }
@@ -167,6 +178,15 @@ function handleSceneTransitions() {
     // Don't reset input state - let the main game handle movement
 }
 
+/**
+ * Keep portals inactive until the player steps away from any doorway they are standing at
+ * Used when the player is placed without walking there, e.g. when a save is restored
+ * on the arrival spot of a portal transition
+ */
+export function requirePortalClearance() {
+    awaitingPortalClearance = true;
+}
+
 /**
  * Get the current scene manager instance
  * @returns {SceneManager} The scene manager instance
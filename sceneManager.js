@@ -19,6 +19,8 @@ class SceneManager {
     }
 
     loadScene(sceneId) {
+        const previousSceneId = this.currentScene ? this.currentScene.id : null;
+        
         // Call onExit for current scene if it exists
         if (this.currentScene && this.currentScene.logic && this.currentScene.logic.onExit) {
             this.currentScene.logic.onExit();
@@ -44,6 +46,16 @@ class SceneManager {
             if (this.currentScene.logic && this.currentScene.logic.onEnter) {
                 this.currentScene.logic.onEnter();
             }
+            
+            // Keep the URL hash in sync - scene rendering reads the current scene ID from it
+            if (window.location.hash.substring(1) !== sceneId) {
+                window.history.replaceState(null, '', `#${sceneId}`);
+            }
+            
+            // Notify listeners (e.g. the scene entity manager) so they can swap room contents
+            window.dispatchEvent(new CustomEvent('sceneChanged', {
+                detail: { sceneId, previousSceneId }
+            }));
         } else {
             console.error(`Scene not found: ${sceneId}`);
         }
@@ -67,6 +67,7 @@ class SignManager {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {string} signKey - The sign key
+     * @returns {SignEntity} - The created sign entity
      */
     addSign(x, y, signKey) {
         debug(`SignManager: Adding sign at (${x}, ${y}) with key ${signKey}`);
@@ -86,6 +87,8 @@ class SignManager {
         } else {
             console.error('SignManager: Game instance not available');
         }
+        
+        return sign;
     }
 }
 
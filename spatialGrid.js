@@ -2,8 +2,15 @@
  * SpatialGrid module for AI Alchemist's Lair
  * Implements spatial partitioning for efficient collision detection
  * Optimized for isometric coordinate system
+ *
+ * Entities are added to every cell their footprint covers, so a long sign or a
+ * couch spanning several tiles is found from any end, and are only moved between
+ * cells when their footprint crosses a cell edge. Besides the neighborhood
+ * lookups, the grid answers box (queryAABB), radius (queryRadius) and ray
+ * (queryRay / raycast) queries against entity footprints.
  */
 
+import { Collision } from './collision.js';
 import { debug, info } from './utils.js';
 
 class SpatialGrid {
@@ -18,6 +25,10 @@ class SpatialGrid {
         this.cellWidth = cellWidth;
         this.cellHeight = cellHeight;
         this.grid = new Map();
+        
+        // Cells each entity is in, so moves and removals don't search the grid
+        this.entityCells = new Map();
+        
         this.neighborOffsets = [];
         
         // Pre-calculate neighbor cell offsets for efficient lookup
@@ -104,62 +115,396 @@ class SpatialGrid {
     }
 
     /**
-     * Add an entity to the spatial grid
+     * Get the part of the floor an entity covers, using the same buffered box as Collision
+     * (Collision.getCollisionBox): x/y is the corner and the box reaches south-east from there
+     * @param {Entity} entity - The entity
+     * @returns {Object} Bounds {minX, minY, maxX, maxY} in world units
+     */
+    getEntityBounds(entity) {
+        const box = Collision.getCollisionBox(entity);
+        const x = box.x || 0;
+        const y = box.y || 0;
+        return {
+            minX: x,
+            minY: y,
+            maxX: x + box.width,
+            maxY: y + box.height
+        };
+    }
+    
+    /**
+     * Get the range of cells a world-space box overlaps
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Object} Cell range {minX, minY, maxX, maxY}, inclusive
+     */
+    getCellRange(minX, minY, maxX, maxY) {
+        const min = this.worldToCell(minX, minY);
+        const max = this.worldToCell(maxX, maxY);
+        return { minX: min.x, minY: min.y, maxX: max.x, maxY: max.y };
+    }
+    
+    /**
+     * Add an entity to every cell its footprint covers
+     * Adding an entity that is already in the grid updates its cells instead
      * @param {Entity} entity - The entity to add
+     * @param {number} [x] - Register at this single world position instead of the footprint
+     *                       (call again for each extra cell, as wall doorways do)
+     * @param {number} [y] - World y position to register at
+     */
+    addEntity(entity, x, y) {
+        if (!entity) return;
+        
+        if (typeof x === 'number' && typeof y === 'number') {
+            const cell = this.worldToCell(x, y);
+            const record = this.entityCells.get(entity) || { range: null, keys: [] };
+            const key = `${cell.x},${cell.y}`;
+            if (!record.keys.includes(key)) {
+                record.keys.push(key);
+                this.addToCell(key, entity);
+            }
+            this.entityCells.set(entity, record);
+            return;
+        }
+        
+        this.updateEntity(entity);
+    }
+    
+    /**
+     * Move an entity to the cells its footprint covers now
+     * Cheap when the entity hasn't crossed a cell edge, so it can run every frame
+     * @param {Entity} entity - The entity that may have moved
+     * @returns {boolean} True if the entity's cells changed
      */
-    addEntity(entity) {
-        const key = this.getCellKey(entity);
+    updateEntity(entity) {
+        if (!entity) return false;
+        
+        const bounds = this.getEntityBounds(entity);
+        const range = this.getCellRange(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY);
+        const rangeKey = `${range.minX},${range.minY},${range.maxX},${range.maxY}`;
+        
+        const record = this.entityCells.get(entity);
+        if (record && record.range === rangeKey) return false;
+        
+        if (record) {
+            this.removeFromCells(entity, record.keys);
+        }
+        
+        const keys = [];
+        for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+            for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                const key = `${cellX},${cellY}`;
+                keys.push(key);
+                this.addToCell(key, entity);
+            }
+        }
+        
+        this.entityCells.set(entity, { range: rangeKey, keys });
+        return true;
+    }
+    
+    /**
+     * Bring the grid in line with a list of entities: moved ones change cells,
+     * new ones are added and ones no longer in the list are removed
+     * @param {Array} entities - Every entity that should be in the grid
+     */
+    updateEntities(entities) {
+        const current = new Set();
+        entities.forEach(entity => {
+            if (!entity) return;
+            current.add(entity);
+            this.updateEntity(entity);
+        });
+        
+        for (const entity of Array.from(this.entityCells.keys())) {
+            if (!current.has(entity)) {
+                this.removeEntity(entity);
+            }
+        }
+    }
+    
+    /**
+     * Remove an entity from the grid
+     * @param {Entity} entity - The entity to remove
+     * @returns {boolean} True if the entity was in the grid
+     */
+    removeEntity(entity) {
+        const record = this.entityCells.get(entity);
+        if (!record) return false;
+        
+        this.removeFromCells(entity, record.keys);
+        this.entityCells.delete(entity);
+        return true;
+    }
+    
+    /**
+     * Check whether an entity is in the grid
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} True if the entity is in the grid
+     */
+    hasEntity(entity) {
+        return this.entityCells.has(entity);
+    }
+    
+    /**
+     * Add an entity to one cell
+     * @param {string} key - Cell key
+     * @param {Entity} entity - The entity
+     */
+    addToCell(key, entity) {
         if (!this.grid.has(key)) {
             this.grid.set(key, []);
         }
         this.grid.get(key).push(entity);
     }
+    
+    /**
+     * Remove an entity from cells, dropping cells that become empty
+     * @param {Entity} entity - The entity
+     * @param {Array<string>} keys - Cell keys to remove it from
+     */
+    removeFromCells(entity, keys) {
+        keys.forEach(key => {
+            const cell = this.grid.get(key);
+            if (!cell) return;
+            
+            const index = cell.indexOf(entity);
+            if (index !== -1) {
+                cell.splice(index, 1);
+            }
+            if (cell.length === 0) {
+                this.grid.delete(key);
+            }
+        });
+    }
+    
+    /**
+     * Get the entities in a range of cells, each listed once
+     * @param {number} minCellX - First cell column
+     * @param {number} minCellY - First cell row
+     * @param {number} maxCellX - Last cell column (inclusive)
+     * @param {number} maxCellY - Last cell row (inclusive)
+     * @returns {Set} Entities in the cells
+     */
+    getEntitiesInCells(minCellX, minCellY, maxCellX, maxCellY) {
+        const result = new Set();
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+                const entities = this.grid.get(`${cellX},${cellY}`);
+                if (entities) {
+                    entities.forEach(e => result.add(e));
+                }
+            }
+        }
+        return result;
+    }
 
     /**
-     * Get all entities in the same cell as the given entity
+     * Get all entities sharing a cell with the given entity's footprint
      * @param {Entity} entity - The entity to check
-     * @returns {Array} Array of entities in the same cell
+     * @returns {Array} Array of entities in the same cells
      */
     getNearbyEntities(entity) {
-        const key = this.getCellKey(entity);
-        const result = this.grid.get(key) || [];
-        return result.filter(e => e !== entity);
+        return this.getSurroundingEntities(entity, 0);
     }
 
     /**
-     * Get all entities in the same cell as the given entity and in neighboring cells
+     * Get all entities in the cells the given entity's footprint covers and in neighboring cells
      * @param {Entity} entity - The entity to check
-     * @param {number} range - Range in grid cells to check (default: 2)
+     * @param {number} range - Range in grid cells to check around the footprint (default: 2)
      * @returns {Array} Array of entities in the same and neighboring cells
      */
     getSurroundingEntities(entity, range = 2) {
         if (!entity) return [];
         
-        const result = [];
-        // Use the same rounding method as getCellKey for consistency
-        const entityCellX = Math.round((entity.x || 0) / this.cellSize);
-        const entityCellY = Math.round((entity.y || 0) / this.cellSize);
-        
-        // Check current cell and cells within range
-        for (let offsetX = -range; offsetX <= range; offsetX++) {
-            for (let offsetY = -range; offsetY <= range; offsetY++) {
-                const neighborX = entityCellX + offsetX;
-                const neighborY = entityCellY + offsetY;
-                const neighborKey = `${neighborX},${neighborY}`;
-                
-                const entitiesInCell = this.grid.get(neighborKey);
-                if (entitiesInCell) {
-                    // Filter out the entity itself and avoid duplicates
-                    entitiesInCell.forEach(e => {
-                        if (e !== entity && !result.includes(e)) {
-                            result.push(e);
-                        }
-                    });
-                }
+        const bounds = this.getEntityBounds(entity);
+        const cells = this.getCellRange(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY);
+        const result = this.getEntitiesInCells(
+            cells.minX - range,
+            cells.minY - range,
+            cells.maxX + range,
+            cells.maxY + range
+        );
+        
+        result.delete(entity);
+        return Array.from(result);
+    }
+    
+    /**
+     * Find entities whose footprint overlaps a box
+     * @param {number} minX - Left edge in world units
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Array} Entities overlapping the box
+     */
+    queryAABB(minX, minY, maxX, maxY) {
+        const cells = this.getCellRange(minX, minY, maxX, maxY);
+        const candidates = this.getEntitiesInCells(cells.minX, cells.minY, cells.maxX, cells.maxY);
+        
+        return Array.from(candidates).filter(entity => {
+            const bounds = this.getEntityBounds(entity);
+            return bounds.minX <= maxX && bounds.maxX >= minX &&
+                   bounds.minY <= maxY && bounds.maxY >= minY;
+        });
+    }
+    
+    /**
+     * Find entities whose footprint comes within a distance of a point, nearest first
+     * Distance is measured to the nearest edge of the footprint, so wide entities
+     * are found from either end
+     * @param {number} x - World x position
+     * @param {number} y - World y position
+     * @param {number} radius - Search radius in world units
+     * @returns {Array<{entity: Entity, distance: number}>} Entities in range with their distance
+     */
+    queryRadius(x, y, radius) {
+        const hits = [];
+        
+        this.queryAABB(x - radius, y - radius, x + radius, y + radius).forEach(entity => {
+            const bounds = this.getEntityBounds(entity);
+            const dx = Math.max(bounds.minX - x, 0, x - bounds.maxX);
+            const dy = Math.max(bounds.minY - y, 0, y - bounds.maxY);
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance <= radius) {
+                hits.push({ entity, distance });
+            }
+        });
+        
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+    
+    /**
+     * Find the entities a ray passes through, nearest first
+     * Walks the cells along the ray, so only entities near it are tested
+     * @param {number} originX - Ray start x in world units
+     * @param {number} originY - Ray start y
+     * @param {number} dirX - Ray direction x (need not be normalized)
+     * @param {number} dirY - Ray direction y
+     * @param {number} maxDistance - How far the ray reaches in world units
+     * @returns {Array<{entity: Entity, distance: number, x: number, y: number}>} Hits with the point where the ray enters each footprint
+     */
+    queryRay(originX, originY, dirX, dirY, maxDistance) {
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (length === 0 || !(maxDistance > 0)) return [];
+        
+        const stepX = dirX / length;
+        const stepY = dirY / length;
+        
+        // Cells are centered on multiples of cellSize, so shift by half a cell for the walk
+        const startX = originX / this.cellSize + 0.5;
+        const startY = originY / this.cellSize + 0.5;
+        let cellX = Math.floor(startX);
+        let cellY = Math.floor(startY);
+        
+        const cellStepX = stepX > 0 ? 1 : -1;
+        const cellStepY = stepY > 0 ? 1 : -1;
+        
+        // Distance along the ray to cross one cell, and to the first cell edge on each axis
+        const deltaX = stepX !== 0 ? Math.abs(this.cellSize / stepX) : Infinity;
+        const deltaY = stepY !== 0 ? Math.abs(this.cellSize / stepY) : Infinity;
+        let nextX = stepX !== 0
+            ? (stepX > 0 ? cellX + 1 - startX : startX - cellX) * deltaX
+            : Infinity;
+        let nextY = stepY !== 0
+            ? (stepY > 0 ? cellY + 1 - startY : startY - cellY) * deltaY
+            : Infinity;
+        
+        const candidates = new Set();
+        let travelled = 0;
+        while (travelled <= maxDistance) {
+            const entities = this.grid.get(`${cellX},${cellY}`);
+            if (entities) {
+                entities.forEach(e => candidates.add(e));
+            }
+            
+            if (nextX < nextY) {
+                travelled = nextX;
+                nextX += deltaX;
+                cellX += cellStepX;
+            } else {
+                travelled = nextY;
+                nextY += deltaY;
+                cellY += cellStepY;
             }
         }
         
-        return result;
+        const hits = [];
+        candidates.forEach(entity => {
+            const distance = this.intersectRay(this.getEntityBounds(entity), originX, originY, stepX, stepY);
+            if (distance !== null && distance <= maxDistance) {
+                hits.push({
+                    entity,
+                    distance,
+                    x: originX + stepX * distance,
+                    y: originY + stepY * distance
+                });
+            }
+        });
+        
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+    
+    /**
+     * Find the first entity a ray hits
+     * @param {number} originX - Ray start x in world units
+     * @param {number} originY - Ray start y
+     * @param {number} dirX - Ray direction x
+     * @param {number} dirY - Ray direction y
+     * @param {number} maxDistance - How far the ray reaches
+     * @param {Function} [filter] - Only entities this returns true for can be hit (e.g. skip the caster)
+     * @returns {Object|null} Nearest hit {entity, distance, x, y}, or null
+     */
+    raycast(originX, originY, dirX, dirY, maxDistance, filter = null) {
+        const hits = this.queryRay(originX, originY, dirX, dirY, maxDistance);
+        return hits.find(hit => !filter || filter(hit.entity)) || null;
+    }
+    
+    /**
+     * Distance along a ray to where it enters a box (slab test)
+     * @param {Object} bounds - Box {minX, minY, maxX, maxY}
+     * @param {number} originX - Ray start x
+     * @param {number} originY - Ray start y
+     * @param {number} stepX - Normalized ray direction x
+     * @param {number} stepY - Normalized ray direction y
+     * @returns {number|null} Distance to the box (0 if the ray starts inside), or null if it misses
+     */
+    intersectRay(bounds, originX, originY, stepX, stepY) {
+        let near = 0;
+        let far = Infinity;
+        
+        const axes = [
+            [originX, stepX, bounds.minX, bounds.maxX],
+            [originY, stepY, bounds.minY, bounds.maxY]
+        ];
+        
+        for (const [origin, step, min, max] of axes) {
+            if (step === 0) {
+                if (origin < min || origin > max) return null;
+                continue;
+            }
+            
+            let t1 = (min - origin) / step;
+            let t2 = (max - origin) / step;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            
+            near = Math.max(near, t1);
+            far = Math.min(far, t2);
+            if (near > far) return null;
+        }
+        
+        return near;
+    }
+
+    /**
+     * Get every entity in the grid, each listed once
+     * @returns {Array} Array of all entities
+     */
+    getAllEntities() {
+        return Array.from(this.entityCells.keys());
     }
 
     /**
@@ -168,6 +513,7 @@ class SpatialGrid {
     clear() {
         // Reset the grid to an empty Map
         this.grid = new Map();
+        this.entityCells = new Map();
         // Reduce verbosity - only log once when specifically requested
         // info('Spatial grid cleared');
     }
@@ -182,14 +528,11 @@ class SpatialGrid {
 
     /**
      * Gets the total number of entities in the grid
+     * Entities covering several cells are counted once
      * @returns {number} Total entity count
      */
     getEntityCount() {
-        let count = 0;
-        for (const entities of this.grid.values()) {
-            count += entities.length;
-        }
-        return count;
+        return this.entityCells.size;
     }
     
     /**
@@ -5,9 +5,82 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import overlayManager from './overlayManager.js';
+import audioManager from './audioManager.js';
+
+/**
+ * Synthesise a page rustle - band-passed noise with a soft envelope
+ * @param {AudioContext} audioCtx - Audio context
+ * @param {AudioNode} output - Node to play into
+ */
+function synthPageTurn(audioCtx, output) {
+    // Create white noise for page rustle
+    const bufferSize = audioCtx.sampleRate * 0.5; // 0.5 seconds
+    const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    
+    // Fill with noise, more pronounced at start and end
+    for (let i = 0; i < bufferSize; i++) {
+        const position = i / bufferSize; // 0 to 1
+        const envelope = Math.sin(position * Math.PI); // Amplitude envelope
+        data[i] = (Math.random() * 2 - 1) * envelope * 0.15; // Scaled noise
+    }
+    
+    // Create white noise source
+    const noiseSource = audioCtx.createBufferSource();
+    noiseSource.buffer = buffer;
+    
+    // Create a bandpass filter for paper sound
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 1200;
+    filter.Q.value = 0.5;
+    
+    // Create gain node for volume control
+    const gainNode = audioCtx.createGain();
+    gainNode.gain.value = 0.3;
+    
+    // Connect nodes
+    noiseSource.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(output);
+    
+    // Play the sound
+    noiseSource.start();
+}
+
+/**
+ * Synthesise a rising magical chime
+ * @param {AudioContext} audioCtx - Audio context
+ * @param {AudioNode} output - Node to play into
+ */
+function synthSpellbookChime(audioCtx, output) {
+    // Create oscillator
+    const oscillator = audioCtx.createOscillator();
+    const gainNode = audioCtx.createGain();
+    
+    // Configure oscillator
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(440, audioCtx.currentTime); // A4
+    oscillator.frequency.exponentialRampToValueAtTime(880, audioCtx.currentTime + 0.5); // A5
+    
+    // Configure volume
+    gainNode.gain.setValueAtTime(0.3, audioCtx.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 1);
+    
+    // Connect and start
+    oscillator.connect(gainNode);
+    gainNode.connect(output);
+    
+    oscillator.start();
+    oscillator.stop(audioCtx.currentTime + 1);
+}
+
+// Spellbook sounds are synthesised, so there is no sprite to load
+audioManager.registerSound('spellbook-page-turn', { synth: synthPageTurn });
+audioManager.registerSound('spellbook-chime', { synth: synthSpellbookChime });
 
 export class SpellbookEntity extends Entity {
     /**
@@ -39,12 +112,17 @@ export class SpellbookEntity extends Entity {
         this.proximityBoost = 2.5; // Higher boost for more dramatic effect in proximity
         this.interactionDistance = options.interactionDistance || 4.0; // 3 grid units
         
+        // Drawing adjustments for the spellbook image
+        this.scaleX = 1; // Multiplier on the size that fits the bounds
+        this.scaleY = 1;
+        this.groundingFactor = -4; // Adjust to make spellbook appear at right height
+        
         // Interaction state
         this.isPlayerNearby = false;
         this.showPrompt = false;
         this.interactionEnabled = true;
         this.interactionPromptAlpha = 0; // For fade in/out effect
-        this.wasEnterPressed = false;
+        this.hasInteractionFocus = false; // Set by the InteractionManager while this is the interaction target
         
         // Animation properties
         this.animationTime = 0;
@@ -227,9 +305,6 @@ export class SpellbookEntity extends Entity {
         
         // Update glow effect
         this.updateGlowEffect(deltaTime);
-        
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
     }
     
     /**
@@ -255,8 +330,8 @@ export class SpellbookEntity extends Entity {
                 debug(`SpellbookEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
             
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
+            // Handle interaction prompt fade - only the focused interactable shows its prompt
+            if (this.hasInteractionFocus) {
                 // Fade in prompt
                 this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
                 this.showPrompt = true;
@@ -296,48 +371,6 @@ export class SpellbookEntity extends Entity {
         }
     }
     
-    /**
-     * Check for player interaction
-     */
-    checkForInteraction() {
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Spellbook interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('SpellbookEntity: NEW Enter key press detected, opening spellbook!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Handle spellbook interaction
      */
@@ -361,25 +394,9 @@ export class SpellbookEntity extends Entity {
     
     /**
      * Display the spellbook page overlay
+     * The overlay manager handles the backdrop, fading, closing and pausing the game
      */
     displaySpellbookPage() {
-        // Create overlay container
-        const overlay = document.createElement('div');
-        overlay.id = 'spellbook-overlay';
-        overlay.style.position = 'fixed';
-        overlay.style.top = '0';
-        overlay.style.left = '0';
-        overlay.style.width = '100%';
-        overlay.style.height = '100%';
-        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
-        overlay.style.display = 'flex';
-        overlay.style.justifyContent = 'center';
-        overlay.style.alignItems = 'center';
-        overlay.style.zIndex = '1000';
-        overlay.style.backdropFilter = 'blur(5px)';
-        overlay.style.transition = 'opacity 0.5s ease-in-out';
-        overlay.style.opacity = '0';
-        
         // Create spellbook page content
         const spellbookPage = document.createElement('div');
         spellbookPage.className = 'spellbook-page';
@@ -413,8 +430,11 @@ export class SpellbookEntity extends Entity {
             </div>
         `;
         
-        // Add close button (styled as an arcane symbol)
-        const closeButton = document.createElement('div');
+        // Add close button (styled as an arcane symbol) - the overlay manager closes the page when it is clicked
+        const closeButton = document.createElement('button');
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.setAttribute('data-overlay-close', '');
+        closeButton.style.padding = '0';
         closeButton.style.position = 'absolute';
         closeButton.style.top = '15px';
         closeButton.style.right = '15px';
@@ -444,19 +464,6 @@ export class SpellbookEntity extends Entity {
             closeButton.style.boxShadow = 'none';
         };
         
-        closeButton.onclick = () => {
-            // Fade out and remove overlay
-            overlay.style.opacity = '0';
-            setTimeout(() => {
-                if (document.body.contains(overlay)) {
-                    document.body.removeChild(overlay);
-                }
-            }, 500);
-            
-            // Play closing sound
-            this.playPageTurnSound();
-        };
-        
         // Create the content
         const content = document.createElement('div');
         content.style.textAlign = 'center';
@@ -748,95 +755,33 @@ export class SpellbookEntity extends Entity {
         spellbookPage.innerHTML += borderDecorations;
         spellbookPage.appendChild(content);
         spellbookPage.appendChild(closeButton);
-        overlay.appendChild(spellbookPage);
         
-        // Add to body
-        document.body.appendChild(overlay);
+        overlayManager.open({
+            id: 'spellbook-overlay',
+            content: spellbookPage,
+            backdrop: 'rgba(0, 0, 0, 0.85)',
+            blur: true,
+            fadeDuration: 500,
+            // Play closing sound
+            onClose: () => this.playPageTurnSound()
+        });
         
         // Play opening sound
         this.playPageTurnSound();
-        
-        // Trigger fade in
-        setTimeout(() => {
-            overlay.style.opacity = '1';
-        }, 10);
     }
     
     /**
      * Play a page turning sound when opening/closing the spellbook
      */
     playPageTurnSound() {
-        try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create white noise for page rustle
-            const bufferSize = audioCtx.sampleRate * 0.5; // 0.5 seconds
-            const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
-            const data = buffer.getChannelData(0);
-            
-            // Fill with noise, more pronounced at start and end
-            for (let i = 0; i < bufferSize; i++) {
-                const position = i / bufferSize; // 0 to 1
-                const envelope = Math.sin(position * Math.PI); // Amplitude envelope
-                data[i] = (Math.random() * 2 - 1) * envelope * 0.15; // Scaled noise
-            }
-            
-            // Create white noise source
-            const noiseSource = audioCtx.createBufferSource();
-            noiseSource.buffer = buffer;
-            
-            // Create a bandpass filter for paper sound
-            const filter = audioCtx.createBiquadFilter();
-            filter.type = 'bandpass';
-            filter.frequency.value = 1200;
-            filter.Q.value = 0.5;
-            
-            // Create gain node for volume control
-            const gainNode = audioCtx.createGain();
-            gainNode.gain.value = 0.3;
-            
-            // Connect nodes
-            noiseSource.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
-            
-            // Play the sound
-            noiseSource.start();
-        } catch (err) {
-            debug(`SpellbookEntity: Page turn sound error: ${err.message}`);
-        }
+        audioManager.play('spellbook-page-turn');
     }
     
     /**
      * Play sound effect when interacting with spellbook
      */
     playSpellbookSound() {
-        // Create a simple oscillator for magical sound
-        try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create oscillator
-            const oscillator = audioCtx.createOscillator();
-            const gainNode = audioCtx.createGain();
-            
-            // Configure oscillator
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(440, audioCtx.currentTime); // A4
-            oscillator.frequency.exponentialRampToValueAtTime(880, audioCtx.currentTime + 0.5); // A5
-            
-            // Configure volume
-            gainNode.gain.setValueAtTime(0.3, audioCtx.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 1);
-            
-            // Connect and start
-            oscillator.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
-            
-            oscillator.start();
-            oscillator.stop(audioCtx.currentTime + 1);
-        } catch (err) {
-            debug(`SpellbookEntity: Sound error: ${err.message}`);
-        }
+        audioManager.play('spellbook-chime');
     }
     
     /**
@@ -885,8 +830,7 @@ export class SpellbookEntity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position with proper grounding
-        const groundingFactor = -4; // Adjust to make spellbook appear at right height
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply floating animation
         const floatOffset = Math.sin(this.animationTime * this.floatSpeed) * this.floatAmplitude * height;
@@ -904,8 +848,8 @@ export class SpellbookEntity extends Entity {
             const scale = Math.min(width * 6 / img.width, height * 6 / img.height);
             
             // Calculate centered position
-            const drawWidth = img.width * scale;
-            const drawHeight = img.height * scale;
+            const drawWidth = img.width * scale * this.scaleX;
+            const drawHeight = img.height * scale * this.scaleY;
             const drawX = screenX - drawWidth / 2;
             
             // Apply glow effect with shadow
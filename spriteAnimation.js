@@ -0,0 +1,296 @@
+/**
+ * Sprite Animation for AI Alchemist's Lair
+ * Data-driven, frame-based animation for 8-direction characters like the wizard
+ *
+ * Animation sets live in assets/animations/<id>.json:
+ * {
+ *     "version": 1,
+ *     "id": "wizard",
+ *     "referenceSpeed": 3,
+ *     "sheets": {
+ *         "south": { "asset": "wizardS", "path": "assets/Wizard/Wizard_S.png", "frameWidth": 204, "frameHeight": 204 },
+ *         ...one sheet per direction
+ *     },
+ *     "animations": {
+ *         "idle": { "fps": 2, "loop": true, "frames": [0, 1] },
+ *         "walk": { "fps": 8, "loop": true, "speedScaled": true, "frames": [2, 3, 4, 5] },
+ *         "jump": { "driver": "progress", "frames": [6, { "frame": 7, "offsetY": -0.02 }] }
+ *     }
+ * }
+ *
+ * - A sheet holds a direction's frames left to right, top to bottom, each
+ *   frameWidth x frameHeight; without a frame size the whole image is one frame.
+ *   "asset" is the asset loader key and "path" loads it if it isn't loaded yet.
+ * - A frame is a frame index, or an object with "frame" plus optional "offsetX" and
+ *   "offsetY" (fractions of the drawn size) and "scaleX"/"scaleY" (about the feet),
+ *   which lets single-image sheets squash, stretch and bob.
+ * - "speedScaled" animations play at fps * speed / referenceSpeed, so the walk
+ *   cycle keeps pace with the character.
+ * - "progress" animations are driven by a 0-1 value (e.g. Player.jumpProgress)
+ *   instead of time.
+ */
+
+import assetLoader from './assetLoader.js';
+import { getAssetPath } from './pathResolver.js';
+import { debug, warn } from './utils.js';
+
+// Current animation file format version
+const ANIMATION_VERSION = 1;
+
+// Folder holding one file per animation set
+const ANIMATION_BASE_PATH = 'assets/animations/';
+
+// Animation played when a character's requested one doesn't exist
+const DEFAULT_ANIMATION = 'idle';
+
+class AnimationLibrary {
+    constructor() {
+        // Validated animation sets keyed by ID
+        this.sets = {};
+        
+        // Loads in flight, so a set is only fetched once
+        this.pending = {};
+    }
+    
+    /**
+     * Get the path of an animation set file
+     * @param {string} id - Animation set ID
+     * @returns {string} Resolved path
+     */
+    getAnimationPath(id) {
+        return getAssetPath(`${ANIMATION_BASE_PATH}${id}.json`);
+    }
+    
+    /**
+     * Load an animation set and start loading its sheet images
+     * @param {string} id - Animation set ID
+     * @returns {Promise<Object>} Promise that resolves with the validated set
+     */
+    load(id) {
+        if (this.sets[id]) {
+            return Promise.resolve(this.sets[id]);
+        }
+        if (this.pending[id]) {
+            return this.pending[id];
+        }
+        
+        const path = this.getAnimationPath(id);
+        debug(`AnimationLibrary: Loading animation set ${id} from ${path}`);
+        
+        this.pending[id] = fetch(path)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => this.register(id, data))
+            .finally(() => {
+                delete this.pending[id];
+            });
+        
+        return this.pending[id];
+    }
+    
+    /**
+     * Add an animation set without loading it from a file
+     * @param {string} id - Animation set ID
+     * @param {Object} data - Animation set data
+     * @returns {Object} The validated set
+     */
+    register(id, data) {
+        const set = this.validate(data, id);
+        this.sets[id] = set;
+        
+        // Make sure every sheet image is on its way
+        Object.values(set.sheets).forEach(sheet => {
+            if (sheet.path && !assetLoader.assets[sheet.asset]) {
+                assetLoader.loadImage(sheet.asset, sheet.path)
+                    .catch(err => warn(`AnimationLibrary: Could not load sheet ${sheet.asset}`, err));
+            }
+        });
+        
+        return set;
+    }
+    
+    /**
+     * Get a loaded animation set
+     * @param {string} id - Animation set ID
+     * @returns {Object|null} The set, or null if it hasn't loaded
+     */
+    get(id) {
+        return this.sets[id] || null;
+    }
+    
+    /**
+     * Validate animation set data, normalizing frames to objects
+     * @param {Object} data - Raw animation set data
+     * @param {string} id - Animation set ID the data was requested for
+     * @returns {Object} The validated set
+     */
+    validate(data, id) {
+        if (!data || !data.sheets || !data.animations) {
+            throw new Error(`Animation set ${id} needs sheets and animations`);
+        }
+        
+        if (data.version !== ANIMATION_VERSION) {
+            warn(`AnimationLibrary: Animation set ${id} is version ${data.version}, expected ${ANIMATION_VERSION}`);
+        }
+        
+        const animations = {};
+        Object.entries(data.animations).forEach(([name, animation]) => {
+            const frames = (Array.isArray(animation.frames) ? animation.frames : [])
+                .map(frame => (typeof frame === 'number' ? { frame } : { frame: 0, ...frame }));
+            
+            if (frames.length === 0) {
+                warn(`AnimationLibrary: Animation ${id}/${name} has no frames, skipping it`);
+                return;
+            }
+            
+            animations[name] = {
+                name,
+                frames,
+                fps: animation.fps || 8,
+                loop: animation.loop !== false,
+                speedScaled: !!animation.speedScaled,
+                driver: animation.driver === 'progress' ? 'progress' : 'time'
+            };
+        });
+        
+        return {
+            version: data.version,
+            id: data.id || id,
+            referenceSpeed: data.referenceSpeed || 1,
+            sheets: data.sheets,
+            animations
+        };
+    }
+}
+
+class SpriteAnimator {
+    /**
+     * Create an animator for one character
+     * @param {string} setId - Animation set to play from the library
+     * @param {AnimationLibrary} [library] - Library the set is looked up in
+     */
+    constructor(setId, library = animationLibrary) {
+        this.setId = setId;
+        this.library = library;
+        
+        this.animationName = DEFAULT_ANIMATION;
+        this.time = 0;
+        this.progress = 0;
+    }
+    
+    /**
+     * Get the animation set, if it has loaded
+     * @returns {Object|null} Animation set
+     */
+    getSet() {
+        return this.library.get(this.setId);
+    }
+    
+    /**
+     * Advance the animation
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Object} state - What the character is doing
+     * @param {string} state.animation - Animation to play (e.g. 'idle', 'walk', 'jump')
+     * @param {number} [state.speed] - Movement speed, for speed-scaled animations
+     * @param {number} [state.progress] - 0-1 progress, for progress-driven animations
+     */
+    update(deltaTime, state) {
+        // Restart from the first frame when switching animations
+        if (state.animation !== this.animationName) {
+            this.animationName = state.animation;
+            this.time = 0;
+        }
+        
+        const animation = this.getAnimation();
+        if (!animation) return;
+        
+        if (animation.driver === 'progress') {
+            this.progress = Math.max(0, Math.min(1, state.progress || 0));
+            return;
+        }
+        
+        let rate = 1;
+        if (animation.speedScaled) {
+            const set = this.getSet();
+            rate = (state.speed || 0) / set.referenceSpeed;
+        }
+        this.time += deltaTime * rate;
+    }
+    
+    /**
+     * Get the animation being played, falling back to the default one
+     * @returns {Object|null} Animation definition
+     */
+    getAnimation() {
+        const set = this.getSet();
+        if (!set) return null;
+        return set.animations[this.animationName] || set.animations[DEFAULT_ANIMATION] || null;
+    }
+    
+    /**
+     * Get the frame to show now
+     * @returns {Object|null} Frame definition
+     */
+    getCurrentFrame() {
+        const animation = this.getAnimation();
+        if (!animation) return null;
+        
+        const count = animation.frames.length;
+        let index;
+        if (animation.driver === 'progress') {
+            index = Math.min(count - 1, Math.floor(this.progress * count));
+        } else {
+            const elapsed = Math.floor(this.time * animation.fps);
+            index = animation.loop ? elapsed % count : Math.min(count - 1, elapsed);
+        }
+        
+        return animation.frames[index];
+    }
+    
+    /**
+     * Draw the current frame for a direction
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {string} direction - Direction name ('north', 'southeast', ...)
+     * @param {number} x - Left of the sprite
+     * @param {number} y - Top of the sprite
+     * @param {number} width - Drawn width
+     * @param {number} height - Drawn height
+     * @returns {boolean} True if a frame was drawn; false means the caller should draw a fallback
+     */
+    draw(ctx, direction, x, y, width, height) {
+        const set = this.getSet();
+        const frame = this.getCurrentFrame();
+        if (!set || !frame) return false;
+        
+        const sheet = set.sheets[direction] || set.sheets.south;
+        const image = sheet && assetLoader.getAsset(sheet.asset);
+        if (!image) return false;
+        
+        // Locate the frame on the sheet
+        const frameWidth = sheet.frameWidth || image.width;
+        const frameHeight = sheet.frameHeight || image.height;
+        const columns = Math.max(1, Math.floor(image.width / frameWidth));
+        const sourceX = (frame.frame % columns) * frameWidth;
+        const sourceY = Math.floor(frame.frame / columns) * frameHeight;
+        
+        // Scale about the feet so squashing doesn't lift the character off the floor
+        const scaleX = frame.scaleX || 1;
+        const scaleY = frame.scaleY || 1;
+        const drawWidth = width * scaleX;
+        const drawHeight = height * scaleY;
+        const drawX = x + (width - drawWidth) / 2 + (frame.offsetX || 0) * width;
+        const drawY = y + (height - drawHeight) + (frame.offsetY || 0) * height;
+        
+        ctx.drawImage(image, sourceX, sourceY, frameWidth, frameHeight, drawX, drawY, drawWidth, drawHeight);
+        return true;
+    }
+}
+
+// Create a singleton instance
+const animationLibrary = new AnimationLibrary();
+
+export { AnimationLibrary, SpriteAnimator, animationLibrary };
@@ -1,16 +1,36 @@
 /**
  * Timing utilities for the AI Alchemist's Lair game
- * Provides frame rate limiting and timing-related functionality
+ * Provides frame rate limiting and the fixed-timestep simulation clock
+ *
+ * The game simulates in fixed steps of FIXED_TIMESTEP seconds however often it
+ * renders. Each rendered frame adds the real time that passed to an accumulator
+ * and runs as many whole steps as fit; what's left over becomes the interpolation
+ * alpha used to draw entities between their last two simulated positions.
  */
 
 // Frame rate settings
 const TARGET_FPS = 60;
 const FRAME_TIME = 1000 / TARGET_FPS; // Time per frame in ms
 
+// Length of one simulation step in seconds
+const FIXED_TIMESTEP = 1 / TARGET_FPS;
+
+// Spiral-of-death guards: never count more than this much real time for one frame
+// (e.g. after switching back to the tab) or run more than this many steps per frame
+const MAX_FRAME_TIME = 0.25;
+const MAX_STEPS_PER_FRAME = 5;
+
 // Timing state
 let lastFrameTime = 0;
 let deltaTime = 0;
 
+// Render at most TARGET_FPS (true) or on every requestAnimationFrame callback (false)
+let renderCapped = true;
+
+// Simulation clock state
+let lastStepTime = 0;
+let accumulator = 0;
+
 // FPS monitoring
 let fpsUpdateInterval = 500; // Update FPS display every 500ms
 let fpsLastUpdate = 0;
@@ -31,15 +51,82 @@ function shouldRenderFrame(currentTime) {
     // Calculate time since last frame
     deltaTime = currentTime - lastFrameTime;
     
-    // Only render if enough time has passed (60 FPS cap)
-    if (deltaTime >= FRAME_TIME) {
+    if (!renderCapped) {
         lastFrameTime = currentTime;
         return true;
     }
     
+    // Only render if enough time has passed (60 FPS cap), allowing a millisecond
+    // of jitter so a 60 Hz display doesn't skip every other callback
+    if (deltaTime >= FRAME_TIME - 1) {
+        // Carry the overshoot so high refresh rate displays still average TARGET_FPS
+        lastFrameTime = currentTime - Math.max(0, deltaTime - FRAME_TIME) % FRAME_TIME;
+        return true;
+    }
+    
     return false;
 }
 
+/**
+ * Turn the 60 FPS render cap on or off
+ * The simulation runs at the same fixed rate either way
+ * @param {boolean} capped - True to render at most TARGET_FPS
+ */
+function setRenderCapped(capped) {
+    renderCapped = !!capped;
+}
+
+/**
+ * Check whether rendering is capped at TARGET_FPS
+ * @returns {boolean} - True if capped
+ */
+function isRenderCapped() {
+    return renderCapped;
+}
+
+/**
+ * Advance the simulation clock to this frame and get the number of fixed steps to run
+ * @param {number} currentTime - Current timestamp from requestAnimationFrame
+ * @returns {number} - Simulation steps of FIXED_TIMESTEP seconds due this frame
+ */
+function getSimulationSteps(currentTime) {
+    if (lastStepTime === 0) {
+        lastStepTime = currentTime;
+        return 1;
+    }
+    
+    const frameTime = Math.min((currentTime - lastStepTime) / 1000, MAX_FRAME_TIME);
+    lastStepTime = currentTime;
+    accumulator += Math.max(0, frameTime);
+    
+    let steps = Math.floor(accumulator / FIXED_TIMESTEP);
+    accumulator -= steps * FIXED_TIMESTEP;
+    
+    if (steps > MAX_STEPS_PER_FRAME) {
+        // Too far behind to catch up - drop the backlog instead of slowing down further
+        steps = MAX_STEPS_PER_FRAME;
+        accumulator = 0;
+    }
+    
+    return steps;
+}
+
+/**
+ * Get how far the simulation clock is between the last step and the next one
+ * @returns {number} - Interpolation alpha between 0 and 1
+ */
+function getInterpolationAlpha() {
+    return Math.min(1, accumulator / FIXED_TIMESTEP);
+}
+
+/**
+ * Restart the simulation clock, discarding time that hasn't been simulated
+ */
+function resetSimulationClock() {
+    lastStepTime = 0;
+    accumulator = 0;
+}
+
 /**
  * Get the time elapsed since the last frame in seconds
  * @returns {number} - Delta time in seconds
@@ -70,9 +157,24 @@ function updateFps(timestamp) {
     return currentFps;
 }
 
+// A hidden tab gets no animation frames; don't try to simulate the time it was away
+if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            resetSimulationClock();
+        }
+    });
+}
+
 export { 
     shouldRenderFrame, 
     getDeltaTime, 
     updateFps,
-    TARGET_FPS 
+    setRenderCapped,
+    isRenderCapped,
+    getSimulationSteps,
+    getInterpolationAlpha,
+    resetSimulationClock,
+    TARGET_FPS,
+    FIXED_TIMESTEP 
 };
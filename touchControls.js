@@ -0,0 +1,353 @@
+/**
+ * Touch Controls module for AI Alchemist's Lair
+ * On-canvas virtual joystick, contextual interact button and pinch-to-zoom
+ * for touch devices. Does nothing on devices without touch support.
+ */
+
+import { debug, info } from './utils.js';
+
+// Joystick stick travel in canvas pixels
+const JOYSTICK_RADIUS = 50;
+
+// Knob deflection (0-1) below which the joystick is treated as centred
+const JOYSTICK_DEADZONE = 0.3;
+
+// Interact button radius in canvas pixels
+const INTERACT_BUTTON_RADIUS = 36;
+
+/**
+ * Check whether the current device supports touch input
+ * @returns {boolean} True if touch events are available
+ */
+function isTouchSupported() {
+    if (typeof window === 'undefined') return false;
+    
+    return 'ontouchstart' in window ||
+        (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+}
+
+class TouchControls {
+    /**
+     * Create touch controls for the game canvas
+     * @param {HTMLCanvasElement} canvas - Game canvas that receives touch events
+     * @param {Camera} camera - Camera zoomed by pinch gestures
+     * @param {Game} game - Game instance, used to find the focused interactable
+     */
+    constructor(canvas, camera, game) {
+        this.canvas = canvas;
+        this.camera = camera;
+        this.game = game;
+        
+        // Controls stay off entirely on devices without touch
+        this.enabled = isTouchSupported();
+        
+        // Joystick anchored in the bottom-left corner
+        this.joystick = {
+            x: JOYSTICK_RADIUS + 40,
+            y: canvas.height - JOYSTICK_RADIUS - 40,
+            touchId: null,   // Identifier of the touch driving the joystick
+            knobX: 0,        // Knob offset from the centre in pixels
+            knobY: 0
+        };
+        
+        // Interact button anchored in the bottom-right corner
+        this.interactButton = {
+            x: canvas.width - INTERACT_BUTTON_RADIUS - 40,
+            y: canvas.height - INTERACT_BUTTON_RADIUS - 50,
+            touchId: null,
+            visible: false
+        };
+        
+        // Active pinch gesture, if any
+        this.pinch = null;
+        
+        // True from a second finger landing until every finger is lifted
+        this.multiTouch = false;
+        
+        if (this.enabled) {
+            this.attachListeners();
+            info('Touch controls enabled');
+        } else {
+            debug('TouchControls: No touch support detected, touch controls disabled');
+        }
+    }
+    
+    /**
+     * Attach touch listeners to the canvas
+     */
+    attachListeners() {
+        // Keep the browser from scrolling or zooming the page while playing
+        this.canvas.style.touchAction = 'none';
+        
+        // Listeners are non-passive so preventDefault() can stop page gestures
+        const options = { passive: false };
+        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), options);
+        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), options);
+        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), options);
+        this.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), options);
+    }
+    
+    /**
+     * Convert a touch's page position to canvas pixel coordinates
+     * The canvas can be scaled by CSS, so map through its on-screen size
+     * @param {Touch} touch - Touch to convert
+     * @returns {{x: number, y: number}} Position in canvas pixels
+     */
+    getCanvasPosition(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (touch.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+    
+    /**
+     * Check whether a canvas position is on the interact button
+     * @param {{x: number, y: number}} pos - Position in canvas pixels
+     * @returns {boolean} True if the button is showing and the position is on it
+     */
+    isOnInteractButton(pos) {
+        if (!this.interactButton.visible) return false;
+        
+        const dx = pos.x - this.interactButton.x;
+        const dy = pos.y - this.interactButton.y;
+        return Math.sqrt(dx * dx + dy * dy) <= INTERACT_BUTTON_RADIUS * 1.2;
+    }
+    
+    /**
+     * Check whether a canvas position is close enough to the joystick to grab it
+     * The grab area is larger than the base so the stick is easy to find by feel;
+     * touches elsewhere are left free for pinch gestures
+     * @param {{x: number, y: number}} pos - Position in canvas pixels
+     * @returns {boolean} True if the position can grab the joystick
+     */
+    isOnJoystick(pos) {
+        const dx = pos.x - this.joystick.x;
+        const dy = pos.y - this.joystick.y;
+        return Math.sqrt(dx * dx + dy * dy) <= JOYSTICK_RADIUS * 2;
+    }
+    
+    /**
+     * Handle new touches - claim the joystick, the interact button or start a pinch
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchStart(e) {
+        let claimed = false;
+        
+        Array.from(e.changedTouches).forEach(touch => {
+            const pos = this.getCanvasPosition(touch);
+            
+            if (this.isOnInteractButton(pos) && this.interactButton.touchId === null) {
+                this.interactButton.touchId = touch.identifier;
+                claimed = true;
+            } else if (this.isOnJoystick(pos) && this.joystick.touchId === null) {
+                this.joystick.touchId = touch.identifier;
+                this.updateJoystick(pos);
+                claimed = true;
+            }
+        });
+        
+        if (e.touches.length > 1) {
+            this.multiTouch = true;
+        }
+        
+        // Only swallow touches the controls use; a plain tap is left to become a
+        // click, which ClickToMove and the mini-map handle
+        if (claimed || this.multiTouch) {
+            e.preventDefault();
+        }
+        
+        this.updatePinch(e.touches);
+    }
+    
+    /**
+     * Handle touch movement - move the joystick knob and track pinches
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+        
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystick.touchId) {
+                this.updateJoystick(this.getCanvasPosition(touch));
+            }
+        });
+        
+        this.updatePinch(e.touches);
+    }
+    
+    /**
+     * Handle lifted touches - release the joystick and fire the interact button
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchEnd(e) {
+        let claimed = this.multiTouch;
+        
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystick.touchId || touch.identifier === this.interactButton.touchId) {
+                claimed = true;
+            }
+            
+            if (touch.identifier === this.joystick.touchId) {
+                this.joystick.touchId = null;
+                this.joystick.knobX = 0;
+                this.joystick.knobY = 0;
+            }
+            
+            if (touch.identifier === this.interactButton.touchId) {
+                this.interactButton.touchId = null;
+                
+                // Only fire if the finger was lifted on the button (cancelled touches don't count)
+                if (e.type === 'touchend' && this.isOnInteractButton(this.getCanvasPosition(touch))) {
+                    this.game.interactionManager.requestInteraction();
+                }
+            }
+        });
+        
+        // Lifting a joystick, button or pinch finger mustn't also click the floor under it
+        if (claimed) {
+            e.preventDefault();
+        }
+        
+        if (e.touches.length === 0) {
+            this.multiTouch = false;
+        }
+        
+        this.updatePinch(e.touches);
+    }
+    
+    /**
+     * Move the joystick knob towards a touch position, clamped to the joystick radius
+     * @param {{x: number, y: number}} pos - Touch position in canvas pixels
+     */
+    updateJoystick(pos) {
+        let offsetX = pos.x - this.joystick.x;
+        let offsetY = pos.y - this.joystick.y;
+        const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+        
+        if (distance > JOYSTICK_RADIUS) {
+            offsetX = (offsetX / distance) * JOYSTICK_RADIUS;
+            offsetY = (offsetY / distance) * JOYSTICK_RADIUS;
+        }
+        
+        this.joystick.knobX = offsetX;
+        this.joystick.knobY = offsetY;
+    }
+    
+    /**
+     * Start, update or end a pinch gesture
+     * Pinches use the touches that aren't driving the joystick or the interact button
+     * @param {TouchList} touches - All touches currently on the screen
+     */
+    updatePinch(touches) {
+        const free = Array.from(touches).filter(touch =>
+            touch.identifier !== this.joystick.touchId &&
+            touch.identifier !== this.interactButton.touchId
+        );
+        
+        if (free.length < 2) {
+            this.pinch = null;
+            return;
+        }
+        
+        const a = this.getCanvasPosition(free[0]);
+        const b = this.getCanvasPosition(free[1]);
+        const distance = Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+        if (distance === 0) return;
+        
+        if (!this.pinch) {
+            this.pinch = { startDistance: distance, startZoom: this.camera.targetZoom };
+            return;
+        }
+        
+        this.camera.setZoom(this.pinch.startZoom * (distance / this.pinch.startDistance));
+    }
+    
+    /**
+     * Get the joystick direction, snapped to one of 8 directions
+     * @returns {{dx: number, dy: number}} Direction components, each -1, 0 or 1
+     */
+    getDirection() {
+        if (!this.enabled || this.joystick.touchId === null) return { dx: 0, dy: 0 };
+        
+        const { knobX, knobY } = this.joystick;
+        if (Math.sqrt(knobX * knobX + knobY * knobY) < JOYSTICK_RADIUS * JOYSTICK_DEADZONE) {
+            return { dx: 0, dy: 0 };
+        }
+        
+        // Snap the knob angle to the nearest 45 degree sector
+        const sector = Math.round(Math.atan2(knobY, knobX) / (Math.PI / 4));
+        const angle = sector * (Math.PI / 4);
+        return {
+            dx: Math.round(Math.cos(angle)),
+            dy: Math.round(Math.sin(angle))
+        };
+    }
+    
+    /**
+     * Update the controls - called once per frame
+     * Shows the interact button only while an interactable is in range
+     */
+    update() {
+        if (!this.enabled) return;
+        
+        const manager = this.game.interactionManager;
+        this.interactButton.visible = !!(manager && manager.getFocusedEntity());
+        
+        // Drop a held button press if the button disappears under the finger
+        if (!this.interactButton.visible) {
+            this.interactButton.touchId = null;
+        }
+    }
+    
+    /**
+     * Draw the joystick and interact button in screen space
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.enabled) return;
+        
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        // Joystick base
+        const { x, y, knobX, knobY, touchId } = this.joystick;
+        ctx.globalAlpha = touchId !== null ? 0.6 : 0.35;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.strokeStyle = '#00ffcc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, JOYSTICK_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Joystick knob
+        ctx.fillStyle = '#00ffcc';
+        ctx.beginPath();
+        ctx.arc(x + knobX, y + knobY, JOYSTICK_RADIUS * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Interact button, only while there is something to interact with
+        if (this.interactButton.visible) {
+            const button = this.interactButton;
+            ctx.globalAlpha = button.touchId !== null ? 0.9 : 0.7;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = '#ff00ff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, INTERACT_BUTTON_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 14px Arial, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('USE', button.x, button.y);
+        }
+        
+        ctx.restore();
+    }
+}
+
+export { TouchControls, isTouchSupported };
@@ -5,9 +5,9 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js'; // Corrected to use named import
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import { particleSystem, PARTICLE_PRESETS } from './particleSystem.js';
 
 export class TrophyEntity extends Entity {
     /**
@@ -44,17 +44,29 @@ export class TrophyEntity extends Entity {
         this.minGlowIntensity = 0.3;
         this.interactionDistance = options.interactionDistance || 3.0; // Increased to 3 grid units
         
+        // Drawing adjustments for the trophy image
+        this.scaleX = 1; // Multiplier on the size that fits the bounds
+        this.scaleY = 1;
+        this.groundingFactor = 1.8; // Adjust to make trophy appear at right height
+        
         // Interaction state
         this.isPlayerNearby = false;
         this.showPrompt = false;
         this.interactionEnabled = true;
         this.interactionPromptAlpha = 0; // For fade in/out effect like TV/jukebox
-        this.wasEnterPressed = false;
+        this.hasInteractionFocus = false; // Set by the InteractionManager while this is the interaction target
         
         // Animation properties
         this.animationTime = 0;
         this.pulseSpeed = 0.03;
         
+        // Sparkles drifting up around the trophy in its glow color
+        particleSystem.attach(this, {
+            ...PARTICLE_PRESETS.sparkle,
+            colors: ['#ffffff', this.glowColor],
+            offsetY: -35
+        });
+        
         // Attempt to load trophy image
         this.loadTrophyImage();
         
@@ -108,14 +120,6 @@ export class TrophyEntity extends Entity {
         
         // Update glow effect - explicit call to updateGlowEffect
         this.updateGlowEffect(deltaTime);
-        
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
-        
-        // Debug logging every 60 frames
-        if (Math.round(this.animationTime * 10) % 60 === 0) {
-            console.log(`Trophy update: animTime=${this.animationTime.toFixed(2)}, glow=${this.glowIntensity.toFixed(2)}, isNearby=${this.isPlayerNearby}`);
-        }
     }
     
     /**
@@ -141,8 +145,8 @@ export class TrophyEntity extends Entity {
                 console.log(`TrophyEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
             
-            // Handle interaction prompt fade (similar to TV and jukebox)
-            if (this.isPlayerNearby) {
+            // Handle interaction prompt fade (like TV and jukebox) - only the focused interactable shows its prompt
+            if (this.hasInteractionFocus) {
                 // Fade in prompt
                 this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
                 this.showPrompt = true;
@@ -188,49 +192,6 @@ export class TrophyEntity extends Entity {
         }
     }
     
-    /**
-     * Check for user interaction with the trophy
-     */
-    checkForInteraction() {
-        // Only check for interaction if player is nearby and interaction is enabled
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Trophy interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('TrophyEntity: NEW Enter key press detected, navigating to URL!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Handle trophy interaction (navigate to URL)
      */
@@ -293,8 +254,7 @@ export class TrophyEntity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position with proper grounding
-        const groundingFactor = 1.8; // Adjust to make trophy appear at right height
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position
         const drawY = adjustedScreenY - (this.z * 2);
@@ -315,8 +275,8 @@ export class TrophyEntity extends Entity {
             const scale = Math.min(width * 3 / img.width, height * 3 / img.height);
             
             // Calculate centered position
-            const drawWidth = img.width * scale;
-            const drawHeight = img.height * scale;
+            const drawWidth = img.width * scale * this.scaleX;
+            const drawHeight = img.height * scale * this.scaleY;
             const drawX = screenX - drawWidth / 2;
             
             // Apply gold glow effect with shadow - DIRECTLY on the image like TV and jukebox
@@ -6,8 +6,8 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
-import { input } from './input.js';
 import { getAssetPath } from './pathResolver.js';
+import overlayManager from './overlayManager.js';
 
 class TVEntity extends Entity {
     /**
@@ -49,11 +49,16 @@ class TVEntity extends Entity {
         this.proximityBoost = 0;       // Additional glow when player is nearby
         this.glowColor = '#3DF5FF';    // Cyan glow for TV
         
+        // Drawing adjustments for the TV image
+        this.scaleX = 1.2;  // Increased size factor to better match the larger collision bounds
+        this.scaleY = 1.2;
+        this.groundingFactor = 0.8; // How much to "sink" the TV image down to align with the floor
+        
         // Interactive properties
         this.interactionDistance = 4;   // Distance within which player can interact with TV (increased for larger entity)
         this.isPlayerNearby = false;      // Tracks if player is close enough to interact
         this.isActive = false;            // Tracks if YouTube player is currently active
-        this.wasEnterPressed = false;     // Tracks enter key state to detect press
+        this.hasInteractionFocus = false; // Set by the InteractionManager while this is the interaction target
         this.youtubePlayer = null;        // Will hold the YouTube player element
         this.interactionPromptAlpha = 0;  // Transparency for interaction prompt
         
@@ -61,17 +66,6 @@ class TVEntity extends Entity {
         this.lastToggleTime = 0;
         this.toggleCooldown = 500; // ms
         
-        // Add a direct Enter key event listener
-        this.handleKeyDown = (event) => {
-            if (event.key === 'Enter' && this.isPlayerNearby && !this.isActive) {
-                console.log('TVEntity: Direct Enter key event detected - toggling TV');
-                this.toggleTV();
-            }
-        };
-        
-        // Register the event listener
-        document.addEventListener('keydown', this.handleKeyDown);
-        
         // Debug console log about TV placement
         console.log(`TVEntity: Final adjusted position: (${this.x}, ${this.y})`);
         
@@ -296,8 +290,8 @@ class TVEntity extends Entity {
                 console.log(`TVEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
             
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
+            // Handle interaction prompt fade - only the focused interactable shows its prompt
+            if (this.hasInteractionFocus) {
                 // Only show prompt if TV is inactive
                 if (!this.isActive) {
                     // Fade in prompt faster
@@ -310,24 +304,6 @@ class TVEntity extends Entity {
                 // Fade out prompt when player moves away
                 this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
             }
-            
-            // Check for Enter key press - only toggle when player is nearby and Enter is newly pressed
-            // We check Input.keys.Enter directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            // Only detect a new press (not holding)
-            if (isEnterPressed && !this.wasEnterPressed && this.isPlayerNearby && !this.isActive) {
-                console.log('TVEntity: Enter key newly pressed, toggling TV ON');
-                this.toggleTV();
-            } 
-            // Handle closing with Enter if already active
-            else if (isEnterPressed && !this.wasEnterPressed && this.isActive) {
-                console.log('TVEntity: Enter key newly pressed while active, toggling TV OFF');
-                this.toggleTV();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
         }
     }
     
@@ -342,8 +318,7 @@ class TVEntity extends Entity {
      */
     draw(ctx, screenX, screenY, width, height, zOffset) {
         // Calculate adjusted position with grounding factor
-        const groundingFactor = 0.8; // How much to "sink" the TV image down to align with the floor
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position
         const drawY = adjustedScreenY - (this.z * 0.5);
@@ -356,9 +331,8 @@ class TVEntity extends Entity {
             ctx.shadowBlur = 15 * (this.glowIntensity + this.proximityBoost);
             
             // Scale the image to match the desired width/height
-            const scaleFactor = 1.2; // Increased size factor to better match the larger collision bounds
-            const drawWidth = width * scaleFactor;
-            const drawHeight = height * scaleFactor;
+            const drawWidth = width * this.scaleX;
+            const drawHeight = height * this.scaleY;
             
             // Draw TV
             ctx.drawImage(
@@ -477,6 +451,14 @@ class TVEntity extends Entity {
         ctx.restore();
     }
     
+    /**
+     * Handle TV interaction - opens the video modal, or closes it if already open
+     * Called by the InteractionManager, which keeps focus on the TV while the modal is open
+     */
+    interact() {
+        this.toggleTV();
+    }
+    
     /**
      * Toggle the TV modal on/off
      */
@@ -489,62 +471,22 @@ class TVEntity extends Entity {
         }
         this.lastToggleTime = now;
         
-        // Toggle active state
-        this.isActive = !this.isActive;
-        
-        console.log(`TVEntity: Toggling TV state to ${this.isActive ? 'ACTIVE' : 'INACTIVE'}`);
+        console.log(`TVEntity: Toggling TV state to ${this.isActive ? 'INACTIVE' : 'ACTIVE'}`);
         
         if (this.isActive) {
-            console.log('TVEntity: Creating YouTube modal');
-            this.createYoutubeModal();
-            
-            // Temporarily disable the direct Enter key event listener while player is active
-            // This prevents it from immediately closing due to key repeat
-            document.removeEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
-        } else {
             console.log('TVEntity: Removing YouTube modal');
             this.removeYoutubeModal();
-            
-            // Re-enable the direct Enter key event listener after player is closed
-            document.addEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
+        } else {
+            console.log('TVEntity: Creating YouTube modal');
+            this.createYoutubeModal();
         }
     }
     
     /**
      * Create the YouTube modal
+     * The overlay manager handles the backdrop, Escape/back closing and pausing the game
      */
     createYoutubeModal() {
-        // Create modal container
-        const modalContainer = document.createElement('div');
-        modalContainer.id = 'youtube-modal';
-        modalContainer.style.position = 'fixed';
-        modalContainer.style.left = '0';
-        modalContainer.style.top = '0';
-        modalContainer.style.width = '100%';
-        modalContainer.style.height = '100%';
-        modalContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-        modalContainer.style.zIndex = '1000';
-        modalContainer.style.display = 'flex';
-        modalContainer.style.justifyContent = 'center';
-        modalContainer.style.alignItems = 'center';
-        modalContainer.style.flexDirection = 'column';
-        
         // Create modal content
         const modalContent = document.createElement('div');
         modalContent.className = 'youtube-content';
@@ -559,6 +501,8 @@ class TVEntity extends Entity {
         // Create close button
         const closeButton = document.createElement('button');
         closeButton.innerHTML = '&times;';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.setAttribute('data-overlay-close', '');
         closeButton.style.position = 'absolute';
         closeButton.style.right = '10px';
         closeButton.style.top = '10px';
@@ -568,7 +512,6 @@ class TVEntity extends Entity {
         closeButton.style.fontSize = '24px';
         closeButton.style.cursor = 'pointer';
         closeButton.style.zIndex = '1001';
-        closeButton.onclick = () => this.toggleTV();
         
         // Create title
         const title = document.createElement('h2');
@@ -580,32 +523,21 @@ class TVEntity extends Entity {
         // Set the iframe content
         modalContent.innerHTML += this.youtubeIframeHTML;
         
-        // Assemble the modal
-        modalContent.appendChild(closeButton);
+        // Assemble the modal - close button first so it takes focus
         modalContent.insertBefore(title, modalContent.firstChild);
-        modalContainer.appendChild(modalContent);
-        document.body.appendChild(modalContainer);
-        
-        // Store reference to the modal
-        this.youtubePlayer = modalContainer;
-        
-        // Add ESC key listener
-        this.handleEscapeKey = (event) => {
-            if (event.key === 'Escape' && this.isActive) {
-                console.log('TVEntity: ESC key pressed while TV modal is active, closing modal');
-                this.toggleTV();
-            }
-        };
-        document.addEventListener('keydown', this.handleEscapeKey);
-        
-        // Add Enter key listener for re-toggle
-        this.handleEnterKeyInModal = (event) => {
-            if (event.key === 'Enter' && this.isActive) {
-                console.log('TVEntity: Enter key pressed while TV modal is active, closing modal');
-                this.toggleTV();
+        modalContent.insertBefore(closeButton, modalContent.firstChild);
+        
+        // Store reference to the open overlay
+        this.youtubePlayer = overlayManager.open({
+            id: 'youtube-modal',
+            content: modalContent,
+            backdrop: 'rgba(0, 0, 0, 0.8)',
+            onClose: () => {
+                this.isActive = false;
+                this.youtubePlayer = null;
             }
-        };
-        document.addEventListener('keydown', this.handleEnterKeyInModal);
+        });
+        this.isActive = !!this.youtubePlayer;
     }
     
     /**
@@ -613,12 +545,7 @@ class TVEntity extends Entity {
      */
     removeYoutubeModal() {
         if (this.youtubePlayer) {
-            document.body.removeChild(this.youtubePlayer);
-            this.youtubePlayer = null;
-            
-            // Remove ESC key listener
-            document.removeEventListener('keydown', this.handleEscapeKey);
-            document.removeEventListener('keydown', this.handleEnterKeyInModal);
+            this.youtubePlayer.close();
         }
     }
     
@@ -628,9 +555,6 @@ class TVEntity extends Entity {
     cleanup() {
         console.log('TVEntity: Cleaning up resources');
         
-        // Remove keydown event listener
-        document.removeEventListener('keydown', this.handleKeyDown);
-        
         // Remove modal and event listeners if active
         if (this.isActive) {
             this.removeYoutubeModal();
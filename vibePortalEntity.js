@@ -6,6 +6,7 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
+import { ParticleEmitter } from './particleSystem.js';
 
 export class VibePortalEntity extends Entity {
     /**
@@ -38,18 +39,39 @@ export class VibePortalEntity extends Entity {
         this.targetUrl = options.targetUrl || 'https://portal.pieter.com';
         this.portalLabel = options.label || 'ENTER VIBEVERSE';
         
+        // Light cast on the room by the lighting pass, pulsing with the portal
+        this.glowColor = this.portalColor;
+        this.glowIntensity = 0.8;
+        
         // Animation properties
         this.animationTime = 0;
-        this.rotationSpeed = 0.02;
-        this.pulseSpeed = 0.03;
-        this.particleSpeed = 0.05;
+        this.rotationSpeed = 1.2; // Radians per second
+        this.pulseSpeed = 1.8; // Radians per second
         this.portalRadius = 40; // Base size for drawing
         this.torusThickness = 8;
         this.innerRadius = this.portalRadius - this.torusThickness;
-        
-        // Particle system for portal effect
-        this.particles = [];
-        this.initParticles(200); // Create 200 particles
+        this.groundingFactor = 0.7; // Adjust to make portal appear at right height
+        
+        // Particles swirling around the ring - red for the start portal, green for exits
+        const particleColors = this.portalType === 'start'
+            ? ['#ff0000', '#cc0000']
+            : ['#00ff00', '#00cc00'];
+        this.particleEmitter = new ParticleEmitter({
+            rate: 60,
+            maxParticles: 200,
+            lifetime: [2.5, 3.5],
+            velocityY: [-2, 2],
+            colors: particleColors,
+            alpha: [1, 0.3],
+            size: [2, 2],
+            glow: 5,
+            shape: 'ring',
+            radiusX: this.portalRadius,
+            radiusY: this.portalRadius * 0.25, // Squish factor for isometric perspective
+            orbitSpeed: 0.3,
+            space: 'local'
+        });
+        this.particleEmitter.burst(150); // Start with a full ring
         
         // Portal interaction properties
         this.interactionDistance = options.interactionDistance || 3; // Distance for proximity detection
@@ -62,46 +84,6 @@ export class VibePortalEntity extends Entity {
         debug('VibePortalEntity: Created new portal at', { x, y, z });
     }
     
-    /**
-     * Initialize particle system for portal effect
-     * @param {number} count - Number of particles to create
-     */
-    initParticles(count) {
-        for (let i = 0; i < count; i++) {
-            // Create particles in a ring around the portal
-            const angle = Math.random() * Math.PI * 2;
-            const radius = this.portalRadius + (Math.random() - 0.5) * 4;
-            
-            // Convert to cartesian coordinates
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-            const z = (Math.random() - 0.5) * 4;
-            
-            // Create colors based on portal type
-            let r = 0, g = 0, b = 0;
-            if (this.portalType === 'start') {
-                // Red color with slight variation for start portal
-                r = 0.8 + Math.random() * 0.2;
-                g = 0;
-                b = 0;
-            } else {
-                // Green color with slight variation for exit portal
-                r = 0;
-                g = 0.8 + Math.random() * 0.2;
-                b = 0;
-            }
-            
-            // Add particle to array
-            this.particles.push({
-                x, y, z,
-                initialAngle: angle,
-                initialRadius: radius,
-                color: { r, g, b },
-                speed: 0.5 + Math.random() * 0.5
-            });
-        }
-    }
-    
     /**
      * Update portal state - called each frame
      * @param {number} deltaTime - Time since last update
@@ -113,8 +95,9 @@ export class VibePortalEntity extends Entity {
             // No need to update position/velocity for static objects
         }
         
-        // Update animation time
-        this.animationTime += deltaTime * 0.001; // Convert to seconds
+        // Update animation time (deltaTime is already in seconds)
+        this.animationTime += deltaTime;
+        this.glowIntensity = 0.8 + Math.sin(this.animationTime * this.pulseSpeed) * 0.2;
         
         // Update particle positions
         this.updateParticles(deltaTime);
@@ -157,13 +140,7 @@ export class VibePortalEntity extends Entity {
      * @param {number} deltaTime - Time elapsed since last update
      */
     updateParticles(deltaTime) {
-        // Update each particle position
-        for (let i = 0; i < this.particles.length; i++) {
-            const p = this.particles[i];
-            
-            // Apply oscillation effect based on sine wave
-            p.y += this.particleSpeed * Math.sin(this.animationTime + i * 0.1) * deltaTime;
-        }
+        this.particleEmitter.update(deltaTime);
     }
     
     /**
@@ -200,6 +177,12 @@ export class VibePortalEntity extends Entity {
         });
         document.dispatchEvent(portalEvent);
         
+        // Walking in is how this portal is used, so it counts as an interaction
+        // (achievements, visited items) like pressing Enter on other entities
+        window.dispatchEvent(new CustomEvent('entityInteracted', {
+            detail: { entity: this }
+        }));
+        
         // Create visual effect for portal entry
         this.createPortalTransitionEffect();
         
@@ -320,8 +303,7 @@ export class VibePortalEntity extends Entity {
         if (!this.isActive) return;
         
         // Calculate adjusted position with proper grounding
-        const groundingFactor = 0.7; // Adjust to make portal appear at right height
-        const adjustedScreenY = screenY - height * (1 - groundingFactor);
+        const adjustedScreenY = screenY - height * (1 - this.groundingFactor);
         
         // Apply vertical offset based on z position
         const drawY = adjustedScreenY - (this.z * 2);
@@ -439,37 +421,8 @@ export class VibePortalEntity extends Entity {
             baseOpacity = 0.7 - (fadeAmount * 0.5); // Reduce to 0.2 at max distance
         }
         
-        // Apply the squish factor for isometric view
-        const squishFactor = 0.25;
-        
-        // Draw each particle
-        for (let i = 0; i < this.particles.length; i++) {
-            const p = this.particles[i];
-            
-            // Calculate particle position on the elliptical path
-            const angle = p.initialAngle + this.animationTime * p.speed * 0.1;
-            const radius = p.initialRadius;
-            
-            // Apply isometric squish
-            const particleX = x + Math.cos(angle) * radius;
-            const particleY = y + Math.sin(angle) * radius * squishFactor;
-            
-            // Calculate individual particle opacity (variation for visual interest)
-            const particleOpacity = baseOpacity * (0.7 + Math.sin(this.animationTime + i * 0.3) * 0.3);
-            
-            // Draw with glow effect and adjusted opacity
-            ctx.fillStyle = `rgba(${p.color.r * 255}, ${p.color.g * 255}, ${p.color.b * 255}, ${particleOpacity})`;
-            ctx.shadowColor = `rgba(${p.color.r * 255}, ${p.color.g * 255}, ${p.color.b * 255}, ${particleOpacity * 0.8})`;
-            ctx.shadowBlur = 5;
-            
-            // Draw particle
-            ctx.beginPath();
-            ctx.arc(particleX, particleY, 2, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        // Reset shadow
-        ctx.shadowBlur = 0;
+        this.particleEmitter.opacity = baseOpacity;
+        this.particleEmitter.draw(ctx, x, y);
     }
     
     /**